@@ -19,7 +19,6 @@ import {
   RolesWrapper,
   ShelteringWrapper,
   UploadActions,
-  UploadsWrapper,
   BlockchainStateWrapper
 } from 'ambrosus-node-contracts';
 import DataModelEngine from './services/data_model_engine';
@@ -28,6 +27,8 @@ import EntityRepository from './services/entity_repository';
 import BundleDownloader from './services/bundle_downloader';
 import BundleBuilder from './services/bundle_builder';
 import BundleRepository from './services/bundle_repository';
+import BundleCandidateRepository from './services/bundle_candidate_repository';
+import BundlingPartitioner from './services/bundling_partitioner';
 import WorkerLogRepository from './services/worker_log_repository';
 import FindEventQueryObjectFactory from './services/find_event_query_object';
 import FindAccountQueryObjectFactory from './services/find_account_query_object';
@@ -40,10 +41,23 @@ import {createWeb3, getDefaultAddress} from './utils/web3_tools';
 import RolesRepository, {Role} from './services/roles_repository';
 import UploadRepository from './services/upload_repository';
 import ChallengesRepository from './services/challenges_repository';
+import GasPriceOracle from './services/gas_price_oracle';
+import PricedUploadsWrapper from './services/priced_uploads_wrapper';
+import StuckTransactionReplacer from './services/stuck_transaction_replacer';
+import SentTransactionRepository from './services/sent_transaction_repository';
 import Migrator from './migrations/Migrator';
 import FailedChallengesCache from './services/failed_challenges_cache';
 import ActiveChallengesCache from './services/active_challenges_cache';
 import WorkerTaskTrackingRepository from './services/worker_task_tracking_repository';
+import EventSubscriptionHub from './services/event_subscription_hub';
+import WebhookRepository from './services/webhook_repository';
+import WebhookDispatcher from './services/webhook_dispatcher';
+import FindWebhookDeliveryQueryObjectFactory from './services/find_webhook_delivery_query_object';
+import FindBundleQueryObjectFactory from './services/find_bundle_query_object';
+import AssetIdentifierRepository from './services/asset_identifier_repository';
+import QueryResultCache from './services/query_result_cache';
+import AssetRelationRepository from './services/asset_relation_repository';
+import AssetTextRepository from './services/asset_text_repository';
 import * as Sentry from '@sentry/node';
 
 class Builder {
@@ -72,6 +86,10 @@ class Builder {
     this.web3 = web3 || await createWeb3(this.config);
     this.migrator = new Migrator(db, this.config);
     this.identityManager = new IdentityManager(this.web3);
+    this.gasPriceOracle = new GasPriceOracle(this.web3, this.config);
+    this.sentTransactionRepository = new SentTransactionRepository(this.db);
+    const {stuckTransactionTimeout, transactionReceiptTimeout} = this.config;
+    this.stuckTransactionReplacer = new StuckTransactionReplacer(this.web3, this.gasPriceOracle, this.sentTransactionRepository, stuckTransactionTimeout, transactionReceiptTimeout);
     const {headContractAddress, lowFundsWarningAmount} = this.config;
 
     const defaultAddress = await getDefaultAddress(this.web3);
@@ -79,7 +97,7 @@ class Builder {
     this.headWrapper = new HeadWrapper(headContractAddress, this.web3, defaultAddress);
     this.rolesWrapper = new RolesWrapper(this.headWrapper, this.web3, defaultAddress);
     this.configWrapper = new ConfigWrapper(this.headWrapper, this.web3, defaultAddress);
-    this.uploadsWrapper = new UploadsWrapper(this.headWrapper, this.web3, defaultAddress);
+    this.uploadsWrapper = new PricedUploadsWrapper(this.headWrapper, this.web3, defaultAddress, this.gasPriceOracle, this.stuckTransactionReplacer);
     this.feesWrapper = new FeesWrapper(this.headWrapper, this.web3, defaultAddress);
     this.challengesWrapper = new ChallengeWrapper(this.headWrapper, this.web3, defaultAddress);
     this.challengesEventEmitterWrapper = new ChallengesEventEmitterWrapper(this.headWrapper, this.web3, defaultAddress);
@@ -104,24 +122,46 @@ class Builder {
       this.challengesEventEmitterWrapper,
       this.configWrapper,
       this.blockChainStateWrapper,
-      this.activeChallengesCache
+      this.activeChallengesCache,
+      this.gasPriceOracle,
+      this.stuckTransactionReplacer
     );
     this.tokenAuthenticator = new TokenAuthenticator(this.identityManager);
-    const {maximumEntityTimestampOvertake, supportDeprecatedBundleVersions} = this.config;
-    this.entityBuilder = new EntityBuilder(this.identityManager, maximumEntityTimestampOvertake);
+    const {maximumEntityTimestampOvertake, supportDeprecatedBundleVersions, eventQueryMaxClauses, eventQueryMaxDepth} = this.config;
+    this.entityBuilder = new EntityBuilder(this.identityManager, maximumEntityTimestampOvertake, eventQueryMaxClauses, eventQueryMaxDepth);
     this.entityRepository = new EntityRepository(this.db);
     this.bundleBuilder = new BundleBuilder(this.identityManager, this.entityBuilder, supportDeprecatedBundleVersions);
     this.bundleRepository = new BundleRepository(this.db);
+    this.bundleCandidateRepository = new BundleCandidateRepository(this.db);
     this.workerLogRepository = new WorkerLogRepository(this.db);
     this.workerTaskTrackingRepository = new WorkerTaskTrackingRepository(this.db);
-    this.findEventQueryObjectFactory = new FindEventQueryObjectFactory(this.db);
-    this.findAssetQueryObjectFactory = new FindAssetQueryObjectFactory(this.db);
+    const {queryCacheSize, queryCacheTtl} = this.config;
+    this.queryResultCache = queryCacheSize > 0 ? new QueryResultCache(queryCacheSize, queryCacheTtl) : null;
+    this.findEventQueryObjectFactory = new FindEventQueryObjectFactory(this.db, this.queryResultCache);
+    this.findAssetQueryObjectFactory = new FindAssetQueryObjectFactory(this.db, this.queryResultCache);
     this.failedChallengesCache = new FailedChallengesCache();
     this.httpsClient = new HttpsClient();
     this.bundleDownloader = new BundleDownloader(this.httpsClient);
     this.accountRepository = new AccountRepository(this.db);
+    this.bundlingPartitioner = new BundlingPartitioner(this.entityRepository, this.accountRepository, this.config);
     this.findAccountQueryObjectFactory = new FindAccountQueryObjectFactory(this.db);
     this.accountAccessDefinitions = new AccountAccessDefinitions(this.identityManager, this.accountRepository);
+    this.eventSubscriptionHub = new EventSubscriptionHub();
+    this.webhookRepository = new WebhookRepository(this.db);
+    const {webhookDeliveryMaxAttempts, webhookDeliveryBackoffInSeconds, webhookDeliveryTimeout} = this.config;
+    this.webhookDispatcher = new WebhookDispatcher(
+      this.webhookRepository,
+      this.accountRepository,
+      this.httpsClient,
+      webhookDeliveryMaxAttempts,
+      webhookDeliveryBackoffInSeconds,
+      webhookDeliveryTimeout
+    );
+    this.findWebhookDeliveryQueryObjectFactory = new FindWebhookDeliveryQueryObjectFactory(this.db);
+    this.assetRelationRepository = new AssetRelationRepository(this.db);
+    this.assetTextRepository = new AssetTextRepository(this.db);
+    this.findBundleQueryObjectFactory = new FindBundleQueryObjectFactory(this.db);
+    this.assetIdentifierRepository = new AssetIdentifierRepository(this.db);
     this.dataModelEngine = new DataModelEngine({
       identityManager: this.identityManager,
       tokenAuthenticator: this.tokenAuthenticator,
@@ -138,7 +178,25 @@ class Builder {
       mongoClient: this.client,
       uploadRepository: this.uploadRepository,
       rolesRepository: this.rolesRepository,
-      workerLogRepository: this.workerLogRepository
+      workerLogRepository: this.workerLogRepository,
+      eventSubscriptionHub: this.eventSubscriptionHub,
+      eventStreamReplayLimit: this.config.eventStreamReplayLimit,
+      eventStatsMaxGroups: this.config.eventStatsMaxGroups,
+      webhookRepository: this.webhookRepository,
+      webhookDispatcher: this.webhookDispatcher,
+      findWebhookDeliveryQueryObjectFactory: this.findWebhookDeliveryQueryObjectFactory,
+      webhookDeliveryBatchSize: this.config.webhookDeliveryBatchSize,
+      assetRelationRepository: this.assetRelationRepository,
+      assetTextRepository: this.assetTextRepository,
+      findBundleQueryObjectFactory: this.findBundleQueryObjectFactory,
+      assetIdentifierRepository: this.assetIdentifierRepository,
+      bundleCandidateRepository: this.bundleCandidateRepository,
+      bundlingPartitioner: this.bundlingPartitioner,
+      bundleUploadMaxAttempts: this.config.bundleUploadMaxAttempts,
+      bundleUploadRetryDelay: this.config.bundleUploadRetryDelay,
+      bundleUploadMaxRetryDelay: this.config.bundleUploadMaxRetryDelay,
+      queryResultCache: this.queryResultCache,
+      sentry: Sentry
     });
     return {dataModelEngine: this.dataModelEngine, client: this.client, kycWhitelistWrapper: this.kycWhitelistWrapper};
   }
@@ -7,6 +7,12 @@ This Source Code Form is subject to the terms of the Mozilla Public License, v.
 This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
 */
 
+export interface BundlingPartitionSettings {
+  storagePeriods?: number;
+  bundlingMinimumItems?: number;
+  bundlingMinimumSize?: number;
+}
+
 export interface Config {
   serverPort: number;
 
@@ -29,17 +35,60 @@ export interface Config {
   challengeResolutionStrategy: string;
   uploadStrategy: string;
 
+  hermesWorkerInterval: number;
+  bundlingMinimumItems: number;
+  bundlingMinimumSize: number;
+  bundlingMaximumEntityAge: number;
+  bundlingDailyGasBudget: number;
+  bundleUploadGasEstimate: number;
+  bundlingPartitionPolicy: string;
+  bundlingPartitions: Record<string, BundlingPartitionSettings>;
+
+  bundleUploadMaxAttempts: number;
+  bundleUploadRetryDelay: number;
+  bundleUploadMaxRetryDelay: number;
+
   maximumEntityTimestampOvertake: number;
 
   authorizationWithSecretKeyEnabled: boolean;
 
   defaultGasPrice: number;
+  gasPriceFloor: number;
+  gasPriceCeiling: number;
+  gasPriceMultiplier: number;
+  gasPriceSampleBlocks: number;
+  stuckTransactionTimeout: number;
+  transactionReceiptTimeout: number;
+  transactionReplacementWorkerInterval: number;
 
   gitCommit: string | undefined;
 
   docsLink: string;
 
   requestSizeLimit: string;
+  batchRequestSizeLimit: string;
+
+  maximumBatchSize: number;
+
+  eventStreamHeartbeatIntervalInSeconds: number;
+  eventStreamReplayLimit: number;
+
+  eventQueryMaxClauses: number;
+  eventQueryMaxDepth: number;
+
+  eventStatsMaxGroups: number;
+
+  queryCacheSize: number;
+  queryCacheTtl: number;
+
+  graphqlMaxDepth: number;
+  graphqlMaxCost: number;
+
+  webhookWorkerInterval: number;
+  webhookDeliveryBatchSize: number;
+  webhookDeliveryMaxAttempts: number;
+  webhookDeliveryBackoffInSeconds: number;
+  webhookDeliveryTimeout: number;
 
   workerLogsTTLInSeconds: number;
   workerTasksTTLInSeconds: number;
@@ -51,6 +100,10 @@ export interface Config {
   requiredFreeDiskSpace: number;
 
   cleanupWorkerInterval: number;
+
+  // bundles stored uncompressed, before compression was introduced, are compressed by a background worker in batches
+  bundleCompressionWorkerInterval: number;
+  bundleCompressionBatchSize: number;
 }
 
 const config: Readonly<Config> = Object.freeze({
@@ -78,6 +131,23 @@ const config: Readonly<Config> = Object.freeze({
   challengeResolutionStrategy: process.env.CHALLENGE_RESOLUTION_STRATEGY || 'resolve_all_strategy',
   uploadStrategy: process.env.UPLOAD_STRATEGY || 'regular_interval_upload_strategy',
 
+  hermesWorkerInterval: Number(process.env.WORKER_INTERVAL) || 300, // in seconds
+  bundlingMinimumItems: Number(process.env.BUNDLING_MINIMUM_ITEMS) || 1000,
+  bundlingMinimumSize: Number(process.env.BUNDLING_MINIMUM_SIZE) || 1048576, // in bytes
+  bundlingMaximumEntityAge: Number(process.env.BUNDLING_MAXIMUM_ENTITY_AGE) || 3600, // in seconds
+  bundlingDailyGasBudget: Number(process.env.BUNDLING_DAILY_GAS_BUDGET) || 0, // 0 disables the budget
+  bundleUploadGasEstimate: Number(process.env.BUNDLE_UPLOAD_GAS_ESTIMATE) || 500000,
+
+  // One of: none, organization (of the entity creator), creator
+  bundlingPartitionPolicy: process.env.BUNDLING_PARTITION_POLICY || 'none',
+  // Settings of the partitions by their keys (organization numbers, creator addresses or 'default'), e.g.
+  // '{"1": {"storagePeriods": 4, "bundlingMinimumItems": 100}, "default": {"storagePeriods": 2}}'
+  bundlingPartitions: JSON.parse(process.env.BUNDLING_PARTITIONS || '{}'),
+
+  bundleUploadMaxAttempts: Number(process.env.BUNDLE_UPLOAD_MAX_ATTEMPTS) || 10,
+  bundleUploadRetryDelay: Number(process.env.BUNDLE_UPLOAD_RETRY_DELAY) || 60, // in seconds, doubled after every failed attempt
+  bundleUploadMaxRetryDelay: Number(process.env.BUNDLE_UPLOAD_MAX_RETRY_DELAY) || 21600, // in seconds
+
   maximumEntityTimestampOvertake: Number(process.env.MAXIMUM_ENTITY_TIMESTAMP_OVERTAKE) || 86400,
 
   authorizationWithSecretKeyEnabled:
@@ -85,11 +155,42 @@ const config: Readonly<Config> = Object.freeze({
 
   defaultGasPrice: Number(process.env.DEFAULT_GAS_PRICE) || 5, // in ambits
 
+  gasPriceFloor: Number(process.env.GAS_PRICE_FLOOR) || Number(process.env.DEFAULT_GAS_PRICE) || 5, // in ambits
+  gasPriceCeiling: Number(process.env.GAS_PRICE_CEILING) || 100, // in ambits
+  gasPriceMultiplier: Number(process.env.GAS_PRICE_MULTIPLIER) || 1.1, // applied to the median gas price of the recent blocks
+  gasPriceSampleBlocks: Number(process.env.GAS_PRICE_SAMPLE_BLOCKS) || 20,
+  stuckTransactionTimeout: Number(process.env.STUCK_TRANSACTION_TIMEOUT) || 300, // in seconds, after which a pending transaction gets re-priced
+  transactionReceiptTimeout: Number(process.env.TRANSACTION_RECEIPT_TIMEOUT) || 1800, // in seconds, an upload waits for a replaced registration to be mined
+  transactionReplacementWorkerInterval: Number(process.env.TRANSACTION_REPLACEMENT_WORKER_INTERVAL) || 60,
+
   gitCommit: process.env.GIT_COMMIT,
 
   docsLink: process.env.DOCS_LINK || 'https://dev.ambrosus.com/',
 
   requestSizeLimit: process.env.REQUEST_SIZE_LIMIT || '1mb',
+  batchRequestSizeLimit: process.env.BATCH_REQUEST_SIZE_LIMIT || '10mb',
+
+  maximumBatchSize: Number(process.env.MAXIMUM_BATCH_SIZE) || 1000,
+
+  eventStreamHeartbeatIntervalInSeconds: Number(process.env.EVENT_STREAM_HEARTBEAT_INTERVAL) || 15,
+  eventStreamReplayLimit: Number(process.env.EVENT_STREAM_REPLAY_LIMIT) || 1000,
+
+  eventQueryMaxClauses: Number(process.env.EVENT_QUERY_MAX_CLAUSES) || 20,
+  eventQueryMaxDepth: Number(process.env.EVENT_QUERY_MAX_DEPTH) || 5,
+
+  eventStatsMaxGroups: Number(process.env.EVENT_STATS_MAX_GROUPS) || 1000,
+
+  queryCacheSize: Number(process.env.QUERY_CACHE_SIZE) || 0, // number of cached find query results, 0 disables the cache
+  queryCacheTtl: Number(process.env.QUERY_CACHE_TTL) || 10, // in seconds
+
+  graphqlMaxDepth: Number(process.env.GRAPHQL_MAX_DEPTH) || 8,
+  graphqlMaxCost: Number(process.env.GRAPHQL_MAX_COST) || 5000, // fields resolved, multiplied by page sizes
+
+  webhookWorkerInterval: Number(process.env.WEBHOOK_WORKER_INTERVAL) || 5,
+  webhookDeliveryBatchSize: Number(process.env.WEBHOOK_DELIVERY_BATCH_SIZE) || 100,
+  webhookDeliveryMaxAttempts: Number(process.env.WEBHOOK_DELIVERY_MAX_ATTEMPTS) || 8,
+  webhookDeliveryBackoffInSeconds: Number(process.env.WEBHOOK_DELIVERY_BACKOFF) || 10, // doubled after every failed attempt
+  webhookDeliveryTimeout: Number(process.env.WEBHOOK_DELIVERY_TIMEOUT) || 10000, // in milliseconds
 
   workerLogsTTLInSeconds: Number(process.env.WORKER_LOGS_TTL) || 172800, // 2 days
   workerTasksTTLInSeconds: Number(process.env.WORKER_TASKS_TTL) || 600, // 10 minutes
@@ -100,7 +201,10 @@ const config: Readonly<Config> = Object.freeze({
 
   requiredFreeDiskSpace: Number(process.env.REQUIRED_FREE_DISK_SPACE) || 200000000, // 200 MB
 
-  cleanupWorkerInterval: Number(process.env.CLEANUP_WORKER_INTERVAL) || 86400 // 1 day
+  cleanupWorkerInterval: Number(process.env.CLEANUP_WORKER_INTERVAL) || 86400, // 1 day
+
+  bundleCompressionWorkerInterval: Number(process.env.BUNDLE_COMPRESSION_WORKER_INTERVAL) || 60,
+  bundleCompressionBatchSize: Number(process.env.BUNDLE_COMPRESSION_BATCH_SIZE) || 100
 });
 
 export default config;
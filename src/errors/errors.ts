@@ -25,6 +25,13 @@ export class ValidationError extends AmbrosusError {
   }
 }
 
+export class DuplicateEntityError extends ValidationError {
+  public constructor(message) {
+    super(message);
+    Object.setPrototypeOf(this, DuplicateEntityError.prototype);
+  }
+}
+
 export class AuthenticationError extends AmbrosusError {
   public constructor(message) {
     super(`Authentication failed: ${message}`);
@@ -46,6 +53,18 @@ export class NotFoundError extends AmbrosusError {
   }
 }
 
+/**
+ * Thrown when retrying a bundle upload can't succeed, e.g. when the bundle was uploaded by a different node.
+ */
+export class PermanentUploadError extends Error {
+  public constructor(message) {
+    super(message);
+    Object.setPrototypeOf(this, PermanentUploadError.prototype);
+    this.name = this.constructor.name;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
 export class JsonValidationError extends ValidationError {
   public errors: AjvError[];
 
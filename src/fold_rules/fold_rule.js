@@ -0,0 +1,23 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+/* eslint @typescript-eslint/no-unused-vars: ["error", { "argsIgnorePattern": "^_" }]*/
+export default class FoldRule {
+  constructor(type) {
+    this.type = type;
+  }
+
+  appliesTo(entry) {
+    return entry.type === this.type;
+  }
+
+  fold(_state, _entry, _event) {
+    throw new Error('Abstract class');
+  }
+}
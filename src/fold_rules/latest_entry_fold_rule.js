@@ -0,0 +1,25 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import FoldRule from './fold_rule';
+import {pick, put} from '../utils/dict_utils';
+
+/**
+ * Replaces the state field with the content of the most recent entry of the given type.
+ */
+export default class LatestEntryFoldRule extends FoldRule {
+  constructor(type, field) {
+    super(type);
+    this.field = field;
+  }
+
+  fold(state, entry) {
+    return put(state, this.field, pick(entry, 'type'));
+  }
+}
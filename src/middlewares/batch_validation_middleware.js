@@ -0,0 +1,30 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {ValidationError} from '../errors/errors';
+
+const isEntityObject = (entity) => typeof entity === 'object' && entity !== null && !Array.isArray(entity);
+
+const batchValidationMiddleware = (maximumBatchSize) => ((req, res, next) => {
+  if (!Array.isArray(req.body)) {
+    throw new ValidationError('Batch should be an array of entities');
+  }
+  if (req.body.length === 0) {
+    throw new ValidationError('Batch should not be empty');
+  }
+  if (req.body.length > maximumBatchSize) {
+    throw new ValidationError(`Batch size surpasses the limit of ${maximumBatchSize} entities`);
+  }
+  if (!req.body.every(isEntityObject)) {
+    throw new ValidationError('Every batch entry should be an object');
+  }
+  next();
+});
+
+export default batchValidationMiddleware;
@@ -9,4 +9,4 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 
 import bodyParser from 'body-parser';
 
-export default (config) => bodyParser.json({limit: config.requestSizeLimit});
+export default (config, limit = config.requestSizeLimit) => bodyParser.json({limit});
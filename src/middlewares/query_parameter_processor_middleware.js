@@ -17,25 +17,90 @@ const castToNumberOrThrow = (input) => {
   return number;
 };
 
+const ensureCoordinatesInRange = (longitude, latitude) => {
+  if (longitude < -180 || longitude > 180) {
+    throw new ValidationError('Longitude must be between -180 and 180');
+  }
+  if (latitude < -90 || latitude > 90) {
+    throw new ValidationError('Latitude must be between -90 and 90');
+  }
+};
+
 const castToCoordinatesOrThrow = (input) => {
   const extractCoordinatesRegex = /^\s*(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)\s*,\s*(\d+\.?\d*)\s*$/gi;
   const parseResult = extractCoordinatesRegex.exec(input);
   if (parseResult) {
     const [, lon, lat, rad] = parseResult;
     const parsedLon = parseFloat(lon);
-    if (parsedLon < -180 || parsedLon > 180) {
-      throw new ValidationError('Longitude must be between -180 and 180');
-    }
     const parsedLat = parseFloat(lat);
-    if (parsedLat < -90 || parsedLat > 90) {
-      throw new ValidationError('Latitude must be between -90 and 90');
-    }
+    ensureCoordinatesInRange(parsedLon, parsedLat);
     const parsedRad = parseFloat(rad);
     return {locationLongitude : parsedLon, locationLatitude : parsedLat, locationMaxDistance : parsedRad};
   }
   throw new ValidationError('Location query must be of format `geo(lon, lat, rad)`');
 };
 
+const parseNumberList = (input, errorMessage) => {
+  const numbers = input.split(',').map((value) => (value.trim() === '' ? NaN : Number(value)));
+  if (numbers.some(isNaN)) {
+    throw new ValidationError(errorMessage);
+  }
+  return numbers;
+};
+
+const castToPolygonOrThrow = (input) => {
+  const formatError = 'Polygon query must be of format `geoWithin(lon1, lat1, lon2, lat2, ..., lon1, lat1)`';
+  const numbers = parseNumberList(input, formatError);
+  if (numbers.length % 2 !== 0) {
+    throw new ValidationError(formatError);
+  }
+  const ring = [];
+  for (let inx = 0; inx < numbers.length; inx += 2) {
+    ensureCoordinatesInRange(numbers[inx], numbers[inx + 1]);
+    ring.push([numbers[inx], numbers[inx + 1]]);
+  }
+  if (ring.length < 4) {
+    throw new ValidationError('Polygon must have at least 4 vertices, including the closing one');
+  }
+  const [[firstLon, firstLat]] = ring;
+  const [lastLon, lastLat] = ring[ring.length - 1];
+  if (firstLon !== lastLon || firstLat !== lastLat) {
+    throw new ValidationError('Polygon must be closed: the last vertex must be equal to the first one');
+  }
+  return {locationPolygon: ring};
+};
+
+const BOUNDING_BOX_EDGE_STEP = 0.25;
+
+/*
+ Mongo treats polygon edges as great circles. Meridians are great circles already, but the edges along parallels
+ are cut into short segments, so that the polygon follows the parallel instead of bending towards the pole.
+*/
+const parallelSegment = (fromLon, toLon, latitude) => {
+  const steps = Math.ceil(Math.abs(toLon - fromLon) / BOUNDING_BOX_EDGE_STEP);
+  return [...Array(steps + 1).keys()].map((step) => [fromLon + ((toLon - fromLon) * step / steps), latitude]);
+};
+
+const castToBoundingBoxOrThrow = (input) => {
+  const numbers = parseNumberList(input, 'Bounding box query must be of format `bbox(minLon, minLat, maxLon, maxLat)`');
+  if (numbers.length !== 4) {
+    throw new ValidationError('Bounding box query must be of format `bbox(minLon, minLat, maxLon, maxLat)`');
+  }
+  const [minLon, minLat, maxLon, maxLat] = numbers;
+  ensureCoordinatesInRange(minLon, minLat);
+  ensureCoordinatesInRange(maxLon, maxLat);
+  if (minLon >= maxLon || minLat >= maxLat) {
+    throw new ValidationError('Bounding box minimal coordinates must be lower than maximal ones');
+  }
+  if (maxLon - minLon >= 180) {
+    throw new ValidationError('Bounding box must span less than 180 degrees of longitude');
+  }
+  if (minLat === -90 || maxLat === 90) {
+    throw new ValidationError('Bounding box must not reach the poles');
+  }
+  return {locationPolygon: [...parallelSegment(minLon, maxLon, minLat), ...parallelSegment(maxLon, minLon, maxLat), [minLon, minLat]]};
+};
+
 /*
  Taken from https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Regular_Expressions
  Modified to not escape `*` and `?` characters
@@ -106,6 +171,8 @@ const queryParameterProcessorMiddleware = (req, res, next) => {
     {
       number: (value) => castToNumberOrThrow(value),
       geo: (value) => castToCoordinatesOrThrow(value),
+      geoWithin: (value) => castToPolygonOrThrow(value),
+      bbox: (value) => castToBoundingBoxOrThrow(value),
       pattern: (value) => castToRegexOrThrow(value)
     }
   );
@@ -0,0 +1,21 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+// eslint-disable-next-line import/prefer-default-export
+export const up = async (db, config, logger) => {
+  await db.collection('webhooks').createIndex({webhookId: 1}, {unique: true, background: true});
+  await db.collection('webhooks').createIndex({triggers: 1}, {background: true});
+  await db.collection('webhooks').createIndex({createdBy: 1}, {background: true});
+
+  await db.collection('webhook_deliveries').createIndex({deliveryId: 1}, {unique: true, background: true});
+  await db.collection('webhook_deliveries').createIndex({status: 1, nextAttemptAt: 1}, {background: true});
+  await db.collection('webhook_deliveries').createIndex({webhookId: 1, createdAt: -1}, {background: true});
+
+  logger.info(`Created indexes for webhooks and their deliveries`);
+};
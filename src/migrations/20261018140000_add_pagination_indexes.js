@@ -0,0 +1,17 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+// eslint-disable-next-line import/prefer-default-export
+export const up = async (db, config, logger) => {
+  await db.collection('events').createIndex({'content.idData.timestamp': -1, eventId: -1}, {background: true});
+  await db.collection('assets').createIndex({'content.idData.timestamp': -1, assetId: -1}, {background: true});
+  await db.collection('accounts').createIndex({registeredOn: -1, address: -1}, {background: true});
+
+  logger.info(`Created indexes for cursor based pagination`);
+};
@@ -0,0 +1,41 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import EntityBuilder from '../services/entity_builder';
+
+// eslint-disable-next-line import/prefer-default-export
+export const up = async (db, config, logger) => {
+  await db.collection('asset_texts').createIndex(
+    {name: 'text', description: 'text', tags: 'text'},
+    {
+      name: 'asset_texts_text',
+      weights: {name: 10, tags: 5, description: 1},
+      /* eslint-disable camelcase, @typescript-eslint/camelcase */
+      default_language: 'none',
+      language_override: 'textLanguage',
+      /* eslint-enable camelcase, @typescript-eslint/camelcase */
+      background: true
+    }
+  );
+  await db.collection('asset_texts').createIndex({eventId: 1}, {background: true});
+  await db.collection('asset_texts').createIndex({assetId: 1}, {background: true});
+
+  const entityBuilder = new EntityBuilder({}, 0);
+  const eventsCursor = await db.collection('events').find({'content.data.type': 'ambrosus.asset.info'}, {projection: {_id: 0, eventId: 1, content: 1}});
+  let indexedCount = 0;
+  while (await eventsCursor.hasNext()) {
+    const event = await eventsCursor.next();
+    if (await db.collection('asset_texts').findOne({eventId: event.eventId}) === null) {
+      await db.collection('asset_texts').insertMany(entityBuilder.extractAssetTexts(event));
+      ++indexedCount;
+    }
+  }
+
+  logger.info(`Created text index for asset info and indexed ${indexedCount} events`);
+};
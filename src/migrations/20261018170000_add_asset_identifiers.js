@@ -0,0 +1,34 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import EntityBuilder from '../services/entity_builder';
+
+// eslint-disable-next-line import/prefer-default-export
+export const up = async (db, config, logger) => {
+  await db.collection('asset_identifiers').createIndex({type: 1, value: 1}, {background: true});
+  await db.collection('asset_identifiers').createIndex({eventId: 1}, {background: true});
+  await db.collection('asset_identifiers').createIndex({assetId: 1}, {background: true});
+
+  const entityBuilder = new EntityBuilder({}, 0);
+  const eventsCursor = await db.collection('events').find(
+    {'content.data.type': {$in: ['ambrosus.asset.identifiers', 'ambrosus.event.identifiers']}},
+    {projection: {_id: 0, eventId: 1, content: 1}}
+  );
+  let indexedCount = 0;
+  while (await eventsCursor.hasNext()) {
+    const event = await eventsCursor.next();
+    const identifiers = entityBuilder.extractAssetIdentifiers(event);
+    if (identifiers.length > 0 && await db.collection('asset_identifiers').findOne({eventId: event.eventId}) === null) {
+      await db.collection('asset_identifiers').insertMany(identifiers);
+      ++indexedCount;
+    }
+  }
+
+  logger.info(`Created asset identifiers collection and indexed ${indexedCount} events`);
+};
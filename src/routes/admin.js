@@ -0,0 +1,38 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import express from 'express';
+import asyncMiddleware from '../middlewares/async_middleware';
+import accessTokenMiddleware from '../middlewares/access_token_middleware';
+
+export const getDeadLetterBundlesHandler = (dataModelEngine) => async (req, res) => {
+  const content = await dataModelEngine.findDeadLetterBundles(req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(content));
+};
+
+export const retryBundleUploadHandler = (dataModelEngine) => async (req, res) => {
+  await dataModelEngine.retryBundleUpload(req.params.bundleId, req.tokenData);
+  res.status(204).send();
+};
+
+export default (tokenAuthenticator, dataModelEngine) => {
+  const router = new express.Router();
+
+  router.get('/bundles/dead-letter',
+    accessTokenMiddleware(tokenAuthenticator),
+    asyncMiddleware(getDeadLetterBundlesHandler(dataModelEngine)));
+
+  router.post('/bundles/:bundleId/retry',
+    accessTokenMiddleware(tokenAuthenticator),
+    asyncMiddleware(retryBundleUploadHandler(dataModelEngine)));
+
+  return router;
+};
@@ -18,6 +18,14 @@ import ambAuthorizationHeaderMiddleware from '../middlewares/amb_authorization_h
 import accessTokenMiddleware from '../middlewares/access_token_middleware';
 import ensureJsonMime from '../middlewares/mime_middleware';
 import queryParameterProcessorMiddleware from '../middlewares/query_parameter_processor_middleware';
+import batchValidationMiddleware from '../middlewares/batch_validation_middleware';
+import {createExportStream, requestedExportFormat, sendExport} from '../utils/export_streams';
+
+export const defaultAssetExportColumns = [
+  'assetId',
+  'content.idData.createdBy',
+  'content.idData.timestamp'
+];
 
 export const createAssetHandler = (modelEngine) => async (req, res) => {
   const createdAsset = await modelEngine.createAsset(req.body);
@@ -27,6 +35,14 @@ export const createAssetHandler = (modelEngine) => async (req, res) => {
     .send(JSON.stringify(createdAsset));
 };
 
+export const createEntitiesBatchHandler = (modelEngine) => async (req, res) => {
+  const results = await modelEngine.createEntitiesBatch(req.body);
+
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify({results}));
+};
+
 export const fetchAssetHandler = (modelEngine) => async (req, res) => {
   const asset = await modelEngine.getAsset(req.params.assetId);
   res.status(200)
@@ -34,6 +50,49 @@ export const fetchAssetHandler = (modelEngine) => async (req, res) => {
     .send(JSON.stringify(asset));
 };
 
+export const fetchAssetStateHandler = (modelEngine) => async (req, res) => {
+  const state = await modelEngine.getAssetState(req.params.assetId, req.query, req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(state));
+};
+
+export const fetchAssetChildrenHandler = (modelEngine) => async (req, res) => {
+  const children = await modelEngine.getAssetChildren(req.params.assetId, req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(children));
+};
+
+export const fetchAssetParentsHandler = (modelEngine) => async (req, res) => {
+  const parents = await modelEngine.getAssetParents(req.params.assetId, req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(parents));
+};
+
+export const fetchAssetLineageHandler = (modelEngine) => async (req, res) => {
+  const lineage = await modelEngine.getAssetLineage(req.params.assetId, req.query, req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(lineage));
+};
+
+export const exportAssetHandler = (modelEngine) => async (req, res) => {
+  const archive = await modelEngine.exportAsset(req.params.assetId, req.tokenData);
+  res.status(200)
+    .type('json')
+    .set('Content-Disposition', `attachment; filename="asset-${req.params.assetId}.json"`)
+    .send(JSON.stringify(archive));
+};
+
+export const fetchAssetProofHandler = (modelEngine) => async (req, res) => {
+  const proof = await modelEngine.getAssetBundleProof(req.params.assetId);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(proof));
+};
+
 export const createEventHandler = (modelEngine) => async (req, res) => {
   if (req.params.assetId !== req.body.content.idData.assetId) {
     throw new ValidationError('The assetId in the path mismatches the one in the event body');
@@ -49,22 +108,39 @@ export const createEventHandler = (modelEngine) => async (req, res) => {
 
 export const findEventsPerAssetHandler = (modelEngine) => async (req, res) => {
   const queryParams = {...req.query, assetId: req.params.assetId};
-  const {results, resultCount} = await modelEngine.findEvents(queryParams, req.tokenData);
+  const {results, resultCount, next, prev} = await modelEngine.findEvents(queryParams, req.tokenData);
   res.status(200)
     .type('json')
     .send(JSON.stringify({
       results,
-      resultCount
+      resultCount,
+      next,
+      prev
     }));
 };
 
 export const findAssetsHandler = (dataModelEngine) => async (req, res) => {
+  const exportFormat = requestedExportFormat(req);
+  if (exportFormat !== null) {
+    const {columns, ...params} = req.query;
+    const exportStream = createExportStream(exportFormat, columns, defaultAssetExportColumns);
+    const assetStream = await dataModelEngine.exportAssets(params, req.tokenData);
+    await sendExport(res, exportFormat, assetStream, exportStream);
+    return;
+  }
   const content = await dataModelEngine.findAssets(req.query, req.tokenData);
   res.status(200)
     .type('json')
     .send(JSON.stringify(content));
 };
 
+export const findAssetsByIdentifierHandler = (dataModelEngine) => async (req, res) => {
+  const content = await dataModelEngine.findAssetsByIdentifier(req.params.type, req.params.value, req.query, req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(content));
+};
+
 const assetRouter = (tokenAuthenticator, identityManager, modelEngine, config) => {
   const router = new express.Router();
 
@@ -77,10 +153,51 @@ const assetRouter = (tokenAuthenticator, identityManager, modelEngine, config) =
     asyncMiddleware(createAssetHandler(modelEngine))
   );
 
+  router.post('/batch',
+    ensureJsonMime,
+    bodyParser(config, config.batchRequestSizeLimit),
+    batchValidationMiddleware(config.maximumBatchSize),
+    asyncMiddleware(createEntitiesBatchHandler(modelEngine))
+  );
+
+  router.get('/by-identifier/:type/:value',
+    accessTokenMiddleware(tokenAuthenticator, false),
+    asyncMiddleware(findAssetsByIdentifierHandler(modelEngine))
+  );
+
   router.get('/:assetId',
     asyncMiddleware(fetchAssetHandler(modelEngine))
   );
 
+  router.get('/:assetId/proof',
+    asyncMiddleware(fetchAssetProofHandler(modelEngine))
+  );
+
+  router.get('/:assetId/state',
+    accessTokenMiddleware(tokenAuthenticator, false),
+    asyncMiddleware(fetchAssetStateHandler(modelEngine))
+  );
+
+  router.get('/:assetId/export',
+    accessTokenMiddleware(tokenAuthenticator, false),
+    asyncMiddleware(exportAssetHandler(modelEngine))
+  );
+
+  router.get('/:assetId/children',
+    accessTokenMiddleware(tokenAuthenticator, false),
+    asyncMiddleware(fetchAssetChildrenHandler(modelEngine))
+  );
+
+  router.get('/:assetId/parents',
+    accessTokenMiddleware(tokenAuthenticator, false),
+    asyncMiddleware(fetchAssetParentsHandler(modelEngine))
+  );
+
+  router.get('/:assetId/lineage',
+    accessTokenMiddleware(tokenAuthenticator, false),
+    asyncMiddleware(fetchAssetLineageHandler(modelEngine))
+  );
+
   router.post('/:assetId/events',
     ensureJsonMime,
     bodyParser(config),
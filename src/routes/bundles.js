@@ -10,9 +10,23 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 import express from 'express';
 import asyncMiddleware from '../middlewares/async_middleware';
 
+export const findBundlesHandler = (modelEngine) => async (req, res) => {
+  const result = await modelEngine.findBundles(req.query);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(result));
+};
+
+const acceptsGzip = (req) => req.get('Accept-Encoding') !== undefined && req.acceptsEncodings('gzip') === 'gzip';
+
 export const getBundleHandler = (modelEngine) => async (req, res) => {
-  const bundleStream = await modelEngine.getBundleStream(req.params.bundleId);
+  const compressed = acceptsGzip(req);
+  const bundleStream = await modelEngine.getBundleStream(req.params.bundleId, compressed);
   res.status(200).type('json');
+  res.vary('Accept-Encoding');
+  if (compressed) {
+    res.set('Content-Encoding', 'gzip');
+  }
   bundleStream.pipe(res);
 };
 
@@ -25,6 +39,9 @@ export const getBundleMetadataHandler = (modelEngine) => async (req, res) => {
 
 const bundlesRouter = (modelEngine) => {
   const router = new express.Router();
+  router.get('/',
+    asyncMiddleware(findBundlesHandler(modelEngine))
+  );
   router.get('/:bundleId',
     asyncMiddleware(getBundleHandler(modelEngine))
   );
@@ -11,17 +11,93 @@ import express from 'express';
 import asyncMiddleware from '../middlewares/async_middleware';
 import accessTokenMiddleware from '../middlewares/access_token_middleware';
 import queryParameterProcessorMiddleware from '../middlewares/query_parameter_processor_middleware';
+import bodyParser from '../middlewares/body_parser';
+import ensureJsonMime from '../middlewares/mime_middleware';
+import batchValidationMiddleware from '../middlewares/batch_validation_middleware';
+import {createExportStream, requestedExportFormat, sendExport} from '../utils/export_streams';
+
+export const defaultEventExportColumns = [
+  'eventId',
+  'content.idData.assetId',
+  'content.idData.createdBy',
+  'content.idData.timestamp',
+  'content.idData.accessLevel',
+  'content.data'
+];
 
 export const findEventsHandler = (modelEngine) => async (req, res) => {
-  const {results, resultCount} = await modelEngine.findEvents(req.query, req.tokenData);
+  const exportFormat = requestedExportFormat(req);
+  if (exportFormat !== null) {
+    const {columns, ...params} = req.query;
+    const exportStream = createExportStream(exportFormat, columns, defaultEventExportColumns);
+    const eventStream = await modelEngine.exportEvents(params, req.tokenData);
+    await sendExport(res, exportFormat, eventStream, exportStream);
+    return;
+  }
+  const {results, resultCount, next, prev} = await modelEngine.findEvents(req.query, req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify({
+      results,
+      resultCount,
+      next,
+      prev
+    }));
+};
+
+export const queryEventsHandler = (modelEngine) => async (req, res) => {
+  const {results, resultCount, next, prev} = await modelEngine.queryEvents(req.body, req.tokenData);
   res.status(200)
     .type('json')
     .send(JSON.stringify({
       results,
-      resultCount
+      resultCount,
+      next,
+      prev
     }));
 };
 
+export const eventStatsHandler = (modelEngine) => async (req, res) => {
+  const {results, truncated} = await modelEngine.getEventStats(req.query, req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify({
+      results,
+      truncated
+    }));
+};
+
+export const streamEventsHandler = (modelEngine, config) => async (req, res) => {
+  const {lastEventId = req.headers['last-event-id'], ...params} = req.query;
+  const subscription = await modelEngine.subscribeToEvents(params, req.tokenData, lastEventId);
+
+  const heartbeatInterval = config.eventStreamHeartbeatIntervalInSeconds * 1000;
+  const heartbeat = setInterval(() => res.write(':heartbeat\n\n'), heartbeatInterval);
+  const close = () => {
+    clearInterval(heartbeat);
+    subscription.unsubscribe();
+  };
+
+  req.on('close', close);
+  res.status(200)
+    .set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    })
+    .write(`retry: ${heartbeatInterval}\n\n`);
+
+  await subscription.start({
+    event: async (event) => {
+      res.write(`id: ${event.eventId}\ndata: ${JSON.stringify(event)}\n\n`);
+    },
+    error: async () => {
+      close();
+      res.end();
+    }
+  });
+};
+
 export const fetchEventHandler = (modelEngine) => async (req, res) => {
   const event = await modelEngine.getEvent(req.params.eventId, req.tokenData);
   res.status(200)
@@ -29,7 +105,21 @@ export const fetchEventHandler = (modelEngine) => async (req, res) => {
     .send(JSON.stringify(event));
 };
 
-const eventsRouter = (tokenAuthenticator, identityManager, modelEngine) => {
+export const fetchEventProofHandler = (modelEngine) => async (req, res) => {
+  const proof = await modelEngine.getEventBundleProof(req.params.eventId, req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(proof));
+};
+
+export const createEventsBatchHandler = (modelEngine) => async (req, res) => {
+  const results = await modelEngine.createEntitiesBatch(req.body, false);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify({results}));
+};
+
+const eventsRouter = (tokenAuthenticator, identityManager, modelEngine, config) => {
   const router = new express.Router();
 
   router.get('/',
@@ -38,11 +128,42 @@ const eventsRouter = (tokenAuthenticator, identityManager, modelEngine) => {
     asyncMiddleware(findEventsHandler(modelEngine))
   );
 
+  router.post('/query',
+    ensureJsonMime,
+    bodyParser(config),
+    accessTokenMiddleware(tokenAuthenticator, false),
+    asyncMiddleware(queryEventsHandler(modelEngine))
+  );
+
+  router.post('/batch',
+    ensureJsonMime,
+    bodyParser(config, config.batchRequestSizeLimit),
+    batchValidationMiddleware(config.maximumBatchSize),
+    asyncMiddleware(createEventsBatchHandler(modelEngine))
+  );
+
+  router.get('/stream',
+    accessTokenMiddleware(tokenAuthenticator, false),
+    queryParameterProcessorMiddleware,
+    asyncMiddleware(streamEventsHandler(modelEngine, config))
+  );
+
+  router.get('/stats',
+    accessTokenMiddleware(tokenAuthenticator, false),
+    queryParameterProcessorMiddleware,
+    asyncMiddleware(eventStatsHandler(modelEngine))
+  );
+
   router.get('/:eventId',
     accessTokenMiddleware(tokenAuthenticator, false),
     asyncMiddleware(fetchEventHandler(modelEngine))
   );
 
+  router.get('/:eventId/proof',
+    accessTokenMiddleware(tokenAuthenticator, false),
+    asyncMiddleware(fetchEventProofHandler(modelEngine))
+  );
+
   return router;
 };
 
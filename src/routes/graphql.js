@@ -0,0 +1,37 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import express from 'express';
+import asyncMiddleware from '../middlewares/async_middleware';
+import accessTokenMiddleware from '../middlewares/access_token_middleware';
+import bodyParser from '../middlewares/body_parser';
+import ensureJsonMime from '../middlewares/mime_middleware';
+import GraphqlApi from '../services/graphql_api';
+
+export const graphqlHandler = (graphqlApi) => async (req, res) => {
+  const {query, variables, operationName} = req.body;
+  const result = await graphqlApi.execute(query, variables, operationName, req.tokenData);
+  res.status(result.data === undefined ? 400 : 200)
+    .type('json')
+    .send(JSON.stringify(result));
+};
+
+const graphqlRouter = (tokenAuthenticator, modelEngine, config) => {
+  const router = new express.Router();
+  const graphqlApi = new GraphqlApi(modelEngine, config.graphqlMaxDepth, config.graphqlMaxCost);
+  router.post('/',
+    ensureJsonMime,
+    bodyParser(config),
+    accessTokenMiddleware(tokenAuthenticator, false),
+    asyncMiddleware(graphqlHandler(graphqlApi))
+  );
+  return router;
+};
+
+export default graphqlRouter;
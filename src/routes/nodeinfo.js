@@ -9,6 +9,7 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 
 import express from 'express';
 import asyncMiddleware from '../middlewares/async_middleware';
+import accessTokenMiddleware from '../middlewares/access_token_middleware';
 
 export const getNodeInfoHandler = (modelEngine, identityManager, gitCommit) => async (req, res) => {
   const workerLogs = await modelEngine.getWorkerLogs();
@@ -21,11 +22,22 @@ export const getNodeInfoHandler = (modelEngine, identityManager, gitCommit) => a
   });
 };
 
-const nodeInfoRouter = (modelEngine, identityManager, gitCommit) => {
+export const getPendingWorkHandler = (modelEngine) => async (req, res) => {
+  const pendingWork = await modelEngine.getPendingWork(req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(pendingWork));
+};
+
+const nodeInfoRouter = (tokenAuthenticator, modelEngine, identityManager, gitCommit) => {
   const router = new express.Router();
   router.get('/',
     asyncMiddleware(getNodeInfoHandler(modelEngine, identityManager, gitCommit))
   );
+  router.get('/pending',
+    accessTokenMiddleware(tokenAuthenticator),
+    asyncMiddleware(getPendingWorkHandler(modelEngine))
+  );
   return router;
 };
 
@@ -0,0 +1,75 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import express from 'express';
+import asyncMiddleware from '../middlewares/async_middleware';
+import accessTokenMiddleware from '../middlewares/access_token_middleware';
+import bodyParser from '../middlewares/body_parser';
+import ensureJsonMime from '../middlewares/mime_middleware';
+
+export const addWebhookHandler = (dataModelEngine) => async (req, res) => {
+  const webhook = await dataModelEngine.addWebhook(req.body, req.tokenData);
+  res.status(201)
+    .type('json')
+    .send(JSON.stringify(webhook));
+};
+
+export const getWebhooksHandler = (dataModelEngine) => async (req, res) => {
+  const content = await dataModelEngine.getWebhooks(req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(content));
+};
+
+export const getWebhookHandler = (dataModelEngine) => async (req, res) => {
+  const webhook = await dataModelEngine.getWebhook(req.params.webhookId, req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(webhook));
+};
+
+export const removeWebhookHandler = (dataModelEngine) => async (req, res) => {
+  await dataModelEngine.removeWebhook(req.params.webhookId, req.tokenData);
+  res.status(204).send();
+};
+
+export const findWebhookDeliveriesHandler = (dataModelEngine) => async (req, res) => {
+  const content = await dataModelEngine.findWebhookDeliveries(req.params.webhookId, req.query, req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(content));
+};
+
+export default (tokenAuthenticator, dataModelEngine, config) => {
+  const router = new express.Router();
+
+  router.post('/',
+    ensureJsonMime,
+    bodyParser(config),
+    accessTokenMiddleware(tokenAuthenticator),
+    asyncMiddleware(addWebhookHandler(dataModelEngine)));
+
+  router.get('/',
+    accessTokenMiddleware(tokenAuthenticator),
+    asyncMiddleware(getWebhooksHandler(dataModelEngine)));
+
+  router.get('/:webhookId',
+    accessTokenMiddleware(tokenAuthenticator),
+    asyncMiddleware(getWebhookHandler(dataModelEngine)));
+
+  router.delete('/:webhookId',
+    accessTokenMiddleware(tokenAuthenticator),
+    asyncMiddleware(removeWebhookHandler(dataModelEngine)));
+
+  router.get('/:webhookId/deliveries',
+    accessTokenMiddleware(tokenAuthenticator),
+    asyncMiddleware(findWebhookDeliveriesHandler(dataModelEngine)));
+
+  return router;
+};
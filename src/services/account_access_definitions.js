@@ -116,7 +116,7 @@ export default class AccountAccessDefinitions {
   }
 
   validateAndCastFindAccountParams(params) {
-    const allowedParametersList = ['accessLevel', 'page', 'perPage', 'registeredBy'];
+    const allowedParametersList = ['accessLevel', 'page', 'perPage', 'cursor', 'skipCount', 'registeredBy'];
 
     return validateAndCast(params)
       .fieldsConstrainedToSet(allowedParametersList)
@@ -124,7 +124,10 @@ export default class AccountAccessDefinitions {
       .isNonNegativeInteger(['accessLevel', 'page', 'perPage'])
       .validate(['perPage'], (perPage) => perPage <= 100, 'pageSize should not be higher than 100')
       .validate(['perPage'], (perPage) => 0 < perPage, 'pageSize should be positive')
+      .validate(['page'], () => params.cursor === undefined, 'cannot be combined with cursor')
       .isAddress(['registeredBy'])
+      .castPaginationCursor(['cursor'])
+      .castBoolean(['skipCount'])
       .getCastedParams();
   }
 
@@ -0,0 +1,45 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+export default class AssetIdentifierRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async storeIdentifiers(identifiers) {
+    if (identifiers.length === 0) {
+      return;
+    }
+    await this.db.collection('asset_identifiers').insertMany(identifiers.map((identifier) => ({...identifier})));
+  }
+
+  /**
+   * Identifier maps types to exact values or regular expressions. When matchAll is set, an asset needs to be known by
+   * all of the given identifiers, possibly listed by different events, otherwise by any of them.
+   */
+  async findAssetIds(identifier, accessLevel, matchAll = true) {
+    const types = Object.keys(identifier);
+    const pipeline = [
+      {$match: {
+        $or: types.map((type) => ({type, value: identifier[type]})),
+        accessLevel: {$lte: accessLevel}
+      }},
+      {$group: {_id: '$assetId', types: {$addToSet: '$type'}}}
+    ];
+    if (matchAll) {
+      pipeline.push({$match: {types: {$all: types}}});
+    }
+    pipeline.push({$sort: {_id: 1}});
+
+    const groups = await this.db.collection('asset_identifiers')
+      .aggregate(pipeline, {allowDiskUse: true})
+      .toArray();
+    return groups.map(({_id: assetId}) => assetId);
+  }
+}
@@ -0,0 +1,45 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+export default class AssetRelationRepository {
+  constructor(db) {
+    this.db = db;
+    this.blacklistedFields = {
+      _id: 0
+    };
+  }
+
+  async storeRelations(relations) {
+    if (relations.length === 0) {
+      return;
+    }
+    await this.db.collection('asset_relations').insertMany(relations.map((relation) => ({...relation})));
+  }
+
+  async findRelations(query, accessLevel) {
+    return this.db.collection('asset_relations')
+      .find(
+        {...query, accessLevel: {$lte: accessLevel}},
+        {projection: this.blacklistedFields, sort: [['timestamp', 'ascending'], ['eventId', 'ascending']]}
+      )
+      .toArray();
+  }
+
+  async findChildren(assetId, accessLevel) {
+    return this.findRelations({parentId: assetId}, accessLevel);
+  }
+
+  async findParents(assetId, accessLevel) {
+    return this.findRelations({childId: assetId}, accessLevel);
+  }
+
+  async findParentsOfAssets(assetIds, accessLevel) {
+    return this.findRelations({childId: {$in: assetIds}}, accessLevel);
+  }
+}
@@ -0,0 +1,96 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {makeSnippet, searchTerms, textSearchLanguage} from '../utils/text_utils';
+
+export default class AssetTextRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async storeTexts(texts) {
+    if (texts.length === 0) {
+      return;
+    }
+    await this.db.collection('asset_texts').insertMany(texts.map((text) => ({...text})));
+  }
+
+  textSearchQuery(search, language, accessLevel, filters) {
+    const textQuery = {$search: search};
+    if (language !== undefined) {
+      textQuery.$language = textSearchLanguage(language);
+    }
+    return {
+      $text: textQuery,
+      accessLevel: {$lte: accessLevel},
+      ...(language !== undefined ? {locale: language} : {}),
+      ...filters
+    };
+  }
+
+  /**
+   * Ranks the texts matching the search by the text score, and keeps the best matching text for every value of groupingField.
+   */
+  async searchTexts(groupingField, query, search, {page = 0, perPage = 100, skipCount = false}) {
+    const facets = {results: [{$skip: page * perPage}, {$limit: perPage}]};
+    if (!skipCount) {
+      facets.count = [{$count: 'count'}];
+    }
+    const [{results, count}] = await this.db.collection('asset_texts')
+      .aggregate([
+        {$match: query},
+        {$addFields: {score: {$meta: 'textScore'}}},
+        {$sort: {score: -1, eventId: 1}},
+        {$group: {_id: `$${groupingField}`, best: {$first: '$$ROOT'}}},
+        {$sort: {'best.score': -1, _id: 1}},
+        {$facet: facets}
+      ], {allowDiskUse: true})
+      .toArray();
+
+    const terms = searchTerms(search);
+    let resultCount;
+    if (!skipCount) {
+      resultCount = count.length > 0 ? count[0].count : 0;
+    }
+    return {
+      results: results.map(({best}) => ({
+        eventId: best.eventId,
+        assetId: best.assetId,
+        score: best.score,
+        snippet: makeSnippet([best.name, best.description, ...(best.tags || [])].filter(Boolean).join(' - '), terms)
+      })),
+      resultCount
+    };
+  }
+
+  async searchAssets(search, language, accessLevel, pagination) {
+    const {results, resultCount} = await this.searchTexts('assetId', this.textSearchQuery(search, language, accessLevel, {}), search, pagination);
+    return {
+      results: results.map(({assetId, score, snippet}) => ({assetId, score, snippet})),
+      resultCount
+    };
+  }
+
+  async searchEvents(search, language, accessLevel, {assetId, createdBy, fromTimestamp, toTimestamp}, pagination) {
+    const filters = {};
+    if (assetId !== undefined) {
+      filters.assetId = assetId;
+    }
+    if (createdBy !== undefined) {
+      filters.createdBy = createdBy;
+    }
+    if (fromTimestamp !== undefined || toTimestamp !== undefined) {
+      filters.timestamp = {
+        ...(fromTimestamp !== undefined ? {$gte: fromTimestamp} : {}),
+        ...(toTimestamp !== undefined ? {$lte: toTimestamp} : {})
+      };
+    }
+    return this.searchTexts('eventId', this.textSearchQuery(search, language, accessLevel, filters), search, pagination);
+  }
+}
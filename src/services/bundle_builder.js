@@ -8,13 +8,17 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 */
 
 import validateAndCast from '../utils/validations';
-import {ValidationError} from '../errors/errors';
+import {NotFoundError, ValidationError} from '../errors/errors';
+import {calculateMerkleProofs, calculateMerkleRoot} from '../utils/merkle_tree';
 import Filter from 'stream-json/filters/Filter';
 import Asm from 'stream-json/Assembler';
+import BundleStatuses from '../utils/bundle_statuses';
 
 const pipeline = require('util').promisify(require('stream').pipeline);
 
-const LATEST_BUNDLE_VERSION = 3;
+const LATEST_BUNDLE_VERSION = 4;
+const MERKLE_TREE_BUNDLE_VERSION = 4;
+const SUPPORTED_BUNDLE_VERSIONS = [3, LATEST_BUNDLE_VERSION];
 
 export default class BundleBuilder {
   constructor(identityManager, entityBuilder, supportDeprecatedBundleVersions = false) {
@@ -27,6 +31,56 @@ export default class BundleBuilder {
     return entries.map((entry) => entry.assetId || entry.eventId);
   }
 
+  /**
+   * Since version 4 the entriesHash is a root of the Merkle tree built over the entries ids,
+   * which allows proving the inclusion of a single entry without revealing the whole bundle.
+   * Earlier versions hash the list of ids as a whole.
+   */
+  calculateEntriesHash(entriesIds, version = LATEST_BUNDLE_VERSION) {
+    if (version >= MERKLE_TREE_BUNDLE_VERSION) {
+      return calculateMerkleRoot(entriesIds, (data) => this.identityManager.calculateHash(data));
+    }
+    return this.identityManager.calculateHash(entriesIds);
+  }
+
+  calculateEntryInclusionProof(bundle, entryId) {
+    return this.calculateEntryInclusionProofs(bundle, [entryId])[entryId];
+  }
+
+  /**
+   * The Merkle tree of the bundle is built once, and every proof is read from it.
+   * @returns {Object}: inclusion proof of every requested entry, by entry id
+   */
+  calculateEntryInclusionProofs(bundle, entryIds) {
+    const {version} = bundle.content.idData;
+    if (!(version >= MERKLE_TREE_BUNDLE_VERSION)) {
+      throw new ValidationError(`Inclusion proofs are only available for bundles with version ${MERKLE_TREE_BUNDLE_VERSION} or later`);
+    }
+    const entriesIds = this.extractIdsFromEntries(bundle.content.entries);
+    const entryIndexes = new Map(entriesIds.map((id, index) => [id, index]));
+    const missingEntryId = entryIds.find((entryId) => !entryIndexes.has(entryId));
+    if (missingEntryId !== undefined) {
+      throw new NotFoundError(`Entry with id = ${missingEntryId} not found in bundle ${bundle.bundleId}`);
+    }
+    const proofs = calculateMerkleProofs(entriesIds, entryIds.map((entryId) => entryIndexes.get(entryId)), (data) => this.identityManager.calculateHash(data));
+    const proofsByEntryId = {};
+    entryIds.forEach((entryId, index) => {
+      proofsByEntryId[entryId] = proofs[index];
+    });
+    return proofsByEntryId;
+  }
+
+  /**
+   * Evidence that the entries belong to the bundle, checkable against its entriesHash without the remaining entries.
+   * Bundles older than the Merkle tree version can only be checked with the ids of all their entries.
+   */
+  assembleInclusionEvidence(bundle, entryIds) {
+    if (bundle.content.idData.version >= MERKLE_TREE_BUNDLE_VERSION) {
+      return {proofs: this.calculateEntryInclusionProofs(bundle, entryIds)};
+    }
+    return {entriesIds: this.extractIdsFromEntries(bundle.content.entries)};
+  }
+
   assembleBundle(assets, events, timestamp, secret) {
     const createdBy = this.identityManager.addressFromSecret(secret);
     const preparedEvents = events.map((event) => this.entityBuilder.prepareEventForBundlePublication(event));
@@ -34,7 +88,7 @@ export default class BundleBuilder {
       ...assets,
       ...preparedEvents
     ].map((entry) => this.entityBuilder.removeBundle(entry));
-    const entriesHash = this.identityManager.calculateHash(this.extractIdsFromEntries(entries));
+    const entriesHash = this.calculateEntriesHash(this.extractIdsFromEntries(entries));
     const idData = {
       createdBy,
       entriesHash,
@@ -63,12 +117,12 @@ export default class BundleBuilder {
       this.extractBundleDataNecessaryForValidationFromStream(readStream),
       pipeline(readStream, writeStream)
     ]);
-    if (minimalBundleForLatestVersionValidation.content.idData.version === LATEST_BUNDLE_VERSION) {
+    if (SUPPORTED_BUNDLE_VERSIONS.includes(minimalBundleForLatestVersionValidation.content.idData.version)) {
       this.validateBundle(minimalBundleForLatestVersionValidation, bundleItemsCountLimit);
     } else if (this.supportDeprecatedBundleVersions) {
       this.validateBundleWithVersionBefore3(minimalBundleForLatestVersionValidation, bundleItemsCountLimit);
     } else {
-      throw new ValidationError(`Only bundles with version ${LATEST_BUNDLE_VERSION} are supported`);
+      throw new ValidationError(`Only bundles with version ${SUPPORTED_BUNDLE_VERSIONS.join(' or ')} are supported`);
     }
   }
 
@@ -105,9 +159,9 @@ export default class BundleBuilder {
       .fieldsConstrainedToSet(['idData', 'entries', 'signature'], 'content')
       .isNonNegativeInteger(['content.idData.timestamp'])
       .validate(['content.entries'], (entries) => entries.length <= bundleItemsCountLimit, 'Bundle size surpasses the limit')
-      .validate(['content.idData.version'], (version) => version === LATEST_BUNDLE_VERSION, `Only bundles with version ${LATEST_BUNDLE_VERSION} are supported`);
+      .validate(['content.idData.version'], (version) => SUPPORTED_BUNDLE_VERSIONS.includes(version), `Only bundles with version ${SUPPORTED_BUNDLE_VERSIONS.join(' or ')} are supported`);
 
-    this.validateBundleHashes(validator, bundle.content.idData, this.extractIdsFromEntries(bundle.content.entries));
+    this.validateBundleHashes(validator, bundle.content.idData, this.extractIdsFromEntries(bundle.content.entries), bundle.content.idData.version);
 
     this.identityManager.validateSignature(
       bundle.content.idData.createdBy,
@@ -133,14 +187,16 @@ export default class BundleBuilder {
       .validate(['content.entries'], (entries) => entries.length <= bundleItemsCountLimit, 'Bundle size surpasses the limit');
   }
 
-  validateBundleHashes(validator, bundleIdHashedData, entriesHashedData) {
+  validateBundleHashes(validator, bundleIdHashedData, entriesIds, version) {
     validator.validate(
       ['bundleId'],
       (hash) => this.identityManager.checkHashMatches(hash, bundleIdHashedData),
       `bundleId value doesn't match the content hash`
     ).validate(
       ['content.idData.entriesHash'],
-      (hash) => this.identityManager.checkHashMatches(hash, entriesHashedData),
+      (hash) => (version >= MERKLE_TREE_BUNDLE_VERSION ?
+        hash === this.calculateEntriesHash(entriesIds, version) :
+        this.identityManager.checkHashMatches(hash, entriesIds)),
       `entriesHash value doesn't match the entries hash`
     );
   }
@@ -150,4 +206,21 @@ export default class BundleBuilder {
       .required(['bundleId'])
       .isHash(['bundleId']);
   }
+
+  validateAndCastFindBundlesParams(params) {
+    const allowedParametersList = ['page', 'perPage', 'cursor', 'skipCount', 'fromTimestamp', 'toTimestamp', 'fromProofBlock', 'toProofBlock', 'status', 'storagePeriods', 'fromHoldUntil', 'toHoldUntil'];
+    const numericParametersList = ['page', 'perPage', 'fromTimestamp', 'toTimestamp', 'fromProofBlock', 'toProofBlock', 'storagePeriods', 'fromHoldUntil', 'toHoldUntil'];
+
+    return validateAndCast(params)
+      .fieldsConstrainedToSet(allowedParametersList)
+      .castNumber(numericParametersList)
+      .isNonNegativeInteger(numericParametersList)
+      .validate(['perPage'], (perPage) => perPage <= 100, 'pageSize should not be higher than 100')
+      .validate(['perPage'], (perPage) => perPage > 0, 'pageSize should be positive')
+      .validate(['page'], () => params.cursor === undefined, 'cannot be combined with cursor')
+      .validate(['status'], (status) => Object.values(BundleStatuses).includes(status), 'is not a valid bundle status')
+      .castPaginationCursor(['cursor'])
+      .castBoolean(['skipCount'])
+      .getCastedParams();
+  }
 }
@@ -0,0 +1,49 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import BundleCandidateStates from '../utils/bundle_candidate_states';
+
+/**
+ * Keeps track of the bundle candidates in progress. The id of a candidate is the bundle stub id set on its entities.
+ * A candidate is removed once it is either accepted or discarded, so the remaining ones were left by an interrupted worker.
+ */
+export default class BundleCandidateRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async createCandidate() {
+    const {insertedId} = await this.db.collection('bundle_candidates').insertOne({
+      state: BundleCandidateStates.preparing,
+      createdAt: new Date()
+    });
+    return insertedId;
+  }
+
+  async markCandidateAsAccepting(bundleStubId, bundleId) {
+    await this.db.collection('bundle_candidates').updateOne({_id: bundleStubId}, {
+      $set: {
+        state: BundleCandidateStates.accepting,
+        bundleId
+      }
+    });
+  }
+
+  async findCandidates() {
+    const candidates = await this.db.collection('bundle_candidates')
+      .find({})
+      .sort({_id: 1})
+      .toArray();
+    return candidates.map(({_id: bundleStubId, ...candidate}) => ({bundleStubId, ...candidate}));
+  }
+
+  async removeCandidates(bundleStubIds) {
+    await this.db.collection('bundle_candidates').deleteMany({_id: {$in: bundleStubIds}});
+  }
+}
@@ -6,63 +6,145 @@ This Source Code Form is subject to the terms of the Mozilla Public License, v.
 
 This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
 */
-import {downloadJSONFromGridFSBucket, isFileInGridFSBucket, uploadJSONToGridFSBucket} from '../utils/db_utils';
+import {
+  compressGridFSFile,
+  downloadJSONFromGridFSBucket,
+  isFileInGridFSBucket,
+  openCompressedGridFSUploadStream,
+  openGridFSDownloadStream,
+  uploadJSONToGridFSBucket
+} from '../utils/db_utils';
 import {GridFSBucket} from 'mongodb';
 import BundleStatuses from '../utils/bundle_statuses';
+import BundleUploadStatuses from '../utils/bundle_upload_statuses';
 import {pick} from '../utils/dict_utils';
 import {pipe} from '../utils/higher_order_functions';
 
+const MAX_COMPRESSION_ATTEMPTS = 3;
+
+const notUploadedBundlesQuery = {
+  bundleProofBlock: {$exists: false},
+  'upload.status': {$ne: BundleUploadStatuses.deadLetter}
+};
+
 export default class BundleRepository {
   constructor(db) {
     this.db = db;
     this.bundlesBucket = new GridFSBucket(this.db, {bucketName: 'bundles'});
     this.blacklistedFields = {
       _id: 0,
-      repository: 0
+      repository: 0,
+      upload: 0,
+      bundlingPartition: 0
     };
   }
 
-  async storeBundle(bundle, storagePeriods) {
+  /**
+   * @param bundlingPartition: key of the partition the bundle was made of, kept private to the node
+   */
+  async storeBundle(bundle, storagePeriods, bundlingPartition = null) {
     const {bundleId} = bundle;
     if (!await isFileInGridFSBucket(bundleId, this.bundlesBucket)) {
-      await uploadJSONToGridFSBucket(bundleId, bundle, this.bundlesBucket);
+      await uploadJSONToGridFSBucket(bundleId, bundle, this.bundlesBucket, true);
     }
     if (await this.db.collection('bundle_metadata').findOne({bundleId}) === null) {
-      await this.db.collection('bundle_metadata').insertOne({bundleId, storagePeriods});
+      const partitionFields = bundlingPartition === null ? {} : {bundlingPartition};
+      await this.db.collection('bundle_metadata').insertOne({bundleId, storagePeriods, ...partitionFields});
     }
   }
 
   async openBundleWriteStream(bundleId) {
-    const uploadStream = this.bundlesBucket.openUploadStream(
-      bundleId,
-      {
-        contentType: 'application/json'
-      }
-    );
-    return uploadStream;
+    return openCompressedGridFSUploadStream(bundleId, this.bundlesBucket);
   }
 
-  async storeBundleProofMetadata(bundleId, proofBlock, timestamp, txHash) {
+  /**
+   * @param gasUsed: gas used by the upload transaction, summed up by getUploadGasSpending
+   */
+  async storeBundleProofMetadata(bundleId, proofBlock, timestamp, txHash, gasUsed = null) {
+    const gasUsedFields = gasUsed === null ? {} : {bundleUploadGasUsed: gasUsed};
     await this.db.collection('bundle_metadata').updateOne({bundleId}, {
       $set: {
         bundleTransactionHash: txHash,
         bundleProofBlock: proofBlock,
-        bundleUploadTimestamp: timestamp
+        bundleUploadTimestamp: timestamp,
+        ...gasUsedFields
+      },
+      $unset: {
+        upload: ''
       }
     });
   }
 
-  async findBundlesWaitingForUpload() {
+  /**
+   * Skips the bundles moved to the dead letter and the ones whose next upload retry is not due yet.
+   */
+  async findBundlesWaitingForUpload(now = new Date()) {
     return await this.db.collection('bundle_metadata')
-      .find({bundleProofBlock: {$exists: false}})
+      .find({
+        ...notUploadedBundlesQuery,
+        $or: [
+          {'upload.nextRetryAt': {$exists: false}},
+          {'upload.nextRetryAt': {$lte: now}}
+        ]
+      })
       .toArray();
   }
 
-  async getBundleStream(bundleId) {
-    if (!await isFileInGridFSBucket(bundleId, this.bundlesBucket)) {
-      return null;
-    }
-    return this.bundlesBucket.openDownloadStreamByName(bundleId);
+  /**
+   * Unlike findBundlesWaitingForUpload, includes the bundles waiting for their upload retry to become due.
+   */
+  async findBundlesPendingUpload() {
+    return await this.db.collection('bundle_metadata')
+      .find(notUploadedBundlesQuery, {projection: {_id: 0, repository: 0, bundlingPartition: 0}})
+      .toArray();
+  }
+
+  /**
+   * Gas used by the uploads made since the timestamp, and the number of bundles still waiting for an upload.
+   */
+  async getUploadGasSpending(since) {
+    const [spending] = await this.db.collection('bundle_metadata')
+      .aggregate([
+        {$match: {bundleUploadTimestamp: {$gte: since}, bundleUploadGasUsed: {$exists: true}}},
+        {$group: {_id: null, gasUsed: {$sum: '$bundleUploadGasUsed'}}}
+      ])
+      .toArray();
+    return {
+      gasUsed: spending ? spending.gasUsed : 0,
+      pendingUploads: await this.db.collection('bundle_metadata').count(notUploadedBundlesQuery)
+    };
+  }
+
+  async storeUploadFailure(bundleId, upload) {
+    await this.db.collection('bundle_metadata').updateOne({bundleId}, {
+      $set: {upload}
+    });
+  }
+
+  async findDeadLetterBundles() {
+    return await this.db.collection('bundle_metadata')
+      .find({'upload.status': BundleUploadStatuses.deadLetter}, {projection: {_id: 0, repository: 0}})
+      .sort({'upload.lastAttemptAt': 1})
+      .toArray();
+  }
+
+  /**
+   * @returns {Promise<boolean>}: false if the bundle is not in the dead letter
+   */
+  async requeueDeadLetterBundle(bundleId) {
+    const {matchedCount} = await this.db.collection('bundle_metadata').updateOne(
+      {bundleId, 'upload.status': BundleUploadStatuses.deadLetter},
+      {$unset: {upload: ''}}
+    );
+    return matchedCount > 0;
+  }
+
+  /**
+   * Bundles are stored compressed with gzip, except for the ones stored before compression was introduced.
+   * @param compressed: whether the stream should be gzipped, regardless of how the bundle is stored
+   */
+  async getBundleStream(bundleId, compressed = false) {
+    return openGridFSDownloadStream(bundleId, this.bundlesBucket, compressed);
   }
 
   async getBundle(bundleId) {
@@ -141,6 +223,44 @@ export default class BundleRepository {
     }, {$set: {repository: {status: BundleStatuses.cleanup}}});
   }
 
+  /**
+   * Compresses the bundles stored before compression was introduced. They stay readable uncompressed until then.
+   * Bundles being removed are skipped. A bundle that fails to compress has its failures counted in the file metadata,
+   * and is given up on after MAX_COMPRESSION_ATTEMPTS, so it doesn't come back at the start of every batch.
+   * @returns {Promise<{compressedCount: number, failedCount: number}>}
+   */
+  async compressStoredBundles(limit) {
+    const uncompressedBundles = await this.bundlesBucket.find({
+      'metadata.contentEncoding': {$ne: 'gzip'},
+      'metadata.compressionFailures': {$not: {$gte: MAX_COMPRESSION_ATTEMPTS}}
+    }, {limit}).toArray();
+    const removedBundleIds = await this.findBundleIdsBeingRemoved(uncompressedBundles.map(({filename}) => filename));
+    let compressedCount = 0;
+    let failedCount = 0;
+    for (const file of uncompressedBundles.filter(({filename}) => !removedBundleIds.includes(filename))) {
+      const {_id: fileId} = file;
+      try {
+        if (await compressGridFSFile(file, this.bundlesBucket)) {
+          compressedCount++;
+        }
+      } catch (err) {
+        await this.db.collection('bundles.files').updateOne({_id: fileId}, {$inc: {'metadata.compressionFailures': 1}});
+        failedCount++;
+      }
+    }
+    return {compressedCount, failedCount};
+  }
+
+  async findBundleIdsBeingRemoved(bundleIds) {
+    const metadata = await this.db.collection('bundle_metadata')
+      .find(
+        {bundleId: {$in: bundleIds}, 'repository.status': {$in: [BundleStatuses.cleanup, BundleStatuses.expendable]}},
+        {projection: {bundleId: 1, _id: 0}}
+      )
+      .toArray();
+    return metadata.map(({bundleId}) => bundleId);
+  }
+
   async cleanupBundles() {
     const cursor = await this.db.collection('bundle_metadata').find({'repository.status': BundleStatuses.cleanup}, {projection: {bundleId: 1, _id: 0}});
     const totalCount = await cursor.count();
@@ -0,0 +1,70 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import BundlingPartitionPolicies from '../utils/bundling_partition_policies';
+
+export const DEFAULT_PARTITION_KEY = 'default';
+
+/**
+ * Splits the entities waiting for bundling into partitions, each bundled separately. With the `organization` policy
+ * every organization of the entity creators gets its own partition, with the `creator` policy every creator does.
+ * Entities of creators without an organization fall into the default partition.
+ * Partitions take their settings from `bundlingPartitions`, the ones not listed there use the settings of the default partition.
+ */
+export default class BundlingPartitioner {
+  constructor(entityRepository, accountRepository, {bundlingPartitionPolicy, bundlingPartitions}) {
+    if (!Object.values(BundlingPartitionPolicies).includes(bundlingPartitionPolicy)) {
+      throw new Error(`Unknown bundling partition policy: ${bundlingPartitionPolicy}`);
+    }
+    this.entityRepository = entityRepository;
+    this.accountRepository = accountRepository;
+    this.policy = bundlingPartitionPolicy;
+    this.partitionSettings = bundlingPartitions;
+  }
+
+  /**
+   * @returns {Promise<Array>}: {key, creators, settings} of every partition with entities waiting for bundling.
+   * Creators are null when all entities belong to a single partition.
+   */
+  async findPartitions() {
+    if (this.policy === BundlingPartitionPolicies.none) {
+      return [this.partition(DEFAULT_PARTITION_KEY, null)];
+    }
+    const creatorsByPartition = new Map();
+    for (const creator of await this.entityRepository.findNotBundledEntityCreators()) {
+      const key = await this.partitionKey(creator);
+      if (!creatorsByPartition.has(key)) {
+        creatorsByPartition.set(key, []);
+      }
+      creatorsByPartition.get(key).push(creator);
+    }
+    return [...creatorsByPartition.keys()]
+      .sort()
+      .map((key) => this.partition(key, creatorsByPartition.get(key)));
+  }
+
+  async partitionKey(creator) {
+    if (this.policy === BundlingPartitionPolicies.creator) {
+      return creator;
+    }
+    const account = await this.accountRepository.get(creator);
+    if (!account || account.organization === undefined || account.organization === null) {
+      return DEFAULT_PARTITION_KEY;
+    }
+    return account.organization.toString();
+  }
+
+  partition(key, creators) {
+    return {
+      key,
+      creators,
+      settings: this.partitionSettings[key] || this.partitionSettings[DEFAULT_PARTITION_KEY] || {}
+    };
+  }
+}
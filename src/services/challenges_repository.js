@@ -10,12 +10,14 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 const CHALLENGE_EVENT_ONE_FETCH_LIMIT = 5000;
 
 export default class ChallengesRepository {
-  constructor(challengesWrapper, challengesEventEmitterWrapper, configWrapper, blockchainStateWrapper, activeChallengesCache) {
+  constructor(challengesWrapper, challengesEventEmitterWrapper, configWrapper, blockchainStateWrapper, activeChallengesCache, gasPriceOracle, stuckTransactionReplacer) {
     this.challengesWrapper = challengesWrapper;
     this.challengesEventEmitterWrapper = challengesEventEmitterWrapper;
     this.configWrapper = configWrapper;
     this.blockchainStateWrapper = blockchainStateWrapper;
     this.activeChallengesCache = activeChallengesCache;
+    this.gasPriceOracle = gasPriceOracle;
+    this.stuckTransactionReplacer = stuckTransactionReplacer;
     this.lastSavedBlock = 0;
   }
 
@@ -91,11 +93,43 @@ export default class ChallengesRepository {
     this.lastSavedBlock = currentBlock;
   }
 
+  /**
+   * The resolution is tracked by the StuckTransactionReplacer like a bundle registration: if it gets stuck and replaced,
+   * the challenge is resolved by the replacement mined in its place.
+   */
   async resolveChallenge(challengeId) {
+    if (await this.stuckTransactionReplacer.hasPendingChallengeTransaction(challengeId)) {
+      return this.waitForChallengeResolution(challengeId, new Error(`Resolution of challenge ${challengeId} is still pending`));
+    }
     if (!await this.challengesWrapper.canResolve(challengeId)) {
       throw new Error('Unable to resolve challenge - boundary check fail');
     }
-    return this.challengesWrapper.resolve(challengeId);
+    const contract = await this.challengesWrapper.contract();
+    const gasPrice = await this.gasPriceOracle.gasPrice();
+    let tracking = null;
+    try {
+      const receipt = await contract.methods.resolve(challengeId)
+        .send({from: this.challengesWrapper.defaultAddress, gasPrice})
+        .on('transactionHash', (sentTransactionHash) => {
+          tracking = this.stuckTransactionReplacer.track(sentTransactionHash, {challengeId});
+        });
+      await tracking;
+      return receipt;
+    } catch (err) {
+      if (tracking === null) {
+        throw err;
+      }
+      await tracking;
+      return this.waitForChallengeResolution(challengeId, err);
+    }
+  }
+
+  async waitForChallengeResolution(challengeId, error) {
+    const receipt = await this.stuckTransactionReplacer.waitForChallengeTransaction(challengeId);
+    if (receipt === null || !receipt.status) {
+      throw error;
+    }
+    return receipt;
   }
 
   async getChallengeDesignatedShelterer(challengeId) {
@@ -7,14 +7,18 @@ This Source Code Form is subject to the terms of the Mozilla Public License, v.
 This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
 */
 
-import {NotFoundError, PermissionError, ValidationError} from '../errors/errors';
+import {AuthenticationError, DuplicateEntityError, NotFoundError, PermanentUploadError, PermissionError, ValidationError} from '../errors/errors';
 import {getTimestamp} from '../utils/time_utils';
 import {pick, put} from '../utils/dict_utils';
 import allPermissions from '../utils/all_permissions';
 import BundleStatuses from '../utils/bundle_statuses';
+import BatchEntryStatuses from '../utils/batch_entry_statuses';
+import BundleCandidateStates from '../utils/bundle_candidate_states';
+import BundleUploadStatuses from '../utils/bundle_upload_statuses';
+import EventSubscription from './event_subscription';
 
 export default class DataModelEngine {
-  constructor({identityManager, tokenAuthenticator, entityBuilder, entityRepository, bundleDownloader, bundleBuilder, bundleRepository, accountRepository, findEventQueryObjectFactory, findAccountQueryObjectFactory, findAssetQueryObjectFactory, accountAccessDefinitions, mongoClient, uploadRepository, rolesRepository, workerLogRepository}) {
+  constructor({identityManager, tokenAuthenticator, entityBuilder, entityRepository, bundleDownloader, bundleBuilder, bundleRepository, accountRepository, findEventQueryObjectFactory, findAccountQueryObjectFactory, findAssetQueryObjectFactory, accountAccessDefinitions, mongoClient, uploadRepository, rolesRepository, workerLogRepository, eventSubscriptionHub, eventStreamReplayLimit, eventStatsMaxGroups, webhookRepository, webhookDispatcher, findWebhookDeliveryQueryObjectFactory, webhookDeliveryBatchSize, assetRelationRepository, assetTextRepository, findBundleQueryObjectFactory, assetIdentifierRepository, bundleCandidateRepository, bundlingPartitioner, bundleUploadMaxAttempts, bundleUploadRetryDelay, bundleUploadMaxRetryDelay, queryResultCache = null, sentry}) {
     this.identityManager = identityManager;
     this.tokenAuthenticator = tokenAuthenticator;
     this.entityBuilder = entityBuilder;
@@ -31,6 +35,24 @@ export default class DataModelEngine {
     this.uploadRepository = uploadRepository;
     this.rolesRepository = rolesRepository;
     this.workerLogRepository = workerLogRepository;
+    this.eventSubscriptionHub = eventSubscriptionHub;
+    this.eventStreamReplayLimit = eventStreamReplayLimit;
+    this.eventStatsMaxGroups = eventStatsMaxGroups;
+    this.webhookRepository = webhookRepository;
+    this.webhookDispatcher = webhookDispatcher;
+    this.findWebhookDeliveryQueryObjectFactory = findWebhookDeliveryQueryObjectFactory;
+    this.webhookDeliveryBatchSize = webhookDeliveryBatchSize;
+    this.assetRelationRepository = assetRelationRepository;
+    this.assetTextRepository = assetTextRepository;
+    this.findBundleQueryObjectFactory = findBundleQueryObjectFactory;
+    this.assetIdentifierRepository = assetIdentifierRepository;
+    this.bundleCandidateRepository = bundleCandidateRepository;
+    this.bundlingPartitioner = bundlingPartitioner;
+    this.bundleUploadMaxAttempts = bundleUploadMaxAttempts;
+    this.bundleUploadRetryDelay = bundleUploadRetryDelay;
+    this.bundleUploadMaxRetryDelay = bundleUploadMaxRetryDelay;
+    this.queryResultCache = queryResultCache;
+    this.sentry = sentry;
   }
 
   async addAdminAccount(address = this.identityManager.nodeAddress()) {
@@ -97,13 +119,33 @@ export default class DataModelEngine {
     const augmentedAssetWithUploadTimestamp = this.entityBuilder.setEntityUploadTimestamp(augmentedAsset);
 
     if (await this.entityRepository.getAsset(asset.assetId) !== null) {
-      throw new ValidationError(`Asset with assetId=${asset.assetId} already exists`);
+      throw new DuplicateEntityError(`Asset with assetId=${asset.assetId} already exists`);
     }
     await this.entityRepository.storeAsset(augmentedAssetWithUploadTimestamp);
+    this.invalidateCachedQueries(asset.assetId);
+    await this.performAfterStoring(() => this.webhookDispatcher.dispatchAssetCreated(augmentedAssetWithUploadTimestamp));
 
     return augmentedAssetWithUploadTimestamp;
   }
 
+  /**
+   * Steps following the storage of an entity only maintain data derived from it. Their failure is reported, but not
+   * rethrown: the entity is already stored, so failing the request would make the client retry into a duplicate.
+   */
+  async performAfterStoring(step) {
+    try {
+      await step();
+    } catch (err) {
+      this.sentry.captureException(err);
+    }
+  }
+
+  invalidateCachedQueries(assetId) {
+    if (this.queryResultCache !== null) {
+      this.queryResultCache.invalidate(assetId);
+    }
+  }
+
   async getAsset(assetId) {
     const asset = await this.entityRepository.getAsset(assetId);
     if (asset === null) {
@@ -112,28 +154,155 @@ export default class DataModelEngine {
     return asset;
   }
 
-  async selectAssetsIdsByIdentifier(identifier, accessLevel) {
-    const findEventQueryObject = this.findEventQueryObjectFactory.create({
-      data: {
-        type: 'ambrosus.event.identifiers',
-        identifiers: {...identifier}
+  async getAssetState(assetId, params, tokenData) {
+    const {asOf} = this.entityBuilder.validateAndCastAssetStateParams(params);
+    const asset = await this.getAsset(assetId);
+    if (asOf !== undefined && asset.content.idData.timestamp > asOf) {
+      throw new NotFoundError(`Asset with id = ${assetId} did not exist at ${asOf}`);
+    }
+    const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
+    const criteria = asOf === undefined ? {assetId} : {assetId, toTimestamp: asOf};
+    const findEventQueryObject = this.findEventQueryObjectFactory.create(criteria, accessLevel);
+    const events = await findEventQueryObject.findAllChronologicallyContainingEntryTypes(this.entityBuilder.assetStateEntryTypes());
+    return this.entityBuilder.foldAssetState(asset, events, asOf);
+  }
+
+  async getAssetChildren(assetId, tokenData) {
+    await this.getAsset(assetId);
+    const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
+    const results = await this.assetRelationRepository.findChildren(assetId, accessLevel);
+    return {results, resultCount: results.length};
+  }
+
+  async getAssetParents(assetId, tokenData) {
+    await this.getAsset(assetId);
+    const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
+    const results = await this.assetRelationRepository.findParents(assetId, accessLevel);
+    return {results, resultCount: results.length};
+  }
+
+  /**
+   * Walks the relations towards the ancestors of the asset, one generation per step, up to the given depth.
+   * Every ancestor is visited once, so cycles in the relation graph end the walk.
+   */
+  async getAssetLineage(assetId, params, tokenData) {
+    const {depth = 3} = this.entityBuilder.validateAndCastAssetLineageParams(params);
+    await this.getAsset(assetId);
+    const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
+
+    const visited = new Set([assetId]);
+    const results = [];
+    let generation = [assetId];
+    for (let currentDepth = 1; currentDepth <= depth && generation.length > 0; currentDepth++) {
+      const relations = await this.assetRelationRepository.findParentsOfAssets(generation, accessLevel);
+      results.push(...relations.map((relation) => ({...relation, depth: currentDepth})));
+      generation = [...new Set(relations.map(({parentId}) => parentId))].filter((parentId) => !visited.has(parentId));
+      generation.forEach((parentId) => visited.add(parentId));
+    }
+    return {assetId, depth, results, resultCount: results.length};
+  }
+
+  /**
+   * Assembles everything needed to verify the asset and its events without contacting the node:
+   * the entities themselves and, for every bundle they belong to, its signed idData, proof metadata and inclusion evidence.
+   * Events the sender cannot fully see are left out, as their ids can't be recomputed without the data.
+   */
+  async exportAsset(assetId, tokenData) {
+    const asset = await this.getAsset(assetId);
+    const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
+    const findEventQueryObject = this.findEventQueryObjectFactory.create({assetId}, accessLevel);
+    const events = await findEventQueryObject.findAllAccessibleChronologically();
+    return {
+      version: 1,
+      exportedAt: getTimestamp(),
+      exportedBy: this.identityManager.nodeAddress(),
+      asset,
+      events,
+      bundles: await this.assembleExportedBundles([asset, ...events])
+    };
+  }
+
+  async assembleExportedBundles(entities) {
+    const bundledEntities = new Map();
+    for (const entity of entities) {
+      const {bundleId} = entity.metadata || {};
+      if (bundleId) {
+        bundledEntities.set(bundleId, [...bundledEntities.get(bundleId) || [], entity]);
       }
-    }, accessLevel ? accessLevel : 0);
-    const events = await findEventQueryObject.execute();
-    return [...new Set(events.results.map((event) => event.content.idData.assetId))];
+    }
+    const bundles = [];
+    for (const [bundleId, entitiesInBundle] of bundledEntities) {
+      const bundle = await this.getBundle(bundleId);
+      const {bundleTransactionHash = null, bundleProofBlock = null, bundleUploadTimestamp = null} = entitiesInBundle[0].metadata;
+      const entryIds = entitiesInBundle.map((entity) => entity.assetId || entity.eventId);
+      bundles.push({
+        bundleId,
+        content: pick(bundle.content, 'entries'),
+        metadata: {bundleTransactionHash, bundleProofBlock, bundleUploadTimestamp},
+        ...this.bundleBuilder.assembleInclusionEvidence(bundle, entryIds)
+      });
+    }
+    return bundles;
+  }
+
+  async selectAssetsIdsByIdentifier(identifier, accessLevel, matchAll = true) {
+    return this.assetIdentifierRepository.findAssetIds(identifier, accessLevel ? accessLevel : 0, matchAll);
+  }
+
+  async selectAssetsIdsByLocation(location, accessLevel) {
+    const findEventQueryObject = this.findEventQueryObjectFactory.create({}, accessLevel ? accessLevel : 0);
+    return findEventQueryObject.findAssetIdsWithLatestLocationWithin(location.locationPolygon);
   }
 
   async findAssets(params, tokenData) {
-    let validatedParams = this.entityBuilder.validateAndCastFindAssetsParams(params);
-    if (validatedParams.identifier) {
+    const validatedParams = this.entityBuilder.validateAndCastFindAssetsParams(params);
+    if (validatedParams.search) {
+      const {search, language, ...pagination} = validatedParams;
       const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
-      const consideredAssetIds = await this.selectAssetsIdsByIdentifier(validatedParams.identifier, accessLevel);
-      validatedParams = pick(put(validatedParams, 'assetIds', consideredAssetIds), 'identifier');
+      return {
+        ...await this.assetTextRepository.searchAssets(search, language, accessLevel, pagination),
+        next: null,
+        prev: null
+      };
     }
-    const findAssetQueryObject = this.findAssetQueryObjectFactory.create(validatedParams);
+    const criteria = await this.resolveAssetCriteria(validatedParams, tokenData);
+    const findAssetQueryObject = this.findAssetQueryObjectFactory.create(criteria);
     return await findAssetQueryObject.execute();
   }
 
+  async exportAssets(params, tokenData) {
+    const validatedParams = this.entityBuilder.validateAndCastExportAssetsParams(params);
+    const criteria = await this.resolveAssetCriteria(validatedParams, tokenData);
+    return this.findAssetQueryObjectFactory.create(criteria).stream();
+  }
+
+  /**
+   * Identifier and location filters are resolved in their own collections, into the ids of the assets satisfying them.
+   */
+  async resolveAssetCriteria(validatedParams, tokenData) {
+    let criteria = validatedParams;
+    if (criteria.identifier) {
+      const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
+      const consideredAssetIds = await this.selectAssetsIdsByIdentifier(criteria.identifier, accessLevel, criteria.identifierMatch !== 'any');
+      criteria = pick(put(criteria, 'assetIds', consideredAssetIds), ['identifier', 'identifierMatch']);
+    }
+    if (criteria.location) {
+      const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
+      const assetIdsInArea = await this.selectAssetsIdsByLocation(criteria.location, accessLevel);
+      const consideredAssetIds = criteria.assetIds ? criteria.assetIds.filter((assetId) => assetIdsInArea.includes(assetId)) : assetIdsInArea;
+      criteria = pick(put(criteria, 'assetIds', consideredAssetIds), 'location');
+    }
+    return criteria;
+  }
+
+  async findAssetsByIdentifier(type, value, params, tokenData) {
+    const validatedParams = this.entityBuilder.validateAndCastFindAssetsByIdentifierParams(params);
+    const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
+    const assetIds = await this.selectAssetsIdsByIdentifier({[type]: value}, accessLevel);
+    const findAssetQueryObject = this.findAssetQueryObjectFactory.create({...validatedParams, assetIds});
+    return findAssetQueryObject.execute();
+  }
+
   async createEvent(event) {
     this.entityBuilder.validateEvent(event);
     const {createdBy: creatorAddress, assetId} = event.content.idData;
@@ -148,13 +317,55 @@ export default class DataModelEngine {
     const augmentedEventWithUploadTimestamp = this.entityBuilder.setEntityUploadTimestamp(augmentedEvent);
 
     if (await this.entityRepository.getEvent(event.eventId) !== null) {
-      throw new ValidationError(`Event with eventId=${event.eventId} already exists`);
+      throw new DuplicateEntityError(`Event with eventId=${event.eventId} already exists`);
     }
     await this.entityRepository.storeEvent(augmentedEventWithUploadTimestamp);
+    this.invalidateCachedQueries(assetId);
+    await this.performAfterStoring(() => this.assetRelationRepository.storeRelations(this.entityBuilder.extractAssetRelations(augmentedEventWithUploadTimestamp)));
+    await this.performAfterStoring(() => this.assetTextRepository.storeTexts(this.entityBuilder.extractAssetTexts(augmentedEventWithUploadTimestamp)));
+    await this.performAfterStoring(() => this.assetIdentifierRepository.storeIdentifiers(this.entityBuilder.extractAssetIdentifiers(augmentedEventWithUploadTimestamp)));
+    await this.performAfterStoring(() => this.eventSubscriptionHub.publish(augmentedEventWithUploadTimestamp));
+    await this.performAfterStoring(() => this.webhookDispatcher.dispatchEventCreated(augmentedEventWithUploadTimestamp));
 
     return augmentedEventWithUploadTimestamp;
   }
 
+  /**
+   * Entries are created one by one, in the given order, so an event can refer to an asset created earlier in the same batch.
+   * A rejected entry doesn't stop the processing of the remaining ones.
+   * @returns {Promise<Array>}: a result for every entry, in the order of the entries
+   */
+  async createEntitiesBatch(entities, allowAssets = true) {
+    const results = [];
+    for (const entity of entities) {
+      results.push(await this.createBatchEntry(entity, allowAssets));
+    }
+    return results;
+  }
+
+  async createBatchEntry(entity, allowAssets) {
+    const {assetId, eventId} = entity;
+    const entityId = eventId !== undefined ? {eventId} : {assetId};
+    try {
+      if (eventId !== undefined) {
+        await this.createEvent(entity);
+      } else if (assetId !== undefined && allowAssets) {
+        await this.createAsset(entity);
+      } else {
+        throw new ValidationError(allowAssets ? 'Entry is neither an asset nor an event' : 'Entry is not an event');
+      }
+      return {...entityId, status: BatchEntryStatuses.created};
+    } catch (err) {
+      if (err instanceof DuplicateEntityError) {
+        return {...entityId, status: BatchEntryStatuses.duplicate, reason: err.message};
+      }
+      if (err instanceof ValidationError || err instanceof PermissionError || err instanceof AuthenticationError) {
+        return {...entityId, status: BatchEntryStatuses.rejected, reason: err.message};
+      }
+      throw err;
+    }
+  }
+
   async getEvent(eventId, tokenData) {
     const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
     const event = await this.entityRepository.getEvent(eventId, accessLevel);
@@ -167,10 +378,52 @@ export default class DataModelEngine {
   async findEvents(params, tokenData) {
     const validatedParams = this.entityBuilder.validateAndCastFindEventsParams(params);
     const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
+    if (validatedParams.search) {
+      const {search, language, page, perPage, skipCount, ...filters} = validatedParams;
+      return {
+        ...await this.assetTextRepository.searchEvents(search, language, accessLevel, filters, {page, perPage, skipCount}),
+        next: null,
+        prev: null
+      };
+    }
     const findEventQueryObject = this.findEventQueryObjectFactory.create(validatedParams, accessLevel);
     return await findEventQueryObject.execute();
   }
 
+  async exportEvents(params, tokenData) {
+    const validatedParams = this.entityBuilder.validateAndCastExportEventsParams(params);
+    const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
+    return this.findEventQueryObjectFactory.create(validatedParams, accessLevel).stream();
+  }
+
+  async queryEvents(params, tokenData) {
+    const validatedParams = this.entityBuilder.validateAndCastEventQueryParams(params);
+    const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
+    const findEventQueryObject = this.findEventQueryObjectFactory.create(validatedParams, accessLevel);
+    return await findEventQueryObject.execute();
+  }
+
+  async getEventStats(params, tokenData) {
+    const {groupBy, ...criteria} = this.entityBuilder.validateAndCastEventStatsParams(params);
+    const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
+    const findEventQueryObject = this.findEventQueryObjectFactory.create(criteria, accessLevel);
+    return await findEventQueryObject.aggregateStats(groupBy, this.eventStatsMaxGroups);
+  }
+
+  async subscribeToEvents(params, tokenData, lastEventId) {
+    const validatedParams = this.entityBuilder.validateAndCastEventStreamParams(params);
+    const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
+    let lastEvent = null;
+    if (lastEventId) {
+      lastEvent = await this.entityRepository.getEvent(lastEventId);
+      if (lastEvent === null) {
+        throw new NotFoundError(`No event with id = ${lastEventId} found`);
+      }
+    }
+    const findEventQueryObject = this.findEventQueryObjectFactory.create(validatedParams, accessLevel);
+    return new EventSubscription(this.eventSubscriptionHub, findEventQueryObject, lastEvent, this.eventStreamReplayLimit);
+  }
+
   async getBundle(bundleId) {
     const bundle = await this.bundleRepository.getBundle(bundleId);
     if (bundle === null) {
@@ -179,8 +432,34 @@ export default class DataModelEngine {
     return bundle;
   }
 
-  async getBundleStream(bundleId) {
-    const bundle = await this.bundleRepository.getBundleStream(bundleId);
+  async getAssetBundleProof(assetId) {
+    const asset = await this.getAsset(assetId);
+    return this.getEntityBundleProof(assetId, asset.metadata);
+  }
+
+  async getEventBundleProof(eventId, tokenData) {
+    const event = await this.getEvent(eventId, tokenData);
+    return this.getEntityBundleProof(eventId, event.metadata);
+  }
+
+  async getEntityBundleProof(entityId, metadata = {}) {
+    if (!metadata.bundleId) {
+      throw new NotFoundError(`Entity with id = ${entityId} has not been bundled yet`);
+    }
+    const bundle = await this.getBundle(metadata.bundleId);
+    const proof = this.bundleBuilder.calculateEntryInclusionProof(bundle, entityId);
+    return {
+      bundleId: bundle.bundleId,
+      entriesHash: bundle.content.idData.entriesHash,
+      proof,
+      bundleTransactionHash: metadata.bundleTransactionHash,
+      bundleProofBlock: metadata.bundleProofBlock,
+      bundleUploadTimestamp: metadata.bundleUploadTimestamp
+    };
+  }
+
+  async getBundleStream(bundleId, compressed = false) {
+    const bundle = await this.bundleRepository.getBundleStream(bundleId, compressed);
     if (bundle === null) {
       throw new NotFoundError(`No bundle with id = ${bundleId} found`);
     }
@@ -195,40 +474,152 @@ export default class DataModelEngine {
     return metadata;
   }
 
-  async prepareBundleCandidate(bundleStubId) {
+  async getBundleStatus(bundleId) {
+    const repository = await this.bundleRepository.getBundleRepository(bundleId);
+    return repository ? repository.status : null;
+  }
+
+  async findBundles(params) {
+    const validatedParams = this.bundleBuilder.validateAndCastFindBundlesParams(params);
+    const findBundleQueryObject = this.findBundleQueryObjectFactory.create(validatedParams);
+    return findBundleQueryObject.execute();
+  }
+
+  async createBundleStub() {
+    return this.bundleCandidateRepository.createCandidate();
+  }
+
+  async findBundlingPartitions() {
+    return this.bundlingPartitioner.findPartitions();
+  }
+
+  /**
+   * @param creators: restricts the candidate to the entities of these accounts, see BundlingPartitioner
+   */
+  async prepareBundleCandidate(bundleStubId, creators = null) {
     const bundleItemsCountLimit = parseInt(await this.uploadRepository.bundleItemsCountLimit(), 10);
-    const notBundled = await this.entityRepository.fetchEntitiesForBundling(bundleStubId, bundleItemsCountLimit);
+    const notBundled = await this.entityRepository.fetchEntitiesForBundling(bundleStubId, bundleItemsCountLimit, creators);
 
     const nodeSecret = await this.identityManager.nodePrivateKey();
     return this.bundleBuilder.assembleBundle(notBundled.assets, notBundled.events, getTimestamp(), nodeSecret);
   }
 
-  async acceptBundleCandidate(newBundle, bundleStubId, storagePeriods) {
-    await this.bundleRepository.storeBundle(newBundle, storagePeriods);
+  async acceptBundleCandidate(newBundle, bundleStubId, storagePeriods, bundlingPartition = null) {
+    await this.bundleCandidateRepository.markCandidateAsAccepting(bundleStubId, newBundle.bundleId);
+    await this.bundleRepository.storeBundle(newBundle, storagePeriods, bundlingPartition);
     await this.entityRepository.markEntitiesAsBundled(bundleStubId, newBundle.bundleId);
+    await this.bundleCandidateRepository.removeCandidates([bundleStubId]);
 
     return newBundle;
   }
 
   async rejectBundleCandidate(bundleStubId) {
     await this.entityRepository.discardBundling(bundleStubId);
+    await this.bundleCandidateRepository.removeCandidates([bundleStubId]);
+  }
+
+  /**
+   * Must be called before new bundle stubs are created, while no other worker is bundling: every candidate still
+   * recorded was then left over by an interrupted worker. Candidates interrupted after their bundle was stored are
+   * completed, entities of all the other stubs are released so they can be bundled again.
+   * @returns {Promise<{resumed: Array, released: Array, releasedEntitiesCount: number}>}
+   */
+  async recoverOrphanedBundleCandidates() {
+    const candidates = await this.bundleCandidateRepository.findCandidates();
+    const resumed = [];
+    const released = [];
+    for (const {bundleStubId, state, bundleId} of candidates) {
+      if (state === BundleCandidateStates.accepting && await this.bundleRepository.getBundleMetadata(bundleId) !== null) {
+        await this.entityRepository.markEntitiesAsBundled(bundleStubId, bundleId);
+        resumed.push({bundleStubId, bundleId});
+      } else {
+        released.push(bundleStubId);
+      }
+    }
+    const releasedEntitiesCount = await this.entityRepository.releaseAllBundleStubs();
+    await this.bundleCandidateRepository.removeCandidates(candidates.map(({bundleStubId}) => bundleStubId));
+
+    return {resumed, released, releasedEntitiesCount};
   }
 
-  async uploadAcceptedBundleCandidates(uploadProgressCallbacks = {success: async () => {}, fail: async () => {}}) {
+  /**
+   * A failed upload doesn't hold up the other bundles. It is retried with an exponential backoff, until it fails
+   * permanently or runs out of attempts - then the bundle is moved to the dead letter, to be inspected by the operator.
+   * Webhooks are dispatched once the upload is stored, so failing to dispatch them doesn't count as a failed upload.
+   */
+  async uploadAcceptedBundleCandidates({success = async () => {}, fail = async () => {}, webhookDispatchFail = async () => {}} = {}) {
     const waitingBundlesMetadata = await this.bundleRepository.findBundlesWaitingForUpload();
-    for (const {bundleId, storagePeriods} of waitingBundlesMetadata) {
-      try {
-        const {blockNumber, transactionHash, timestamp, uploadResult} = await this.uploadRepository.ensureBundleIsUploaded(bundleId, storagePeriods);
-        await this.entityRepository.storeBundleProofMetadata(bundleId, blockNumber, timestamp, transactionHash);
-        await this.bundleRepository.storeBundleProofMetadata(bundleId, blockNumber, timestamp, transactionHash);
-        await uploadProgressCallbacks.success(bundleId, uploadResult);
-      } catch (err) {
-        await uploadProgressCallbacks.fail(bundleId, err);
-        break;
+    for (const {bundleId, storagePeriods, upload} of waitingBundlesMetadata) {
+      const uploadData = await this.uploadAcceptedBundle(bundleId, storagePeriods, upload, fail);
+      if (uploadData !== null) {
+        await success(bundleId, uploadData.uploadResult);
+        try {
+          await this.webhookDispatcher.dispatchBundleUploaded(await this.bundleRepository.getBundle(bundleId), {
+            bundleTransactionHash: uploadData.transactionHash,
+            bundleProofBlock: uploadData.blockNumber,
+            bundleUploadTimestamp: uploadData.timestamp
+          });
+        } catch (err) {
+          await webhookDispatchFail(bundleId, err);
+        }
       }
     }
   }
 
+  /**
+   * @returns {Promise<Object|null>}: the upload data, or null if the upload failed and was recorded for a retry or the dead letter
+   */
+  async uploadAcceptedBundle(bundleId, storagePeriods, upload, fail) {
+    try {
+      const uploadData = await this.uploadRepository.ensureBundleIsUploaded(bundleId, storagePeriods);
+      const {blockNumber, transactionHash, timestamp, gasUsed = null} = uploadData;
+      await this.entityRepository.storeBundleProofMetadata(bundleId, blockNumber, timestamp, transactionHash);
+      await this.bundleRepository.storeBundleProofMetadata(bundleId, blockNumber, timestamp, transactionHash, gasUsed);
+      return uploadData;
+    } catch (err) {
+      const failedUpload = this.failedUpload(err, upload ? upload.attempts : 0);
+      await this.bundleRepository.storeUploadFailure(bundleId, failedUpload);
+      await fail(bundleId, err, failedUpload);
+      return null;
+    }
+  }
+
+  async getUploadGasSpending(since) {
+    return this.bundleRepository.getUploadGasSpending(since);
+  }
+
+  failedUpload(error, previousAttempts) {
+    const attempts = previousAttempts + 1;
+    const lastAttemptAt = new Date();
+    const failedUpload = {
+      attempts,
+      lastError: error.message || `${error}`,
+      lastAttemptAt
+    };
+    if (error instanceof PermanentUploadError || attempts >= this.bundleUploadMaxAttempts) {
+      return {...failedUpload, status: BundleUploadStatuses.deadLetter};
+    }
+    const retryDelay = Math.min(this.bundleUploadRetryDelay * (2 ** (attempts - 1)), this.bundleUploadMaxRetryDelay);
+    return {
+      ...failedUpload,
+      status: BundleUploadStatuses.retrying,
+      nextRetryAt: new Date(lastAttemptAt.getTime() + (retryDelay * 1000))
+    };
+  }
+
+  async findDeadLetterBundles(tokenData) {
+    await this.accountAccessDefinitions.ensureHasPermission(tokenData.createdBy, allPermissions.superAccount);
+    const results = await this.bundleRepository.findDeadLetterBundles();
+    return {results, resultCount: results.length};
+  }
+
+  async retryBundleUpload(bundleId, tokenData) {
+    await this.accountAccessDefinitions.ensureHasPermission(tokenData.createdBy, allPermissions.superAccount);
+    if (!await this.bundleRepository.requeueDeadLetterBundle(bundleId)) {
+      throw new NotFoundError(`No bundle with id = ${bundleId} in the dead letter`);
+    }
+  }
+
   async downloadBundle(bundleId, sheltererId, challengeExpirationTime) {
     if (await this.bundleRepository.isBundleSheltered(bundleId)) {
       throw new Error('Bundle is already sheltered');
@@ -282,7 +673,83 @@ export default class DataModelEngine {
     return this.bundleRepository.cleanupBundles();
   }
 
+  async compressStoredBundles(limit) {
+    return this.bundleRepository.compressStoredBundles(limit);
+  }
+
+  async addWebhook(webhookRequest, tokenData) {
+    await this.ensureSenderAccountExists(tokenData);
+    await this.webhookDispatcher.validateWebhookRequest(webhookRequest);
+    const webhook = this.webhookDispatcher.createWebhook(webhookRequest, tokenData.createdBy);
+    await this.webhookRepository.storeWebhook(webhook);
+    return webhook;
+  }
+
+  async getWebhooks(tokenData) {
+    await this.ensureSenderAccountExists(tokenData);
+    const results = await this.webhookRepository.findWebhooksCreatedBy(tokenData.createdBy);
+    return {results, resultCount: results.length};
+  }
+
+  async getWebhook(webhookId, tokenData) {
+    await this.ensureSenderAccountExists(tokenData);
+    const webhook = await this.webhookRepository.getWebhook(webhookId);
+    if (webhook === null) {
+      throw new NotFoundError(`No webhook with id = ${webhookId} found`);
+    }
+    if (webhook.createdBy !== tokenData.createdBy) {
+      throw new PermissionError(`Webhook ${webhookId} can only be accessed by its creator`);
+    }
+    return webhook;
+  }
+
+  async removeWebhook(webhookId, tokenData) {
+    await this.getWebhook(webhookId, tokenData);
+    await this.webhookRepository.removeWebhook(webhookId);
+  }
+
+  async findWebhookDeliveries(webhookId, params, tokenData) {
+    const validatedParams = this.webhookDispatcher.validateAndCastFindDeliveriesParams(params);
+    await this.getWebhook(webhookId, tokenData);
+    const findWebhookDeliveryQueryObject = this.findWebhookDeliveryQueryObjectFactory.create({...validatedParams, webhookId});
+    return findWebhookDeliveryQueryObject.execute();
+  }
+
+  async deliverWebhooks() {
+    return this.webhookDispatcher.deliverPendingDeliveries(this.webhookDeliveryBatchSize);
+  }
+
+  async ensureSenderAccountExists(tokenData) {
+    const sender = await this.accountRepository.get(tokenData.createdBy);
+    if (!sender) {
+      throw new PermissionError(`Sender account ${tokenData.createdBy} not found.`);
+    }
+  }
+
   async getWorkerLogs(logsCount = 10) {
     return await this.workerLogRepository.getLogs(logsCount);
   }
+
+  /**
+   * Nothing gets reserved for bundling - the next bundle candidates are only previewed, one for every bundling partition,
+   * the same way the Hermes worker is going to prepare them.
+   */
+  async getPendingWork(tokenData) {
+    await this.accountAccessDefinitions.ensureHasPermission(tokenData.createdBy, allPermissions.superAccount);
+    const bundleItemsCountLimit = parseInt(await this.uploadRepository.bundleItemsCountLimit(), 10);
+    const nextBundleCandidates = [];
+    for (const {key, creators, settings} of await this.bundlingPartitioner.findPartitions()) {
+      nextBundleCandidates.push({
+        partition: key,
+        settings,
+        ...await this.entityRepository.previewBundleCandidate(bundleItemsCountLimit, creators)
+      });
+    }
+    return {
+      assets: await this.entityRepository.notBundledEntitiesSummary('assets'),
+      events: await this.entityRepository.notBundledEntitiesSummary('events'),
+      bundlesWaitingForUpload: await this.bundleRepository.findBundlesPendingUpload(),
+      nextBundleCandidates
+    };
+  }
 }
@@ -10,26 +10,38 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 import validateAndCast from '../utils/validations';
 import JsonSchemaValidator from '../validators/json_schema_validator';
 import EventEntryValidator from '../validators/event_entry_validator.js';
+import EventQueryValidator from '../validators/event_query_validator';
 import eventContentSchema from '../validators/schemas/event.json';
 import identifiersAssetSchema from '../validators/schemas/custom/ambrosus.asset.identifiers.json';
 import identifiersEventSchema from '../validators/schemas/custom/ambrosus.event.identifiers.json';
 import locationEventSchema from '../validators/schemas/custom/ambrosus.event.location.json';
 import locationAssetSchema from '../validators/schemas/custom/ambrosus.asset.location.json';
 import infoAssetSchema from '../validators/schemas/custom/ambrosus.asset.info.json';
+import relationAssetSchema from '../validators/schemas/custom/ambrosus.asset.relation.json';
+import LatestEntryFoldRule from '../fold_rules/latest_entry_fold_rule';
+import IdentifiersFoldRule from '../fold_rules/identifiers_fold_rule';
 import {pick, put} from '../utils/dict_utils';
 import {ValidationError} from '../errors/errors';
 import {getTimestamp} from '../utils/time_utils';
+import {textSearchLanguage} from '../utils/text_utils';
 
 export default class EntityBuilder {
-  constructor(identityManager, maximumEntityTimestampOvertake) {
+  constructor(identityManager, maximumEntityTimestampOvertake, eventQueryMaxClauses, eventQueryMaxDepth) {
     this.eventValidators = [
       new JsonSchemaValidator(eventContentSchema),
       new EventEntryValidator('ambrosus.asset.identifiers', new JsonSchemaValidator(identifiersAssetSchema)),
       new EventEntryValidator('ambrosus.event.identifiers', new JsonSchemaValidator(identifiersEventSchema)),
       new EventEntryValidator('ambrosus.asset.location', new JsonSchemaValidator(locationAssetSchema)),
       new EventEntryValidator('ambrosus.event.location', new JsonSchemaValidator(locationEventSchema)),
-      new EventEntryValidator('ambrosus.asset.info', new JsonSchemaValidator(infoAssetSchema))
+      new EventEntryValidator('ambrosus.asset.info', new JsonSchemaValidator(infoAssetSchema)),
+      new EventEntryValidator('ambrosus.asset.relation', new JsonSchemaValidator(relationAssetSchema))
     ];
+    this.assetStateFoldRules = [
+      new LatestEntryFoldRule('ambrosus.asset.info', 'info'),
+      new LatestEntryFoldRule('ambrosus.asset.location', 'location'),
+      new IdentifiersFoldRule('ambrosus.asset.identifiers', 'identifiers')
+    ];
+    this.eventQueryValidator = new EventQueryValidator(eventQueryMaxClauses, eventQueryMaxDepth);
     this.identityManager = identityManager;
     this.maximumEntityTimestampOvertake = maximumEntityTimestampOvertake;
   }
@@ -98,6 +110,7 @@ export default class EntityBuilder {
       );
 
     this.eventValidators.forEach((validator) => validator.validate(event.content));
+    this.ensureNoSelfRelations(event);
 
     this.identityManager.validateSignature(
       event.content.idData.createdBy,
@@ -106,6 +119,72 @@ export default class EntityBuilder {
     );
   }
 
+  ensureNoSelfRelations(event) {
+    if (this.extractAssetRelations(event).some(({parentId, childId}) => parentId === childId)) {
+      throw new ValidationError('An asset cannot be related to itself');
+    }
+  }
+
+  /**
+   * Every relation entry becomes an edge from the parent to the child asset.
+   * An asset derived from another one is a child of it, with the relation kept as `derivedFrom`.
+   */
+  extractAssetRelations(event) {
+    const {assetId, createdBy, timestamp, accessLevel} = event.content.idData;
+    return (event.content.data || [])
+      .filter((entry) => entry.type === 'ambrosus.asset.relation')
+      .map(({relation, assetId: relatedAssetId}) => ({
+        eventId: event.eventId,
+        parentId: relation === 'child' ? assetId : relatedAssetId,
+        childId: relation === 'child' ? relatedAssetId : assetId,
+        relation: relation === 'derivedFrom' ? 'derivedFrom' : 'contains',
+        createdBy,
+        timestamp,
+        accessLevel
+      }));
+  }
+
+  /**
+   * Every value listed by an identifiers entry, be it of the asset or of the event kind, identifies the asset of the event.
+   */
+  extractAssetIdentifiers(event) {
+    const {assetId, createdBy, timestamp, accessLevel} = event.content.idData;
+    return (event.content.data || [])
+      .filter((entry) => ['ambrosus.asset.identifiers', 'ambrosus.event.identifiers'].includes(entry.type))
+      .reduce((identifiers, entry) => [
+        ...identifiers,
+        ...Object.entries(entry.identifiers).reduce((entryIdentifiers, [type, values]) => [
+          ...entryIdentifiers,
+          ...values.map((value) => ({eventId: event.eventId, assetId, type, value, createdBy, timestamp, accessLevel}))
+        ], [])
+      ], []);
+  }
+
+  /**
+   * Every asset info entry yields a text with its default name, description and tags,
+   * and a text for every locale of its localised name or description.
+   */
+  extractAssetTexts(event) {
+    const {assetId, createdBy, timestamp, accessLevel} = event.content.idData;
+    const common = {eventId: event.eventId, assetId, createdBy, timestamp, accessLevel};
+    return (event.content.data || [])
+      .filter((entry) => entry.type === 'ambrosus.asset.info')
+      .reduce((texts, {name, description, tags, localisedName = {}, localisedDescription = {}}) => {
+        const locales = [...new Set([...Object.keys(localisedName), ...Object.keys(localisedDescription)])];
+        return [
+          ...texts,
+          {...common, locale: null, textLanguage: 'none', name, description, tags},
+          ...locales.map((locale) => ({
+            ...common,
+            locale,
+            textLanguage: textSearchLanguage(locale),
+            name: localisedName[locale],
+            description: localisedDescription[locale]
+          }))
+        ];
+      }, []);
+  }
+
   isTimestampWithinLimit(timestamp) {
     return getTimestamp() + this.maximumEntityTimestampOvertake >= timestamp;
   }
@@ -135,7 +214,7 @@ export default class EntityBuilder {
   }
 
   validateAndCastFindEventsParams(params) {
-    const allowedParametersList = ['assetId', 'fromTimestamp', 'toTimestamp', 'page', 'perPage', 'createdBy', 'data'];
+    const allowedParametersList = ['assetId', 'fromTimestamp', 'toTimestamp', 'page', 'perPage', 'cursor', 'skipCount', 'createdBy', 'data', 'search', 'language'];
 
     const castedParams = validateAndCast(params)
       .fieldsConstrainedToSet(allowedParametersList)
@@ -144,28 +223,194 @@ export default class EntityBuilder {
       .isAddress(['createdBy'])
       .validate(['perPage'], (perPage) => perPage <= 100, 'pageSize should not be higher than 100')
       .validate(['perPage'], (perPage) => perPage > 0, 'pageSize should be positive')
+      .validate(['page'], () => params.cursor === undefined, 'cannot be combined with cursor')
+      .castPaginationCursor(['cursor'])
+      .castBoolean(['skipCount'])
       .getCastedParams();
 
+    this.ensureSearchParamsCorrectlyCombined(params, ['cursor', 'data']);
     this.ensureGeoLocationParamsCorrectlyPlaced(params);
     return castedParams;
   }
 
-  validateAndCastFindAssetsParams(params) {
-    const allowedParametersList = ['page', 'perPage', 'createdBy', 'identifier', 'fromTimestamp', 'toTimestamp'];
+  validateAndCastExportEventsParams(params) {
+    this.ensureNoPaginationOrSearchParams(params);
+    return this.validateAndCastFindEventsParams(params);
+  }
+
+  validateAndCastEventQueryParams(params) {
+    const allowedParametersList = ['query', 'page', 'perPage', 'cursor', 'skipCount'];
+
+    const castedParams = validateAndCast(params)
+      .required(['query'])
+      .fieldsConstrainedToSet(allowedParametersList)
+      .isNonNegativeInteger(['page', 'perPage'])
+      .validate(['perPage'], (perPage) => perPage <= 100, 'pageSize should not be higher than 100')
+      .validate(['perPage'], (perPage) => perPage > 0, 'pageSize should be positive')
+      .validate(['page'], () => params.cursor === undefined, 'cannot be combined with cursor')
+      .castPaginationCursor(['cursor'])
+      .castBoolean(['skipCount'])
+      .getCastedParams();
+
+    this.eventQueryValidator.validate(castedParams.query);
+    return castedParams;
+  }
+
+  validateAndCastEventStatsParams(params) {
+    const allowedParametersList = ['groupBy', 'assetId', 'fromTimestamp', 'toTimestamp', 'createdBy', 'data'];
+    const allowedGroupingKeys = ['type', 'createdBy', 'assetId', 'hour', 'day', 'week'];
+    const timeBuckets = ['hour', 'day', 'week'];
+
+    const castedParams = validateAndCast(params)
+      .required(['groupBy'])
+      .fieldsConstrainedToSet(allowedParametersList)
+      .validate(['groupBy'], (groupBy) => typeof groupBy === 'string', 'should be a comma separated list')
+      .castNumber(['fromTimestamp', 'toTimestamp'])
+      .isNonNegativeInteger(['fromTimestamp', 'toTimestamp'])
+      .isAddress(['createdBy'])
+      .getCastedParams();
+
+    const groupBy = castedParams.groupBy.split(',');
+    validateAndCast({groupBy})
+      .validate(['groupBy'], (keys) => keys.every((key) => allowedGroupingKeys.includes(key)), `should only contain: ${allowedGroupingKeys.join(', ')}`)
+      .validate(['groupBy'], (keys) => new Set(keys).size === keys.length, 'should not contain duplicates')
+      .validate(['groupBy'], (keys) => keys.filter((key) => timeBuckets.includes(key)).length <= 1, 'should contain at most one time bucket');
+
+    this.ensureGeoLocationParamsCorrectlyPlaced(params);
+    if (params.data && params.data.geoJson !== undefined && params.data.geoJson.locationPolygon === undefined) {
+      throw new ValidationError('geoJson filter with radius is not supported for statistics, use geoWithin or bbox instead');
+    }
+    return {...castedParams, groupBy};
+  }
+
+  validateAndCastEventStreamParams(params) {
+    const allowedParametersList = ['assetId', 'createdBy', 'data'];
+
+    const castedParams = validateAndCast(params)
+      .fieldsConstrainedToSet(allowedParametersList)
+      .isAddress(['createdBy'])
+      .getCastedParams();
+
+    this.ensureGeoLocationParamsCorrectlyPlaced(params);
+    return castedParams;
+  }
 
+  validateAndCastAssetStateParams(params) {
     return validateAndCast(params)
+      .fieldsConstrainedToSet(['asOf'])
+      .castNumber(['asOf'])
+      .isNonNegativeInteger(['asOf'])
+      .getCastedParams();
+  }
+
+  validateAndCastAssetLineageParams(params) {
+    return validateAndCast(params)
+      .fieldsConstrainedToSet(['depth'])
+      .castNumber(['depth'])
+      .isNonNegativeInteger(['depth'])
+      .validate(['depth'], (depth) => depth > 0, 'depth should be positive')
+      .validate(['depth'], (depth) => depth <= 10, 'depth should not be higher than 10')
+      .getCastedParams();
+  }
+
+  assetStateEntryTypes() {
+    return [...new Set(this.assetStateFoldRules.map((rule) => rule.type))];
+  }
+
+  /**
+   * Folds entries of the events (expected in chronological order) into the current state of the asset.
+   * Events with hidden data are skipped, as are entries no fold rule applies to.
+   */
+  foldAssetState(asset, events, asOf = null) {
+    let state = {};
+    let lastEvent = null;
+    for (const event of events) {
+      const stateBeforeEvent = state;
+      for (const entry of event.content.data || []) {
+        state = this.assetStateFoldRules
+          .filter((rule) => rule.appliesTo(entry))
+          .reduce((currentState, rule) => rule.fold(currentState, entry, event), state);
+      }
+      if (state !== stateBeforeEvent) {
+        lastEvent = event;
+      }
+    }
+    return {
+      assetId: asset.assetId,
+      createdBy: asset.content.idData.createdBy,
+      timestamp: asset.content.idData.timestamp,
+      asOf,
+      state,
+      lastEventId: lastEvent ? lastEvent.eventId : null,
+      lastEventTimestamp: lastEvent ? lastEvent.content.idData.timestamp : null
+    };
+  }
+
+  validateAndCastFindAssetsParams(params) {
+    const allowedParametersList = ['page', 'perPage', 'cursor', 'skipCount', 'createdBy', 'identifier', 'identifierMatch', 'location', 'fromTimestamp', 'toTimestamp', 'search', 'language'];
+
+    const castedParams = validateAndCast(params)
       .fieldsConstrainedToSet(allowedParametersList)
       .castNumber(['page', 'perPage', 'fromTimestamp', 'toTimestamp'])
       .isNonNegativeInteger(['page', 'perPage', 'fromTimestamp', 'toTimestamp'])
       .isAddress(['createdBy'])
       .validate(['perPage'], (perPage) => perPage <= 100, 'pageSize should not be higher than 100')
       .validate(['perPage'], (perPage) => 0 < perPage, 'pageSize should be positive')
+      .validate(['page'], () => params.cursor === undefined, 'cannot be combined with cursor')
+      .castPaginationCursor(['cursor'])
+      .castBoolean(['skipCount'])
+      .validate(['location'], (location) => location.locationPolygon !== undefined, 'should be an area given with geoWithin(...) or bbox(...)')
+      .validate(['identifier'], (identifier) => this.isIdentifierFilter(identifier), 'should map identifier types to values or pattern(...) decorated values')
+      .validate(['identifierMatch'], (identifierMatch) => ['all', 'any'].includes(identifierMatch), 'should be either all or any')
+      .validate(['identifierMatch'], () => params.identifier !== undefined, 'can only be used together with identifier')
       .getCastedParams();
+
+    this.ensureSearchParamsCorrectlyCombined(params, ['cursor', 'createdBy', 'identifier', 'identifierMatch', 'location', 'fromTimestamp', 'toTimestamp']);
+    return castedParams;
+  }
+
+  validateAndCastExportAssetsParams(params) {
+    this.ensureNoPaginationOrSearchParams(params);
+    return this.validateAndCastFindAssetsParams(params);
+  }
+
+  isIdentifierFilter(identifier) {
+    return typeof identifier === 'object' &&
+      Object.keys(identifier).length > 0 &&
+      Object.values(identifier).every((value) => (typeof value === 'string' && value !== '') || value instanceof RegExp);
+  }
+
+  validateAndCastFindAssetsByIdentifierParams(params) {
+    return validateAndCast(params)
+      .fieldsConstrainedToSet(['page', 'perPage', 'cursor', 'skipCount'])
+      .castNumber(['page', 'perPage'])
+      .isNonNegativeInteger(['page', 'perPage'])
+      .validate(['perPage'], (perPage) => perPage <= 100, 'pageSize should not be higher than 100')
+      .validate(['perPage'], (perPage) => 0 < perPage, 'pageSize should be positive')
+      .validate(['page'], () => params.cursor === undefined, 'cannot be combined with cursor')
+      .castPaginationCursor(['cursor'])
+      .castBoolean(['skipCount'])
+      .getCastedParams();
+  }
+
+  ensureSearchParamsCorrectlyCombined(params, incompatibleParams) {
+    validateAndCast(params)
+      .validate(['search'], (search) => typeof search === 'string' && search.trim() !== '', 'should be a non-empty string')
+      .validate(['search'], (search) => search.length <= 256, 'should not be longer than 256 characters')
+      .validate(['language'], () => params.search !== undefined, 'can only be used together with search')
+      .validate(['language'], (language) => /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language), 'should be a language code')
+      .validate(incompatibleParams, () => params.search === undefined, 'cannot be combined with search');
+  }
+
+  ensureNoPaginationOrSearchParams(params) {
+    validateAndCast(params)
+      .validate(['page', 'perPage', 'cursor', 'skipCount', 'search', 'language'], () => false, 'is not supported when exporting all results');
   }
 
   ensureGeoLocationParamsCorrectlyPlaced(params) {
     for (const key in params.data) {
       if (key === 'geoJson' &&
+        params.data[key].locationPolygon === undefined &&
         (params.data[key].locationLongitude === undefined
           || params.data[key].locationLatitude === undefined
           || params.data[key].locationMaxDistance === undefined)) {
@@ -174,7 +419,8 @@ export default class EntityBuilder {
       if (key !== 'geoJson' &&
         (params.data[key].locationLongitude !== undefined
           || params.data[key].locationLatitude !== undefined
-          || params.data[key].locationMaxDistance !== undefined)) {
+          || params.data[key].locationMaxDistance !== undefined
+          || params.data[key].locationPolygon !== undefined)) {
         throw new ValidationError(`Location can only be stored on geoJson field`);
       }
     }
@@ -57,29 +57,60 @@ export default class EntityRepository {
     return asset;
   }
 
-  async fetchEntitiesForBundling(bundleStubId, bundleItemsCountLimit) {
-    const notBundledQuery = {
-      'repository.bundleStubId': null,
-      'metadata.bundleId': null
-    };
-
+  /**
+   * @param creators: when provided, only entities created by these accounts are fetched
+   */
+  async fetchEntitiesForBundling(bundleStubId, bundleItemsCountLimit, creators = null) {
     const updateBundleStubId = {
       $set: {
         'repository.bundleStubId': bundleStubId
       }
     };
 
+    return this.selectEntitiesForBundling(bundleItemsCountLimit, creators, {
+      reserveAsset: ({assetId}) => this.db.collection('assets').updateOne({assetId}, updateBundleStubId),
+      reserveEvent: ({eventId}) => this.db.collection('events').updateOne({eventId}, updateBundleStubId)
+    });
+  }
+
+  /**
+   * Counts the entities fetchEntitiesForBundling would select, without reserving them for a bundle stub.
+   * Only the fields deciding the bundling order are loaded, so the byte size is estimated from the average size of the stored documents.
+   * @returns {Promise<{assetsCount: number, eventsCount: number, byteSize: number}>}
+   */
+  async previewBundleCandidate(bundleItemsCountLimit, creators = null) {
+    const {assets, events} = await this.selectEntitiesForBundling(bundleItemsCountLimit, creators, {
+      reserveAsset: async () => {},
+      reserveEvent: async () => {}
+    }, {_id: 0, assetId: 1, eventId: 1, 'content.idData.timestamp': 1});
+    const averageAssetSize = await this.averageDocumentSize('assets');
+    const averageEventSize = await this.averageDocumentSize('events');
+    return {
+      assetsCount: assets.length,
+      eventsCount: events.length,
+      byteSize: (assets.length * averageAssetSize) + (events.length * averageEventSize)
+    };
+  }
+
+  async averageDocumentSize(collectionName) {
+    const {avgObjSize} = await this.db.collection(collectionName).stats();
+    return Math.round(avgObjSize || 0);
+  }
+
+  async selectEntitiesForBundling(bundleItemsCountLimit, creators, {reserveAsset, reserveEvent}, projection = this.blacklistedFields) {
+    const notBundledQuery = this.notBundledQuery(creators);
+
     const assetsCursor = await this.db.collection('assets').find(
       notBundledQuery,
       {
-        projection: this.blacklistedFields,
+        projection,
         sort: {'content.idData.timestamp': 1, assetId: 1}
       }
     );
     const eventsCursor = await this.db.collection('events').find(
       notBundledQuery,
       {
-        projection: this.blacklistedFields,
+        projection,
         sort: {'content.idData.timestamp': 1, eventId: 1}
       }
     );
@@ -96,11 +127,11 @@ export default class EntityRepository {
       const next = this.selectEntityForBundling(nextAsset, nextEvent);
 
       if (next === nextAsset) {
-        await this.db.collection('assets').updateOne({assetId: nextAsset.assetId}, updateBundleStubId);
+        await reserveAsset(nextAsset);
         selectedAssets.push(nextAsset);
         nextAsset = await assetsCursor.next();
       } else {
-        await this.db.collection('events').updateOne({eventId: nextEvent.eventId}, updateBundleStubId);
+        await reserveEvent(nextEvent);
         selectedEvents.push(nextEvent);
         nextEvent = await eventsCursor.next();
       }
@@ -112,6 +143,44 @@ export default class EntityRepository {
     };
   }
 
+  notBundledQuery(creators) {
+    const query = {
+      'repository.bundleStubId': null,
+      'metadata.bundleId': null
+    };
+    if (creators !== null) {
+      query['content.idData.createdBy'] = {$in: creators};
+    }
+    return query;
+  }
+
+  async findNotBundledEntityCreators() {
+    const notBundledQuery = this.notBundledQuery(null);
+    const assetCreators = await this.db.collection('assets').distinct('content.idData.createdBy', notBundledQuery);
+    const eventCreators = await this.db.collection('events').distinct('content.idData.createdBy', notBundledQuery);
+    return [...new Set([...assetCreators, ...eventCreators])];
+  }
+
+  /**
+   * @returns {Promise<{count: number, oldestTimestamp: number|null}>}: the entities of the collection not included
+   * in any bundle yet, also the ones reserved for a bundle candidate
+   */
+  async notBundledEntitiesSummary(collectionName) {
+    const notBundledQuery = {
+      'metadata.bundleId': null
+    };
+    const count = await this.db.collection(collectionName).count(notBundledQuery);
+    const [oldestEntity] = await this.db.collection(collectionName)
+      .find(notBundledQuery, {projection: {'content.idData.timestamp': 1}})
+      .sort({'content.idData.timestamp': 1})
+      .limit(1)
+      .toArray();
+    return {
+      count,
+      oldestTimestamp: oldestEntity ? oldestEntity.content.idData.timestamp : null
+    };
+  }
+
   async markEntitiesAsBundled(bundleStubId, bundleId) {
     const thisBundleStubQuery = {
       'repository.bundleStubId': bundleStubId
@@ -141,20 +210,31 @@ export default class EntityRepository {
       'repository.bundleStubId': bundleStubId
     };
 
+    return this.releaseBundleStubs(thisBundleStubQuery);
+  }
+
+  async releaseAllBundleStubs() {
+    return this.releaseBundleStubs({
+      'repository.bundleStubId': {$ne: null}
+    });
+  }
+
+  async releaseBundleStubs(query) {
     const updateStatement = {
       $unset: {
         'repository.bundleStubId': ''
       }
     };
 
-    await this.db.collection('assets').updateMany(
-      thisBundleStubQuery,
+    const {modifiedCount: releasedAssetsCount} = await this.db.collection('assets').updateMany(
+      query,
       updateStatement
     );
-    await this.db.collection('events').updateMany(
-      thisBundleStubQuery,
+    const {modifiedCount: releasedEventsCount} = await this.db.collection('events').updateMany(
+      query,
       updateStatement
     );
+    return releasedAssetsCount + releasedEventsCount;
   }
 
   async storeBundleProofMetadata(bundleId, proofBlock, timestamp, txHash) {
@@ -0,0 +1,188 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {ValidationError} from '../errors/errors';
+import {verifyMerkleProof} from '../utils/merkle_tree';
+import VerificationCheckStatuses from '../utils/verification_check_statuses';
+
+export default class EntityVerifier {
+  constructor(identityManager, bundleBuilder, uploadActions = null) {
+    this.identityManager = identityManager;
+    this.bundleBuilder = bundleBuilder;
+    this.uploadActions = uploadActions;
+  }
+
+  /**
+   * Verifies an asset, an event, a bundle or an asset export archive without contacting the node.
+   * The bundle of a single asset or event can be provided separately to check that the entity is included in it.
+   * @returns {Promise<{verified, failedCheck, checks}>}: all the checks run, failedCheck being the first failed one or null
+   */
+  async verify(document, bundle = null) {
+    const checks = await this.verifyDocument(document, bundle);
+    if (bundle !== null) {
+      checks.push(...await this.verifyBundle(bundle));
+    }
+    const failedCheck = checks.find(({status}) => status === VerificationCheckStatuses.failed) || null;
+    return {verified: failedCheck === null, failedCheck, checks};
+  }
+
+  async verifyDocument(document, bundle) {
+    if (document.asset && document.bundles) {
+      return this.verifyArchive(document);
+    }
+    if (document.eventId) {
+      return this.verifyEvent(document, bundle);
+    }
+    if (document.assetId) {
+      return this.verifyAsset(document, bundle);
+    }
+    if (document.bundleId) {
+      return this.verifyBundle(document);
+    }
+    throw new ValidationError('The document is neither an asset, an event, a bundle nor an asset export archive');
+  }
+
+  async verifyArchive({asset, events = [], bundles}) {
+    const findBundle = (entity) => bundles.find(({bundleId}) => entity.metadata && bundleId === entity.metadata.bundleId) || null;
+    const checks = [];
+    for (const bundle of bundles) {
+      checks.push(...await this.verifyBundle(bundle));
+    }
+    checks.push(...await this.verifyAsset(asset, findBundle(asset)));
+    for (const event of events) {
+      checks.push(...await this.verifyEvent(event, findBundle(event)));
+    }
+    return checks;
+  }
+
+  async verifyAsset(asset, bundle) {
+    const {assetId, content, metadata = {}} = asset;
+    return [
+      await this.runCheck(assetId, 'assetId', () => this.checkHash(assetId, content)),
+      await this.runCheck(assetId, 'signature', () => this.checkSignature(content)),
+      await this.runCheck(assetId, 'bundleInclusion', () => this.checkBundleInclusion(assetId, metadata, bundle)),
+      await this.runCheck(assetId, 'bundleProofBlock', () => this.checkBundleProofBlock(metadata.bundleId, metadata.bundleProofBlock))
+    ];
+  }
+
+  async verifyEvent(event, bundle) {
+    const {eventId, content, metadata = {}} = event;
+    return [
+      await this.runCheck(eventId, 'eventId', () => this.checkHash(eventId, content)),
+      await this.runCheck(eventId, 'dataHash', () => this.checkDataHash(content)),
+      await this.runCheck(eventId, 'signature', () => this.checkSignature(content)),
+      await this.runCheck(eventId, 'bundleInclusion', () => this.checkBundleInclusion(eventId, metadata, bundle)),
+      await this.runCheck(eventId, 'bundleProofBlock', () => this.checkBundleProofBlock(metadata.bundleId, metadata.bundleProofBlock))
+    ];
+  }
+
+  async verifyBundle(bundle) {
+    const {bundleId, content, metadata = {}} = bundle;
+    return [
+      await this.runCheck(bundleId, 'bundleId', () => this.checkHash(bundleId, content.idData)),
+      await this.runCheck(bundleId, 'signature', () => this.checkSignature(content)),
+      await this.runCheck(bundleId, 'entriesHash', () => this.checkEntriesHash(content)),
+      await this.runCheck(bundleId, 'bundleProofBlock', () => this.checkBundleProofBlock(bundleId, metadata.bundleProofBlock))
+    ];
+  }
+
+  /**
+   * A check passes when it returns nothing, is skipped when it returns the reason for skipping and fails when it throws.
+   */
+  async runCheck(subject, name, check) {
+    try {
+      const skipReason = await check();
+      if (skipReason) {
+        return {subject, name, status: VerificationCheckStatuses.skipped, reason: skipReason};
+      }
+      return {subject, name, status: VerificationCheckStatuses.passed};
+    } catch (err) {
+      return {subject, name, status: VerificationCheckStatuses.failed, reason: err.message};
+    }
+  }
+
+  checkHash(hash, data) {
+    if (!this.identityManager.checkHashMatches(hash, data)) {
+      throw new ValidationError(`Expected ${this.identityManager.calculateHash(data)}`);
+    }
+  }
+
+  checkDataHash(content) {
+    if (content.data === undefined) {
+      throw new ValidationError('Event data is hidden');
+    }
+    this.checkHash(content.idData.dataHash, content.data);
+  }
+
+  checkSignature({idData, signature}) {
+    this.identityManager.validateSignature(idData.createdBy, signature, idData);
+  }
+
+  checkEntriesHash({idData, entries}) {
+    if (!entries) {
+      return 'No bundle entries to recompute the hash from';
+    }
+    const entriesHash = this.bundleBuilder.calculateEntriesHash(this.bundleBuilder.extractIdsFromEntries(entries), idData.version);
+    if (entriesHash !== idData.entriesHash) {
+      throw new ValidationError(`Expected ${entriesHash}`);
+    }
+  }
+
+  checkBundleInclusion(entityId, metadata, bundle) {
+    if (!bundle) {
+      return metadata.bundleId ? `Bundle ${metadata.bundleId} not provided` : 'Not bundled yet';
+    }
+    if (metadata.bundleId && metadata.bundleId !== bundle.bundleId) {
+      throw new ValidationError(`Entity belongs to bundle ${metadata.bundleId}, not ${bundle.bundleId}`);
+    }
+    const {idData, entries} = bundle.content;
+    if (bundle.proofs && bundle.proofs[entityId]) {
+      const hash = (data) => this.identityManager.calculateHash(data);
+      if (!verifyMerkleProof(entityId, bundle.proofs[entityId], idData.entriesHash, hash)) {
+        throw new ValidationError(`Inclusion proof doesn't lead to the entriesHash`);
+      }
+      return;
+    }
+    const entriesIds = entries ? this.bundleBuilder.extractIdsFromEntries(entries) : bundle.entriesIds;
+    if (!entriesIds) {
+      throw new ValidationError('The bundle carries no evidence of the entity inclusion');
+    }
+    if (!entriesIds.includes(entityId)) {
+      throw new ValidationError(`Not among the entries of bundle ${bundle.bundleId}`);
+    }
+    if (this.bundleBuilder.calculateEntriesHash(entriesIds, idData.version) !== idData.entriesHash) {
+      throw new ValidationError(`Entries of bundle ${bundle.bundleId} don't match its entriesHash`);
+    }
+  }
+
+  async checkBundleProofBlock(bundleId, bundleProofBlock) {
+    if (!this.uploadActions) {
+      return 'No RPC provided';
+    }
+    if (!bundleId) {
+      return 'Not bundled yet';
+    }
+    const uploadData = await this.uploadActions.getBundleUploadData(bundleId);
+    if (uploadData === null) {
+      throw new ValidationError(`Bundle ${bundleId} has not been uploaded`);
+    }
+    if (bundleProofBlock === undefined || bundleProofBlock === null) {
+      return `No bundleProofBlock to compare, bundle uploaded in block ${uploadData.blockNumber}`;
+    }
+    if (Number(uploadData.blockNumber) !== Number(bundleProofBlock)) {
+      throw new ValidationError(`Bundle uploaded in block ${uploadData.blockNumber}, not ${bundleProofBlock}`);
+    }
+  }
+
+  describeVerdict({verified, failedCheck, checks}) {
+    const lines = checks.map(({subject, name, status, reason}) => `[${status}] ${subject} ${name}${reason ? ` - ${reason}` : ''}`);
+    lines.push(verified ? 'Verification succeeded' : `Verification failed: ${failedCheck.name} of ${failedCheck.subject}`);
+    return lines.join('\n');
+  }
+}
@@ -0,0 +1,76 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+/**
+ * Delivers events matching the find query object, in the order they were published.
+ * If the subscription is resumed after lastEvent, the events uploaded since then are replayed first.
+ * Events can be delivered more than once around the resume point, so subscribers should deduplicate them by eventId.
+ */
+export default class EventSubscription {
+  constructor(eventSubscriptionHub, findEventQueryObject, lastEvent = null, replayLimit = 1000) {
+    this.eventSubscriptionHub = eventSubscriptionHub;
+    this.findEventQueryObject = findEventQueryObject;
+    this.lastEvent = lastEvent;
+    this.replayLimit = replayLimit;
+    this.replayedEventIds = new Set();
+    this.queue = Promise.resolve();
+    this.active = false;
+  }
+
+  start(callbacks = {event: async () => {}, error: async () => {}}) {
+    this.callbacks = callbacks;
+    this.active = true;
+    this.unsubscribeFromHub = this.eventSubscriptionHub.subscribe((event) => this.enqueue(() => this.deliverIfMatching(event)));
+    this.enqueue(() => this.replayMissedEvents());
+    return this.queue;
+  }
+
+  unsubscribe() {
+    if (this.active) {
+      this.active = false;
+      this.unsubscribeFromHub();
+    }
+  }
+
+  enqueue(task) {
+    this.queue = this.queue
+      .then(async () => {
+        if (this.active) {
+          await task();
+        }
+      })
+      .catch(async (err) => {
+        this.unsubscribe();
+        await this.callbacks.error(err);
+      });
+  }
+
+  async replayMissedEvents() {
+    if (this.lastEvent === null) {
+      return;
+    }
+    const missedEvents = await this.findEventQueryObject.findUploadedSince(this.lastEvent.metadata.entityUploadTimestamp, this.replayLimit);
+    for (const event of missedEvents) {
+      if (event.eventId !== this.lastEvent.eventId) {
+        this.replayedEventIds.add(event.eventId);
+        await this.callbacks.event(event);
+      }
+    }
+  }
+
+  async deliverIfMatching(event) {
+    if (this.replayedEventIds.delete(event.eventId)) {
+      return;
+    }
+    const matchingEvent = await this.findEventQueryObject.findMatchingEvent(event.eventId);
+    if (matchingEvent !== null) {
+      await this.callbacks.event(matchingEvent);
+    }
+  }
+}
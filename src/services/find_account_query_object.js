@@ -19,6 +19,10 @@ export class FindAccountQueryObject extends FindQueryObject {
     return [['registeredOn', 'descending']];
   }
 
+  getIdField() {
+    return 'address';
+  }
+
   assembleQuery() {
     this.queryBuilder = new QueryBuilder();
 
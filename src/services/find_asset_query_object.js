@@ -11,14 +11,22 @@ import QueryBuilder from './query_builder';
 import FindQueryObject from './find_query_object';
 
 export class FindAssetQueryObject extends FindQueryObject {
-  constructor(db, criteria) {
-    super(db, 'assets', criteria);
+  constructor(db, criteria, resultCache = null) {
+    super(db, 'assets', criteria, resultCache);
   }
 
   getSortingKey() {
     return [['content.idData.timestamp', 'descending']];
   }
 
+  getIdField() {
+    return 'assetId';
+  }
+
+  getCacheScope() {
+    return this.criteria.assetIds !== undefined ? this.criteria.assetIds : null;
+  }
+
   assembleQuery() {
     this.queryBuilder = new QueryBuilder();
 
@@ -35,11 +43,12 @@ export class FindAssetQueryObject extends FindQueryObject {
 }
 
 export default class FindAssetQueryObjectFactory {
-  constructor(db) {
+  constructor(db, resultCache = null) {
     this.db = db;
+    this.resultCache = resultCache;
   }
 
   create(criteria) {
-    return new FindAssetQueryObject(this.db, criteria);
+    return new FindAssetQueryObject(this.db, criteria, this.resultCache);
   }
 }
@@ -0,0 +1,63 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import QueryBuilder from './query_builder';
+import FindQueryObject from './find_query_object';
+
+export class FindBundleQueryObject extends FindQueryObject {
+  constructor(db, criteria) {
+    super(db, 'bundle_metadata', criteria);
+  }
+
+  getBlacklistedFields() {
+    return {
+      _id: 0,
+      upload: 0,
+      bundlingPartition: 0
+    };
+  }
+
+  getSortingKey() {
+    return [['bundleUploadTimestamp', 'descending']];
+  }
+
+  getIdField() {
+    return 'bundleId';
+  }
+
+  assembleQuery() {
+    this.queryBuilder = new QueryBuilder();
+
+    const queryParts = {
+      fromTimestamp: {bundleUploadTimestamp: {$gte: this.criteria.fromTimestamp}},
+      toTimestamp: {bundleUploadTimestamp: {$lte: this.criteria.toTimestamp}},
+      fromProofBlock: {bundleProofBlock: {$gte: this.criteria.fromProofBlock}},
+      toProofBlock: {bundleProofBlock: {$lte: this.criteria.toProofBlock}},
+      status: {'repository.status': this.criteria.status},
+      storagePeriods: {storagePeriods: this.criteria.storagePeriods},
+      // holdUntil is stored as a date, the criteria are given as timestamps in seconds
+      fromHoldUntil: {'repository.holdUntil': {$gte: new Date(this.criteria.fromHoldUntil * 1000)}},
+      toHoldUntil: {'repository.holdUntil': {$lte: new Date(this.criteria.toHoldUntil * 1000)}}
+    };
+
+    this.queryBuilder.addNeededPartsToQuery(this.criteria, queryParts);
+
+    return this.queryBuilder.compose();
+  }
+}
+
+export default class FindBundleQueryObjectFactory {
+  constructor(db) {
+    this.db = db;
+  }
+
+  create(criteria) {
+    return new FindBundleQueryObject(this.db, criteria);
+  }
+}
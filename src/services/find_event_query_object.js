@@ -11,9 +11,28 @@ import QueryBuilder from './query_builder';
 import FindQueryObject from './find_query_object';
 import {pick} from '../utils/dict_utils';
 
+const structuredQueryOperators = Object.freeze({
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  nin: '$nin',
+  exists: '$exists'
+});
+
+const statsTimeBuckets = Object.freeze({
+  hour: {size: 3600, offset: 0},
+  day: {size: 86400, offset: 0},
+  // 1970-01-01 was a Thursday, the offset makes weeks start on Monday
+  week: {size: 604800, offset: 259200}
+});
+
 export class FindEventQueryObject extends FindQueryObject {
-  constructor(db, criteria, accessLevel) {
-    super(db, 'events', criteria);
+  constructor(db, criteria, accessLevel, resultCache = null) {
+    super(db, 'events', criteria, resultCache);
     this.accessLevel = accessLevel;
   }
 
@@ -21,15 +40,31 @@ export class FindEventQueryObject extends FindQueryObject {
     return [['content.idData.timestamp', 'descending']];
   }
 
+  getIdField() {
+    return 'eventId';
+  }
+
   getItemTransformer() {
     return (event) => this.hideEventDataIfNecessary(event, this.accessLevel);
   }
 
+  getCacheKey() {
+    return {...super.getCacheKey(), accessLevel: this.accessLevel};
+  }
+
+  getCacheScope() {
+    return this.criteria.assetId !== undefined ? [this.criteria.assetId] : null;
+  }
+
   addDefaultPart(key, value) {
     this.queryBuilder.add({'content.data': {$elemMatch: {[key]: value}}});
   }
 
   addGeoPart(value) {
+    if (value.locationPolygon !== undefined) {
+      this.queryBuilder.add({'content.data.geoJson': this.geoWithinCondition(value.locationPolygon)});
+      return;
+    }
     this.queryBuilder.add({'content.data.geoJson': {$near: {
       $geometry: {
         type: 'Point',
@@ -39,6 +74,10 @@ export class FindEventQueryObject extends FindQueryObject {
     }}});
   }
 
+  geoWithinCondition(polygon) {
+    return {$geoWithin: {$geometry: {type: 'Polygon', coordinates: [polygon]}}};
+  }
+
   addIdentifierPart(value) {
     for (const key in value) {
       const element = value[key];
@@ -46,6 +85,43 @@ export class FindEventQueryObject extends FindQueryObject {
     }
   }
 
+  /**
+   * Compiles a validated structured query (see EventQueryValidator) into a Mongo query.
+   * Conditions on `data.*` fields, as well as `entry` clauses, have to be satisfied by a single entry of the event data.
+   */
+  compileStructuredQuery(clause, resolveCondition = (field, condition) => this.resolveEventCondition(field, condition)) {
+    if (clause.and) {
+      return {$and: clause.and.map((subclause) => this.compileStructuredQuery(subclause, resolveCondition))};
+    }
+    if (clause.or) {
+      return {$or: clause.or.map((subclause) => this.compileStructuredQuery(subclause, resolveCondition))};
+    }
+    if (clause.not) {
+      return {$nor: [this.compileStructuredQuery(clause.not, resolveCondition)]};
+    }
+    if (clause.entry) {
+      return {'content.data': {$elemMatch: this.compileStructuredQuery(clause.entry, (field, condition) => ({[field]: condition}))}};
+    }
+    return resolveCondition(clause.field, {[structuredQueryOperators[clause.op]]: clause.value});
+  }
+
+  resolveEventCondition(field, condition) {
+    if (field.startsWith('data.')) {
+      return {'content.data': {$elemMatch: {[field.slice('data.'.length)]: condition}}};
+    }
+    return {[`content.idData.${field}`]: condition};
+  }
+
+  structuredQueryReferencesData(clause) {
+    if (clause.and || clause.or) {
+      return (clause.and || clause.or).some((subclause) => this.structuredQueryReferencesData(subclause));
+    }
+    if (clause.not) {
+      return this.structuredQueryReferencesData(clause.not);
+    }
+    return clause.entry !== undefined || clause.field.startsWith('data.');
+  }
+
   addDataAccessLevelLimitationIfNeeded(accessLevel) {
     if (!this.queryBuilder.queryParts.some((queryPart) => queryPart['content.idData.accessLevel'] !== undefined)) {
       const part = {'content.idData.accessLevel': {$lte: accessLevel}};
@@ -67,12 +143,155 @@ export class FindEventQueryObject extends FindQueryObject {
     return event.content.idData.accessLevel <= accessLevel ? event : pick(event, 'content.data');
   }
 
+  async findMatchingEvent(eventId) {
+    const query = {
+      $and: [this.assembleQuery(), {eventId}]
+    };
+    const event = await this.db
+      .collection(this.collection)
+      .findOne(query, {projection: this.getBlacklistedFields()});
+    return this.hideEventDataIfNecessary(event, this.accessLevel);
+  }
+
+  async findUploadedSince(uploadTimestamp, limit) {
+    const query = {
+      $and: [this.assembleQuery(), {'metadata.entityUploadTimestamp': {$gte: uploadTimestamp}}]
+    };
+    return this.db
+      .collection(this.collection)
+      .find(query, {
+        limit,
+        sort: [['metadata.entityUploadTimestamp', 'ascending']],
+        projection: this.getBlacklistedFields()
+      })
+      .map(this.getItemTransformer())
+      .toArray();
+  }
+
+  /**
+   * Events above the access level are left out entirely, as the types of their entries can't be checked without the data.
+   */
+  async findAllChronologicallyContainingEntryTypes(entryTypes) {
+    const query = {
+      $and: [
+        this.assembleQuery(),
+        {'content.idData.accessLevel': {$lte: this.accessLevel}},
+        {'content.data.type': {$in: entryTypes}}
+      ]
+    };
+    return this.db
+      .collection(this.collection)
+      .find(query, {
+        sort: [['content.idData.timestamp', 'ascending'], ['metadata.entityUploadTimestamp', 'ascending']],
+        projection: this.getBlacklistedFields()
+      })
+      .toArray();
+  }
+
+  async findAllAccessibleChronologically() {
+    const query = {
+      $and: [this.assembleQuery(), {'content.idData.accessLevel': {$lte: this.accessLevel}}]
+    };
+    return this.db
+      .collection(this.collection)
+      .find(query, {
+        sort: [['content.idData.timestamp', 'ascending'], ['metadata.entityUploadTimestamp', 'ascending']],
+        projection: this.getBlacklistedFields()
+      })
+      .toArray();
+  }
+
+  statsGroupingExpression(key) {
+    switch (key) {
+      case 'type':
+        return '$type';
+      case 'createdBy':
+      case 'assetId':
+        return `$content.idData.${key}`;
+      default: {
+        const {size, offset} = statsTimeBuckets[key];
+        const timestamp = '$content.idData.timestamp';
+        return {$subtract: [timestamp, {$mod: [{$add: [timestamp, offset]}, size]}]};
+      }
+    }
+  }
+
+  /**
+   * Counts the events matching the criteria in groups defined by groupBy keys (see validateAndCastEventStatsParams).
+   * Only events with access level not higher than the user's are counted. When grouping by type,
+   * an event is counted once for every distinct type of its entries.
+   */
+  async aggregateStats(groupBy, maxGroups) {
+    const query = {
+      $and: [this.assembleQuery(), {'content.idData.accessLevel': {$lte: this.accessLevel}}]
+    };
+    const pipeline = [{$match: query}];
+    if (groupBy.includes('type')) {
+      pipeline.push(
+        {$project: {'content.idData': 1, type: {$setUnion: ['$content.data.type', []]}}},
+        {$unwind: '$type'}
+      );
+    }
+    pipeline.push(
+      {$group: {
+        _id: groupBy.reduce((group, key) => ({...group, [key]: this.statsGroupingExpression(key)}), {}),
+        count: {$sum: 1}
+      }},
+      {$sort: groupBy.reduce((sort, key) => ({...sort, [`_id.${key}`]: 1}), {})},
+      {$limit: maxGroups + 1}
+    );
+
+    const groups = await this.db
+      .collection(this.collection)
+      .aggregate(pipeline, {allowDiskUse: true})
+      .toArray();
+    return {
+      results: groups
+        .slice(0, maxGroups)
+        .map(({_id: group, count}) => ({...group, count})),
+      truncated: groups.length > maxGroups
+    };
+  }
+
+  /**
+   * Finds assets whose latest `ambrosus.asset.location` entry, in the events matching the criteria and accessible with the access level,
+   * has coordinates within the polygon. Assets that have ever been within the polygon are selected first, with help of the geo index.
+   */
+  async findAssetIdsWithLatestLocationWithin(polygon) {
+    const accessibleQuery = {
+      $and: [this.assembleQuery(), {'content.idData.accessLevel': {$lte: this.accessLevel}}, {'content.data.type': 'ambrosus.asset.location'}]
+    };
+    const candidateAssetIds = await this.db
+      .collection(this.collection)
+      .distinct('content.idData.assetId', {$and: [accessibleQuery, {'content.data.geoJson': this.geoWithinCondition(polygon)}]});
+    if (candidateAssetIds.length === 0) {
+      return [];
+    }
+
+    const latestLocations = await this.db
+      .collection(this.collection)
+      .aggregate([
+        {$match: {$and: [accessibleQuery, {'content.idData.assetId': {$in: candidateAssetIds}}]}},
+        {$unwind: {path: '$content.data', includeArrayIndex: 'entryIndex'}},
+        {$match: {'content.data.type': 'ambrosus.asset.location'}},
+        {$sort: {'content.idData.timestamp': -1, 'metadata.entityUploadTimestamp': -1, entryIndex: -1}},
+        {$group: {_id: '$content.idData.assetId', geoJson: {$first: '$content.data.geoJson'}}},
+        {$match: {geoJson: this.geoWithinCondition(polygon)}},
+        {$sort: {_id: 1}}
+      ], {allowDiskUse: true})
+      .toArray();
+    return latestLocations.map(({_id: assetId}) => assetId);
+  }
+
   assembleQuery() {
     this.queryBuilder = new QueryBuilder();
 
-    if (this.criteria.data) {
+    if (this.criteria.data || (this.criteria.query && this.structuredQueryReferencesData(this.criteria.query))) {
       this.addDataAccessLevelLimitationIfNeeded(this.accessLevel);
     }
+    if (this.criteria.query) {
+      this.queryBuilder.add(this.compileStructuredQuery(this.criteria.query));
+    }
     for (const key in this.criteria.data) {
       switch (key) {
         case 'geoJson':
@@ -100,11 +319,12 @@ export class FindEventQueryObject extends FindQueryObject {
 }
 
 export default class FindEventQueryObjectFactory {
-  constructor(db) {
+  constructor(db, resultCache = null) {
     this.db = db;
+    this.resultCache = resultCache;
   }
 
   create(criteria, accessLevel) {
-    return new FindEventQueryObject(this.db, criteria, accessLevel);
+    return new FindEventQueryObject(this.db, criteria, accessLevel, this.resultCache);
   }
 }
@@ -7,11 +7,15 @@ This Source Code Form is subject to the terms of the Mozilla Public License, v.
 This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
 */
 
+import {get} from '../utils/dict_utils';
+import {CursorDirections, encodeCursor} from '../utils/pagination_cursor';
+
 export default class FindQueryObject {
-  constructor (db, collection, criteria = {}) {
+  constructor (db, collection, criteria = {}, resultCache = null) {
     this.db = db;
     this.collection = collection;
     this.criteria = criteria;
+    this.resultCache = resultCache;
   }
 
   getBlacklistedFields() {
@@ -29,26 +33,158 @@ export default class FindQueryObject {
     throw new Error(`Method 'assembleQuery' should be overridden`);
   }
 
+  /**
+   * Field uniquely identifying the entities. Cursor based pagination is only supported if it is provided.
+   */
+  getIdField() {
+    return null;
+  }
+
   getItemTransformer() {
     return null;
   }
 
+  /**
+   * Everything besides the collection the results depend on, identifying them in the result cache.
+   */
+  getCacheKey() {
+    return {criteria: this.criteria};
+  }
+
+  /**
+   * Asset ids the results are restricted to, so that cached results are only invalidated by writes to these assets.
+   * Null means the results can be affected by a write to any asset.
+   */
+  getCacheScope() {
+    return null;
+  }
+
+
+  getPageSize() {
+    return this.criteria.perPage || 100;
+  }
+
+  isPagingBackwards() {
+    return this.criteria.cursor !== undefined && this.criteria.cursor.direction === CursorDirections.prev;
+  }
+
+  /**
+   * The id field breaks ties between entities with equal sorting key, so that every entity has a unique position for the cursor.
+   */
+  getSortingKeyWithTieBreaker() {
+    if (this.getIdField() === null) {
+      return this.getSortingKey();
+    }
+    const [[sortingField, sortingDirection]] = this.getSortingKey();
+    const sortingKey = [[sortingField, sortingDirection], [this.getIdField(), sortingDirection]];
+    if (this.isPagingBackwards()) {
+      return sortingKey.map(([field, direction]) => [field, direction === 'descending' ? 'ascending' : 'descending']);
+    }
+    return sortingKey;
+  }
+
+  assembleCursorQuery() {
+    const [[sortingField, sortingDirection]] = this.getSortingKey();
+    const idField = this.getIdField();
+    const {value, id} = this.criteria.cursor;
+    const towardsLower = (sortingDirection === 'descending') !== this.isPagingBackwards();
+    const operator = towardsLower ? '$lt' : '$gt';
+
+    const alternatives = [{[sortingField]: value, [idField]: {[operator]: id}}];
+    if (value !== null) {
+      alternatives.push({[sortingField]: {[operator]: value}});
+    }
+    // missing values are sorted as the lowest ones
+    if (towardsLower && value !== null) {
+      alternatives.push({[sortingField]: null});
+    } else if (!towardsLower && value === null) {
+      alternatives.push({[sortingField]: {$ne: null}});
+    }
+    return {$or: alternatives};
+  }
+
+  assembleQueryWithCursor() {
+    const query = this.assembleQuery();
+    if (this.criteria.cursor === undefined) {
+      return query;
+    }
+    return {
+      $and: [query, this.assembleCursorQuery()]
+    };
+  }
 
   assembleOptionsForQuery() {
-    const pageSize = this.criteria.perPage || 100;
+    const pageSize = this.getPageSize();
     const pageNumber = this.criteria.page || 0;
-    const resultsToSkip = pageNumber * pageSize;
+    const resultsToSkip = this.criteria.cursor === undefined ? pageNumber * pageSize : 0;
 
     return {
       skip: resultsToSkip,
       limit: pageSize,
-      sort: this.getSortingKey(),
+      sort: this.getSortingKeyWithTieBreaker(),
       projection: this.getBlacklistedFields()
     };
   }
 
+  cursorPosition(entity) {
+    const [[sortingField]] = this.getSortingKey();
+    const value = get(entity, sortingField);
+    return {value: value === undefined ? null : value, id: get(entity, this.getIdField())};
+  }
+
+  assemblePaginationCursors(results) {
+    if (this.getIdField() === null) {
+      return {next: null, prev: null};
+    }
+    const {cursor, page} = this.criteria;
+    const isPageFull = results.length === this.getPageSize();
+    const firstPosition = results.length > 0 ? this.cursorPosition(results[0]) : cursor;
+    const lastPosition = results.length > 0 ? this.cursorPosition(results[results.length - 1]) : cursor;
+    const hasNext = this.isPagingBackwards() || isPageFull;
+    const hasPrev = this.isPagingBackwards() ? isPageFull : cursor !== undefined || page > 0;
+
+    return {
+      next: hasNext && lastPosition ? encodeCursor(lastPosition, CursorDirections.next) : null,
+      prev: hasPrev && firstPosition ? encodeCursor(firstPosition, CursorDirections.prev) : null
+    };
+  }
+
+  async countResults(cursor) {
+    if (this.criteria.cursor === undefined) {
+      return cursor.count(false);
+    }
+    return this.db
+      .collection(this.collection)
+      .count(this.assembleQuery());
+  }
+
+  /**
+   * Streams all entities matching the criteria, regardless of pagination, e.g. for exports.
+   * The returned Mongo cursor is a readable object stream, with the item transformer applied to every entity.
+   */
+  stream() {
+    const cursor = this.db
+      .collection(this.collection)
+      .find(this.assembleQuery(), {
+        sort: this.getSortingKeyWithTieBreaker(),
+        projection: this.getBlacklistedFields()
+      });
+
+    if (this.getItemTransformer() !== null) {
+      return cursor.map(this.getItemTransformer());
+    }
+    return cursor;
+  }
+
   async execute() {
-    const query = this.assembleQuery();
+    if (this.resultCache === null) {
+      return this.executeQuery();
+    }
+    return this.resultCache.fetch(this.collection, this.getCacheKey(), this.getCacheScope(), () => this.executeQuery());
+  }
+
+  async executeQuery() {
+    const query = this.assembleQueryWithCursor();
     const options = this.assembleOptionsForQuery();
     let cursor = this.db
       .collection(this.collection)
@@ -58,9 +194,15 @@ export default class FindQueryObject {
       cursor = cursor.map(this.getItemTransformer());
     }
 
+    const results = await cursor.toArray();
+    if (this.isPagingBackwards()) {
+      results.reverse();
+    }
+
     return {
-      results: await cursor.toArray(),
-      resultCount: await cursor.count(false)
+      results,
+      resultCount: this.criteria.skipCount ? undefined : await this.countResults(cursor),
+      ...this.assemblePaginationCursors(results)
     };
   }
 }
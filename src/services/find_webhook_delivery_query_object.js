@@ -0,0 +1,51 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import QueryBuilder from './query_builder';
+import FindQueryObject from './find_query_object';
+
+export class FindWebhookDeliveryQueryObject extends FindQueryObject {
+  constructor(db, criteria) {
+    super(db, 'webhook_deliveries', criteria);
+  }
+
+  getBlacklistedFields() {
+    return {
+      _id: 0
+    };
+  }
+
+  getSortingKey() {
+    return [['createdAt', 'descending']];
+  }
+
+  assembleQuery() {
+    this.queryBuilder = new QueryBuilder();
+
+    const queryParts = {
+      webhookId: {webhookId: this.criteria.webhookId},
+      status: {status: this.criteria.status},
+      trigger: {trigger: this.criteria.trigger}
+    };
+
+    this.queryBuilder.addNeededPartsToQuery(this.criteria, queryParts);
+
+    return this.queryBuilder.compose();
+  }
+}
+
+export default class FindWebhookDeliveryQueryObjectFactory {
+  constructor(db) {
+    this.db = db;
+  }
+
+  create(criteria) {
+    return new FindWebhookDeliveryQueryObject(this.db, criteria);
+  }
+}
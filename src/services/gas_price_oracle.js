@@ -0,0 +1,89 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import BN from 'bn.js';
+
+/**
+ * Prices transactions after the gas prices paid in the recent blocks: their median, multiplied by `gasPriceMultiplier`
+ * and kept between `gasPriceFloor` and `gasPriceCeiling` (both in gwei). When the recent blocks are empty, the floor is used.
+ */
+export default class GasPriceOracle {
+  constructor(web3, {gasPriceFloor, gasPriceCeiling, gasPriceMultiplier, gasPriceSampleBlocks}) {
+    this.web3 = web3;
+    this.gasPriceFloor = new BN(web3.utils.toWei(gasPriceFloor.toString(), 'gwei'));
+    this.gasPriceCeiling = new BN(web3.utils.toWei(gasPriceCeiling.toString(), 'gwei'));
+    this.gasPriceMultiplierInPercents = Math.round(gasPriceMultiplier * 100);
+    this.gasPriceSampleBlocks = gasPriceSampleBlocks;
+    this.blockGasPrices = new Map();
+    this.cachedGasPrice = null;
+  }
+
+  /**
+   * @returns {Promise<string>}: gas price in wei, recalculated once per block
+   */
+  async gasPrice() {
+    const latestBlockNumber = await this.web3.eth.getBlockNumber();
+    if (this.cachedGasPrice === null || this.cachedGasPrice.blockNumber !== latestBlockNumber) {
+      const recentGasPrices = await this.recentGasPrices(latestBlockNumber);
+      this.cachedGasPrice = {
+        blockNumber: latestBlockNumber,
+        gasPrice: this.priceAfter(recentGasPrices).toString()
+      };
+    }
+    return this.cachedGasPrice.gasPrice;
+  }
+
+  /**
+   * A pending transaction can only be replaced by one paying noticeably more, so the stuck price is bumped by 12.5% at least.
+   * @returns {Promise<string|null>}: gas price in wei, or null if the bumped price would exceed the ceiling
+   */
+  async replacementGasPrice(stuckGasPrice) {
+    const stuckGasPriceInWei = new BN(stuckGasPrice);
+    const bumpedGasPrice = stuckGasPriceInWei.add(stuckGasPriceInWei.divn(8));
+    if (bumpedGasPrice.gt(this.gasPriceCeiling)) {
+      return null;
+    }
+    return BN.max(bumpedGasPrice, new BN(await this.gasPrice())).toString();
+  }
+
+  priceAfter(gasPrices) {
+    if (gasPrices.length === 0) {
+      return this.gasPriceFloor;
+    }
+    const sortedGasPrices = [...gasPrices].sort((left, right) => left.cmp(right));
+    const medianGasPrice = sortedGasPrices[Math.floor((sortedGasPrices.length - 1) / 2)];
+    const gasPrice = medianGasPrice.muln(this.gasPriceMultiplierInPercents).divn(100);
+    return BN.min(BN.max(gasPrice, this.gasPriceFloor), this.gasPriceCeiling);
+  }
+
+  async recentGasPrices(latestBlockNumber) {
+    const firstBlockNumber = Math.max(0, latestBlockNumber - this.gasPriceSampleBlocks + 1);
+    for (const blockNumber of this.blockGasPrices.keys()) {
+      if (blockNumber < firstBlockNumber || blockNumber > latestBlockNumber) {
+        this.blockGasPrices.delete(blockNumber);
+      }
+    }
+    const gasPrices = [];
+    for (let blockNumber = firstBlockNumber; blockNumber <= latestBlockNumber; blockNumber++) {
+      if (!this.blockGasPrices.has(blockNumber)) {
+        this.blockGasPrices.set(blockNumber, await this.fetchBlockGasPrices(blockNumber));
+      }
+      gasPrices.push(...this.blockGasPrices.get(blockNumber));
+    }
+    return gasPrices;
+  }
+
+  async fetchBlockGasPrices(blockNumber) {
+    const block = await this.web3.eth.getBlock(blockNumber, true);
+    if (!block) {
+      return [];
+    }
+    return block.transactions.map(({gasPrice}) => new BN(gasPrice));
+  }
+}
@@ -0,0 +1,178 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {buildSchema, defaultFieldResolver, execute, formatError, parse, specifiedRules, validate} from 'graphql';
+import {AmbrosusError, AuthenticationError, NotFoundError, ValidationError} from '../errors/errors';
+import {maxCostRule, maxDepthRule} from '../utils/graphql_query_limits';
+
+export const schemaDefinition = `
+  scalar JSON
+
+  type Query {
+    asset(assetId: String!): Asset
+    events(assetId: String, createdBy: String, fromTimestamp: Int, toTimestamp: Int, data: JSON, page: Int, perPage: Int, cursor: String): EventPage
+    bundle(bundleId: String!): Bundle
+    accounts(accessLevel: Int, registeredBy: String, page: Int, perPage: Int, cursor: String): AccountPage
+  }
+
+  type Asset {
+    assetId: String!
+    content: JSON
+    metadata: JSON
+    events(createdBy: String, fromTimestamp: Int, toTimestamp: Int, data: JSON, page: Int, perPage: Int, cursor: String): EventPage
+    bundle: Bundle
+  }
+
+  type Event {
+    eventId: String!
+    content: JSON
+    metadata: JSON
+    bundle: Bundle
+  }
+
+  type Bundle {
+    bundleId: String!
+    storagePeriods: Int
+    bundleTransactionHash: String
+    bundleProofBlock: Int
+    bundleUploadTimestamp: Int
+    status: String
+  }
+
+  type Account {
+    address: String!
+    accessLevel: Int
+    permissions: [String!]
+    registeredBy: String
+    registeredOn: Int
+    organization: Int
+  }
+
+  type EventPage {
+    results: [Event!]!
+    resultCount: Int
+    next: String
+    prev: String
+  }
+
+  type AccountPage {
+    results: [Account!]!
+    resultCount: Int
+    next: String
+    prev: String
+  }
+`;
+
+const nullIfNotFound = async (promise) => {
+  try {
+    return await promise;
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const ensureAuthenticated = ({tokenData}) => {
+  if (!tokenData) {
+    throw new AuthenticationError('Authorization AMB_TOKEN header not found');
+  }
+  return tokenData;
+};
+
+const formatGraphqlError = (error) => {
+  const formattedError = formatError(error);
+  if (error.originalError instanceof AmbrosusError) {
+    return {...formattedError, extensions: {code: error.originalError.constructor.name}};
+  }
+  return formattedError;
+};
+
+/**
+ * Resolvers receive the token data decoded by the access token middleware in the context.
+ * The token is optional for the request as a whole: every field decides on its own whether it requires one.
+ */
+export default class GraphqlApi {
+  constructor(modelEngine, maxDepth, maxCost) {
+    this.modelEngine = modelEngine;
+    this.maxDepth = maxDepth;
+    this.maxCost = maxCost;
+    this.schema = buildSchema(schemaDefinition);
+    this.resolvers = this.createResolvers();
+  }
+
+  createResolvers() {
+    const getBundle = (bundleId) => (bundleId ? nullIfNotFound(this.modelEngine.getBundleMetadata(bundleId)) : null);
+    return {
+      Query: {
+        asset: (root, {assetId}) => nullIfNotFound(this.modelEngine.getAsset(assetId)),
+        events: (root, params, context) => this.modelEngine.findEvents(params, context.tokenData),
+        bundle: (root, {bundleId}) => getBundle(bundleId),
+        accounts: (root, params, context) => this.modelEngine.findAccounts(params, ensureAuthenticated(context))
+      },
+      Asset: {
+        events: (asset, params, context) => this.modelEngine.findEvents({...params, assetId: asset.assetId}, context.tokenData),
+        bundle: (asset) => getBundle(asset.metadata && asset.metadata.bundleId)
+      },
+      Event: {
+        bundle: (event) => getBundle(event.metadata && event.metadata.bundleId)
+      },
+      Bundle: {
+        status: (bundle) => this.modelEngine.getBundleStatus(bundle.bundleId)
+      }
+    };
+  }
+
+  resolveField(source, args, context, info) {
+    const typeResolvers = this.resolvers[info.parentType.name] || {};
+    const resolver = typeResolvers[info.fieldName];
+    if (resolver) {
+      return resolver(source, args, context);
+    }
+    return defaultFieldResolver(source, args, context, info);
+  }
+
+  async execute(query, variables, operationName, tokenData) {
+    if (typeof query !== 'string' || query.trim() === '') {
+      throw new ValidationError('GraphQL query should be a non-empty string');
+    }
+    if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+      throw new ValidationError('GraphQL variables should be an object');
+    }
+    const variableValues = variables || {};
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return {errors: [formatGraphqlError(error)]};
+    }
+
+    const rules = [...specifiedRules, maxDepthRule(this.maxDepth), maxCostRule(this.maxCost, variableValues)];
+    const validationErrors = validate(this.schema, document, rules);
+    if (validationErrors.length > 0) {
+      return {errors: validationErrors.map(formatGraphqlError)};
+    }
+
+    const result = await execute({
+      schema: this.schema,
+      document,
+      rootValue: {},
+      contextValue: {tokenData},
+      variableValues,
+      operationName,
+      fieldResolver: (source, args, context, info) => this.resolveField(source, args, context, info)
+    });
+    if (result.errors) {
+      return {...result, errors: result.errors.map(formatGraphqlError)};
+    }
+    return result;
+  }
+}
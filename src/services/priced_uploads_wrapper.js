@@ -0,0 +1,56 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {UploadsWrapper} from 'ambrosus-node-contracts';
+
+/**
+ * Registers bundles at the gas price given by the gas price oracle. The price is passed with the transaction itself,
+ * because every call to `contract()` loads a fresh contract instance with the default gas price.
+ * The registrations are tracked by the StuckTransactionReplacer. Once a registration is replaced, web3 never gets
+ * its receipt, so the registration is then completed by the replacement that got mined in its place.
+ */
+export default class PricedUploadsWrapper extends UploadsWrapper {
+  constructor(headWrapper, web3, defaultAddress, gasPriceOracle, stuckTransactionReplacer) {
+    super(headWrapper, web3, defaultAddress);
+    this.gasPriceOracle = gasPriceOracle;
+    this.stuckTransactionReplacer = stuckTransactionReplacer;
+  }
+
+  async registerBundle(bundleId, fee, storagePeriods) {
+    if (await this.stuckTransactionReplacer.hasPendingBundleTransaction(bundleId)) {
+      return this.waitForBundleRegistration(bundleId, new Error(`Registration of bundle ${bundleId} is still pending`));
+    }
+    const contract = await this.contract();
+    const gasPrice = await this.gasPriceOracle.gasPrice();
+    let tracking = null;
+    try {
+      const {blockNumber, transactionHash} = await contract.methods.registerBundle(bundleId, storagePeriods)
+        .send({from: this.defaultAddress, value: fee, gasPrice})
+        .on('transactionHash', (sentTransactionHash) => {
+          tracking = this.stuckTransactionReplacer.track(sentTransactionHash, {bundleId});
+        });
+      await tracking;
+      return {blockNumber, transactionHash};
+    } catch (err) {
+      if (tracking === null) {
+        throw err;
+      }
+      await tracking;
+      return this.waitForBundleRegistration(bundleId, err);
+    }
+  }
+
+  async waitForBundleRegistration(bundleId, error) {
+    const receipt = await this.stuckTransactionReplacer.waitForBundleTransaction(bundleId);
+    if (receipt === null || !receipt.status) {
+      throw error;
+    }
+    return {blockNumber: receipt.blockNumber, transactionHash: receipt.transactionHash};
+  }
+}
@@ -0,0 +1,121 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {getTimestamp} from '../utils/time_utils';
+
+/**
+ * Serializes criteria so that equal criteria give the same key regardless of the order of their fields.
+ */
+export const normalizeCriteria = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(normalizeCriteria).join(',')}]`;
+  }
+  if (value instanceof RegExp) {
+    return `regex:${value.toString()}`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${normalizeCriteria(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Keeps results of find queries for up to ttl seconds, evicting the least recently used ones above maxSize entries.
+ * Every entry has a scope - the asset ids its query is restricted to, or null for an unrestricted query - so that a write
+ * to an asset or its events only invalidates the entries which could have changed.
+ * Writes done by other processes, e.g. bundling, are not observed, so the ttl bounds how stale the results can get.
+ */
+export default class QueryResultCache {
+  constructor(maxSize, ttl) {
+    this.maxSize = maxSize;
+    this.ttl = ttl;
+    this.entries = new Map();
+    this.invalidationsCount = 0;
+    this.hitsCounter = null;
+    this.missesCounter = null;
+  }
+
+  registerMetrics(promClient, registry) {
+    this.hitsCounter = new promClient.Counter({
+      name: 'query_cache_hits_total',
+      help: 'Total number of find queries served from the cache',
+      labelNames: ['collection'],
+      registers: [registry]
+    });
+    this.missesCounter = new promClient.Counter({
+      name: 'query_cache_misses_total',
+      help: 'Total number of find queries executed against the database',
+      labelNames: ['collection'],
+      registers: [registry]
+    });
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry === undefined) {
+      return undefined;
+    }
+    this.entries.delete(key);
+    if (entry.expiresAt <= getTimestamp()) {
+      return undefined;
+    }
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, scope, value) {
+    this.entries.delete(key);
+    this.entries.set(key, {value, scope, expiresAt: getTimestamp() + this.ttl});
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async fetch(collection, query, scope, compute) {
+    const key = `${collection}|${normalizeCriteria(query)}`;
+    const cachedValue = this.get(key);
+    if (cachedValue !== undefined) {
+      this.countHit(collection);
+      return cachedValue;
+    }
+    this.countMiss(collection);
+    const invalidationsCountBefore = this.invalidationsCount;
+    const value = await compute();
+    // the result could already be outdated if a write happened while the query was running
+    if (invalidationsCountBefore === this.invalidationsCount) {
+      this.set(key, scope, value);
+    }
+    return value;
+  }
+
+  invalidate(assetId) {
+    this.invalidationsCount++;
+    for (const [key, {scope}] of this.entries) {
+      if (scope === null || scope.includes(assetId)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  countHit(collection) {
+    if (this.hitsCounter !== null) {
+      this.hitsCounter.inc({collection});
+    }
+  }
+
+  countMiss(collection) {
+    if (this.missesCounter !== null) {
+      this.missesCounter.inc({collection});
+    }
+  }
+}
@@ -0,0 +1,63 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+/**
+ * Keeps track of the transactions sent by the node, so that stuck ones can still be replaced after a restart.
+ * A transaction is linked to the bundle it registers or to the challenge it resolves, and a replacement takes
+ * the place of the transaction it replaces. Settled transactions - mined or dropped - are kept for a while,
+ * so that whoever waits for the transaction can find out how it ended.
+ */
+export default class SentTransactionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async storeTransaction({transactionHash, bundleId = null, challengeId = null, sentAt}) {
+    await this.db.collection('sent_transactions').insertOne({transactionHash, bundleId, challengeId, sentAt, pending: true});
+  }
+
+  async findPendingTransactions() {
+    return this.db.collection('sent_transactions')
+      .find({pending: true}, {projection: {_id: 0}})
+      .sort({sentAt: 1})
+      .toArray();
+  }
+
+  async getLatestTransactionOfBundle(bundleId) {
+    return this.getLatestTransaction({bundleId});
+  }
+
+  async getLatestTransactionOfChallenge(challengeId) {
+    return this.getLatestTransaction({challengeId});
+  }
+
+  async getLatestTransaction(query) {
+    const [transaction = null] = await this.db.collection('sent_transactions')
+      .find(query, {projection: {_id: 0}})
+      .sort({sentAt: -1})
+      .limit(1)
+      .toArray();
+    return transaction;
+  }
+
+  async replaceTransaction(transactionHash, replacement) {
+    await this.storeTransaction(replacement);
+    await this.db.collection('sent_transactions').deleteOne({transactionHash});
+  }
+
+  async settleTransaction(transactionHash, mined, settledAt) {
+    await this.db.collection('sent_transactions').updateOne({transactionHash}, {
+      $set: {pending: false, mined, settledAt}
+    });
+  }
+
+  async removeTransactionsSettledBefore(timestamp) {
+    await this.db.collection('sent_transactions').deleteMany({pending: false, settledAt: {$lt: timestamp}});
+  }
+}
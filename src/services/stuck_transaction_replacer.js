@@ -0,0 +1,132 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {getDefaultPrivateKey} from '../utils/web3_tools';
+import {sleep} from '../utils/time_utils';
+
+const RECEIPT_POLL_INTERVAL = 5;
+const SETTLED_TRANSACTION_RETENTION = 86400;
+
+/**
+ * Keeps track of the bundle registrations and challenge resolutions sent by the node. The ones pending for longer than
+ * `stuckTransactionTimeout` seconds are signed again with the same nonce and a higher gas price, so that the replacement
+ * gets mined in their place. The replacement is linked to the bundle or challenge of the transaction it replaces,
+ * so the sender can wait for it to be mined.
+ */
+export default class StuckTransactionReplacer {
+  constructor(web3, gasPriceOracle, sentTransactionRepository, stuckTransactionTimeout, transactionReceiptTimeout, sleepFunction = sleep) {
+    this.web3 = web3;
+    this.gasPriceOracle = gasPriceOracle;
+    this.sentTransactionRepository = sentTransactionRepository;
+    this.stuckTransactionTimeout = stuckTransactionTimeout;
+    this.transactionReceiptTimeout = transactionReceiptTimeout;
+    this.sleepFunction = sleepFunction;
+  }
+
+  async track(transactionHash, {bundleId = null, challengeId = null} = {}) {
+    await this.sentTransactionRepository.storeTransaction({transactionHash, bundleId, challengeId, sentAt: Date.now()});
+  }
+
+  async hasPendingBundleTransaction(bundleId) {
+    return this.isLatestTransactionPending(() => this.sentTransactionRepository.getLatestTransactionOfBundle(bundleId));
+  }
+
+  async hasPendingChallengeTransaction(challengeId) {
+    return this.isLatestTransactionPending(() => this.sentTransactionRepository.getLatestTransactionOfChallenge(challengeId));
+  }
+
+  async waitForBundleTransaction(bundleId) {
+    return this.waitForLatestTransaction(() => this.sentTransactionRepository.getLatestTransactionOfBundle(bundleId));
+  }
+
+  async waitForChallengeTransaction(challengeId) {
+    return this.waitForLatestTransaction(() => this.sentTransactionRepository.getLatestTransactionOfChallenge(challengeId));
+  }
+
+  async isLatestTransactionPending(getLatestTransaction) {
+    const transaction = await getLatestTransaction();
+    return transaction !== null && transaction.pending;
+  }
+
+  /**
+   * Waits for the latest transaction - the original one or a replacement sent in its place - to be mined.
+   * @returns {Promise<Object|null>}: the receipt, or null if the transaction was dropped or is still pending after
+   * `transactionReceiptTimeout` seconds
+   */
+  async waitForLatestTransaction(getLatestTransaction) {
+    const waitUntil = Date.now() + (this.transactionReceiptTimeout * 1000);
+    let transaction = await getLatestTransaction();
+    while (transaction !== null) {
+      const receipt = await this.web3.eth.getTransactionReceipt(transaction.transactionHash);
+      if (receipt !== null) {
+        return receipt;
+      }
+      if (!transaction.pending || Date.now() >= waitUntil) {
+        return null;
+      }
+      await this.sleepFunction(RECEIPT_POLL_INTERVAL);
+      transaction = await getLatestTransaction();
+    }
+    return null;
+  }
+
+  /**
+   * @returns {Promise<Array>}: {transactionHash, replacementTransactionHash, gasPrice} for every replaced transaction,
+   * {transactionHash, error} for every failed replacement
+   */
+  async replaceStuckTransactions() {
+    await this.sentTransactionRepository.removeTransactionsSettledBefore(Date.now() - (SETTLED_TRANSACTION_RETENTION * 1000));
+    const replacements = [];
+    for (const pendingTransaction of await this.sentTransactionRepository.findPendingTransactions()) {
+      try {
+        const replacement = await this.replaceIfStuck(pendingTransaction);
+        if (replacement !== null) {
+          replacements.push(replacement);
+        }
+      } catch (err) {
+        replacements.push({transactionHash: pendingTransaction.transactionHash, error: err.message});
+      }
+    }
+    return replacements;
+  }
+
+  async replaceIfStuck({transactionHash, bundleId, challengeId, sentAt}) {
+    if (await this.web3.eth.getTransactionReceipt(transactionHash) !== null) {
+      await this.sentTransactionRepository.settleTransaction(transactionHash, true, Date.now());
+      return null;
+    }
+    const transaction = await this.web3.eth.getTransaction(transactionHash);
+    if (transaction === null) {
+      await this.sentTransactionRepository.settleTransaction(transactionHash, false, Date.now());
+      return null;
+    }
+    if (Date.now() - sentAt < this.stuckTransactionTimeout * 1000) {
+      return null;
+    }
+    const gasPrice = await this.gasPriceOracle.replacementGasPrice(transaction.gasPrice);
+    if (gasPrice === null) {
+      return null;
+    }
+    const replacementTransactionHash = await this.sendReplacement(transaction, gasPrice);
+    await this.sentTransactionRepository.replaceTransaction(transactionHash, {transactionHash: replacementTransactionHash, bundleId, challengeId, sentAt: Date.now()});
+    return {transactionHash, replacementTransactionHash, gasPrice};
+  }
+
+  async sendReplacement({nonce, to, input, value, gas}, gasPrice) {
+    const {rawTransaction} = await this.web3.eth.accounts.signTransaction(
+      {nonce, to, data: input, value, gas, gasPrice},
+      getDefaultPrivateKey(this.web3)
+    );
+    return new Promise((resolve, reject) => {
+      this.web3.eth.sendSignedTransaction(rawTransaction)
+        .on('transactionHash', resolve)
+        .catch(reject);
+    });
+  }
+}
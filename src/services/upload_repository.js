@@ -8,7 +8,7 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 */
 
 
-import {ValidationError} from '../errors/errors';
+import {PermanentUploadError, ValidationError} from '../errors/errors';
 import {Role} from './roles_repository';
 import {InsufficientFundsToUploadBundleError} from 'ambrosus-node-contracts';
 
@@ -33,7 +33,7 @@ export default class UploadRepository {
     if (this.identityManager.nodeAddress() === previousUploader) {
       return this.receiptWithResult(this.uploadsActions.getBundleUploadData(bundleId), 'Bundle was already uploaded, updated metadata from chain');
     }
-    throw new Error('Bundle was already uploaded by a different HERMES node');
+    throw new PermanentUploadError('Bundle was already uploaded by a different HERMES node');
   }
 
   async receiptWithResult(uploadReceiptPromise, uploadResult) {
@@ -42,6 +42,7 @@ export default class UploadRepository {
       this.handleLowBalanceWarning(uploadReceipt);
       return {
         ...uploadReceipt,
+        gasUsed: await this.uploadGasUsed(uploadReceipt),
         uploadResult
       };
     } catch (error) {
@@ -52,6 +53,14 @@ export default class UploadRepository {
     }
   }
 
+  /**
+   * Upload actions don't pass the gas used on, so it is read from the transaction receipt.
+   */
+  async uploadGasUsed({transactionHash}) {
+    const transactionReceipt = await this.web3.eth.getTransactionReceipt(transactionHash);
+    return transactionReceipt ? transactionReceipt.gasUsed : null;
+  }
+
   handleLowBalanceWarning(uploadReceipt) {
     if (uploadReceipt.lowBalanceWarning) {
       this.sentry.captureMessage(
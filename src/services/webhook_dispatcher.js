@@ -0,0 +1,256 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import crypto from 'crypto';
+import URL from 'url';
+import validateAndCast from '../utils/validations';
+import {pick} from '../utils/dict_utils';
+import {getTimestamp} from '../utils/time_utils';
+import WebhookTriggers from '../utils/webhook_triggers';
+import WebhookDeliveryStatuses from '../utils/webhook_delivery_statuses';
+import {isPublicIpAddress, publicAddressLookup, resolveHostAddresses} from '../utils/network_utils';
+import {ValidationError} from '../errors/errors';
+
+const generateId = () => `0x${crypto.randomBytes(32).toString('hex')}`;
+
+export default class WebhookDispatcher {
+  constructor(webhookRepository, accountRepository, httpsClient, maxDeliveryAttempts, deliveryBackoffInSeconds, deliveryTimeout, resolveHost = resolveHostAddresses) {
+    this.webhookRepository = webhookRepository;
+    this.accountRepository = accountRepository;
+    this.httpsClient = httpsClient;
+    this.maxDeliveryAttempts = maxDeliveryAttempts;
+    this.deliveryBackoffInSeconds = deliveryBackoffInSeconds;
+    this.deliveryTimeout = deliveryTimeout;
+    this.resolveHost = resolveHost;
+  }
+
+  async validateWebhookRequest(webhookRequest) {
+    const triggers = Object.values(WebhookTriggers);
+    const validator = validateAndCast(webhookRequest)
+      .required(['url', 'triggers'])
+      .fieldsConstrainedToSet(['url', 'triggers', 'filters'])
+      .isUrl(['url'])
+      .validate(['url'], (url) => URL.parse(url).protocol === 'https:', 'should be an https URL')
+      .validate(
+        ['triggers'],
+        (requestedTriggers) => Array.isArray(requestedTriggers) && requestedTriggers.length > 0 && requestedTriggers.every((trigger) => triggers.includes(trigger)),
+        `should be a non-empty array of: ${triggers.join(', ')}`
+      )
+      .validate(['filters'], (filters) => filters !== null && typeof filters === 'object' && !Array.isArray(filters), 'should be an object');
+    if (webhookRequest.filters !== undefined) {
+      validator
+        .fieldsConstrainedToSet(['assetId', 'createdBy', 'eventType'], 'filters')
+        .isHash(['filters.assetId'])
+        .isAddress(['filters.createdBy']);
+    }
+    let hostIsPublic;
+    try {
+      hostIsPublic = await this.isHostPublic(webhookRequest.url);
+    } catch (error) {
+      throw new ValidationError(`Could not resolve the host of url: ${error.message || error}`);
+    }
+    if (!hostIsPublic) {
+      throw new ValidationError('url should not point to a private, loopback or link-local address');
+    }
+  }
+
+  /**
+   * Webhooks must not be used to reach the internal network of the node, so every address the host resolves to has to be public.
+   */
+  async isHostPublic(url) {
+    const addresses = await this.resolveHost(URL.parse(url).hostname);
+    return addresses.length > 0 && addresses.every(isPublicIpAddress);
+  }
+
+  validateAndCastFindDeliveriesParams(params) {
+    return validateAndCast(params)
+      .fieldsConstrainedToSet(['page', 'perPage', 'status', 'trigger'])
+      .castNumber(['page', 'perPage'])
+      .isNonNegativeInteger(['page', 'perPage'])
+      .validate(['perPage'], (perPage) => perPage <= 100, 'pageSize should not be higher than 100')
+      .validate(['perPage'], (perPage) => perPage > 0, 'pageSize should be positive')
+      .validate(['status'], (status) => Object.values(WebhookDeliveryStatuses).includes(status), 'is not a valid delivery status')
+      .validate(['trigger'], (trigger) => Object.values(WebhookTriggers).includes(trigger), 'is not a valid trigger')
+      .getCastedParams();
+  }
+
+  createWebhook(webhookRequest, createdBy) {
+    return {
+      webhookId: generateId(),
+      url: webhookRequest.url,
+      triggers: webhookRequest.triggers,
+      filters: webhookRequest.filters || {},
+      secret: crypto.randomBytes(32).toString('hex'),
+      createdBy,
+      createdOn: getTimestamp()
+    };
+  }
+
+  async dispatchAssetCreated(asset) {
+    await this.dispatch(WebhookTriggers.assetCreated, [asset], ([matchingAsset]) => ({asset: matchingAsset}));
+  }
+
+  async dispatchEventCreated(event) {
+    await this.dispatch(WebhookTriggers.eventCreated, [event], ([matchingEvent]) => ({event: matchingEvent}));
+  }
+
+  async dispatchBundleUploaded(bundle, proofMetadata) {
+    await this.dispatch(WebhookTriggers.bundleUploaded, bundle.content.entries, (matchingEntries) => ({
+      bundleId: bundle.bundleId,
+      ...proofMetadata,
+      entries: matchingEntries.map((entry) => (entry.assetId ?
+        {assetId: entry.assetId} :
+        {eventId: entry.eventId, assetId: entry.content.idData.assetId}))
+    }));
+  }
+
+  /**
+   * Stores a delivery for every webhook registered for the trigger that matches at least one of the entries.
+   * Entries are filtered and stripped of private data according to the access level of the webhook creator.
+   */
+  async dispatch(trigger, entries, preparePayload) {
+    const webhooks = await this.webhookRepository.findWebhooksForTrigger(trigger);
+    const deliveries = [];
+    for (const webhook of webhooks) {
+      const accessLevel = await this.getAccessLevel(webhook.createdBy);
+      const matchingEntries = entries
+        .filter((entry) => this.entryMatchesFilters(entry, webhook.filters, accessLevel))
+        .map((entry) => this.hideEventDataIfNecessary(entry, accessLevel));
+      if (matchingEntries.length > 0) {
+        deliveries.push(this.createDelivery(webhook, trigger, preparePayload(matchingEntries)));
+      }
+    }
+    if (deliveries.length > 0) {
+      await this.webhookRepository.storeDeliveries(deliveries);
+    }
+  }
+
+  async getAccessLevel(address) {
+    const account = await this.accountRepository.get(address);
+    return account ? account.accessLevel : 0;
+  }
+
+  isDataVisible(entry, accessLevel) {
+    return entry.content.data !== undefined && !(entry.content.idData.accessLevel > accessLevel);
+  }
+
+  hideEventDataIfNecessary(entry, accessLevel) {
+    if (entry.content.data === undefined || this.isDataVisible(entry, accessLevel)) {
+      return entry;
+    }
+    return pick(entry, 'content.data');
+  }
+
+  entryMatchesFilters(entry, filters = {}, accessLevel) {
+    const {idData} = entry.content;
+    if (filters.assetId !== undefined && filters.assetId !== (entry.assetId || idData.assetId)) {
+      return false;
+    }
+    if (filters.createdBy !== undefined && filters.createdBy.toLowerCase() !== idData.createdBy.toLowerCase()) {
+      return false;
+    }
+    if (filters.eventType !== undefined) {
+      return this.isDataVisible(entry, accessLevel) && entry.content.data.some((dataEntry) => dataEntry.type === filters.eventType);
+    }
+    return true;
+  }
+
+  createDelivery(webhook, trigger, payload) {
+    const currentTimestamp = getTimestamp();
+    return {
+      deliveryId: generateId(),
+      webhookId: webhook.webhookId,
+      trigger,
+      payload,
+      status: WebhookDeliveryStatuses.pending,
+      attempts: 0,
+      createdAt: currentTimestamp,
+      nextAttemptAt: currentTimestamp
+    };
+  }
+
+  async deliverPendingDeliveries(limit) {
+    const deliveries = await this.webhookRepository.findDeliveriesToSend(getTimestamp(), limit);
+    for (const delivery of deliveries) {
+      await this.attemptDelivery(delivery);
+    }
+    return deliveries.length;
+  }
+
+  async attemptDelivery(delivery) {
+    const attempts = delivery.attempts + 1;
+    const attemptTimestamp = getTimestamp();
+    const webhook = await this.webhookRepository.getWebhookWithSecret(delivery.webhookId);
+    let result;
+    if (webhook === null) {
+      result = {status: WebhookDeliveryStatuses.failed, error: 'Webhook has been removed'};
+    } else {
+      try {
+        if (await this.isHostPublic(webhook.url)) {
+          result = await this.postDelivery(webhook, delivery, attempts, attemptTimestamp);
+        } else {
+          result = {status: WebhookDeliveryStatuses.failed, error: 'Webhook url points to a private, loopback or link-local address'};
+        }
+      } catch (error) {
+        result = {...this.scheduleNextAttempt(attempts, attemptTimestamp), error: error.message || error};
+      }
+    }
+    await this.webhookRepository.updateDelivery(delivery.deliveryId, {...result, attempts, lastAttemptAt: attemptTimestamp});
+  }
+
+  async postDelivery(webhook, delivery, attempts, attemptTimestamp) {
+    const body = this.prepareRequestBody(delivery, attemptTimestamp);
+    const {statusCode} = await this.httpsClient.performHTTPSPost(
+      webhook.url,
+      URL.parse(webhook.url).path,
+      body,
+      this.prepareRequestHeaders(webhook, delivery, body),
+      {timeout: this.deliveryTimeout, lookup: publicAddressLookup}
+    );
+    if (statusCode >= 200 && statusCode < 300) {
+      return {status: WebhookDeliveryStatuses.delivered, responseStatusCode: statusCode};
+    }
+    return {...this.scheduleNextAttempt(attempts, attemptTimestamp), responseStatusCode: statusCode, error: `Received code ${statusCode}`};
+  }
+
+  scheduleNextAttempt(attempts, attemptTimestamp) {
+    if (attempts >= this.maxDeliveryAttempts) {
+      return {status: WebhookDeliveryStatuses.failed};
+    }
+    return {
+      status: WebhookDeliveryStatuses.pending,
+      nextAttemptAt: attemptTimestamp + (this.deliveryBackoffInSeconds * (2 ** (attempts - 1)))
+    };
+  }
+
+  prepareRequestBody(delivery, timestamp) {
+    return JSON.stringify({
+      deliveryId: delivery.deliveryId,
+      webhookId: delivery.webhookId,
+      trigger: delivery.trigger,
+      timestamp,
+      payload: delivery.payload
+    });
+  }
+
+  prepareRequestHeaders(webhook, delivery, body) {
+    return {
+      'Content-Type': 'application/json',
+      'X-Ambrosus-Webhook-Id': webhook.webhookId,
+      'X-Ambrosus-Delivery-Id': delivery.deliveryId,
+      'X-Ambrosus-Signature': `sha256=${this.sign(webhook.secret, body)}`
+    };
+  }
+
+  sign(secret, body) {
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(body);
+    return hmac.digest('hex');
+  }
+}
@@ -0,0 +1,73 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import WebhookDeliveryStatuses from '../utils/webhook_delivery_statuses';
+
+export default class WebhookRepository {
+  constructor(db) {
+    this.db = db;
+    this.blacklistedFields = {
+      _id: 0,
+      secret: 0
+    };
+  }
+
+  async storeWebhook(webhook) {
+    await this.db.collection('webhooks').insertOne({...webhook});
+  }
+
+  async getWebhook(webhookId) {
+    return this.db.collection('webhooks').findOne({webhookId}, {projection: this.blacklistedFields});
+  }
+
+  async getWebhookWithSecret(webhookId) {
+    return this.db.collection('webhooks').findOne({webhookId}, {projection: {_id: 0}});
+  }
+
+  async findWebhooksCreatedBy(address) {
+    return this.db.collection('webhooks')
+      .find({createdBy: address}, {projection: this.blacklistedFields, sort: [['createdOn', 'descending']]})
+      .toArray();
+  }
+
+  async findWebhooksForTrigger(trigger) {
+    return this.db.collection('webhooks')
+      .find({triggers: trigger}, {projection: this.blacklistedFields})
+      .toArray();
+  }
+
+  async removeWebhook(webhookId) {
+    await this.db.collection('webhooks').deleteOne({webhookId});
+    await this.db.collection('webhook_deliveries').deleteMany({webhookId});
+  }
+
+  async storeDeliveries(deliveries) {
+    await this.db.collection('webhook_deliveries').insertMany(deliveries.map((delivery) => ({...delivery})));
+  }
+
+  async findDeliveriesToSend(currentTimestamp, limit) {
+    return this.db.collection('webhook_deliveries')
+      .find(
+        {
+          status: WebhookDeliveryStatuses.pending,
+          nextAttemptAt: {$lte: currentTimestamp}
+        },
+        {
+          projection: {_id: 0},
+          sort: [['nextAttemptAt', 'ascending']],
+          limit
+        }
+      )
+      .toArray();
+  }
+
+  async updateDelivery(deliveryId, fields) {
+    await this.db.collection('webhook_deliveries').updateOne({deliveryId}, {$set: fields});
+  }
+}
@@ -14,6 +14,8 @@ import {Role} from './services/roles_repository';
 import {waitForChainSync} from './utils/web3_tools';
 import {setup} from './utils/instrument_process';
 import CleanupWorker from './workers/cleanup_worker';
+import BundleCompressionWorker from './workers/bundle_compression_worker';
+import TransactionReplacementWorker from './workers/transaction_replacement_worker';
 
 async function start(logger) {
   const builder = new Builder();
@@ -35,7 +37,8 @@ async function start(logger) {
     logger,
     builder.client,
     config.serverPort,
-    config.requiredFreeDiskSpace
+    config.requiredFreeDiskSpace,
+    builder.gasPriceOracle
   );
   const cleanupWorker = new CleanupWorker(
     builder.dataModelEngine,
@@ -43,8 +46,22 @@ async function start(logger) {
     logger,
     config.cleanupWorkerInterval
   );
+  const bundleCompressionWorker = new BundleCompressionWorker(
+    builder.dataModelEngine,
+    builder.workerTaskTrackingRepository,
+    logger,
+    config.bundleCompressionWorkerInterval,
+    config.bundleCompressionBatchSize
+  );
+  const transactionReplacementWorker = new TransactionReplacementWorker(
+    builder.stuckTransactionReplacer,
+    logger,
+    config.transactionReplacementWorkerInterval
+  );
   await atlasWorker.start();
   await cleanupWorker.start();
+  await bundleCompressionWorker.start();
+  await transactionReplacementWorker.start();
 }
 
 function loadStrategy(strategyName) {
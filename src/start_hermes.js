@@ -10,6 +10,9 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 import config from './config/config';
 import Builder from './builder';
 import HermesWorker from './workers/hermes_worker';
+import WebhookWorker from './workers/webhook_worker';
+import TransactionReplacementWorker from './workers/transaction_replacement_worker';
+import BundleCompressionWorker from './workers/bundle_compression_worker';
 import {Role} from './services/roles_repository';
 import {waitForChainSync} from './utils/web3_tools';
 import {setup} from './utils/instrument_process';
@@ -24,7 +27,7 @@ async function start(logger) {
     message: 'Ethereum client is not in sync. Retrying in 5 seconds'
   }));
   await builder.ensureAccountIsOnboarded([Role.HERMES]);
-  const strategy = loadStrategy(config.uploadStrategy);
+  const strategy = loadStrategy(config.uploadStrategy, config, builder.dataModelEngine);
   const worker = new HermesWorker(
     builder.dataModelEngine,
     builder.workerLogRepository,
@@ -34,12 +37,33 @@ async function start(logger) {
     builder.client,
     config.serverPort
   );
+  const webhookWorker = new WebhookWorker(
+    builder.dataModelEngine,
+    builder.workerTaskTrackingRepository,
+    logger,
+    config.webhookWorkerInterval
+  );
+  const bundleCompressionWorker = new BundleCompressionWorker(
+    builder.dataModelEngine,
+    builder.workerTaskTrackingRepository,
+    logger,
+    config.bundleCompressionWorkerInterval,
+    config.bundleCompressionBatchSize
+  );
+  const transactionReplacementWorker = new TransactionReplacementWorker(
+    builder.stuckTransactionReplacer,
+    logger,
+    config.transactionReplacementWorkerInterval
+  );
   await worker.start();
+  await webhookWorker.start();
+  await transactionReplacementWorker.start();
+  await bundleCompressionWorker.start();
 }
 
-function loadStrategy(uploadStrategy) {
+function loadStrategy(uploadStrategy, config, dataModelEngine) {
   const HermesUploadStrategy = require(`./workers/hermes_strategies/${uploadStrategy}`).default;
-  return new HermesUploadStrategy();
+  return new HermesUploadStrategy(config, dataModelEngine);
 }
 
 setup(start);
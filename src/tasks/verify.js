@@ -0,0 +1,84 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import fs from 'fs';
+import Web3 from 'web3';
+import {
+  BlockchainStateWrapper,
+  ChallengesEventEmitterWrapper,
+  FeesWrapper,
+  HeadWrapper,
+  ShelteringWrapper,
+  UploadActions,
+  UploadsWrapper
+} from 'ambrosus-node-contracts';
+import IdentityManager from '../services/identity_manager';
+import BundleBuilder from '../services/bundle_builder';
+import EntityVerifier from '../services/entity_verifier';
+import {createReadOnlyWeb3} from '../utils/web3_tools';
+import config from '../config/config';
+
+const usage = 'Usage: yarn verify <asset, event, bundle or export file> [--bundle <bundle file>] [--rpc <url>] [--json]';
+
+const parseArguments = (args) => {
+  const options = {json: false};
+  const files = [];
+  for (let index = 0; index < args.length; index++) {
+    if (args[index] === '--json') {
+      options.json = true;
+    } else if (args[index] === '--bundle' || args[index] === '--rpc') {
+      options[args[index].slice(2)] = args[index + 1];
+      index++;
+    } else {
+      files.push(args[index]);
+    }
+  }
+  const missingOptionValue = ['bundle', 'rpc'].some((option) => option in options && !options[option]);
+  if (files.length !== 1 || missingOptionValue) {
+    throw new Error(usage);
+  }
+  return {...options, file: files[0]};
+};
+
+const readJson = (path) => JSON.parse(fs.readFileSync(path, 'utf8'));
+
+// Only reads the upload data from the chain, so no node private key is needed and no address sends transactions
+const createUploadActions = (rpc) => {
+  const web3 = createReadOnlyWeb3(rpc);
+  const defaultAddress = null;
+  const headWrapper = new HeadWrapper(config.headContractAddress, web3, defaultAddress);
+  return new UploadActions(
+    new UploadsWrapper(headWrapper, web3, defaultAddress),
+    new FeesWrapper(headWrapper, web3, defaultAddress),
+    new ShelteringWrapper(headWrapper, web3, defaultAddress),
+    new BlockchainStateWrapper(web3),
+    new ChallengesEventEmitterWrapper(headWrapper, web3, defaultAddress),
+    web3.utils.toWei(config.lowFundsWarningAmount, 'ether')
+  );
+};
+
+const verify = async (args) => {
+  const {file, bundle, rpc, json} = parseArguments(args);
+  const identityManager = new IdentityManager(new Web3());
+  const uploadActions = rpc ? createUploadActions(rpc) : null;
+  const verifier = new EntityVerifier(identityManager, new BundleBuilder(identityManager), uploadActions);
+
+  const verdict = await verifier.verify(readJson(file), bundle ? readJson(bundle) : null);
+  console.log(json ? JSON.stringify(verdict, null, 2) : verifier.describeVerdict(verdict));
+  return verdict.verified;
+};
+
+verify(process.argv.slice(2))
+  .then((verified) => {
+    process.exit(verified ? 0 : 1);
+  })
+  .catch((err) => {
+    console.error(err.message || err);
+    process.exit(2);
+  });
@@ -9,9 +9,14 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 
 import {MongoClient} from 'mongodb';
 import querystring from 'querystring';
+import zlib from 'zlib';
+import {pipeline as pipelineWithCallback, Writable} from 'stream';
+import {promisify} from 'util';
 import StringReadStream from './string_read_stream';
 import StringWriteStream from './string_write_stream';
 
+const pipeline = promisify(pipelineWithCallback);
+
 const createMongoUrl = (config) => {
   const query = {};
   let credentials = '';
@@ -56,13 +61,64 @@ const isFileInGridFSBucket = async (filename, bucket) => {
   return await gridFSCursor.count() > 0;
 };
 
-const uploadJSONToGridFSBucket = async (filename, json, bucket) => {
-  const writeStream = bucket.openUploadStream(
-    filename,
-    {
-      contentType: 'application/json'
+const GZIP_CONTENT_ENCODING = 'gzip';
+
+const isGridFSFileCompressed = (file) => Boolean(file.metadata) && file.metadata.contentEncoding === GZIP_CONTENT_ENCODING;
+
+const compressedFileMetadata = (metadata = {}) => ({...metadata, contentEncoding: GZIP_CONTENT_ENCODING});
+
+const pipeWithErrors = (readStream, transformStream) => {
+  readStream.on('error', (err) => transformStream.destroy(err));
+  return readStream.pipe(transformStream);
+};
+
+/**
+ * Gzips everything written to it into a new GridFS file, which is marked as compressed in its metadata.
+ * Like a GridFS upload stream it finishes only after the file is completely stored, and it can be aborted.
+ */
+class CompressedGridFSUploadStream extends Writable {
+  constructor(filename, bucket) {
+    super();
+    this.gzip = zlib.createGzip();
+    this.uploadStream = bucket.openUploadStream(filename, {
+      contentType: 'application/json',
+      metadata: compressedFileMetadata()
+    });
+    this.gzip.on('error', (err) => this.destroy(err));
+    this.uploadStream.on('error', (err) => this.destroy(err));
+    this.gzip.pipe(this.uploadStream);
+  }
+
+  _write(chunk, encoding, callback) {
+    if (this.gzip.write(chunk, encoding)) {
+      callback();
+    } else {
+      this.gzip.once('drain', () => callback());
     }
-  );
+  }
+
+  _final(callback) {
+    this.uploadStream.once('finish', () => callback());
+    this.gzip.end();
+  }
+
+  abort(callback) {
+    this.gzip.unpipe(this.uploadStream);
+    return this.uploadStream.abort(callback);
+  }
+}
+
+const openCompressedGridFSUploadStream = (filename, bucket) => new CompressedGridFSUploadStream(filename, bucket);
+
+const uploadJSONToGridFSBucket = async (filename, json, bucket, compress = false) => {
+  const writeStream = compress ?
+    openCompressedGridFSUploadStream(filename, bucket) :
+    bucket.openUploadStream(
+      filename,
+      {
+        contentType: 'application/json'
+      }
+    );
 
   const serializedJSON = JSON.stringify(json);
   const readStream = new StringReadStream(serializedJSON);
@@ -70,8 +126,27 @@ const uploadJSONToGridFSBucket = async (filename, json, bucket) => {
   await asyncPipe(readStream, writeStream);
 };
 
+const findLatestGridFSFile = async (filename, bucket) => bucket.find({filename}, {limit: 1, sort: {uploadDate: -1}}).next();
+
+/**
+ * Streams the latest revision of the file, compressed with gzip or not - regardless of how it is stored.
+ * @returns {Promise<ReadableStream|null>}: null if there is no such file
+ */
+const openGridFSDownloadStream = async (filename, bucket, compressed = false) => {
+  const file = await findLatestGridFSFile(filename, bucket);
+  if (file === null) {
+    return null;
+  }
+  const {_id: fileId} = file;
+  const downloadStream = bucket.openDownloadStream(fileId);
+  if (compressed === isGridFSFileCompressed(file)) {
+    return downloadStream;
+  }
+  return pipeWithErrors(downloadStream, compressed ? zlib.createGzip() : zlib.createGunzip());
+};
+
 const downloadJSONFromGridFSBucket = async (filename, bucket) => {
-  const readStream = bucket.openDownloadStreamByName(filename);
+  const readStream = await openGridFSDownloadStream(filename, bucket);
   const writeStream = new StringWriteStream();
 
   await asyncPipe(readStream, writeStream);
@@ -80,4 +155,54 @@ const downloadJSONFromGridFSBucket = async (filename, bucket) => {
   return JSON.parse(serializedJSON);
 };
 
-export {connectToMongo, cleanDatabase, createMongoUrl, isFileInGridFSBucket, uploadJSONToGridFSBucket, downloadJSONFromGridFSBucket};
+const isGridFSFileNotFoundError = (err) => typeof err.message === 'string' && err.message.startsWith('FileNotFound');
+
+/**
+ * Stores a compressed revision of an uncompressed file and then removes the original one.
+ * Readers see either of the revisions in a consistent state, as the compressed one is only visible once it is complete.
+ * If the original gets removed in the meantime, the compressed revision is removed as well, so it can't bring the file back.
+ * @returns {Promise<boolean>}: false if the original file was already gone
+ */
+const compressGridFSFile = async (file, bucket) => {
+  const {_id: fileId} = file;
+  const uploadStream = bucket.openUploadStream(file.filename, {
+    contentType: file.contentType,
+    metadata: compressedFileMetadata(file.metadata || {})
+  });
+  try {
+    await pipeline(bucket.openDownloadStream(fileId), zlib.createGzip(), uploadStream);
+  } catch (err) {
+    await uploadStream.abort().catch(() => {});
+    if (isGridFSFileNotFoundError(err)) {
+      return false;
+    }
+    throw err;
+  }
+  try {
+    await bucket.delete(fileId);
+  } catch (err) {
+    if (!isGridFSFileNotFoundError(err)) {
+      throw err;
+    }
+    await bucket.delete(uploadStream.id).catch((deleteErr) => {
+      if (!isGridFSFileNotFoundError(deleteErr)) {
+        throw deleteErr;
+      }
+    });
+    return false;
+  }
+  return true;
+};
+
+export {
+  connectToMongo,
+  cleanDatabase,
+  createMongoUrl,
+  isFileInGridFSBucket,
+  isGridFSFileCompressed,
+  uploadJSONToGridFSBucket,
+  downloadJSONFromGridFSBucket,
+  openGridFSDownloadStream,
+  openCompressedGridFSUploadStream,
+  compressGridFSFile
+};
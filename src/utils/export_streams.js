@@ -0,0 +1,140 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {Transform} from 'stream';
+import {ValidationError} from '../errors/errors';
+
+export const ExportFormats = Object.freeze({
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv'
+});
+
+export const requestedExportFormat = (req) => {
+  const acceptedType = req.accepts(['application/json', ...Object.values(ExportFormats)]);
+  return Object.values(ExportFormats).includes(acceptedType) ? acceptedType : null;
+};
+
+const jsonPathPattern = /^(\$\.)?[\w$-]+(\.[\w$-]+|\[\d+\])*$/;
+
+/**
+ * CSV columns are selected with comma separated JSON paths, like `eventId,content.idData.timestamp,content.data[0].type`.
+ */
+export const parseCsvColumns = (columns, defaultColumns) => {
+  if (columns === undefined) {
+    return defaultColumns;
+  }
+  if (typeof columns !== 'string') {
+    throw new ValidationError('columns should be a comma separated list of JSON paths');
+  }
+  const paths = columns.split(',').map((path) => path.trim());
+  const invalidPath = paths.find((path) => !jsonPathPattern.test(path));
+  if (invalidPath !== undefined) {
+    throw new ValidationError(`columns: ${invalidPath} is not a valid JSON path`);
+  }
+  return paths;
+};
+
+const pathSegments = (path) => path
+  .replace(/^\$\./, '')
+  .replace(/\[(\d+)\]/g, '.$1')
+  .split('.');
+
+const valueAtPath = (entity, segments) => segments.reduce(
+  (value, segment) => (value !== null && typeof value === 'object' ? value[segment] : undefined),
+  entity
+);
+
+// spreadsheet applications evaluate cells starting with these characters as formulas
+const FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+
+const formatCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const serialized = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const text = typeof value !== 'number' && FORMULA_PREFIX_REGEX.test(serialized) ? `'${serialized}` : serialized;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export class NdjsonStream extends Transform {
+  constructor() {
+    super({writableObjectMode: true, encoding: 'utf8'});
+  }
+
+  _transform(entity, encoding, callback) {
+    callback(null, `${JSON.stringify(entity)}\n`);
+  }
+}
+
+export class CsvStream extends Transform {
+  constructor(columns) {
+    super({writableObjectMode: true, encoding: 'utf8'});
+    this.columns = columns;
+    this.columnSegments = columns.map(pathSegments);
+    this.headerSent = false;
+  }
+
+  formatRow(values) {
+    return `${values.map(formatCsvValue).join(',')}\r\n`;
+  }
+
+  // the header is held back until the first entity, so that query errors can still be responded to with an error status
+  pushHeaderOnce() {
+    if (!this.headerSent) {
+      this.push(this.formatRow(this.columns));
+      this.headerSent = true;
+    }
+  }
+
+  _transform(entity, encoding, callback) {
+    this.pushHeaderOnce();
+    callback(null, this.formatRow(this.columnSegments.map((segments) => valueAtPath(entity, segments))));
+  }
+
+  _flush(callback) {
+    this.pushHeaderOnce();
+    callback();
+  }
+}
+
+export const createExportStream = (format, columns, defaultColumns) => {
+  if (format === ExportFormats.csv) {
+    return new CsvStream(parseCsvColumns(columns, defaultColumns));
+  }
+  if (columns !== undefined) {
+    throw new ValidationError('columns can only be selected for CSV exports');
+  }
+  return new NdjsonStream();
+};
+
+/**
+ * Once the first rows are sent the response status can no longer be changed,
+ * so errors happening later only abort the response. The entity stream is closed if the client disconnects.
+ */
+export const sendExport = (res, format, entityStream, exportStream) => new Promise((resolve, reject) => {
+  const fail = (error) => {
+    if (res.headersSent) {
+      res.destroy(error);
+      resolve();
+    } else {
+      res.removeHeader('Content-Type');
+      reject(error);
+    }
+  };
+  entityStream.on('error', fail);
+  exportStream.on('error', fail);
+  res.on('finish', resolve);
+  res.on('close', () => {
+    entityStream.destroy();
+    resolve();
+  });
+
+  res.status(200).type(format);
+  entityStream.pipe(exportStream).pipe(res);
+});
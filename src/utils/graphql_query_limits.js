@@ -0,0 +1,116 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {GraphQLError, Kind, getNamedType, isCompositeType} from 'graphql';
+
+export const defaultPageSize = 100;
+
+const isIntrospectionField = (field) => field.name.value.startsWith('__');
+
+// Page sizes the API would reject are costed as the default (and largest) page, so they can never lower the cost of a query
+const validPageSizeOr = (requestedPageSize) => {
+  const pageSize = Number(requestedPageSize);
+  return Number.isInteger(pageSize) && pageSize >= 1 && pageSize <= defaultPageSize ? pageSize : defaultPageSize;
+};
+
+const pageSizeOf = (field, fieldDefinition, variables) => {
+  if (!fieldDefinition || !fieldDefinition.args.some((arg) => arg.name === 'perPage')) {
+    return 1;
+  }
+  const perPageArgument = (field.arguments || []).find((argument) => argument.name.value === 'perPage');
+  if (!perPageArgument) {
+    return defaultPageSize;
+  }
+  const {value} = perPageArgument;
+  if (value.kind === Kind.VARIABLE) {
+    return validPageSizeOr(variables[value.name.value]);
+  }
+  return validPageSizeOr(value.value);
+};
+
+/**
+ * Walks the selection set of an operation, descending into fragments, and folds it into a single number.
+ * Fragments already visited on the current path are skipped, the cycles themselves are reported by the standard rules.
+ */
+const measureSelectionSet = (context, selectionSet, parentType, visitedFragments, measurement) => selectionSet.selections
+  .map((selection) => {
+    if (selection.kind === Kind.FIELD) {
+      if (isIntrospectionField(selection)) {
+        return 0;
+      }
+      const fieldDefinition = parentType && parentType.getFields()[selection.name.value];
+      const fieldType = fieldDefinition && getNamedType(fieldDefinition.type);
+      const measureChildren = () => (selection.selectionSet ?
+        measureSelectionSet(context, selection.selectionSet, isCompositeType(fieldType) ? fieldType : null, visitedFragments, measurement) :
+        0);
+      return measurement.field(selection, fieldDefinition, measureChildren);
+    }
+    if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragmentName = selection.name.value;
+      const fragment = context.getFragment(fragmentName);
+      if (!fragment || visitedFragments.includes(fragmentName)) {
+        return 0;
+      }
+      const fragmentType = context.getSchema().getType(fragment.typeCondition.name.value);
+      return measureSelectionSet(context, fragment.selectionSet, fragmentType, [...visitedFragments, fragmentName], measurement);
+    }
+    const fragmentType = selection.typeCondition ? context.getSchema().getType(selection.typeCondition.name.value) : parentType;
+    return measureSelectionSet(context, selection.selectionSet, fragmentType, visitedFragments, measurement);
+  })
+  .reduce(measurement.combine, 0);
+
+const operationRootType = (context, operation) => {
+  const schema = context.getSchema();
+  switch (operation.operation) {
+    case 'mutation':
+      return schema.getMutationType();
+    case 'subscription':
+      return schema.getSubscriptionType();
+    default:
+      return schema.getQueryType();
+  }
+};
+
+export const measureDepth = (context, operation) => {
+  const measurement = {
+    field: (field, fieldDefinition, measureChildren) => 1 + measureChildren(),
+    combine: (deepest, depth) => Math.max(deepest, depth)
+  };
+  return measureSelectionSet(context, operation.selectionSet, operationRootType(context, operation), [], measurement);
+};
+
+/**
+ * Every resolved field costs 1. Fields taking a `perPage` argument return a page of entities,
+ * so the cost of their selection is multiplied by the requested (or default) page size.
+ */
+export const measureCost = (context, operation, variables = {}) => {
+  const measurement = {
+    field: (field, fieldDefinition, measureChildren) => 1 + (pageSizeOf(field, fieldDefinition, variables) * measureChildren()),
+    combine: (total, cost) => total + cost
+  };
+  return measureSelectionSet(context, operation.selectionSet, operationRootType(context, operation), [], measurement);
+};
+
+export const maxDepthRule = (maxDepth) => (context) => ({
+  OperationDefinition(operation) {
+    const depth = measureDepth(context, operation);
+    if (depth > maxDepth) {
+      context.reportError(new GraphQLError(`Query depth ${depth} exceeds the maximum allowed depth of ${maxDepth}`, [operation]));
+    }
+  }
+});
+
+export const maxCostRule = (maxCost, variables) => (context) => ({
+  OperationDefinition(operation) {
+    const cost = measureCost(context, operation, variables);
+    if (cost > maxCost) {
+      context.reportError(new GraphQLError(`Query cost ${cost} exceeds the maximum allowed cost of ${maxCost}`, [operation]));
+    }
+  }
+});
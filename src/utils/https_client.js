@@ -10,6 +10,7 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 import https from 'https';
 import http from 'http';
 import URL from 'url';
+import zlib from 'zlib';
 import {NotFoundError, PermissionError, ValidationError, AuthenticationError} from '../errors/errors';
 
 const DEFAULT_TIMEOUT = 300000;
@@ -40,12 +41,21 @@ export default class HttpsClient {
     });
   }
 
+  /**
+   * Requests a gzip compressed transfer, the resolved response stream is already decompressed.
+   */
   async openHTTPSGetStream(uri, path, defaultOptions = {timeout: DEFAULT_TIMEOUT}) {
-    const {agent, options} = this.prepareRequest(uri, path, defaultOptions);
+    const {agent, options} = this.prepareRequest(uri, path, {
+      ...defaultOptions,
+      headers: {
+        ...defaultOptions.headers,
+        'Accept-Encoding': 'gzip'
+      }
+    });
     return new Promise((resolve, reject) => {
       try {
         const clientRequest = agent.get(options, (response) => {
-          resolve({response, statusCode: response.statusCode});
+          resolve({response: this.decompressResponse(response), statusCode: response.statusCode});
         });
         this.handleRequestErrors(clientRequest, reject);
       } catch (error) {
@@ -54,6 +64,39 @@ export default class HttpsClient {
     });
   }
 
+  async performHTTPSPost(uri, path, body, headers = {}, defaultOptions = {timeout: DEFAULT_TIMEOUT}) {
+    const {agent, options} = this.prepareRequest(uri, path, {
+      ...defaultOptions,
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Length': Buffer.byteLength(body)
+      }
+    });
+    return new Promise((resolve, reject) => {
+      try {
+        const clientRequest = agent.request(options, (response) => {
+          response.resume();
+          response.on('end', () => resolve({statusCode: response.statusCode}));
+          response.on('error', reject);
+        });
+        this.handleRequestErrors(clientRequest, reject);
+        clientRequest.end(body);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  decompressResponse(response) {
+    if (response.headers['content-encoding'] !== 'gzip') {
+      return response;
+    }
+    const gunzip = zlib.createGunzip();
+    response.on('error', (error) => gunzip.destroy(error));
+    return response.pipe(gunzip);
+  }
+
   handleRequestErrors(clientRequest, reject) {
     clientRequest.on('error', reject)
       .on('timeout', () => {
@@ -0,0 +1,92 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+export const MerkleProofPositions = Object.freeze({
+  left: 'left',
+  right: 'right'
+});
+
+export const LEAF_HASH_PREFIX = '0x00';
+export const NODE_HASH_PREFIX = '0x01';
+
+/**
+ * Leaves and inner nodes are hashed with different prefixes, so that an inner node can never pass for a leaf.
+ */
+const hashLeaf = (leaf, hash) => hash([LEAF_HASH_PREFIX, leaf]);
+
+const hashNode = (left, right, hash) => hash([NODE_HASH_PREFIX, left, right]);
+
+/**
+ * Builds all levels of a Merkle tree, starting with the hashed leaves and ending with the single-element root level.
+ * A node without a sibling is promoted to the next level unchanged.
+ */
+const buildLevels = (leaves, hash) => {
+  const levels = [leaves.map((leaf) => hashLeaf(leaf, hash))];
+  while (levels[levels.length - 1].length > 1) {
+    const currentLevel = levels[levels.length - 1];
+    const nextLevel = [];
+    for (let index = 0; index < currentLevel.length; index += 2) {
+      if (index + 1 < currentLevel.length) {
+        nextLevel.push(hashNode(currentLevel[index], currentLevel[index + 1], hash));
+      } else {
+        nextLevel.push(currentLevel[index]);
+      }
+    }
+    levels.push(nextLevel);
+  }
+  return levels;
+};
+
+export const calculateMerkleRoot = (leaves, hash) => {
+  if (leaves.length === 0) {
+    return hash([]);
+  }
+  const levels = buildLevels(leaves, hash);
+  return levels[levels.length - 1][0];
+};
+
+const proofFromLevels = (levels, leafIndex) => {
+  if (leafIndex < 0 || leafIndex >= levels[0].length) {
+    throw new Error(`Leaf index ${leafIndex} is out of range`);
+  }
+  const proof = [];
+  let index = leafIndex;
+  for (const level of levels.slice(0, -1)) {
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+    if (siblingIndex < level.length) {
+      proof.push({
+        position: siblingIndex < index ? MerkleProofPositions.left : MerkleProofPositions.right,
+        hash: level[siblingIndex]
+      });
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+};
+
+/**
+ * Proofs of several leaves of the same tree, which is only built once for all of them.
+ */
+export const calculateMerkleProofs = (leaves, leafIndexes, hash) => {
+  const levels = buildLevels(leaves, hash);
+  return leafIndexes.map((leafIndex) => proofFromLevels(levels, leafIndex));
+};
+
+export const calculateMerkleProof = (leaves, leafIndex, hash) => {
+  const [proof] = calculateMerkleProofs(leaves, [leafIndex], hash);
+  return proof;
+};
+
+export const verifyMerkleProof = (leaf, proof, root, hash) => {
+  const calculatedRoot = proof.reduce(
+    (acc, {position, hash: siblingHash}) => (position === MerkleProofPositions.left ? hashNode(siblingHash, acc, hash) : hashNode(acc, siblingHash, hash)),
+    hashLeaf(leaf, hash)
+  );
+  return calculatedRoot === root;
+};
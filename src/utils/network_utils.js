@@ -0,0 +1,101 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import dns from 'dns';
+import net from 'net';
+import {promisify} from 'util';
+
+const NON_PUBLIC_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const ipv4ToNumber = (address) => address.split('.').reduce((acc, octet) => (acc * 256) + Number(octet), 0);
+
+const isInIpv4Range = (address, [rangeBase, prefixLength]) => {
+  const blockSize = 2 ** (32 - prefixLength);
+  return Math.floor(ipv4ToNumber(address) / blockSize) === Math.floor(ipv4ToNumber(rangeBase) / blockSize);
+};
+
+const isPublicIpv4Address = (address) => !NON_PUBLIC_IPV4_RANGES.some((range) => isInIpv4Range(address, range));
+
+const expandIpv6Address = (address) => {
+  const [withoutZone] = address.split('%');
+  const embeddedIpv4 = /\d+\.\d+\.\d+\.\d+$/.exec(withoutZone);
+  const hexAddress = embeddedIpv4 ?
+    withoutZone.replace(embeddedIpv4[0], () => {
+      const value = ipv4ToNumber(embeddedIpv4[0]);
+      return `${Math.floor(value / 0x10000).toString(16)}:${(value % 0x10000).toString(16)}`;
+    }) :
+    withoutZone;
+  const [head, tail] = hexAddress.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const skippedGroups = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...Array(skippedGroups).fill('0'), ...tailGroups].map((group) => parseInt(group, 16));
+};
+
+const isPublicIpv6Address = (address) => {
+  const groups = expandIpv6Address(address);
+  if (groups.slice(0, 5).every((group) => group === 0) && groups[5] === 0xffff) {
+    return isPublicIpv4Address(`${groups[6] >> 8}.${groups[6] & 0xff}.${groups[7] >> 8}.${groups[7] & 0xff}`);
+  }
+  return !(
+    groups.slice(0, 6).every((group) => group === 0) || // unspecified, loopback and IPv4-compatible
+    (groups[0] & 0xfe00) === 0xfc00 || // unique local
+    (groups[0] & 0xffc0) === 0xfe80 || // link-local
+    (groups[0] & 0xff00) === 0xff00 // multicast
+  );
+};
+
+/**
+ * False for private, loopback, link-local and other addresses that are not reachable from the internet, and for malformed ones.
+ */
+export const isPublicIpAddress = (address) => {
+  switch (net.isIP(address)) {
+    case 4:
+      return isPublicIpv4Address(address);
+    case 6:
+      return isPublicIpv6Address(address);
+    default:
+      return false;
+  }
+};
+
+const lookup = promisify(dns.lookup);
+
+export const resolveHostAddresses = async (hostname) => {
+  const results = await lookup(hostname, {all: true});
+  return results.map(({address}) => address);
+};
+
+/**
+ * Drop-in for the `lookup` option of http(s) requests, which refuses to connect to non-public addresses.
+ * Checking the address that is actually connected to prevents the host from resolving differently after it was checked.
+ */
+export const publicAddressLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address.map((result) => result.address) : [address];
+    const nonPublicAddress = addresses.find((resolvedAddress) => !isPublicIpAddress(resolvedAddress));
+    if (nonPublicAddress !== undefined) {
+      return callback(new Error(`${hostname} resolves to a non-public address ${nonPublicAddress}`));
+    }
+    return callback(null, address, family);
+  });
+};
@@ -0,0 +1,52 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {ValidationError} from '../errors/errors';
+
+export const CursorDirections = Object.freeze({
+  next: 'next',
+  prev: 'prev'
+});
+
+const toUrlSafeBase64 = (base64) => base64
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const fromUrlSafeBase64 = (urlSafeBase64) => urlSafeBase64
+  .replace(/-/g, '+')
+  .replace(/_/g, '/');
+
+const isValidPosition = (position) => position !== null &&
+  typeof position === 'object' &&
+  ['string', 'number'].includes(typeof position.id) &&
+  (position.value === null || ['string', 'number'].includes(typeof position.value)) &&
+  Object.values(CursorDirections).includes(position.direction);
+
+/**
+ * Cursors are opaque to the clients: a url-safe base64 encoding of the sorting key value and id of the entity
+ * next to which the page starts, together with the direction in which the page continues.
+ */
+export const encodeCursor = ({value, id}, direction) => toUrlSafeBase64(Buffer.from(JSON.stringify({value, id, direction})).toString('base64'));
+
+export const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') {
+    throw new ValidationError('Invalid pagination cursor');
+  }
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(fromUrlSafeBase64(cursor), 'base64').toString());
+  } catch (err) {
+    throw new ValidationError('Invalid pagination cursor');
+  }
+  if (!isValidPosition(position)) {
+    throw new ValidationError('Invalid pagination cursor');
+  }
+  return position;
+};
@@ -0,0 +1,41 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+// languages supported by MongoDB text search, other languages are indexed without stemming
+const textSearchLanguages = ['da', 'nl', 'en', 'fi', 'fr', 'de', 'hu', 'it', 'nb', 'pt', 'ro', 'ru', 'es', 'sv', 'tr'];
+
+const textSearchLanguage = (locale) => {
+  if (!locale) {
+    return 'none';
+  }
+  const [language] = locale.toLowerCase().split('-');
+  return textSearchLanguages.includes(language) ? language : 'none';
+};
+
+const searchTerms = (search) => search
+  .replace(/"/g, ' ')
+  .split(/\s+/)
+  .filter((term) => term !== '' && !term.startsWith('-'));
+
+/**
+ * Returns an excerpt of the text, of at most maxLength characters, around the first occurrence of any of the terms.
+ * If none of the terms occurs in the text, the beginning of the text is returned.
+ */
+const makeSnippet = (text, terms, maxLength = 160) => {
+  const lowerCaseText = text.toLowerCase();
+  const positions = terms
+    .map((term) => lowerCaseText.indexOf(term.toLowerCase()))
+    .filter((position) => position >= 0);
+  const matchPosition = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, Math.min(matchPosition - Math.floor(maxLength / 4), text.length - maxLength));
+  const end = Math.min(text.length, start + maxLength);
+  return `${start > 0 ? '...' : ''}${text.slice(start, end).trim()}${end < text.length ? '...' : ''}`;
+};
+
+export {textSearchLanguage, searchTerms, makeSnippet};
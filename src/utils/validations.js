@@ -9,6 +9,7 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 
 import {get, put} from './dict_utils';
 import {ValidationError} from '../errors/errors';
+import {decodeCursor} from './pagination_cursor';
 
 const trimObject = (object, maxLength = 500) => {
   const stringifiedObject = object.toString();
@@ -60,6 +61,29 @@ class ValidationAndCasting {
     return this;
   }
 
+  castBoolean(valueNames) {
+    for (const valueName of valueNames) {
+      const value = get(this.params, valueName);
+      if (value !== undefined) {
+        if (![true, false, 'true', 'false'].includes(value)) {
+          throw new ValidationError(`Invalid ${valueName} parameter value. ${trimObject(value)} is not a boolean`);
+        }
+        this.params = put(this.params, valueName, value === true || value === 'true');
+      }
+    }
+    return this;
+  }
+
+  castPaginationCursor(valueNames) {
+    for (const valueName of valueNames) {
+      const value = get(this.params, valueName);
+      if (value !== undefined) {
+        this.params = put(this.params, valueName, decodeCursor(value));
+      }
+    }
+    return this;
+  }
+
   isNonNegativeInteger(valueNames) {
     for (const valueName of valueNames) {
       const value = get(this.params, valueName);
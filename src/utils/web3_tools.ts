@@ -80,6 +80,17 @@ export async function createWeb3(conf: Config = config): Promise<Web3> {
   return web3;
 }
 
+/**
+ * Creates a web3 instance without any wallet account, for reading from the chain only. Unlike createWeb3, it does not
+ * need the node private key.
+ */
+export function createReadOnlyWeb3(rpc: string): Web3 {
+  if (!isValidRPCAddress(rpc)) {
+    throw new Error(`Invalid web3 rpc server address: ${rpc}`);
+  }
+  return new Web3(new Web3.providers.HttpProvider(rpc));
+}
+
 export function getDefaultAddress(web3: Web3): string {
   // note: web3.eth.defaultAccount actually stores an address of the default account, and not the full account :P
   const {defaultAccount} = web3.eth;
@@ -95,17 +106,21 @@ export function getDefaultPrivateKey(web3: Web3): string {
   return account.privateKey;
 }
 
-export function loadContract(web3: Web3, abi: any[], address: string): Contract {
+export function defaultGasPrice(web3: Web3): string {
+  return web3.utils.toWei(config.defaultGasPrice.toString(), 'shannon');
+}
+
+export function loadContract(web3: Web3, abi: any[], address: string, gasPrice: string = defaultGasPrice(web3)): Contract {
   return new web3.eth.Contract(abi, address, {
     gas: DEFAULT_GAS,
-    gasPrice: web3.utils.toWei(config.defaultGasPrice.toString(), 'shannon')
+    gasPrice
   });
 }
-export async function deployContract(web3: Web3, json: any, args = [], options = {}): Promise<Contract> {
+export async function deployContract(web3: Web3, json: any, args = [], options = {}, gasPrice: string = defaultGasPrice(web3)): Promise<Contract> {
   const defaultAddress = getDefaultAddress(web3);
   return new web3.eth.Contract(json.abi, undefined, {
     gas: DEFAULT_GAS,
-    gasPrice: web3.utils.toWei(config.defaultGasPrice.toString(), 'shannon')
+    gasPrice
   }).deploy({data: json.bytecode, arguments: args})
     .send({
       from: defaultAddress,
@@ -145,8 +160,8 @@ export async function getBalance(web3, address) {
   return await web3.eth.getBalance(address);
 }
 
-export async function checkIfEnoughFundsToPayForGas(web3, address) {
-  const maximalGasCost = new BN(DEFAULT_GAS).mul(web3.utils.toWei(new BN(config.defaultGasPrice), 'gwei'));
+export async function checkIfEnoughFundsToPayForGas(web3, address, gasPrice = defaultGasPrice(web3)) {
+  const maximalGasCost = new BN(DEFAULT_GAS).mul(new BN(gasPrice));
   return new BN(await getBalance(web3, address)).gte(maximalGasCost);
 }
 
@@ -0,0 +1,58 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import Validator from './validator';
+import JsonSchemaValidator from './json_schema_validator';
+import eventQuerySchema from './schemas/event_query.json';
+import {ValidationError} from '../errors/errors';
+
+/**
+ * Checks the structure of a structured event query against the schema,
+ * and limits its size so that a single query can't overload the database.
+ */
+export default class EventQueryValidator extends Validator {
+  constructor(maxClauses, maxDepth) {
+    super();
+    this.schemaValidator = new JsonSchemaValidator(eventQuerySchema);
+    this.maxClauses = maxClauses;
+    this.maxDepth = maxDepth;
+  }
+
+  validate(query) {
+    this.schemaValidator.validate(query);
+    if (this.depthOf(query) > this.maxDepth) {
+      throw new ValidationError(`Query should not be nested deeper than ${this.maxDepth} levels`);
+    }
+    if (this.clausesCountOf(query) > this.maxClauses) {
+      throw new ValidationError(`Query should not have more than ${this.maxClauses} conditions`);
+    }
+  }
+
+  subclausesOf(clause) {
+    if (clause.and || clause.or) {
+      return clause.and || clause.or;
+    }
+    if (clause.not || clause.entry) {
+      return [clause.not || clause.entry];
+    }
+    return [];
+  }
+
+  depthOf(clause) {
+    return 1 + Math.max(0, ...this.subclausesOf(clause).map((subclause) => this.depthOf(subclause)));
+  }
+
+  clausesCountOf(clause) {
+    const subclauses = this.subclausesOf(clause);
+    if (subclauses.length === 0) {
+      return 1;
+    }
+    return subclauses.reduce((count, subclause) => count + this.clausesCountOf(subclause), 0);
+  }
+}
@@ -37,7 +37,8 @@ export default class AtlasWorker extends PeriodicWorker {
     logger,
     mongoClient,
     serverPort,
-    requiredFreeDiskSpace
+    requiredFreeDiskSpace,
+    gasPriceOracle
   ) {
     super(strategy.workerInterval, logger);
     this.web3 = web3;
@@ -49,6 +50,7 @@ export default class AtlasWorker extends PeriodicWorker {
     this.failedChallengesCache = failedChallengesCache;
     this.mongoClient = mongoClient;
     this.requiredFreeDiskSpace = requiredFreeDiskSpace;
+    this.gasPriceOracle = gasPriceOracle;
     this.isOutOfFunds = false;
     this.isOutOfSpace = false;
     this.expressApp = express();
@@ -154,7 +156,7 @@ export default class AtlasWorker extends PeriodicWorker {
   }
 
   async isEnoughFundsToPayForGas() {
-    if (!await checkIfEnoughFundsToPayForGas(this.web3, getDefaultAddress(this.web3))) {
+    if (!await checkIfEnoughFundsToPayForGas(this.web3, getDefaultAddress(this.web3), await this.gasPriceOracle.gasPrice())) {
       if (!this.isOutOfFunds) {
         await this.addLog('Not enough funds to pay for gas');
         this.isOutOfFunds = true;
@@ -0,0 +1,45 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import PeriodicWorker from './periodic_worker';
+
+const COMPRESSION_WORK_TYPE = 'BundleCompression';
+
+/**
+ * Compresses the bundles stored before compression was introduced, a batch at a time, so that nodes with large stores
+ * do not have to wait for all of them before starting.
+ */
+export default class BundleCompressionWorker extends PeriodicWorker {
+  constructor(dataModelEngine, workerTaskTrackingRepository, logger, workerInterval, batchSize) {
+    super(workerInterval, logger);
+    this.dataModelEngine = dataModelEngine;
+    this.workerTaskTrackingRepository = workerTaskTrackingRepository;
+    this.batchSize = batchSize;
+  }
+
+  async periodicWork() {
+    let workId = null;
+    try {
+      workId = await this.workerTaskTrackingRepository.tryToBeginWork(COMPRESSION_WORK_TYPE);
+    } catch (err) {
+      return;
+    }
+    try {
+      const {compressedCount, failedCount} = await this.dataModelEngine.compressStoredBundles(this.batchSize);
+      if (compressedCount > 0) {
+        this.logger.info(`Compressed ${compressedCount} stored bundles`);
+      }
+      if (failedCount > 0) {
+        this.logger.error(`Failed to compress ${failedCount} stored bundles`);
+      }
+    } finally {
+      await this.workerTaskTrackingRepository.finishWork(workId);
+    }
+  }
+}
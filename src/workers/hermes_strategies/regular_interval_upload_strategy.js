@@ -14,12 +14,8 @@ export default class RegularIntervalUploadStrategy extends HermesUploadStrategy
     return process.env.WORKER_INTERVAL || 300; // 5 minutes
   }
 
-  storagePeriods() {
-    return 1;
-  }
-
-  async shouldBundle(bundle) {
-    const minimumItemsInBundle = process.env.WORKER_MINIMUM_ITEMS || 1;
+  async shouldBundle(bundle, {settings = {}} = {}) {
+    const minimumItemsInBundle = settings.bundlingMinimumItems || process.env.WORKER_MINIMUM_ITEMS || 1;
     if (bundle.content.entries.length < minimumItemsInBundle) {
       return {result: false, reason: 'Too few entities to bundle'};
     }
@@ -0,0 +1,89 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import HermesUploadStrategy from './upload_strategy';
+import {getTimestamp} from '../../utils/time_utils';
+
+const SECONDS_IN_DAY = 86400;
+
+/**
+ * Bundles when enough entities are pending, when the candidate is big enough, or when the oldest unbundled entity
+ * has waited too long - unless the gas of today's uploads would exceed the daily gas budget.
+ * Today's spending is the gas used by the stored uploads, plus the estimated gas of the bundles still waiting for an upload,
+ * so the budget holds across restarts.
+ */
+export default class SizeAndAgeAwareUploadStrategy extends HermesUploadStrategy {
+  constructor(config, dataModelEngine) {
+    super();
+    this.config = config;
+    this.dataModelEngine = dataModelEngine;
+  }
+
+  get workerInterval() {
+    return this.config.hermesWorkerInterval;
+  }
+
+  async shouldBundle(bundle, {settings = {}} = {}) {
+    const {bundlingMinimumItems = this.config.bundlingMinimumItems, bundlingMinimumSize = this.config.bundlingMinimumSize} = settings;
+    const {entries} = bundle.content;
+    const details = {
+      itemCount: entries.length,
+      byteSize: Buffer.byteLength(JSON.stringify(bundle)),
+      oldestEntityAge: this.oldestEntityAge(entries),
+      gasSpentToday: await this.currentGasSpending()
+    };
+    const decide = (result, reason) => ({result, reason, details});
+
+    if (entries.length === 0) {
+      return decide(false, 'No entities to bundle');
+    }
+    if (this.isGasBudgetExceededBy(details.gasSpentToday, this.config.bundleUploadGasEstimate)) {
+      return decide(false, 'Daily gas budget exhausted');
+    }
+    if (details.itemCount >= bundlingMinimumItems) {
+      return decide(true, 'Enough entities to bundle');
+    }
+    if (details.byteSize >= bundlingMinimumSize) {
+      return decide(true, 'Bundle size threshold reached');
+    }
+    if (details.oldestEntityAge >= this.config.bundlingMaximumEntityAge) {
+      return decide(true, 'Oldest entity waited too long');
+    }
+    return decide(false, 'Too few and too recent entities to bundle');
+  }
+
+  async bundlingSucceeded() {
+  }
+
+  oldestEntityAge(entries) {
+    if (entries.length === 0) {
+      return 0;
+    }
+    const oldestTimestamp = entries.reduce((oldest, entry) => Math.min(oldest, this.entityTimestamp(entry)), Infinity);
+    return Math.max(getTimestamp() - oldestTimestamp, 0);
+  }
+
+  entityTimestamp(entry) {
+    if (entry.metadata && entry.metadata.entityUploadTimestamp !== undefined) {
+      return entry.metadata.entityUploadTimestamp;
+    }
+    return entry.content.idData.timestamp;
+  }
+
+  isGasBudgetExceededBy(gasSpent, gas) {
+    const {bundlingDailyGasBudget} = this.config;
+    return bundlingDailyGasBudget > 0 && gasSpent + gas > bundlingDailyGasBudget;
+  }
+
+  async currentGasSpending() {
+    const startOfDay = Math.floor(getTimestamp() / SECONDS_IN_DAY) * SECONDS_IN_DAY;
+    const {gasUsed, pendingUploads} = await this.dataModelEngine.getUploadGasSpending(startOfDay);
+    return gasUsed + (pendingUploads * this.config.bundleUploadGasEstimate);
+  }
+}
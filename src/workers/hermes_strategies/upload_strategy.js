@@ -13,12 +13,15 @@ export default class HermesUploadStrategy {
     return 1;
   }
 
-  storagePeriods() {
-    return 1;
+  /**
+   * @param partition: the bundling partition, see BundlingPartitioner - its settings take precedence over the strategy defaults
+   */
+  storagePeriods({settings = {}} = {}) {
+    return settings.storagePeriods || 1;
   }
 
   // eslint-disable-next-line @typescript-eslint/no-unused-vars
-  async shouldBundle(bundle) {
+  async shouldBundle(bundle, partition) {
     throw new Error('Should be implemented');
   }
 
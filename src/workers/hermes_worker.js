@@ -14,6 +14,7 @@ import asyncMiddleware from '../middlewares/async_middleware';
 import healthCheckHandler from '../routes/health_check';
 import PeriodicWorker from './periodic_worker';
 import HermesUploadStrategy from './hermes_strategies/upload_strategy';
+import BundleUploadStatuses from '../utils/bundle_upload_statuses';
 
 const HERMES_BUNDLING_WORK_TYPE = 'HermesBundling';
 
@@ -29,7 +30,7 @@ export default class HermesWorker extends PeriodicWorker {
   ) {
     super(strategy.workerInterval, logger);
     this.dataModelEngine = dataModelEngine;
-    this.bundleSequenceNumber = 0;
+    this.orphanedCandidatesRecovered = false;
     this.workerTaskTrackingRepository = workerTaskTrackingRepository;
     this.strategy = strategy;
     this.workerLogRepository = workerLogRepository;
@@ -51,6 +52,12 @@ export default class HermesWorker extends PeriodicWorker {
       help: 'Total number of failed bundle upload attempts',
       registers: [registry]
     });
+    this.bundlingDecisions = new promClient.Counter({
+      name: 'hermes_bundling_decisions_total',
+      help: 'Total number of bundle candidate decisions by result and reason',
+      labelNames: ['result', 'reason'],
+      registers: [registry]
+    });
 
     if (!(this.strategy instanceof HermesUploadStrategy)) {
       throw new Error('A valid strategy must be provided');
@@ -65,6 +72,9 @@ export default class HermesWorker extends PeriodicWorker {
       return;
     }
     try {
+      if (!this.orphanedCandidatesRecovered) {
+        await this.recoverOrphanedCandidates();
+      }
       await this.bundleCandidates();
       await this.uploadWaitingCandidates();
     } finally {
@@ -72,31 +82,72 @@ export default class HermesWorker extends PeriodicWorker {
     }
   }
 
+  async recoverOrphanedCandidates() {
+    const {resumed, released, releasedEntitiesCount} = await this.dataModelEngine.recoverOrphanedBundleCandidates();
+    for (const {bundleStubId, bundleId} of resumed) {
+      await this.addLog('Orphaned bundle candidate resumed', {bundleStubId, bundleId});
+    }
+    if (released.length > 0 || releasedEntitiesCount > 0) {
+      await this.addLog('Orphaned bundle stubs released', {bundleStubIds: released, entityCount: releasedEntitiesCount});
+    }
+    this.orphanedCandidatesRecovered = true;
+  }
+
   async bundleCandidates() {
-    const storagePeriods = this.strategy.storagePeriods();
+    const partitions = await this.dataModelEngine.findBundlingPartitions();
+    for (const partition of partitions) {
+      await this.bundlePartition(partition);
+    }
+  }
 
-    const sequenceNumber = this.bundleSequenceNumber++;
-    const bundle = await this.dataModelEngine.prepareBundleCandidate(sequenceNumber);
-    const bundlingDecision = await this.strategy.shouldBundle(bundle);
+  async bundlePartition(partition) {
+    const storagePeriods = this.strategy.storagePeriods(partition);
+
+    const bundleStubId = await this.dataModelEngine.createBundleStub();
+    const bundle = await this.dataModelEngine.prepareBundleCandidate(bundleStubId, partition.creators);
+    const bundlingDecision = await this.strategy.shouldBundle(bundle, partition);
+    this.recordBundlingDecision(bundlingDecision);
     if (bundlingDecision.result) {
-      await this.dataModelEngine.acceptBundleCandidate(bundle, sequenceNumber, storagePeriods);
+      await this.dataModelEngine.acceptBundleCandidate(bundle, bundleStubId, storagePeriods, partition.key);
       await this.strategy.bundlingSucceeded();
-      await this.addLog('Bundle candidate accepted', {bundleId: bundle.bundleId});
+      await this.addLog('Bundle candidate accepted', {bundleId: bundle.bundleId, partition: partition.key, ...this.decisionLogFields(bundlingDecision)});
     } else {
-      await this.dataModelEngine.rejectBundleCandidate(sequenceNumber);
-      await this.addLog(`Bundle candidate discarded. ${bundlingDecision.reason}`);
+      await this.dataModelEngine.rejectBundleCandidate(bundleStubId);
+      await this.addLog(`Bundle candidate discarded. ${bundlingDecision.reason}`, {partition: partition.key, ...this.decisionLogFields(bundlingDecision)});
     }
   }
 
+  recordBundlingDecision({result, reason}) {
+    this.bundlingDecisions.inc({
+      result: result ? 'accepted' : 'discarded',
+      reason: reason || ''
+    });
+  }
+
+  decisionLogFields({reason, details}) {
+    const fields = {};
+    if (reason) {
+      fields.reason = reason;
+    }
+    if (details) {
+      fields.details = details;
+    }
+    return fields;
+  }
+
   async uploadWaitingCandidates() {
     await this.dataModelEngine.uploadAcceptedBundleCandidates({
       success: async (bundleId, uploadResult) => {
         this.totalBundlesUploaded.inc();
         await this.addLog(uploadResult, {bundleId});
       },
-      fail: async (bundleId, error) => {
+      fail: async (bundleId, error, {status, attempts, nextRetryAt} = {}) => {
         this.totalBundleUploadFailures.inc();
-        await this.addLog(`Bundle failed to upload`, {bundleId, errorMsg: error.message || error}, error.stack);
+        const message = status === BundleUploadStatuses.deadLetter ? 'Bundle failed to upload and was moved to the dead letter' : 'Bundle failed to upload';
+        await this.addLog(message, {bundleId, errorMsg: error.message || error, attempts, nextRetryAt}, error.stack);
+      },
+      webhookDispatchFail: async (bundleId, error) => {
+        await this.addLog('Failed to dispatch webhooks of the uploaded bundle', {bundleId, errorMsg: error.message || error}, error.stack);
       }
     });
   }
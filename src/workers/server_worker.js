@@ -20,7 +20,10 @@ import accountsRouter from '../routes/accounts';
 import assetsRouter from '../routes/assets';
 import bundlesRouter from '../routes/bundles';
 import eventsRouter from '../routes/events';
+import graphqlRouter from '../routes/graphql';
 import tokenRouter from '../routes/token';
+import webhooksRouter from '../routes/webhooks';
+import adminRouter from '../routes/admin';
 import nodeInfoRouter from '../routes/nodeinfo';
 import healthCheckHandler from '../routes/health_check';
 import prometheusMetricsHandler from '../routes/prometheus_metrics.js';
@@ -51,6 +54,9 @@ export default class ServerWorker extends Worker {
     app.use(Sentry.Handlers.requestHandler());
     app.use(loggerMiddleware(this.logger));
     app.use(prometheusMiddleware(promClient, registry));
+    if (this.modelEngine.queryResultCache) {
+      this.modelEngine.queryResultCache.registerMetrics(promClient, registry);
+    }
     app.use(cors({
       origin : true,
       credentials: true
@@ -58,7 +64,7 @@ export default class ServerWorker extends Worker {
 
     app.use(cachePreventionMiddleware);
 
-    app.use('/nodeinfo', nodeInfoRouter(this.modelEngine, this.modelEngine.identityManager, this.config.gitCommit));
+    app.use('/nodeinfo', nodeInfoRouter(this.modelEngine.tokenAuthenticator, this.modelEngine, this.modelEngine.identityManager, this.config.gitCommit));
     app.use('/bundle', bundlesRouter(this.modelEngine));
     app.get('/health', asyncMiddleware(healthCheckHandler(this.modelEngine.mongoClient, this.web3)));
     app.get('/metrics', prometheusMetricsHandler(registry));
@@ -66,8 +72,11 @@ export default class ServerWorker extends Worker {
     if (this.role.is(Role.HERMES)) {
       app.use('/accounts', accountsRouter(this.modelEngine.tokenAuthenticator, this.modelEngine, this.config));
       app.use('/assets', assetsRouter(this.modelEngine.tokenAuthenticator, this.modelEngine.identityManager, this.modelEngine, this.config));
-      app.use('/events', eventsRouter(this.modelEngine.tokenAuthenticator, this.modelEngine.identityManager, this.modelEngine));
+      app.use('/events', eventsRouter(this.modelEngine.tokenAuthenticator, this.modelEngine.identityManager, this.modelEngine, this.config));
+      app.use('/graphql', graphqlRouter(this.modelEngine.tokenAuthenticator, this.modelEngine, this.config));
       app.use('/token', tokenRouter(this.modelEngine.tokenAuthenticator, this.config));
+      app.use('/webhooks', webhooksRouter(this.modelEngine.tokenAuthenticator, this.modelEngine, this.config));
+      app.use('/admin', adminRouter(this.modelEngine.tokenAuthenticator, this.modelEngine));
     }
 
     app.use('*', fallbackRouter(this.config));
@@ -0,0 +1,28 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import PeriodicWorker from './periodic_worker';
+
+export default class TransactionReplacementWorker extends PeriodicWorker {
+  constructor(stuckTransactionReplacer, logger, workerInterval) {
+    super(workerInterval, logger);
+    this.stuckTransactionReplacer = stuckTransactionReplacer;
+  }
+
+  async periodicWork() {
+    const replacements = await this.stuckTransactionReplacer.replaceStuckTransactions();
+    for (const {transactionHash, replacementTransactionHash, gasPrice, error} of replacements) {
+      if (error) {
+        this.logger.error({message: 'Failed to replace a stuck transaction', transactionHash, error});
+      } else {
+        this.logger.info({message: 'Stuck transaction replaced', transactionHash, replacementTransactionHash, gasPrice});
+      }
+    }
+  }
+}
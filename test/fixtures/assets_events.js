@@ -10,6 +10,7 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 import {put, get} from '../../src/utils/dict_utils';
 import pkPair from './pk_pair';
 import addSignature from './add_signature';
+import {calculateMerkleRoot} from '../../src/utils/merkle_tree';
 
 export const createAsset = (fields) => ({
   content: {
@@ -40,7 +41,7 @@ export const createBundle = (fields, entries = []) => ({
     idData: {
       createdBy: pkPair.address,
       timestamp: 1548345376,
-      version: 3,
+      version: 4,
       ...fields
     },
     entries: [
@@ -61,7 +62,7 @@ export const addEventId = (identityManager, event) => addHash(identityManager, e
 
 export const addEntriesHashToBundle = (identityManager, bundle) => {
   const entriesIds = bundle.content.entries.map((entry) => entry.assetId || entry.eventId);
-  const hash = identityManager.calculateHash(entriesIds);
+  const hash = calculateMerkleRoot(entriesIds, (data) => identityManager.calculateHash(data));
   return put(bundle, 'content.idData.entriesHash', hash);
 };
 export const addBundleId = (identityManager, bundle) => addHash(identityManager, bundle, 'content.idData', 'bundleId');
@@ -103,6 +104,26 @@ export const createFullBundle = (identityManager, idDataFields = {}, entries = [
       ),
       secret));
 
+export const createFullBundleV3 = (identityManager, idDataFields = {}, entries = [], secret = pkPair.secret) => {
+  const addEntriesHashToBundle = (identityManager, bundle) => {
+    const entriesIds = bundle.content.entries.map((entry) => entry.assetId || entry.eventId);
+    return put(bundle, 'content.idData.entriesHash', identityManager.calculateHash(entriesIds));
+  };
+
+  return addBundleId(
+    identityManager,
+    addSignature(
+      identityManager,
+      addEntriesHashToBundle(
+        identityManager,
+        createBundle(
+          {...idDataFields, version: 3},
+          entries
+        )
+      ),
+      secret));
+};
+
 /** @deprecated */
 export const createFullBundleV1 = (identityManager, idDataFields = {}, entries = [], secret = pkPair.secret) => {
   const addBundleId = (identityManager, bundle) => addHash(identityManager, bundle, 'content', 'bundleId');
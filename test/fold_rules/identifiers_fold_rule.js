@@ -0,0 +1,34 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import IdentifiersFoldRule from '../../src/fold_rules/identifiers_fold_rule';
+
+const {expect} = chai;
+
+describe('Identifiers Fold Rule', () => {
+  const rule = new IdentifiersFoldRule('ambrosus.asset.identifiers', 'identifiers');
+
+  it('applies only to entries of its type', () => {
+    expect(rule.appliesTo({type: 'ambrosus.asset.identifiers'})).to.be.true;
+    expect(rule.appliesTo({type: 'ambrosus.event.identifiers'})).to.be.false;
+  });
+
+  it('sets identifiers on empty state', () => {
+    expect(rule.fold({}, {type: 'ambrosus.asset.identifiers', identifiers: {gtin: ['1']}})).to.deep.equal({identifiers: {gtin: ['1']}});
+  });
+
+  it('merges identifiers, overriding only the listed kinds', () => {
+    const state = {identifiers: {gtin: ['1'], sn: ['a']}};
+    expect(rule.fold(state, {type: 'ambrosus.asset.identifiers', identifiers: {sn: ['b'], isbn: ['c']}})).to.deep.equal({
+      identifiers: {gtin: ['1'], sn: ['b'], isbn: ['c']}
+    });
+    expect(state).to.deep.equal({identifiers: {gtin: ['1'], sn: ['a']}});
+  });
+});
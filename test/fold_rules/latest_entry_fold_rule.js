@@ -0,0 +1,36 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import LatestEntryFoldRule from '../../src/fold_rules/latest_entry_fold_rule';
+
+const {expect} = chai;
+
+describe('Latest Entry Fold Rule', () => {
+  const rule = new LatestEntryFoldRule('ambrosus.asset.info', 'info');
+
+  it('applies only to entries of its type', () => {
+    expect(rule.appliesTo({type: 'ambrosus.asset.info'})).to.be.true;
+    expect(rule.appliesTo({type: 'ambrosus.asset.location'})).to.be.false;
+  });
+
+  it('replaces the field with entry content without type', () => {
+    const state = {info: {name: 'Old', tags: ['a']}, location: {city: 'Berlin'}};
+    expect(rule.fold(state, {type: 'ambrosus.asset.info', name: 'New'})).to.deep.equal({
+      info: {name: 'New'},
+      location: {city: 'Berlin'}
+    });
+  });
+
+  it('does not modify the passed state', () => {
+    const state = {};
+    rule.fold(state, {type: 'ambrosus.asset.info', name: 'New'});
+    expect(state).to.deep.equal({});
+  });
+});
@@ -13,11 +13,12 @@ import chaiAsPromised from 'chai-as-promised';
 import ServerApparatus, {apparatusScenarioProcessor} from '../helpers/server_apparatus';
 import chaiHttp from 'chai-http';
 import {pick, put} from '../../src/utils/dict_utils';
-import {createFullAsset} from '../fixtures/assets_events';
+import {createFullAsset, createFullEvent} from '../fixtures/assets_events';
 import pkPair from '../fixtures/pk_pair';
 import {adminAccountWithSecret, notRegisteredAccount, accountWithSecret} from '../fixtures/account';
 import ScenarioBuilder from '../fixtures/scenario_builder';
 import allPermissions from '../../src/utils/all_permissions';
+import BatchEntryStatuses from '../../src/utils/batch_entry_statuses';
 
 chai.use(chaiHttp);
 chai.use(sinonChai);
@@ -142,6 +143,70 @@ describe('Assets - Integrations', () => {
     });
   });
 
+  describe('creating a batch of entities', () => {
+    let asset;
+    let event;
+
+    beforeEach(async () => {
+      asset = createFullAsset(apparatus.identityManager, {createdBy: adminAccount.address}, adminAccount.secret);
+      event = createFullEvent(apparatus.identityManager, {createdBy: adminAccount.address, assetId: asset.assetId}, undefined, adminAccount.secret);
+    });
+
+    it('creates an asset and an event referencing it in one request', async () => {
+      const response = await apparatus.request()
+        .post('/assets/batch')
+        .send([asset, event]);
+      expect(response.status).to.eq(200);
+      expect(response.body.results).to.deep.equal([
+        {assetId: asset.assetId, status: BatchEntryStatuses.created},
+        {eventId: event.eventId, status: BatchEntryStatuses.created}
+      ]);
+      const fetchedAsset = await apparatus.request().get(`/assets/${asset.assetId}`);
+      expect(fetchedAsset.body.content).to.deep.equal(asset.content);
+    });
+
+    it('reports bad entries without failing the others', async () => {
+      const brokenAsset = put(createFullAsset(apparatus.identityManager, {createdBy: adminAccount.address, sequenceNumber: 1}, adminAccount.secret), 'content.idData.foo', 'bar');
+      const response = await apparatus.request()
+        .post('/assets/batch')
+        .send([asset, brokenAsset, asset, event]);
+      expect(response.status).to.eq(200);
+      expect(response.body.results.map(({status}) => status)).to.deep.equal([
+        BatchEntryStatuses.created,
+        BatchEntryStatuses.rejected,
+        BatchEntryStatuses.duplicate,
+        BatchEntryStatuses.created
+      ]);
+      expect(response.body.results[1].reason).to.contain('outside of the allowed set of fields');
+    });
+
+    it('rejects assets sent to the events batch endpoint', async () => {
+      const response = await apparatus.request()
+        .post('/events/batch')
+        .send([asset, event]);
+      expect(response.status).to.eq(200);
+      expect(response.body.results.map(({status}) => status)).to.deep.equal([BatchEntryStatuses.rejected, BatchEntryStatuses.rejected]);
+    });
+
+    it('returns 400 if the batch is not an array', async () => {
+      const request = apparatus.request()
+        .post('/assets/batch')
+        .send(asset);
+      await expect(request)
+        .to.eventually.be.rejected
+        .and.have.property('status', 400);
+    });
+
+    it('returns 400 if the batch is too large', async () => {
+      const request = apparatus.request()
+        .post('/assets/batch')
+        .send(Array(apparatus.config.maximumBatchSize + 1).fill(asset));
+      await expect(request)
+        .to.eventually.be.rejected
+        .and.have.property('status', 400);
+    });
+  });
+
   describe('fetching asset', () => {
     let asset;
 
@@ -289,6 +354,24 @@ describe('Assets - Integrations', () => {
         expect(response.body.resultCount).to.equal(2);
         expect(response.body.results).to.deep.equal([assetSet[5], assetSet[4]]);
       });
+
+      it('can find assets with any of several identifiers', async () => {
+        const response = await apparatus.request()
+          .get(`/assets?identifier[isbn]=0&identifier[gs1]=abcde&identifierMatch=any`)
+          .set('Authorization', `AMB_TOKEN ${apparatus.generateToken()}`)
+          .send();
+        expect(response.body.resultCount).to.equal(4);
+        expect(response.body.results).to.deep.equal([assetSet[5], assetSet[4], assetSet[2], assetSet[0]]);
+      });
+
+      it('finds assets by exact identifier', async () => {
+        const response = await apparatus.request()
+          .get(`/assets/by-identifier/gs1/abcd`)
+          .set('Authorization', `AMB_TOKEN ${apparatus.generateToken()}`)
+          .send();
+        expect(response.body.resultCount).to.equal(1);
+        expect(response.body.results).to.deep.equal([assetSet[4]]);
+      });
     });
   });
 
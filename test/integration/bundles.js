@@ -57,8 +57,9 @@ describe('Bundles - Integrations', () => {
       await scenario.addEvent(0, 1, {timestamp: 2}, [{type: 'e'}])
     ].map(mapEntitiesToIds);
 
-    const newBundle = await apparatus.dataModelEngine.prepareBundleCandidate(1);
-    res = await apparatus.dataModelEngine.acceptBundleCandidate(newBundle, 1, 1);
+    const bundleStubId = await apparatus.dataModelEngine.createBundleStub();
+    const newBundle = await apparatus.dataModelEngine.prepareBundleCandidate(bundleStubId);
+    res = await apparatus.dataModelEngine.acceptBundleCandidate(newBundle, bundleStubId, 1);
     await apparatus.dataModelEngine.uploadAcceptedBundleCandidates();
     // this additional event should not go into the bundle
     await scenario.addEvent(0, 1, {timestamp: 3}, [{type: '4'}]);
@@ -93,6 +94,23 @@ describe('Bundles - Integrations', () => {
       expect(response.body.bundleId).to.equal(res.bundleId);
     });
 
+    it('sends the bundle compressed if the client accepts gzip', async () => {
+      const response = await apparatus.request()
+        .get(`/bundle/${res.bundleId}`)
+        .set('Accept-Encoding', 'gzip');
+      expect(response).to.have.header('Content-Encoding', 'gzip');
+      expect(response).to.have.header('Vary', /Accept-Encoding/);
+      expect(response.body.content).to.deep.equal(res.content);
+    });
+
+    it('sends the bundle uncompressed if the client does not accept gzip', async () => {
+      const response = await apparatus.request()
+        .get(`/bundle/${res.bundleId}`)
+        .set('Accept-Encoding', 'identity');
+      expect(response).to.not.have.header('Content-Encoding');
+      expect(response.body.content).to.deep.equal(res.content);
+    });
+
     it('assets and events should have fields in metadata set up', async () => {
       const assetResponse = await apparatus.request()
         .get(`/assets/${entitiesIds[0]}`);
@@ -130,4 +148,22 @@ describe('Bundles - Integrations', () => {
         .and.have.property('status', 404);
     });
   });
+
+  describe('finding bundles', () => {
+    it('lists uploaded bundles', async () => {
+      const response = await apparatus.request()
+        .get(`/bundle?fromProofBlock=0`);
+
+      expect(response.body.resultCount).to.equal(1);
+      expect(response.body.results[0].bundleId).to.equal(res.bundleId);
+      expect(response.body.results[0].bundleTransactionHash).to.be.properTxHash;
+    });
+
+    it('returns 400 for unknown status', async () => {
+      const request = apparatus.request()
+        .get(`/bundle?status=LOST`);
+      await expect(request).to.eventually.be.rejected
+        .and.have.property('status', 400);
+    });
+  });
 });
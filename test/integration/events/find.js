@@ -232,6 +232,49 @@ describe('Events Integrations: Find', () => {
     body.results.forEach((element) => expect(element.content.idData.timestamp).to.be.within(2, 10));
   });
 
+  describe('Export', () => {
+    const collectText = (res, callback) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+      });
+      res.on('end', () => callback(null, text));
+    };
+
+    it('streams all events as NDJSON hiding data above the access level', async () => {
+      const response = await apparatus.request().get(`/events`)
+        .set('Accept', 'application/x-ndjson')
+        .set('Authorization', `AMB_TOKEN ${apparatus.generateToken(scenario.accounts[2].secret)}`)
+        .buffer(true)
+        .parse(collectText);
+
+      expect(response).to.have.status(200);
+      expect(response).to.have.header('content-type', /application\/x-ndjson/);
+      const events = response.body.trim().split('\n')
+        .map((line) => JSON.parse(line));
+      expect(events).to.have.length(12);
+      expect(events[0]).to.deep.equal(scenario.events[11]);
+      expect(events.filter((event) => event.content.data)).to.have.length(6);
+    });
+
+    it('streams selected columns of filtered events as CSV', async () => {
+      const response = await apparatus.request().get(`/events?fromTimestamp=8&columns=content.idData.timestamp,content.data[0].type`)
+        .set('Accept', 'text/csv')
+        .buffer(true)
+        .parse(collectText);
+
+      expect(response).to.have.status(200);
+      expect(response.body).to.equal('content.idData.timestamp,content.data[0].type\r\n11,\r\n10,1\r\n9,\r\n8,\r\n');
+    });
+
+    it('rejects pagination params', async () => {
+      const request = apparatus.request().get(`/events?perPage=10`)
+        .set('Accept', 'text/csv');
+      await expect(request).to.be.eventually.rejected.and.have.property('status', 400);
+    });
+  });
+
   after(async () => {
     await apparatus.cleanDB();
     scenario.reset();
@@ -0,0 +1,93 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import chaiAsPromised from 'chai-as-promised';
+
+import {adminAccountWithSecret} from '../fixtures/account';
+import ServerApparatus, {apparatusScenarioProcessor} from '../helpers/server_apparatus';
+import ScenarioBuilder from '../fixtures/scenario_builder';
+
+chai.use(chaiHttp);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('GraphQL - Integrations', () => {
+  let apparatus;
+  let scenario;
+  let asset;
+  let events;
+
+  const graphqlRequest = (query, variables, token) => {
+    const request = apparatus.request()
+      .post('/graphql')
+      .set('Content-Type', 'application/json');
+    if (token) {
+      request.set('Authorization', `AMB_TOKEN ${token}`);
+    }
+    return request.send({query, variables});
+  };
+
+  before(async () => {
+    apparatus = new ServerApparatus({graphqlMaxDepth: 5, graphqlMaxCost: 500});
+    await apparatus.start();
+    scenario = new ScenarioBuilder(apparatus.identityManager, apparatusScenarioProcessor(apparatus));
+    await scenario.addAdminAccount(adminAccountWithSecret);
+    asset = await scenario.addAsset(0, {timestamp: 0});
+    events = await scenario.generateEvents(3, (inx) => ({accountInx: 0, subjectInx: 0, fields: {timestamp: inx + 1}, data: [{type: 'ambrosus.event.example'}]}));
+  });
+
+  after(async () => {
+    await apparatus.cleanDB();
+    await apparatus.stop();
+  });
+
+  it('fetches an asset with its latest events and their bundle metadata', async () => {
+    const query = `query Asset($assetId: String!) {
+      asset(assetId: $assetId) {
+        assetId
+        events(perPage: 2) { results { eventId bundle { bundleId } } resultCount }
+      }
+    }`;
+    const response = await graphqlRequest(query, {assetId: asset.assetId});
+    expect(response).to.have.status(200);
+    expect(response.body.errors).to.be.undefined;
+    expect(response.body.data.asset.assetId).to.equal(asset.assetId);
+    expect(response.body.data.asset.events.resultCount).to.equal(3);
+    expect(response.body.data.asset.events.results).to.deep.equal([
+      {eventId: events[2].eventId, bundle: null},
+      {eventId: events[1].eventId, bundle: null}
+    ]);
+  });
+
+  it('requires a token only for the fields that need one', async () => {
+    const query = '{ events { resultCount } accounts { resultCount } }';
+    const anonymousResponse = await graphqlRequest(query);
+    expect(anonymousResponse).to.have.status(200);
+    expect(anonymousResponse.body.data).to.deep.equal({events: {resultCount: 3}, accounts: null});
+    expect(anonymousResponse.body.errors[0].extensions).to.deep.equal({code: 'AuthenticationError'});
+
+    const authorizedResponse = await graphqlRequest(query, {}, apparatus.generateToken());
+    expect(authorizedResponse.body.errors).to.be.undefined;
+    expect(authorizedResponse.body.data.accounts).to.deep.equal({resultCount: 1});
+  });
+
+  it('rejects queries exceeding the cost limit', async () => {
+    const {response} = await graphqlRequest('{ events { results { eventId content metadata bundle { bundleId status } } } }')
+      .catch((error) => error);
+    expect(response).to.have.status(400);
+    expect(response.body.data).to.be.undefined;
+    expect(response.body.errors[0].message).to.match(/^Query cost \d+ exceeds the maximum allowed cost of 500$/);
+  });
+
+  it('returns 400 for a missing query', async () => {
+    await expect(graphqlRequest(undefined)).to.be.eventually.rejected.and.have.property('status', 400);
+  });
+});
@@ -30,6 +30,7 @@ describe('Nodeinfo - Integrations', async () => {
 
   beforeEach(async () => {
     await apparatus.cleanDB();
+    await apparatus.ensureAdminAccountExist();
   });
 
   it('should return npm version, git commit and address', async () => {
@@ -39,6 +40,23 @@ describe('Nodeinfo - Integrations', async () => {
     expect(nodeinfo.body.nodeAddress).to.be.properAddress;
   });
 
+  it('should report pending work', async () => {
+    const pending = await apparatus.request()
+      .get('/nodeinfo/pending')
+      .set('Authorization', `AMB_TOKEN ${apparatus.generateToken()}`);
+    expect(pending).to.have.status(200);
+    expect(pending.body).to.deep.equal({
+      assets: {count: 0, oldestTimestamp: null},
+      events: {count: 0, oldestTimestamp: null},
+      bundlesWaitingForUpload: [],
+      nextBundleCandidates: [{partition: 'default', settings: {}, assetsCount: 0, eventsCount: 0, byteSize: 0}]
+    });
+  });
+
+  it('should require a token to report pending work', async () => {
+    await expect(apparatus.request().get('/nodeinfo/pending')).to.eventually.have.status(401);
+  });
+
   after(async () => {
     await apparatus.stop();
   });
@@ -99,7 +99,8 @@ describe('Atlas worker - integration', () => {
       loggerMock,
       builder.client,
       config.serverPort,
-      config.requiredFreeDiskSpace
+      config.requiredFreeDiskSpace,
+      builder.gasPriceOracle
     );
     if (!nock.isActive()) {
       nock.activate();
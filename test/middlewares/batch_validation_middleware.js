@@ -0,0 +1,65 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import httpMocks from 'node-mocks-http';
+import {spy} from 'sinon';
+import sinonChai from 'sinon-chai';
+import batchValidationMiddleware from '../../src/middlewares/batch_validation_middleware';
+import {ValidationError} from '../../src/errors/errors';
+
+chai.use(sinonChai);
+const {expect} = chai;
+
+describe('Batch validation middleware', () => {
+  const maximumBatchSize = 3;
+  let request;
+  let response;
+  let next;
+
+  beforeEach(async () => {
+    next = spy();
+    request = httpMocks.createRequest({});
+    response = httpMocks.createResponse();
+  });
+
+  it('calls next when body is an array of objects within the limit', () => {
+    request.body = [{assetId: '0x1'}, {eventId: '0x2'}];
+    batchValidationMiddleware(maximumBatchSize)(request, response, next);
+    expect(next).to.be.calledOnce;
+  });
+
+  it('throws when body is not an array', () => {
+    request.body = {assetId: '0x1'};
+    expect(() => batchValidationMiddleware(maximumBatchSize)(request, response, next)).to.throw(ValidationError);
+    expect(next).to.be.not.called;
+  });
+
+  it('throws when batch is empty', () => {
+    request.body = [];
+    expect(() => batchValidationMiddleware(maximumBatchSize)(request, response, next)).to.throw(ValidationError);
+    expect(next).to.be.not.called;
+  });
+
+  it('throws when batch is larger than the limit', () => {
+    request.body = [{}, {}, {}, {}];
+    expect(() => batchValidationMiddleware(maximumBatchSize)(request, response, next)).to.throw(ValidationError, 'surpasses the limit');
+    expect(next).to.be.not.called;
+  });
+
+  it('throws when some entry is not an object', () => {
+    request.body = [{}, null];
+    expect(() => batchValidationMiddleware(maximumBatchSize)(request, response, next)).to.throw(ValidationError);
+    request.body = [{}, []];
+    expect(() => batchValidationMiddleware(maximumBatchSize)(request, response, next)).to.throw(ValidationError);
+    request.body = [{}, 'entry'];
+    expect(() => batchValidationMiddleware(maximumBatchSize)(request, response, next)).to.throw(ValidationError);
+    expect(next).to.be.not.called;
+  });
+});
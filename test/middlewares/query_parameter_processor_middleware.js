@@ -132,6 +132,113 @@ describe('Query Parameter Processor Middleware', () => {
     });
   });
 
+  describe('GeoWithin decorator', () => {
+    // from ?data[geoJson]=geoWithin(0,0,10,0,10,10,0,0)
+    it('casts decorated value to a closed polygon', async () => {
+      const request = createRequest({
+        data: {
+          geoJson: 'geoWithin(0,0, 10.5,0, 10.5,-10, 0,0)'
+        }
+      });
+
+      queryParameterProcessorMiddleware(request, response, next);
+
+      expect(request.query.data.geoJson).to.deep.equal({locationPolygon: [[0, 0], [10.5, 0], [10.5, -10], [0, 0]]});
+      expect(next).to.have.been.calledOnce;
+    });
+
+    ['0,0,10,0,0', '0,0,10,0,10,10,0', '0,0,10,0,10,10,0,x,0,0', '0,0,,0,10,10,0,0'].forEach((coordinates) => {
+      it(`throws if decorated value is not a list of coordinate pairs: ${coordinates}`, async () => {
+        const request = createRequest({location: `geoWithin(${coordinates})`});
+        expect(() => queryParameterProcessorMiddleware(request, response, next)).to.throw(ValidationError);
+        expect(next).to.not.have.been.called;
+      });
+    });
+
+    it('throws if polygon has less than 4 vertices', async () => {
+      const request = createRequest({location: 'geoWithin(0,0,10,0,0,0)'});
+      expect(() => queryParameterProcessorMiddleware(request, response, next)).to.throw(ValidationError, 'at least 4 vertices');
+    });
+
+    it('throws if polygon is not closed', async () => {
+      const request = createRequest({location: 'geoWithin(0,0,10,0,10,10,0,10)'});
+      expect(() => queryParameterProcessorMiddleware(request, response, next)).to.throw(ValidationError, 'must be closed');
+    });
+
+    it('throws if coordinates are out of range', async () => {
+      expect(() => queryParameterProcessorMiddleware(createRequest({location: 'geoWithin(0,0,181,0,10,10,0,0)'}), response, next))
+        .to.throw(ValidationError, 'Longitude');
+      expect(() => queryParameterProcessorMiddleware(createRequest({location: 'geoWithin(0,0,10,0,10,-91,0,0)'}), response, next))
+        .to.throw(ValidationError, 'Latitude');
+    });
+  });
+
+  describe('Bbox decorator', () => {
+    it('casts decorated value to a rectangular polygon', async () => {
+      const request = createRequest({location: 'bbox(-0.5, 40.5, 0.5, 60)'});
+
+      queryParameterProcessorMiddleware(request, response, next);
+
+      expect(request.query.location).to.deep.equal({locationPolygon: [
+        [-0.5, 40.5], [-0.25, 40.5], [0, 40.5], [0.25, 40.5], [0.5, 40.5],
+        [0.5, 60], [0.25, 60], [0, 60], [-0.25, 60], [-0.5, 60],
+        [-0.5, 40.5]
+      ]});
+      expect(next).to.have.been.calledOnce;
+    });
+
+    it('cuts the edges along parallels into short segments', async () => {
+      const request = createRequest({location: 'bbox(-10, 40.5, 20, 60)'});
+
+      queryParameterProcessorMiddleware(request, response, next);
+
+      const {locationPolygon} = request.query.location;
+      expect(locationPolygon).to.have.lengthOf(243);
+      expect(locationPolygon[0]).to.deep.equal([-10, 40.5]);
+      expect(locationPolygon[120]).to.deep.equal([20, 40.5]);
+      expect(locationPolygon[121]).to.deep.equal([20, 60]);
+      expect(locationPolygon[241]).to.deep.equal([-10, 60]);
+      expect(locationPolygon[242]).to.deep.equal([-10, 40.5]);
+      locationPolygon.slice(1, 121).forEach(([lon, lat], inx) => {
+        expect(lat).to.equal(40.5);
+        expect(lon - locationPolygon[inx][0]).to.be.closeTo(0.25, 1e-9);
+      });
+    });
+
+    ['1,2,3', '1,2,3,4,5', 'a,2,3,4'].forEach((coordinates) => {
+      it(`throws if decorated value is not 4 numbers: ${coordinates}`, async () => {
+        const request = createRequest({location: `bbox(${coordinates})`});
+        expect(() => queryParameterProcessorMiddleware(request, response, next)).to.throw(ValidationError);
+        expect(next).to.not.have.been.called;
+      });
+    });
+
+    it('throws if minimal coordinates are not lower than maximal ones', async () => {
+      expect(() => queryParameterProcessorMiddleware(createRequest({location: 'bbox(20,40,10,60)'}), response, next)).to.throw(ValidationError);
+      expect(() => queryParameterProcessorMiddleware(createRequest({location: 'bbox(10,40,20,40)'}), response, next)).to.throw(ValidationError);
+    });
+
+    it('throws if coordinates are out of range', async () => {
+      expect(() => queryParameterProcessorMiddleware(createRequest({location: 'bbox(-190,40,10,60)'}), response, next)).to.throw(ValidationError);
+    });
+
+    it('throws if the box spans 180 degrees of longitude or more', async () => {
+      expect(() => queryParameterProcessorMiddleware(createRequest({location: 'bbox(-90,40,90,60)'}), response, next))
+        .to.throw(ValidationError, '180 degrees');
+      expect(() => queryParameterProcessorMiddleware(createRequest({location: 'bbox(-180,40,180,60)'}), response, next))
+        .to.throw(ValidationError, '180 degrees');
+      expect(next).to.not.have.been.called;
+    });
+
+    it('throws if the box reaches the poles', async () => {
+      expect(() => queryParameterProcessorMiddleware(createRequest({location: 'bbox(0,40,10,90)'}), response, next))
+        .to.throw(ValidationError, 'poles');
+      expect(() => queryParameterProcessorMiddleware(createRequest({location: 'bbox(0,-90,10,60)'}), response, next))
+        .to.throw(ValidationError, 'poles');
+      expect(next).to.not.have.been.called;
+    });
+  });
+
   describe('Pattern decorator', () => {
     it('escapeRegExpSymbols works', () => {
       const notEscapedString = '[?]()?*abc()^{}';
@@ -0,0 +1,68 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import httpMocks from 'node-mocks-http';
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import {getDeadLetterBundlesHandler, retryBundleUploadHandler} from '../../src/routes/admin';
+import {adminAccountWithSecret} from '../fixtures/account';
+import {NotFoundError} from '../../src/errors/errors';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Admin', () => {
+  const tokenData = {createdBy: adminAccountWithSecret.address, validUntil: 423543253453};
+  const bundleId = '0x123';
+  let mockModelEngine = null;
+  let req = null;
+  let res = null;
+
+  beforeEach(async () => {
+    mockModelEngine = {
+      findDeadLetterBundles: sinon.stub(),
+      retryBundleUpload: sinon.stub()
+    };
+    req = httpMocks.createRequest({});
+    res = httpMocks.createResponse();
+    req.tokenData = tokenData;
+  });
+
+  it('listing dead letter bundles proxies result from Data Model Engine', async () => {
+    const deadLetterBundles = {results: [{bundleId, upload: {attempts: 10, status: 'DEAD_LETTER'}}], resultCount: 1};
+    mockModelEngine.findDeadLetterBundles.resolves(deadLetterBundles);
+
+    await getDeadLetterBundlesHandler(mockModelEngine)(req, res);
+
+    expect(mockModelEngine.findDeadLetterBundles).to.have.been.calledWith(tokenData);
+    expect(res._getStatusCode()).to.eq(200);
+    expect(res._isJSON()).to.be.true;
+    expect(JSON.parse(res._getData())).to.deep.equal(deadLetterBundles);
+  });
+
+  it('retrying a bundle upload passes requested id to Data Model Engine and responds with no content', async () => {
+    mockModelEngine.retryBundleUpload.resolves();
+    req.params.bundleId = bundleId;
+
+    await retryBundleUploadHandler(mockModelEngine)(req, res);
+
+    expect(mockModelEngine.retryBundleUpload).to.have.been.calledWith(bundleId, tokenData);
+    expect(res._getStatusCode()).to.eq(204);
+  });
+
+  it('retrying a bundle upload passes errors from Data Model Engine', async () => {
+    mockModelEngine.retryBundleUpload.rejects(new NotFoundError('Not in dead letter'));
+    req.params.bundleId = bundleId;
+
+    await expect(retryBundleUploadHandler(mockModelEngine)(req, res)).to.be.rejectedWith(NotFoundError);
+  });
+});
@@ -7,13 +7,15 @@ This Source Code Form is subject to the terms of the Mozilla Public License, v.
 This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
 */
 
+import {Readable} from 'stream';
+import {EventEmitter} from 'events';
 import httpMocks from 'node-mocks-http';
 import chai from 'chai';
 import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
 
-import {createAssetHandler, fetchAssetHandler, createEventHandler, findAssetsHandler} from '../../src/routes/assets';
+import {createAssetHandler, fetchAssetHandler, createEventHandler, findAssetsHandler, createEntitiesBatchHandler, fetchAssetProofHandler, fetchAssetStateHandler, fetchAssetChildrenHandler, fetchAssetParentsHandler, fetchAssetLineageHandler, exportAssetHandler, findAssetsByIdentifierHandler} from '../../src/routes/assets';
 import {put} from '../../src/utils/dict_utils';
 import {createAsset, createEvent} from '../fixtures/assets_events';
 import {createWeb3} from '../../src/utils/web3_tools';
@@ -41,9 +43,18 @@ describe('Assets', () => {
     mockModelEngine = {
       createAsset: sinon.stub(),
       getAsset: sinon.stub(),
+      getAssetBundleProof: sinon.stub(),
+      getAssetState: sinon.stub(),
+      getAssetChildren: sinon.stub(),
+      getAssetParents: sinon.stub(),
+      getAssetLineage: sinon.stub(),
+      exportAsset: sinon.stub(),
       findAssets: sinon.stub(),
+      findAssetsByIdentifier: sinon.stub(),
+      exportAssets: sinon.stub(),
       createEvent: sinon.stub(),
-      getEvent: sinon.stub()
+      getEvent: sinon.stub(),
+      createEntitiesBatch: sinon.stub()
     };
     req = httpMocks.createRequest({});
     res = httpMocks.createResponse();
@@ -74,6 +85,36 @@ describe('Assets', () => {
     });
   });
 
+  describe('creating a batch of entities', () => {
+    const batchResults = [
+      {assetId: '0x1', status: 'CREATED'},
+      {eventId: '0x2', status: 'DUPLICATE', reason: 'Invalid data: Event with eventId=0x2 already exists'}
+    ];
+    let inputEntities;
+    let injectedHandler;
+
+    beforeEach(() => {
+      inputEntities = [createAsset(), createEvent()];
+      mockModelEngine.createEntitiesBatch.resolves(batchResults);
+      req.body = inputEntities;
+      injectedHandler = createEntitiesBatchHandler(mockModelEngine);
+    });
+
+    it('pushes all entities into Data Model Engine, allowing both assets and events', async () => {
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.createEntitiesBatch).to.have.been.calledOnceWith(inputEntities);
+    });
+
+    it('responds with results for every entity', async () => {
+      await injectedHandler(req, res);
+
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(JSON.parse(res._getData())).to.deep.equal({results: batchResults});
+    });
+  });
+
   describe('fetching asset', () => {
     const assetId = 'assetid';
     let mockAsset;
@@ -96,6 +137,124 @@ describe('Assets', () => {
     });
   });
 
+  describe('fetching asset proof', () => {
+    const assetId = 'assetid';
+    const mockProof = {
+      bundleId: '0xbundle',
+      entriesHash: '0xroot',
+      proof: [{position: 'left', hash: '0xsibling'}]
+    };
+    let injectedHandler;
+
+    beforeEach(() => {
+      mockModelEngine.getAssetBundleProof.resolves(mockProof);
+      injectedHandler = fetchAssetProofHandler(mockModelEngine);
+    });
+
+    it('asks the model engine for the proof', async () => {
+      req.params.assetId = assetId;
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.getAssetBundleProof).to.have.been.calledWith(assetId);
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(JSON.parse(res._getData())).to.deep.equal(mockProof);
+    });
+  });
+
+  describe('fetching asset state', () => {
+    const assetId = 'assetid';
+    const tokenData = {createdBy: adminAccountWithSecret.address, validUntil: 423543253453};
+    const mockState = {
+      assetId,
+      asOf: 10,
+      state: {info: {name: 'Bottle'}},
+      lastEventId: '0xevent',
+      lastEventTimestamp: 5
+    };
+    let injectedHandler;
+
+    beforeEach(() => {
+      mockModelEngine.getAssetState.resolves(mockState);
+      injectedHandler = fetchAssetStateHandler(mockModelEngine);
+    });
+
+    it('passes asset id, query and token data to the model engine and proxies result', async () => {
+      req.params.assetId = assetId;
+      req.query = {asOf: '10'};
+      req.tokenData = tokenData;
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.getAssetState).to.have.been.calledWith(assetId, {asOf: '10'}, tokenData);
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(JSON.parse(res._getData())).to.deep.equal(mockState);
+    });
+  });
+
+  describe('exporting an asset', () => {
+    const assetId = 'assetid';
+    const tokenData = {createdBy: adminAccountWithSecret.address, validUntil: 423543253453};
+    const mockArchive = {version: 1, asset: {assetId}, events: [], bundles: []};
+
+    it('passes asset id and token data to the model engine and sends the archive as an attachment', async () => {
+      mockModelEngine.exportAsset.resolves(mockArchive);
+      req.params.assetId = assetId;
+      req.tokenData = tokenData;
+      await exportAssetHandler(mockModelEngine)(req, res);
+
+      expect(mockModelEngine.exportAsset).to.have.been.calledWith(assetId, tokenData);
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(res.getHeader('Content-Disposition')).to.equal(`attachment; filename="asset-${assetId}.json"`);
+      expect(JSON.parse(res._getData())).to.deep.equal(mockArchive);
+    });
+  });
+
+  describe('fetching asset relations', () => {
+    const assetId = 'assetid';
+    const tokenData = {createdBy: adminAccountWithSecret.address, validUntil: 423543253453};
+    const mockRelations = {
+      results: [{eventId: '0xevent', parentId: 'parentid', childId: assetId, relation: 'contains'}],
+      resultCount: 1
+    };
+
+    beforeEach(() => {
+      req.params.assetId = assetId;
+      req.tokenData = tokenData;
+    });
+
+    it('passes asset id and token data to the model engine when fetching children', async () => {
+      mockModelEngine.getAssetChildren.resolves(mockRelations);
+      await fetchAssetChildrenHandler(mockModelEngine)(req, res);
+
+      expect(mockModelEngine.getAssetChildren).to.have.been.calledWith(assetId, tokenData);
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(JSON.parse(res._getData())).to.deep.equal(mockRelations);
+    });
+
+    it('passes asset id and token data to the model engine when fetching parents', async () => {
+      mockModelEngine.getAssetParents.resolves(mockRelations);
+      await fetchAssetParentsHandler(mockModelEngine)(req, res);
+
+      expect(mockModelEngine.getAssetParents).to.have.been.calledWith(assetId, tokenData);
+      expect(res._getStatusCode()).to.eq(200);
+      expect(JSON.parse(res._getData())).to.deep.equal(mockRelations);
+    });
+
+    it('passes asset id, query and token data to the model engine when fetching lineage', async () => {
+      const mockLineage = {assetId, depth: 2, ...mockRelations};
+      mockModelEngine.getAssetLineage.resolves(mockLineage);
+      req.query = {depth: '2'};
+      await fetchAssetLineageHandler(mockModelEngine)(req, res);
+
+      expect(mockModelEngine.getAssetLineage).to.have.been.calledWith(assetId, {depth: '2'}, tokenData);
+      expect(res._getStatusCode()).to.eq(200);
+      expect(JSON.parse(res._getData())).to.deep.equal(mockLineage);
+    });
+  });
+
   describe('finding assets', () => {
     let injectedHandler;
 
@@ -119,6 +278,45 @@ describe('Assets', () => {
       expect(returnedData.results.length).to.equal(2);
       expect(returnedData.resultCount).to.equal(165);
     });
+
+    it('streams all assets with default columns as CSV', async () => {
+      const assets = [
+        {assetId: '0x1', content: {idData: {createdBy: '0xabc', timestamp: 1}}},
+        {assetId: '0x2', content: {idData: {createdBy: '0xabc', timestamp: 2}}}
+      ];
+      const assetStream = new Readable({objectMode: true, read() {}});
+      assets.forEach((asset) => assetStream.push(asset));
+      assetStream.push(null);
+      mockModelEngine.exportAssets.resolves(assetStream);
+      req = httpMocks.createRequest({headers: {accept: 'text/csv'}, query: {createdBy: '0xabc'}});
+      res = httpMocks.createResponse({eventEmitter: EventEmitter});
+
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.exportAssets).to.have.been.calledWith({createdBy: '0xabc'});
+      expect(mockModelEngine.findAssets).to.not.have.been.called;
+      expect(res.getHeader('content-type')).to.include('text/csv');
+      expect(res._getData()).to.equal('assetId,content.idData.createdBy,content.idData.timestamp\r\n0x1,0xabc,1\r\n0x2,0xabc,2\r\n');
+    });
+  });
+
+  describe('finding assets by identifier', () => {
+    const tokenData = {createdBy: adminAccountWithSecret.address};
+
+    it('passes identifier from path with query and token to Data Model Engine, proxies result', async () => {
+      const asset = await scenario.addAsset(0, {timestamp : 1});
+      mockModelEngine.findAssetsByIdentifier.resolves({results: [asset], resultCount: 1, next: null, prev: null});
+      req.params = {type: 'gtin', value: '0123'};
+      req.query = {perPage: '10'};
+      req.tokenData = tokenData;
+
+      await findAssetsByIdentifierHandler(mockModelEngine)(req, res);
+
+      expect(mockModelEngine.findAssetsByIdentifier).to.have.been.calledWith('gtin', '0123', {perPage: '10'}, tokenData);
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(JSON.parse(res._getData())).to.deep.equal({results: [asset], resultCount: 1, next: null, prev: null});
+    });
   });
 
   describe('creating an event', () => {
@@ -7,13 +7,15 @@ This Source Code Form is subject to the terms of the Mozilla Public License, v.
 This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
 */
 
+import {Readable} from 'stream';
+import {EventEmitter} from 'events';
 import httpMocks from 'node-mocks-http';
 import chai from 'chai';
 import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
 
-import {findEventsHandler, fetchEventHandler} from '../../src/routes/events';
+import {findEventsHandler, queryEventsHandler, eventStatsHandler, fetchEventHandler, createEventsBatchHandler, fetchEventProofHandler, streamEventsHandler} from '../../src/routes/events';
 
 import {createWeb3} from '../../src/utils/web3_tools';
 import IdentityManager from '../../src/services/identity_manager';
@@ -21,6 +23,7 @@ import ScenarioBuilder from '../fixtures/scenario_builder';
 import {adminAccountWithSecret} from '../fixtures/account';
 import {put} from '../../src/utils/dict_utils';
 import {createEvent} from '../fixtures/assets_events';
+import {ValidationError} from '../../src/errors/errors';
 
 chai.use(sinonChai);
 chai.use(chaiAsPromised);
@@ -39,7 +42,13 @@ describe('Events', () => {
   beforeEach(async () => {
     mockModelEngine = {
       findEvents: sinon.stub(),
-      getEvent: sinon.stub()
+      queryEvents: sinon.stub(),
+      getEventStats: sinon.stub(),
+      getEvent: sinon.stub(),
+      getEventBundleProof: sinon.stub(),
+      subscribeToEvents: sinon.stub(),
+      createEntitiesBatch: sinon.stub(),
+      exportEvents: sinon.stub()
     };
     req = httpMocks.createRequest({});
     res = httpMocks.createResponse();
@@ -82,6 +91,219 @@ describe('Events', () => {
       expect(returnedData.results.length).to.equal(4);
       expect(returnedData.resultCount).to.equal(165);
     });
+
+    it('proxies pagination cursors', async () => {
+      mockModelEngine.findEvents.resolves({results: [], resultCount: 165, next: 'nextCursor', prev: null});
+
+      await injectedHandler(req, res);
+
+      const returnedData = JSON.parse(res._getData());
+      expect(returnedData.next).to.equal('nextCursor');
+      expect(returnedData.prev).to.be.null;
+    });
+
+    describe('exporting', () => {
+      const events = [
+        {eventId: '0x1', content: {idData: {assetId: '0xa', timestamp: 1}, data: [{type: 'first'}]}},
+        {eventId: '0x2', content: {idData: {assetId: '0xa', timestamp: 2}, data: [{type: 'second'}]}}
+      ];
+
+      const streamOf = (items) => {
+        const stream = new Readable({objectMode: true, read() {}});
+        items.forEach((item) => stream.push(item));
+        stream.push(null);
+        return stream;
+      };
+
+      beforeEach(() => {
+        res = httpMocks.createResponse({eventEmitter: EventEmitter});
+        mockModelEngine.exportEvents.callsFake(async () => streamOf(events));
+      });
+
+      it('streams all events as NDJSON', async () => {
+        req = httpMocks.createRequest({headers: {accept: 'application/x-ndjson'}, query: {assetId: '0xa'}});
+        await injectedHandler(req, res);
+
+        expect(mockModelEngine.exportEvents).to.have.been.calledWith({assetId: '0xa'});
+        expect(mockModelEngine.findEvents).to.not.have.been.called;
+        expect(res.getHeader('content-type')).to.include('application/x-ndjson');
+        expect(res._getData()
+          .trim()
+          .split('\n')
+          .map((line) => JSON.parse(line))).to.deep.equal(events);
+      });
+
+      it('streams selected columns of all events as CSV', async () => {
+        req = httpMocks.createRequest({headers: {accept: 'text/csv'}, query: {assetId: '0xa', columns: 'eventId,content.data[0].type'}});
+        await injectedHandler(req, res);
+
+        expect(mockModelEngine.exportEvents).to.have.been.calledWith({assetId: '0xa'});
+        expect(res.getHeader('content-type')).to.include('text/csv');
+        expect(res._getData()).to.equal('eventId,content.data[0].type\r\n0x1,first\r\n0x2,second\r\n');
+      });
+
+      it('throws if columns are invalid', async () => {
+        req = httpMocks.createRequest({headers: {accept: 'text/csv'}, query: {columns: 'content..data'}});
+        await expect(injectedHandler(req, res)).to.be.rejectedWith(ValidationError);
+        expect(mockModelEngine.exportEvents).to.not.have.been.called;
+      });
+    });
+  });
+
+  describe('querying events', () => {
+    let injectedHandler;
+
+    beforeEach(() => {
+      injectedHandler = queryEventsHandler(mockModelEngine);
+      mockModelEngine.queryEvents.resolves({results: ['event1', 'event2'], resultCount: 12, next: 'nextCursor', prev: null});
+    });
+
+    it('passes request body and token data to Data Model Engine and proxies result', async () => {
+      const body = {query: {field: 'data.type', op: 'eq', value: 'ambrosus.event.example'}, perPage: 2};
+      const tokenData = {createdBy: '0x123'};
+      req.body = body;
+      req.tokenData = tokenData;
+
+      await injectedHandler(req, res);
+
+      const returnedData = JSON.parse(res._getData());
+      expect(mockModelEngine.queryEvents).to.have.been.calledWith(body, tokenData);
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(returnedData).to.deep.equal({results: ['event1', 'event2'], resultCount: 12, next: 'nextCursor', prev: null});
+    });
+
+    it('rethrows ValidationError from Data Model Engine', async () => {
+      mockModelEngine.queryEvents.rejects(new ValidationError('Invalid query'));
+      await expect(injectedHandler(req, res)).to.be.rejectedWith(ValidationError);
+    });
+  });
+
+  describe('getting event stats', () => {
+    let injectedHandler;
+
+    beforeEach(() => {
+      injectedHandler = eventStatsHandler(mockModelEngine);
+    });
+
+    it('passes query parameters and token data to Data Model Engine and proxies result', async () => {
+      const stats = {results: [{createdBy: '0x123', count: 5}], truncated: false};
+      mockModelEngine.getEventStats.resolves(stats);
+      req.query = {groupBy: 'createdBy'};
+      req.tokenData = {createdBy: '0x123'};
+
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.getEventStats).to.have.been.calledWith({groupBy: 'createdBy'}, {createdBy: '0x123'});
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(JSON.parse(res._getData())).to.deep.equal(stats);
+    });
+  });
+
+  describe('streaming events', () => {
+    const config = {eventStreamHeartbeatIntervalInSeconds: 15};
+    let mockSubscription;
+    let clock;
+    let injectedHandler;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      mockSubscription = {
+        start: sinon.stub().resolves(),
+        unsubscribe: sinon.stub()
+      };
+      mockModelEngine.subscribeToEvents.resolves(mockSubscription);
+      req = httpMocks.createRequest({query: {assetId: '0x1234'}, headers: {'Last-Event-ID': '0xlast'}});
+      res = httpMocks.createResponse();
+      injectedHandler = streamEventsHandler(mockModelEngine, config);
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('subscribes with query, token data and the Last-Event-ID header', async () => {
+      req.tokenData = {createdBy: '0x123'};
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.subscribeToEvents).to.have.been.calledWith({assetId: '0x1234'}, req.tokenData, '0xlast');
+    });
+
+    it('takes the last seen event from lastEventId query parameter', async () => {
+      req.query.lastEventId = '0xother';
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.subscribeToEvents).to.have.been.calledWith({assetId: '0x1234'}, undefined, '0xother');
+    });
+
+    it('writes events in the event stream format', async () => {
+      mockSubscription.start.callsFake(async ({event}) => {
+        await event({eventId: '0xabc', content: {}});
+      });
+      await injectedHandler(req, res);
+
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res.get('Content-Type')).to.eq('text/event-stream');
+      expect(res._getData()).to.eq('retry: 15000\n\nid: 0xabc\ndata: {"eventId":"0xabc","content":{}}\n\n');
+    });
+
+    it('sends heartbeats periodically', async () => {
+      await injectedHandler(req, res);
+      clock.tick(30000);
+
+      expect(res._getData()).to.eq('retry: 15000\n\n:heartbeat\n\n:heartbeat\n\n');
+    });
+
+    it('unsubscribes and stops heartbeats when the connection is closed', async () => {
+      await injectedHandler(req, res);
+      req.emit('close');
+      clock.tick(30000);
+
+      expect(mockSubscription.unsubscribe).to.have.been.calledOnce;
+      expect(res._getData()).to.eq('retry: 15000\n\n');
+    });
+
+    it('ends the response if the subscription fails', async () => {
+      mockSubscription.start.callsFake(async ({error}) => {
+        await error(new Error());
+      });
+      await injectedHandler(req, res);
+
+      expect(mockSubscription.unsubscribe).to.have.been.calledOnce;
+      expect(res.finished).to.be.true;
+    });
+
+    it('does not start the stream if subscription is rejected', async () => {
+      mockModelEngine.subscribeToEvents.rejects(new ValidationError('an error'));
+      await expect(injectedHandler(req, res)).to.be.rejectedWith(ValidationError);
+      expect(res._getData()).to.eq('');
+    });
+  });
+
+  describe('creating a batch of events', () => {
+    const batchResults = [{eventId: '0x1', status: 'CREATED'}];
+    let injectedHandler;
+
+    beforeEach(() => {
+      mockModelEngine.createEntitiesBatch.resolves(batchResults);
+      req.body = [createEvent()];
+      injectedHandler = createEventsBatchHandler(mockModelEngine);
+    });
+
+    it('pushes events into Data Model Engine, disallowing assets', async () => {
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.createEntitiesBatch).to.have.been.calledOnceWith(req.body, false);
+    });
+
+    it('responds with results for every event', async () => {
+      await injectedHandler(req, res);
+
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(JSON.parse(res._getData())).to.deep.equal({results: batchResults});
+    });
   });
 
   describe('fetching event', () => {
@@ -106,5 +328,30 @@ describe('Events', () => {
       expect(res._isJSON()).to.be.true;
     });
   });
-});
 
+  describe('fetching event proof', () => {
+    const eventId = 'eventid';
+    const mockProof = {
+      bundleId: '0xbundle',
+      entriesHash: '0xroot',
+      proof: [{position: 'right', hash: '0xsibling'}]
+    };
+    let injectedHandler;
+
+    beforeEach(() => {
+      mockModelEngine.getEventBundleProof.resolves(mockProof);
+      injectedHandler = fetchEventProofHandler(mockModelEngine);
+    });
+
+    it('asks the model engine for the proof and passes token data', async () => {
+      req.params.eventId = eventId;
+      req.tokenData = {createdBy: '0x123'};
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.getEventBundleProof).to.have.been.calledWith(eventId, req.tokenData);
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(JSON.parse(res._getData())).to.deep.equal(mockProof);
+    });
+  });
+});
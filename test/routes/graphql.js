@@ -0,0 +1,64 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import httpMocks from 'node-mocks-http';
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import {graphqlHandler} from '../../src/routes/graphql';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('GraphQL', () => {
+  const tokenData = {createdBy: '0xabc', validUntil: 1700000000};
+  const query = '{ asset(assetId: "0x1") { assetId } }';
+  let mockGraphqlApi;
+  let req;
+  let res;
+  let injectedHandler;
+
+  beforeEach(() => {
+    mockGraphqlApi = {
+      execute: sinon.stub()
+    };
+    req = httpMocks.createRequest({body: {query, variables: {perPage: 1}, operationName: 'Asset'}});
+    req.tokenData = tokenData;
+    res = httpMocks.createResponse();
+    injectedHandler = graphqlHandler(mockGraphqlApi);
+  });
+
+  it('passes query, variables, operation name and token data to the api', async () => {
+    mockGraphqlApi.execute.resolves({data: {asset: {assetId: '0x1'}}});
+    await injectedHandler(req, res);
+
+    expect(mockGraphqlApi.execute).to.have.been.calledOnceWith(query, {perPage: 1}, 'Asset', tokenData);
+    expect(res._getStatusCode()).to.equal(200);
+    expect(res._isJSON()).to.be.true;
+    expect(JSON.parse(res._getData())).to.deep.equal({data: {asset: {assetId: '0x1'}}});
+  });
+
+  it('responds with 200 when execution errors come with data', async () => {
+    mockGraphqlApi.execute.resolves({data: {accounts: null}, errors: [{message: 'Authentication failed'}]});
+    await injectedHandler(req, res);
+
+    expect(res._getStatusCode()).to.equal(200);
+    expect(JSON.parse(res._getData()).errors).to.have.lengthOf(1);
+  });
+
+  it('responds with 400 when the query was rejected before execution', async () => {
+    mockGraphqlApi.execute.resolves({errors: [{message: 'Query depth 9 exceeds the maximum allowed depth of 8'}]});
+    await injectedHandler(req, res);
+
+    expect(res._getStatusCode()).to.equal(400);
+    expect(JSON.parse(res._getData())).to.deep.equal({errors: [{message: 'Query depth 9 exceeds the maximum allowed depth of 8'}]});
+  });
+});
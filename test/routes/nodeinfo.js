@@ -12,7 +12,7 @@ import chai from 'chai';
 import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 
-import {getNodeInfoHandler} from '../../src/routes/nodeinfo';
+import {getNodeInfoHandler, getPendingWorkHandler} from '../../src/routes/nodeinfo';
 
 chai.use(sinonChai);
 const {expect} = chai;
@@ -24,13 +24,20 @@ describe('Node info', () => {
   let mockModel;
   const mockAddress = '0x33323df655da4e8eBF343E73b7703D2188389f20';
   const mockLogs = [{foo: 'bar'}, {foo2: 'bar2'}, {foo3: 'bar3'}];
+  const mockPendingWork = {
+    assets: {count: 1, oldestTimestamp: 10},
+    events: {count: 0, oldestTimestamp: null},
+    bundlesWaitingForUpload: [],
+    nextBundleCandidates: [{partition: 'default', settings: {}, assetsCount: 1, eventsCount: 0, byteSize: 100}]
+  };
 
   beforeEach(async () => {
     mockIdentityManager = {
       nodeAddress: sinon.stub().returns(mockAddress)
     };
     mockModel = {
-      getWorkerLogs: sinon.stub().resolves(mockLogs)
+      getWorkerLogs: sinon.stub().resolves(mockLogs),
+      getPendingWork: sinon.stub().resolves(mockPendingWork)
     };
     req = httpMocks.createRequest();
     res = httpMocks.createResponse();
@@ -49,5 +56,13 @@ describe('Node info', () => {
     expect(responseBody.version).to.match(/^\d+\.\d+\.\d+$/);
     expect(responseBody.nodeAddress).to.equal(mockAddress);
   });
-});
 
+  it('reports pending work', async () => {
+    req.tokenData = {createdBy: mockAddress};
+    await getPendingWorkHandler(mockModel)(req, res);
+    expect(mockModel.getPendingWork).to.have.been.calledOnceWith(req.tokenData);
+    expect(res._getStatusCode()).to.equal(200);
+    expect(res._isJSON()).to.be.true;
+    expect(JSON.parse(res._getData())).to.deep.equal(mockPendingWork);
+  });
+});
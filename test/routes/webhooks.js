@@ -0,0 +1,106 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import httpMocks from 'node-mocks-http';
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import {addWebhookHandler, getWebhooksHandler, getWebhookHandler, removeWebhookHandler, findWebhookDeliveriesHandler} from '../../src/routes/webhooks';
+import {adminAccountWithSecret} from '../fixtures/account';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Webhooks', () => {
+  const tokenData = {createdBy: adminAccountWithSecret.address, validUntil: 423543253453};
+  const webhookId = '0x123';
+  const webhook = {webhookId, url: 'https://example.com/hook', triggers: ['asset.created'], filters: {}, createdBy: tokenData.createdBy};
+  let mockModelEngine = null;
+  let req = null;
+  let res = null;
+
+  beforeEach(async () => {
+    mockModelEngine = {
+      addWebhook: sinon.stub(),
+      getWebhooks: sinon.stub(),
+      getWebhook: sinon.stub(),
+      removeWebhook: sinon.stub(),
+      findWebhookDeliveries: sinon.stub()
+    };
+    req = httpMocks.createRequest({});
+    res = httpMocks.createResponse();
+    req.tokenData = tokenData;
+  });
+
+  it('registering a webhook passes json body into Data Model Engine and proxies result', async () => {
+    const webhookRequest = {url: webhook.url, triggers: webhook.triggers};
+    mockModelEngine.addWebhook.resolves({...webhook, secret: 'abc'});
+    req.body = webhookRequest;
+
+    await addWebhookHandler(mockModelEngine)(req, res);
+
+    expect(mockModelEngine.addWebhook).to.have.been.calledWith(webhookRequest, tokenData);
+    expect(res._getStatusCode()).to.eq(201);
+    expect(res._isJSON()).to.be.true;
+    expect(JSON.parse(res._getData())).to.deep.equal({...webhook, secret: 'abc'});
+  });
+
+  it('listing webhooks proxies result from Data Model Engine', async () => {
+    mockModelEngine.getWebhooks.resolves({results: [webhook], resultCount: 1});
+
+    await getWebhooksHandler(mockModelEngine)(req, res);
+
+    expect(mockModelEngine.getWebhooks).to.have.been.calledWith(tokenData);
+    expect(res._getStatusCode()).to.eq(200);
+    expect(JSON.parse(res._getData())).to.deep.equal({results: [webhook], resultCount: 1});
+  });
+
+  it('getting a webhook passes requested id to Data Model Engine and proxies result', async () => {
+    mockModelEngine.getWebhook.resolves(webhook);
+    req.params.webhookId = webhookId;
+
+    await getWebhookHandler(mockModelEngine)(req, res);
+
+    expect(mockModelEngine.getWebhook).to.have.been.calledWith(webhookId, tokenData);
+    expect(res._getStatusCode()).to.eq(200);
+    expect(JSON.parse(res._getData())).to.deep.equal(webhook);
+  });
+
+  it('removing a webhook passes requested id to Data Model Engine and responds with no content', async () => {
+    mockModelEngine.removeWebhook.resolves();
+    req.params.webhookId = webhookId;
+
+    await removeWebhookHandler(mockModelEngine)(req, res);
+
+    expect(mockModelEngine.removeWebhook).to.have.been.calledWith(webhookId, tokenData);
+    expect(res._getStatusCode()).to.eq(204);
+  });
+
+  it('finding deliveries passes id and query to Data Model Engine and proxies result', async () => {
+    const deliveries = {results: [{deliveryId: '0x456', webhookId, status: 'DELIVERED'}], resultCount: 1};
+    mockModelEngine.findWebhookDeliveries.resolves(deliveries);
+    req.params.webhookId = webhookId;
+    req.query = {status: 'DELIVERED'};
+
+    await findWebhookDeliveriesHandler(mockModelEngine)(req, res);
+
+    expect(mockModelEngine.findWebhookDeliveries).to.have.been.calledWith(webhookId, {status: 'DELIVERED'}, tokenData);
+    expect(res._getStatusCode()).to.eq(200);
+    expect(JSON.parse(res._getData())).to.deep.equal(deliveries);
+  });
+
+  it('propagates errors from Data Model Engine', async () => {
+    mockModelEngine.getWebhook.rejects(new Error('error'));
+    req.params.webhookId = webhookId;
+
+    await expect(getWebhookHandler(mockModelEngine)(req, res)).to.be.rejected;
+  });
+});
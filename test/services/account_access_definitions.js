@@ -19,6 +19,7 @@ import {pick, put} from '../../src/utils/dict_utils';
 import resetHistory from '../helpers/reset_history';
 import createTokenFor from '../fixtures/create_token_for';
 import allPermissions from '../../src/utils/all_permissions';
+import {CursorDirections, encodeCursor} from '../../src/utils/pagination_cursor';
 
 chai.use(sinonChai);
 chai.use(chaiAsPromised);
@@ -416,6 +417,18 @@ describe('Account Access Definitions', () => {
       const params = put(validParamsAsStrings, 'perPage', '101');
       expect(() => accountAccessDefinitions.validateAndCastFindAccountParams(params)).to.throw(ValidationError);
     });
+
+    it('decodes cursor and casts skipCount', () => {
+      const cursor = encodeCursor({value: 10, id: mockAccount.address}, CursorDirections.next);
+      const validatedParams = accountAccessDefinitions.validateAndCastFindAccountParams({...validParamsAsStrings, cursor, skipCount: 'true'});
+      expect(validatedParams.cursor).to.deep.equal({value: 10, id: mockAccount.address, direction: CursorDirections.next});
+      expect(validatedParams.skipCount).to.be.true;
+    });
+
+    it('throws if both page and cursor are passed', () => {
+      const cursor = encodeCursor({value: 10, id: mockAccount.address}, CursorDirections.next);
+      expect(() => accountAccessDefinitions.validateAndCastFindAccountParams({...validParamsAsStrings, cursor, page: '1'})).to.throw(ValidationError);
+    });
   });
 
 
@@ -0,0 +1,97 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import AssetIdentifierRepository from '../../src/services/asset_identifier_repository';
+import {connectToMongo, cleanDatabase} from '../../src/utils/db_utils';
+import config from '../../src/config/config';
+
+const {expect} = chai;
+
+describe('Asset Identifier Repository', () => {
+  let client;
+  let db;
+  let storage;
+
+  const createIdentifier = (assetId, type, value, fields = {}) => ({
+    eventId: '0x1',
+    assetId,
+    type,
+    value,
+    createdBy: '0xabc',
+    timestamp: 1000,
+    accessLevel: 0,
+    ...fields
+  });
+
+  before(async () => {
+    ({client, db} = await connectToMongo(config));
+    storage = new AssetIdentifierRepository(db);
+  });
+
+  afterEach(async () => {
+    await cleanDatabase(db);
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it('stores identifiers without modifying them', async () => {
+    const identifiers = [createIdentifier('0xa', 'gtin', '0123')];
+    await storage.storeIdentifiers(identifiers);
+    expect(identifiers[0]).to.not.have.property('_id');
+    const count = await db.collection('asset_identifiers')
+      .find({assetId: '0xa'})
+      .count();
+    expect(count).to.equal(1);
+  });
+
+  it('does nothing when given no identifiers', async () => {
+    await storage.storeIdentifiers([]);
+    const count = await db.collection('asset_identifiers')
+      .find({})
+      .count();
+    expect(count).to.equal(0);
+  });
+
+  describe('finding asset ids', () => {
+    beforeEach(async () => {
+      await storage.storeIdentifiers([
+        createIdentifier('0xb', 'gtin', '0123'),
+        createIdentifier('0xb', 'sn', 'abc-1', {eventId: '0x2'}),
+        createIdentifier('0xa', 'gtin', '0123'),
+        createIdentifier('0xa', 'gtin', '0123', {eventId: '0x3'}),
+        createIdentifier('0xc', 'sn', 'abc-2'),
+        createIdentifier('0xd', 'gtin', '0999', {accessLevel: 3})
+      ]);
+    });
+
+    it('returns unique ids of assets known by the exact identifier', async () => {
+      expect(await storage.findAssetIds({gtin: '0123'}, 0)).to.deep.equal(['0xa', '0xb']);
+    });
+
+    it('returns assets known by all of the identifiers, even if listed by different events', async () => {
+      expect(await storage.findAssetIds({gtin: '0123', sn: 'abc-1'}, 0)).to.deep.equal(['0xb']);
+    });
+
+    it('returns assets known by any of the identifiers when not matching all', async () => {
+      expect(await storage.findAssetIds({gtin: '0123', sn: 'abc-2'}, 0, false)).to.deep.equal(['0xa', '0xb', '0xc']);
+    });
+
+    it('matches values against patterns', async () => {
+      expect(await storage.findAssetIds({sn: /^abc-/}, 0)).to.deep.equal(['0xb', '0xc']);
+    });
+
+    it('skips identifiers above the access level', async () => {
+      expect(await storage.findAssetIds({gtin: '0999'}, 2)).to.deep.equal([]);
+      expect(await storage.findAssetIds({gtin: '0999'}, 3)).to.deep.equal(['0xd']);
+    });
+  });
+});
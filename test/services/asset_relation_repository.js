@@ -0,0 +1,81 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import AssetRelationRepository from '../../src/services/asset_relation_repository';
+import {connectToMongo, cleanDatabase} from '../../src/utils/db_utils';
+import config from '../../src/config/config';
+
+const {expect} = chai;
+
+describe('Asset Relation Repository', () => {
+  let client;
+  let db;
+  let storage;
+
+  const createRelation = (fields) => ({
+    eventId: '0x1',
+    parentId: '0xpallet',
+    childId: '0xcase',
+    relation: 'contains',
+    createdBy: '0xabc',
+    timestamp: 1000,
+    accessLevel: 0,
+    ...fields
+  });
+
+  before(async () => {
+    ({client, db} = await connectToMongo(config));
+    storage = new AssetRelationRepository(db);
+  });
+
+  afterEach(async () => {
+    await cleanDatabase(db);
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it('does nothing when there are no relations to store', async () => {
+    await storage.storeRelations([]);
+    expect(await db.collection('asset_relations')
+      .find()
+      .count()).to.equal(0);
+  });
+
+  describe('finding relations', () => {
+    const palletToCase = createRelation({eventId: '0x1', timestamp: 2});
+    const palletToSecondCase = createRelation({eventId: '0x2', childId: '0xcase2', timestamp: 1});
+    const batchToCase = createRelation({eventId: '0x3', parentId: '0xbatch', relation: 'derivedFrom', timestamp: 3});
+    const privateTruckToPallet = createRelation({eventId: '0x4', parentId: '0xtruck', childId: '0xpallet', accessLevel: 2});
+
+    beforeEach(async () => {
+      await storage.storeRelations([palletToCase, palletToSecondCase, batchToCase, privateTruckToPallet]);
+    });
+
+    it('finds children in chronological order', async () => {
+      expect(await storage.findChildren('0xpallet', 0)).to.deep.equal([palletToSecondCase, palletToCase]);
+    });
+
+    it('finds parents in chronological order', async () => {
+      expect(await storage.findParents('0xcase', 0)).to.deep.equal([palletToCase, batchToCase]);
+    });
+
+    it('finds parents of several assets at once', async () => {
+      expect(await storage.findParentsOfAssets(['0xcase', '0xcase2'], 0)).to.deep.equal([palletToSecondCase, palletToCase, batchToCase]);
+    });
+
+    it('skips relations with access level higher than given', async () => {
+      expect(await storage.findParents('0xpallet', 1)).to.deep.equal([]);
+      expect(await storage.findParents('0xpallet', 2)).to.deep.equal([privateTruckToPallet]);
+      expect(await storage.findChildren('0xtruck', 0)).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import AssetTextRepository from '../../src/services/asset_text_repository';
+import {up as createAssetTextIndex} from '../../src/migrations/20261018160000_add_asset_text_index';
+import {connectToMongo, cleanDatabase} from '../../src/utils/db_utils';
+import config from '../../src/config/config';
+
+const {expect} = chai;
+
+describe('Asset Text Repository', () => {
+  let client;
+  let db;
+  let storage;
+
+  const createText = (fields) => ({
+    eventId: '0x1',
+    assetId: '0xwine',
+    createdBy: '0xabc',
+    timestamp: 1000,
+    accessLevel: 0,
+    locale: null,
+    textLanguage: 'none',
+    name: 'Red wine',
+    description: 'Dry red wine from the south of France',
+    tags: ['wine', 'red'],
+    ...fields
+  });
+
+  before(async () => {
+    ({client, db} = await connectToMongo(config));
+    await createAssetTextIndex(db, config, {info: () => {}});
+    storage = new AssetTextRepository(db);
+  });
+
+  afterEach(async () => {
+    await cleanDatabase(db);
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it('does nothing when there are no texts to store', async () => {
+    await storage.storeTexts([]);
+    expect(await db.collection('asset_texts')
+      .find()
+      .count()).to.equal(0);
+  });
+
+  describe('searching', () => {
+    const redWine = createText({});
+    const redWineUpdate = createText({eventId: '0x2', timestamp: 2000, description: 'Aged dry red wine'});
+    const frenchRedWine = createText({eventId: '0x2', locale: 'fr', textLanguage: 'fr', name: 'Vin rouge', description: 'Vin rouge sec du sud de la France', tags: undefined});
+    const whiteWine = createText({eventId: '0x3', assetId: '0xwhite', timestamp: 3000, name: 'White wine', description: 'Sweet white wine', tags: ['wine', 'white']});
+    const privateCheese = createText({eventId: '0x4', assetId: '0xcheese', accessLevel: 2, name: 'Cheese', description: 'Goes well with red wine', tags: []});
+
+    beforeEach(async () => {
+      await storage.storeTexts([redWine, redWineUpdate, frenchRedWine, whiteWine, privateCheese]);
+    });
+
+    it('finds assets ranked by relevance, once per asset', async () => {
+      const {results, resultCount} = await storage.searchAssets('red', undefined, 0, {});
+      expect(results.map(({assetId}) => assetId)).to.deep.equal(['0xwine']);
+      expect(resultCount).to.equal(1);
+
+      const {results: wines} = await storage.searchAssets('red wine', undefined, 0, {});
+      expect(wines.map(({assetId}) => assetId)).to.deep.equal(['0xwine', '0xwhite']);
+      expect(wines[0].score).to.be.above(wines[1].score);
+    });
+
+    it('returns snippets of the matching texts', async () => {
+      const {results} = await storage.searchAssets('sweet', undefined, 0, {});
+      expect(results).to.have.lengthOf(1);
+      expect(results[0].assetId).to.equal('0xwhite');
+      expect(results[0].snippet).to.include('Sweet white wine');
+    });
+
+    it('searches only texts in the given language', async () => {
+      const {results} = await storage.searchAssets('rouge', 'fr', 0, {});
+      expect(results).to.deep.equal([{assetId: '0xwine', score: results[0].score, snippet: 'Vin rouge - Vin rouge sec du sud de la France'}]);
+      expect((await storage.searchAssets('red', 'fr', 0, {})).results).to.deep.equal([]);
+    });
+
+    it('skips texts with access level higher than given', async () => {
+      expect((await storage.searchAssets('cheese', undefined, 0, {})).results).to.deep.equal([]);
+      expect((await storage.searchAssets('cheese', undefined, 2, {})).results.map(({assetId}) => assetId)).to.deep.equal(['0xcheese']);
+    });
+
+    it('paginates results', async () => {
+      const {results, resultCount} = await storage.searchAssets('wine', undefined, 0, {page: 1, perPage: 1});
+      expect(results).to.have.lengthOf(1);
+      expect(resultCount).to.equal(2);
+      expect((await storage.searchAssets('wine', undefined, 0, {skipCount: true})).resultCount).to.be.undefined;
+    });
+
+    it('finds events, once per event, with filters', async () => {
+      const {results, resultCount} = await storage.searchEvents('wine', undefined, 2, {assetId: '0xwine'}, {});
+      expect(results.map(({eventId}) => eventId)).to.have.members(['0x1', '0x2']);
+      expect(resultCount).to.equal(2);
+      results.forEach((result) => expect(result).to.have.keys(['eventId', 'assetId', 'score', 'snippet']));
+
+      const {results: recent} = await storage.searchEvents('wine', undefined, 2, {fromTimestamp: 1500, toTimestamp: 2500}, {});
+      expect(recent.map(({eventId}) => eventId)).to.deep.equal(['0x2']);
+    });
+  });
+});
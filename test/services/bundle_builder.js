@@ -14,13 +14,14 @@ import sinonChai from 'sinon-chai';
 
 import {pick, put} from '../../src/utils/dict_utils';
 import {createWeb3} from '../../src/utils/web3_tools';
-import {ValidationError} from '../../src/errors/errors';
+import {NotFoundError, ValidationError} from '../../src/errors/errors';
 
 import IdentityManager from '../../src/services/identity_manager';
 import BundleBuilder from '../../src/services/bundle_builder';
 
 import {adminAccountWithSecret} from '../fixtures/account';
-import {createFullAsset, createFullBundle, createFullEvent} from '../fixtures/assets_events';
+import {createFullAsset, createFullBundle, createFullBundleV3, createFullEvent} from '../fixtures/assets_events';
+import {calculateMerkleRoot, verifyMerkleProof} from '../../src/utils/merkle_tree';
 
 import ScenarioBuilder from '../fixtures/scenario_builder';
 import {getTimestamp} from '../../src/utils/time_utils';
@@ -35,6 +36,7 @@ describe('Bundle Builder', () => {
   let exampleAsset;
   let exampleEvent;
   let exampleBundle;
+  let exampleBundleV3;
   let exampleBundleValidationSubset;
   let bundleBuilder;
   const bundleItemsCountLimit = 1000;
@@ -45,6 +47,7 @@ describe('Bundle Builder', () => {
     exampleAsset = createFullAsset(identityManager);
     exampleEvent = createFullEvent(identityManager, {assetId: exampleAsset.assetId});
     exampleBundle = createFullBundle(identityManager, {}, [exampleAsset, exampleEvent]);
+    exampleBundleV3 = createFullBundleV3(identityManager, {}, [exampleAsset, exampleEvent]);
     exampleBundleValidationSubset = put(exampleBundle, 'content.entries', [{assetId: exampleAsset.assetId}, {eventId: exampleEvent.eventId}]);
   });
 
@@ -95,6 +98,13 @@ describe('Bundle Builder', () => {
       expect(partialValidationStub).to.be.not.called;
     });
 
+    it('calls full validation when bundle has version 3', async () => {
+      mockReadStream = createMockStream(exampleBundleV3);
+      await bundleBuilder.validateStreamedBundle(mockReadStream, mockWriteStream, 1);
+      expect(fullValidationStub).to.be.calledOnce;
+      expect(partialValidationStub).to.be.not.called;
+    });
+
     it('calls only partial validation when version is not latest and supportDeprecatedBundleVersions is set to true', async () => {
       mockReadStream = createMockStream(put(exampleBundle, 'content.idData.version', 2));
       await bundleBuilder.validateStreamedBundle(mockReadStream, mockWriteStream, 1);
@@ -105,7 +115,7 @@ describe('Bundle Builder', () => {
     it('throws when version is not latest and supportDeprecatedBundleVersions is set to false', async () => {
       bundleBuilder.supportDeprecatedBundleVersions = false;
       mockReadStream = createMockStream(put(exampleBundle, 'content.idData.version', 2));
-      await expect(bundleBuilder.validateStreamedBundle(mockReadStream, mockWriteStream, 1)).to.be.rejectedWith(ValidationError, 'Only bundles with version 3 are supported');
+      await expect(bundleBuilder.validateStreamedBundle(mockReadStream, mockWriteStream, 1)).to.be.rejectedWith(ValidationError, 'Only bundles with version 3 or 4 are supported');
     });
 
     it('aborts the write and throws if the bundle download fails', async () => {
@@ -128,7 +138,8 @@ describe('Bundle Builder', () => {
     before(() => {
       mockIdentityManager = {
         validateSignature: sinon.stub(),
-        checkHashMatches: sinon.stub()
+        checkHashMatches: sinon.stub(),
+        calculateHash: sinon.stub()
       };
       bundleBuilder = new BundleBuilder(mockIdentityManager);
     });
@@ -138,6 +149,8 @@ describe('Bundle Builder', () => {
       mockIdentityManager.validateSignature.returns();
       mockIdentityManager.checkHashMatches.reset();
       mockIdentityManager.checkHashMatches.returns(true);
+      mockIdentityManager.calculateHash.reset();
+      mockIdentityManager.calculateHash.callsFake((data) => identityManager.calculateHash(data));
     });
 
     it('passes for proper bundle', () => {
@@ -165,10 +178,19 @@ describe('Bundle Builder', () => {
       expect(() => bundleBuilder.validateBundle(exampleBundle, bundleItemsCountLimit)).to.throw(ValidationError);
     });
 
-    it(`checks if entriesHash matches the hash of entries' ids (delegated to IdentityManager)`, () => {
-      mockIdentityManager.checkHashMatches.withArgs(exampleBundle.content.idData.entriesHash,
-        bundleBuilder.extractIdsFromEntries(exampleBundle.content.entries)).returns(false);
-      expect(() => bundleBuilder.validateBundle(exampleBundle, bundleItemsCountLimit)).to.throw(ValidationError);
+    it(`checks if entriesHash matches the Merkle root of entries' ids`, () => {
+      const brokenBundle = put(exampleBundle, 'content.idData.entriesHash', identityManager.calculateHash([exampleEvent.eventId, exampleAsset.assetId]));
+      expect(() => bundleBuilder.validateBundle(brokenBundle, bundleItemsCountLimit)).to.throw(ValidationError, `entriesHash value doesn't match the entries hash`);
+    });
+
+    it('passes for proper bundle with version 3', () => {
+      expect(() => bundleBuilder.validateBundle(exampleBundleV3, bundleItemsCountLimit)).to.not.throw();
+    });
+
+    it(`checks if entriesHash of version 3 bundle matches the hash of entries' ids (delegated to IdentityManager)`, () => {
+      mockIdentityManager.checkHashMatches.withArgs(exampleBundleV3.content.idData.entriesHash,
+        bundleBuilder.extractIdsFromEntries(exampleBundleV3.content.entries)).returns(false);
+      expect(() => bundleBuilder.validateBundle(exampleBundleV3, bundleItemsCountLimit)).to.throw(ValidationError);
     });
 
     it('checks if signature is correct (delegated to IdentityManager)', () => {
@@ -208,6 +230,62 @@ describe('Bundle Builder', () => {
     });
   });
 
+  describe('calculateEntryInclusionProof', () => {
+    before(() => {
+      bundleBuilder = new BundleBuilder(identityManager);
+    });
+
+    it('returns the proof that leads from entry id to the entriesHash', () => {
+      const hash = (data) => identityManager.calculateHash(data);
+      for (const entryId of [exampleAsset.assetId, exampleEvent.eventId]) {
+        const proof = bundleBuilder.calculateEntryInclusionProof(exampleBundle, entryId);
+        expect(verifyMerkleProof(entryId, proof, exampleBundle.content.idData.entriesHash, hash)).to.be.true;
+      }
+    });
+
+    it('throws NotFoundError if entry is not part of the bundle', () => {
+      expect(() => bundleBuilder.calculateEntryInclusionProof(exampleBundle, '0x1234')).to.throw(NotFoundError);
+    });
+
+    it('throws ValidationError for bundles older than version 4', () => {
+      expect(() => bundleBuilder.calculateEntryInclusionProof(exampleBundleV3, exampleAsset.assetId)).to.throw(ValidationError);
+    });
+  });
+
+  describe('assembleInclusionEvidence', () => {
+    before(() => {
+      bundleBuilder = new BundleBuilder(identityManager);
+    });
+
+    it('returns a proof for every requested entry', () => {
+      const hash = (data) => identityManager.calculateHash(data);
+      const {proofs} = bundleBuilder.assembleInclusionEvidence(exampleBundle, [exampleEvent.eventId]);
+      expect(Object.keys(proofs)).to.deep.equal([exampleEvent.eventId]);
+      expect(verifyMerkleProof(exampleEvent.eventId, proofs[exampleEvent.eventId], exampleBundle.content.idData.entriesHash, hash)).to.be.true;
+    });
+
+    it('returns ids of all entries for bundles older than version 4', () => {
+      const {entriesIds} = bundleBuilder.assembleInclusionEvidence(exampleBundleV3, [exampleEvent.eventId]);
+      expect(entriesIds).to.deep.equal([exampleAsset.assetId, exampleEvent.eventId]);
+      expect(identityManager.calculateHash(entriesIds)).to.equal(exampleBundleV3.content.idData.entriesHash);
+    });
+
+    it('throws NotFoundError if entry is not part of the bundle', () => {
+      expect(() => bundleBuilder.assembleInclusionEvidence(exampleBundle, ['0x1234'])).to.throw(NotFoundError);
+    });
+
+    it('builds the Merkle tree of the bundle once for all requested entries', () => {
+      const calculateHashSpy = sinon.spy(identityManager, 'calculateHash');
+      try {
+        const {proofs} = bundleBuilder.assembleInclusionEvidence(exampleBundle, [exampleAsset.assetId, exampleEvent.eventId]);
+        expect(Object.keys(proofs)).to.deep.equal([exampleAsset.assetId, exampleEvent.eventId]);
+        expect(calculateHashSpy).to.have.been.calledOnce;
+      } finally {
+        calculateHashSpy.restore();
+      }
+    });
+  });
+
   describe('validating metadata', () => {
     const exampleBundleMetadata = {
       bundleId: '0x978f69298ba7940c11b16c4a778c7ad1a4e8c6ed3c90c35f36cfec1b20fc53d2',
@@ -240,6 +318,51 @@ describe('Bundle Builder', () => {
     });
   });
 
+  describe('validating find bundles params', () => {
+    before(() => {
+      bundleBuilder = new BundleBuilder();
+    });
+
+    it('casts numeric params', () => {
+      const params = {page: '1', perPage: '10', fromTimestamp: '100', toTimestamp: '200', fromProofBlock: '3', toProofBlock: '7', storagePeriods: '2', fromHoldUntil: '300', toHoldUntil: '400'};
+      expect(bundleBuilder.validateAndCastFindBundlesParams(params)).to.deep.equal({
+        page: 1, perPage: 10, fromTimestamp: 100, toTimestamp: 200, fromProofBlock: 3, toProofBlock: 7, storagePeriods: 2, fromHoldUntil: 300, toHoldUntil: 400
+      });
+    });
+
+    it('accepts known bundle statuses', () => {
+      expect(bundleBuilder.validateAndCastFindBundlesParams({status: 'SHELTERED'})).to.deep.equal({status: 'SHELTERED'});
+    });
+
+    it('casts skipCount to boolean', () => {
+      expect(bundleBuilder.validateAndCastFindBundlesParams({skipCount: 'true'})).to.deep.equal({skipCount: true});
+    });
+
+    it('throws if unknown status is given', () => {
+      expect(() => bundleBuilder.validateAndCastFindBundlesParams({status: 'lost'})).to.throw(ValidationError);
+    });
+
+    it('throws if unsupported params are given', () => {
+      expect(() => bundleBuilder.validateAndCastFindBundlesParams({bundleTransactionHash: '0x1'})).to.throw(ValidationError);
+    });
+
+    it('throws if numeric params are not non-negative integers', () => {
+      expect(() => bundleBuilder.validateAndCastFindBundlesParams({fromProofBlock: 'abc'})).to.throw(ValidationError);
+      expect(() => bundleBuilder.validateAndCastFindBundlesParams({toProofBlock: '-1'})).to.throw(ValidationError);
+      expect(() => bundleBuilder.validateAndCastFindBundlesParams({storagePeriods: '1.5'})).to.throw(ValidationError);
+      expect(() => bundleBuilder.validateAndCastFindBundlesParams({fromHoldUntil: '-10'})).to.throw(ValidationError);
+    });
+
+    it('throws if perPage is out of range', () => {
+      expect(() => bundleBuilder.validateAndCastFindBundlesParams({perPage: '101'})).to.throw(ValidationError);
+      expect(() => bundleBuilder.validateAndCastFindBundlesParams({perPage: '0'})).to.throw(ValidationError);
+    });
+
+    it('throws if page is combined with cursor', () => {
+      expect(() => bundleBuilder.validateAndCastFindBundlesParams({page: '1', cursor: 'abc'})).to.throw(ValidationError);
+    });
+  });
+
   describe('Assembling', () => {
     let mockIdentityManager;
     let mockEntityBuilder;
@@ -251,8 +374,8 @@ describe('Bundle Builder', () => {
     let inTimestamp;
     const inSecret = 'inSecret';
     const mockAddress = 'mockAddress';
-    const mockHash1 = 'mockHash1';
-    const mockHash2 = 'mockHash2';
+    const mockHash = 'mockHash';
+    const mockCalculateHash = (data) => (Array.isArray(data) ? `hash(${data.join(',')})` : mockHash);
     const mockSignature = 'mockSignature';
     let inAssetsStripped;
     let inEventsStripped;
@@ -292,8 +415,7 @@ describe('Bundle Builder', () => {
       inEventsStubbed = inEventsStripped.map(prepFunc);
 
       mockIdentityManager.addressFromSecret.returns(mockAddress);
-      mockIdentityManager.calculateHash.onFirstCall().returns(mockHash1);
-      mockIdentityManager.calculateHash.onSecondCall().returns(mockHash2);
+      mockIdentityManager.calculateHash.callsFake(mockCalculateHash);
       mockIdentityManager.sign.returns(mockSignature);
       mockEntityBuilder.removeBundle.callsFake(stripFunc);
       mockEntityBuilder.prepareEventForBundlePublication.callsFake(prepFunc);
@@ -325,12 +447,11 @@ describe('Bundle Builder', () => {
     });
 
     it('puts latest version into idData.version', () => {
-      expect(ret.content.idData.version).to.be.equal(3);
+      expect(ret.content.idData.version).to.be.equal(4);
     });
 
-    it('orders the identity manager to calculate the entriesHash and put it into idData', () => {
-      expect(mockIdentityManager.calculateHash).to.have.been.calledWith(bundleBuilder.extractIdsFromEntries(ret.content.entries));
-      expect(ret.content.idData.entriesHash).to.be.equal(mockHash1);
+    it('puts the Merkle root of entries ids into idData.entriesHash', () => {
+      expect(ret.content.idData.entriesHash).to.be.equal(calculateMerkleRoot(bundleBuilder.extractIdsFromEntries(ret.content.entries), mockCalculateHash));
     });
 
     it('orders the identity manager to sign the the idData part', () => {
@@ -340,7 +461,7 @@ describe('Bundle Builder', () => {
 
     it('orders the identity manager to calculate the bundleId', () => {
       expect(mockIdentityManager.calculateHash).to.have.been.calledWith(ret.content.idData);
-      expect(ret.bundleId).to.be.equal(mockHash2);
+      expect(ret.bundleId).to.be.equal(mockHash);
     });
   });
 });
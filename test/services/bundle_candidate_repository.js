@@ -0,0 +1,77 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import {cleanDatabase, connectToMongo} from '../../src/utils/db_utils';
+import config from '../../src/config/config';
+
+import BundleCandidateRepository from '../../src/services/bundle_candidate_repository';
+import BundleCandidateStates from '../../src/utils/bundle_candidate_states';
+
+const {expect} = chai;
+chai.use(chaiAsPromised);
+
+describe('Bundle Candidate Repository', () => {
+  let db;
+  let client;
+  let storage;
+  let clock;
+  const now = 15000000000;
+
+  before(async () => {
+    ({db, client} = await connectToMongo(config));
+    storage = new BundleCandidateRepository(db);
+    clock = sinon.useFakeTimers(now);
+  });
+
+  afterEach(async () => {
+    await cleanDatabase(db);
+  });
+
+  after(async () => {
+    clock.restore();
+    client.close();
+  });
+
+  it('creates a preparing candidate and returns its id', async () => {
+    const bundleStubId = await storage.createCandidate();
+    expect(await storage.findCandidates()).to.deep.equal([{
+      bundleStubId,
+      state: BundleCandidateStates.preparing,
+      createdAt: new Date(now)
+    }]);
+  });
+
+  it('creates candidates with unique ids', async () => {
+    const firstStubId = await storage.createCandidate();
+    const secondStubId = await storage.createCandidate();
+    expect(firstStubId.equals(secondStubId)).to.be.false;
+  });
+
+  it('records the bundle id of an accepted candidate', async () => {
+    const bundleStubId = await storage.createCandidate();
+    await storage.markCandidateAsAccepting(bundleStubId, '0xc0ffee');
+    expect(await storage.findCandidates()).to.deep.equal([{
+      bundleStubId,
+      state: BundleCandidateStates.accepting,
+      bundleId: '0xc0ffee',
+      createdAt: new Date(now)
+    }]);
+  });
+
+  it('removes the given candidates', async () => {
+    const firstStubId = await storage.createCandidate();
+    const secondStubId = await storage.createCandidate();
+    const thirdStubId = await storage.createCandidate();
+    await storage.removeCandidates([firstStubId, thirdStubId]);
+    expect((await storage.findCandidates()).map(({bundleStubId}) => bundleStubId)).to.deep.equal([secondStubId]);
+  });
+});
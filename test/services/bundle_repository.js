@@ -10,7 +10,8 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 import chai from 'chai';
 import sinon from 'sinon';
 import chaiAsPromised from 'chai-as-promised';
-import {cleanDatabase, connectToMongo} from '../../src/utils/db_utils';
+import zlib from 'zlib';
+import {cleanDatabase, connectToMongo, isGridFSFileCompressed, uploadJSONToGridFSBucket} from '../../src/utils/db_utils';
 import {put} from '../../src/utils/dict_utils';
 import {createBundle} from '../fixtures/assets_events';
 import config from '../../src/config/config';
@@ -18,6 +19,7 @@ import config from '../../src/config/config';
 import BundleRepository from '../../src/services/bundle_repository';
 import StringReadStream from '../../src/utils/string_read_stream';
 import BundleStatuses from '../../src/utils/bundle_statuses';
+import BundleUploadStatuses from '../../src/utils/bundle_upload_statuses';
 
 const {expect} = chai;
 chai.use(chaiAsPromised);
@@ -28,6 +30,13 @@ const asyncPipe = async (readStream, writeStream) => new Promise((resolve, rejec
   readStream.pipe(writeStream);
 });
 
+const readAll = async (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
 describe('Bundle Repository', () => {
   let db;
   let client;
@@ -79,6 +88,20 @@ describe('Bundle Repository', () => {
       });
     });
 
+    it('stores the bundle compressed', async () => {
+      const exampleBundleId = '0xabcdef';
+      await storage.storeBundle(put(createBundle(), 'bundleId', exampleBundleId), storagePeriods);
+      expect(isGridFSFileCompressed(await storage.bundlesBucket.find({filename: exampleBundleId}).next())).to.be.true;
+    });
+
+    it('keeps the bundling partition private to the node', async () => {
+      const exampleBundleId = '0xfedcba';
+      await storage.storeBundle(put(createBundle(), 'bundleId', exampleBundleId), storagePeriods, 'org1');
+      expect(await getMetadataWithoutId(exampleBundleId)).to.deep.equal({bundleId: exampleBundleId, storagePeriods, bundlingPartition: 'org1'});
+      await expect(storage.getBundleMetadata(exampleBundleId)).to.eventually.deep.equal({bundleId: exampleBundleId, storagePeriods});
+      expect(await storage.findBundlesPendingUpload()).to.deep.include({bundleId: exampleBundleId, storagePeriods});
+    });
+
     it('returns null for non-existing bundle', async () => {
       const otherBundleId = '0x33333';
       await expect(storage.getBundle(otherBundleId)).to.eventually.be.equal(null);
@@ -102,6 +125,77 @@ describe('Bundle Repository', () => {
     it(`returns null if the bundle doesn't exist`, async () => {
       await expect(storage.getBundleStream(exampleBundleId)).to.eventually.be.null;
     });
+
+    it('streams the bundle as JSON or gzipped JSON', async () => {
+      const exampleBundle = put(createBundle(), 'bundleId', exampleBundleId);
+      await storage.storeBundle(exampleBundle, storagePeriods);
+
+      expect(JSON.parse(await readAll(await storage.getBundleStream(exampleBundleId)))).to.deep.equal(exampleBundle);
+      expect(JSON.parse(zlib.gunzipSync(await readAll(await storage.getBundleStream(exampleBundleId, true))))).to.deep.equal(exampleBundle);
+    });
+
+    it('streams bundles stored without compression', async () => {
+      const exampleBundle = put(createBundle(), 'bundleId', exampleBundleId);
+      await uploadJSONToGridFSBucket(exampleBundleId, exampleBundle, storage.bundlesBucket);
+
+      expect(JSON.parse(await readAll(await storage.getBundleStream(exampleBundleId)))).to.deep.equal(exampleBundle);
+      expect(JSON.parse(zlib.gunzipSync(await readAll(await storage.getBundleStream(exampleBundleId, true))))).to.deep.equal(exampleBundle);
+      await expect(storage.getBundle(exampleBundleId)).to.eventually.deep.equal(exampleBundle);
+    });
+  });
+
+  describe('compressStoredBundles', () => {
+    const uncompressedBundles = ['bundle1', 'bundle2', 'bundle3'].map((bundleId) => put(createBundle(), 'bundleId', bundleId));
+    const isStoredCompressed = async (bundleId) => isGridFSFileCompressed(await storage.bundlesBucket.find({filename: bundleId}).next());
+
+    beforeEach(async () => {
+      for (const bundle of uncompressedBundles) {
+        await uploadJSONToGridFSBucket(bundle.bundleId, bundle, storage.bundlesBucket);
+      }
+      await storage.storeBundle(put(createBundle(), 'bundleId', 'bundle4'), storagePeriods);
+    });
+
+    afterEach(async () => {
+      await cleanDatabase(db);
+    });
+
+    it('compresses at most the given number of uncompressed bundles', async () => {
+      expect(await storage.compressStoredBundles(2)).to.deep.equal({compressedCount: 2, failedCount: 0});
+      const compressed = await Promise.all(uncompressedBundles.map(({bundleId}) => isStoredCompressed(bundleId)));
+      expect(compressed.filter((isCompressed) => isCompressed)).to.have.lengthOf(2);
+    });
+
+    it('skips bundles already stored compressed', async () => {
+      expect(await storage.compressStoredBundles(10)).to.deep.equal({compressedCount: 3, failedCount: 0});
+      expect(await storage.compressStoredBundles(10)).to.deep.equal({compressedCount: 0, failedCount: 0});
+    });
+
+    it('skips bundles being cleaned up', async () => {
+      await storage.setBundleRepository('bundle1', BundleStatuses.cleanup);
+      expect(await storage.compressStoredBundles(10)).to.deep.equal({compressedCount: 2, failedCount: 0});
+      expect(await isStoredCompressed('bundle1')).to.be.false;
+    });
+
+    it('counts failures in the file metadata and gives up on a bundle after a few of them', async () => {
+      const {_id: corruptedId} = await storage.bundlesBucket.find({filename: 'bundle1'}).next();
+      // eslint-disable-next-line camelcase, @typescript-eslint/camelcase
+      await db.collection('bundles.chunks').deleteMany({files_id: corruptedId});
+
+      for (let attempt = 1; attempt <= 3; attempt++) {
+        expect(await storage.compressStoredBundles(10)).to.include({failedCount: 1});
+        const file = await storage.bundlesBucket.find({_id: corruptedId}).next();
+        expect(file.metadata.compressionFailures).to.equal(attempt);
+      }
+      expect(await storage.compressStoredBundles(10)).to.deep.equal({compressedCount: 0, failedCount: 0});
+    });
+
+    it('keeps the bundles readable', async () => {
+      await storage.compressStoredBundles(10);
+      for (const bundle of uncompressedBundles) {
+        expect(await isStoredCompressed(bundle.bundleId)).to.be.true;
+        await expect(storage.getBundle(bundle.bundleId)).to.eventually.deep.equal(bundle);
+      }
+    });
   });
 
   describe('openBundleWriteStream', () => {
@@ -119,6 +213,13 @@ describe('Bundle Repository', () => {
       await expect(storage.getBundle(exampleBundleId)).to.eventually.deep.equal(exampleBundle);
     });
 
+    it('stores the streamed bundle compressed', async () => {
+      const exampleBundleReadStream = new StringReadStream(JSON.stringify(put(createBundle(), 'bundleId', exampleBundleId)));
+      const writeStream = await storage.openBundleWriteStream(exampleBundleId);
+      await asyncPipe(exampleBundleReadStream, writeStream);
+      expect(isGridFSFileCompressed(await storage.bundlesBucket.find({filename: exampleBundleId}).next())).to.be.true;
+    });
+
     it(`discards the bundle if the write stream gets aborted`, async () => {
       const writeStream = await storage.openBundleWriteStream(exampleBundleId, storagePeriods);
       await writeStream.abort();
@@ -145,6 +246,103 @@ describe('Bundle Repository', () => {
       expect(notRegisteredBundles[0].bundleId).to.equal('bundle1');
       expect(notRegisteredBundles[1].bundleId).to.equal('bundle3');
     });
+
+    it('skips bundles waiting for an upload retry until it is due', async () => {
+      const now = new Date(100000);
+      await storage.storeUploadFailure('bundle1', {attempts: 1, status: BundleUploadStatuses.retrying, nextRetryAt: new Date(now.getTime() + 1)});
+      await storage.storeUploadFailure('bundle3', {attempts: 1, status: BundleUploadStatuses.retrying, nextRetryAt: now});
+      const waitingBundles = await storage.findBundlesWaitingForUpload(now);
+      expect(waitingBundles.map(({bundleId}) => bundleId)).to.deep.equal(['bundle3']);
+    });
+
+    it('skips bundles in the dead letter', async () => {
+      await storage.storeUploadFailure('bundle1', {attempts: 10, status: BundleUploadStatuses.deadLetter});
+      const waitingBundles = await storage.findBundlesWaitingForUpload();
+      expect(waitingBundles.map(({bundleId}) => bundleId)).to.deep.equal(['bundle3']);
+    });
+
+    it('findBundlesPendingUpload includes the bundles waiting for an upload retry', async () => {
+      const retryingUpload = {attempts: 1, status: BundleUploadStatuses.retrying, nextRetryAt: new Date(Date.now() + 60000)};
+      await storage.storeUploadFailure('bundle1', retryingUpload);
+      await storage.storeUploadFailure('bundle3', {attempts: 10, status: BundleUploadStatuses.deadLetter});
+      expect(await storage.findBundlesPendingUpload()).to.deep.equal([{bundleId: 'bundle1', storagePeriods, upload: retryingUpload}]);
+    });
+  });
+
+  describe('Upload gas spending', () => {
+    beforeEach(async () => {
+      for (const bundleId of ['bundle1', 'bundle2', 'bundle3', 'bundle4']) {
+        await storage.storeBundle({...createBundle(), bundleId}, storagePeriods);
+      }
+      await storage.storeBundleProofMetadata('bundle1', 10, 1000, '0x1', 150000);
+      await storage.storeBundleProofMetadata('bundle2', 11, 2000, '0x2', 170000);
+      await storage.storeBundleProofMetadata('bundle3', 12, 3000, '0x3');
+    });
+
+    afterEach(async () => {
+      await cleanDatabase(db);
+    });
+
+    it('stores the gas used by the upload', async () => {
+      expect(await storage.getBundleMetadata('bundle1')).to.include({bundleUploadGasUsed: 150000});
+      expect(await storage.getBundleMetadata('bundle3')).to.not.have.property('bundleUploadGasUsed');
+    });
+
+    it('sums up the gas used by the uploads since the timestamp', async () => {
+      expect(await storage.getUploadGasSpending(1000)).to.include({gasUsed: 320000});
+      expect(await storage.getUploadGasSpending(1500)).to.include({gasUsed: 170000});
+      expect(await storage.getUploadGasSpending(2500)).to.include({gasUsed: 0});
+    });
+
+    it('counts the bundles still waiting for an upload', async () => {
+      await storage.storeBundle({...createBundle(), bundleId: 'bundle5'}, storagePeriods);
+      await storage.storeUploadFailure('bundle5', {attempts: 10, status: BundleUploadStatuses.deadLetter});
+      expect(await storage.getUploadGasSpending(0)).to.include({pendingUploads: 1});
+    });
+  });
+
+  describe('Dead letter', () => {
+    const deadLetterUpload = (lastAttemptAt) => ({attempts: 10, lastError: 'Failed', lastAttemptAt, status: BundleUploadStatuses.deadLetter});
+
+    beforeEach(async () => {
+      await storage.storeBundle({...createBundle(), bundleId: 'bundle1'}, storagePeriods);
+      await storage.storeBundle({...createBundle(), bundleId: 'bundle2'}, storagePeriods);
+      await storage.storeBundle({...createBundle(), bundleId: 'bundle3'}, storagePeriods);
+      await storage.storeUploadFailure('bundle1', deadLetterUpload(new Date(2000)));
+      await storage.storeUploadFailure('bundle2', {attempts: 1, status: BundleUploadStatuses.retrying});
+      await storage.storeUploadFailure('bundle3', deadLetterUpload(new Date(1000)));
+    });
+
+    afterEach(async () => {
+      await cleanDatabase(db);
+    });
+
+    it('finds dead letter bundles ordered by the last upload attempt', async () => {
+      const deadLetterBundles = await storage.findDeadLetterBundles();
+      expect(deadLetterBundles.map(({bundleId}) => bundleId)).to.deep.equal(['bundle3', 'bundle1']);
+      expect(deadLetterBundles[0]).to.deep.equal({bundleId: 'bundle3', storagePeriods, upload: deadLetterUpload(new Date(1000))});
+    });
+
+    it('requeues a dead letter bundle', async () => {
+      expect(await storage.requeueDeadLetterBundle('bundle1')).to.be.true;
+      const waitingBundles = await storage.findBundlesWaitingForUpload();
+      expect(waitingBundles.map(({bundleId}) => bundleId)).to.include('bundle1');
+      expect(waitingBundles.find(({bundleId}) => bundleId === 'bundle1')).to.not.have.property('upload');
+    });
+
+    it('does not requeue bundles outside of the dead letter', async () => {
+      expect(await storage.requeueDeadLetterBundle('bundle2')).to.be.false;
+      expect(await storage.requeueDeadLetterBundle('unknown')).to.be.false;
+    });
+
+    it('does not expose upload tracking in the bundle metadata', async () => {
+      expect(await storage.getBundleMetadata('bundle1')).to.not.have.property('upload');
+    });
+
+    it('clears upload tracking once the bundle proof is stored', async () => {
+      await storage.storeBundleProofMetadata('bundle1', 10, 50, '0x1');
+      expect(await db.collection('bundle_metadata').findOne({bundleId: 'bundle1'})).to.not.have.property('upload');
+    });
   });
 
   describe('Create bundle metadata', () => {
@@ -0,0 +1,87 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import BundlingPartitioner from '../../src/services/bundling_partitioner';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Bundling partitioner', () => {
+  const accounts = {
+    '0xa1': {address: '0xa1', organization: 1},
+    '0xa2': {address: '0xa2', organization: 2},
+    '0xa3': {address: '0xa3', organization: 1},
+    '0xa4': {address: '0xa4'}
+  };
+  const bundlingPartitions = {
+    default: {storagePeriods: 1},
+    1: {storagePeriods: 5, bundlingMinimumItems: 10}
+  };
+  let mockEntityRepository;
+  let mockAccountRepository;
+
+  const createPartitioner = (bundlingPartitionPolicy, partitions = bundlingPartitions) =>
+    new BundlingPartitioner(mockEntityRepository, mockAccountRepository, {bundlingPartitionPolicy, bundlingPartitions: partitions});
+
+  beforeEach(() => {
+    mockEntityRepository = {
+      findNotBundledEntityCreators: sinon.stub().resolves(['0xa1', '0xa2', '0xa3', '0xa4', '0xa5'])
+    };
+    mockAccountRepository = {
+      get: sinon.stub().callsFake(async (address) => accounts[address] || null)
+    };
+  });
+
+  it('throws on an unknown policy', () => {
+    expect(() => createPartitioner('planet')).to.throw('Unknown bundling partition policy: planet');
+  });
+
+  it('puts everything into the default partition with the none policy', async () => {
+    expect(await createPartitioner('none').findPartitions()).to.deep.equal([
+      {key: 'default', creators: null, settings: {storagePeriods: 1}}
+    ]);
+    expect(mockEntityRepository.findNotBundledEntityCreators).to.be.not.called;
+  });
+
+  it('groups creators by organization with the organization policy', async () => {
+    expect(await createPartitioner('organization').findPartitions()).to.deep.equal([
+      {key: '1', creators: ['0xa1', '0xa3'], settings: {storagePeriods: 5, bundlingMinimumItems: 10}},
+      {key: '2', creators: ['0xa2'], settings: {storagePeriods: 1}},
+      {key: 'default', creators: ['0xa4', '0xa5'], settings: {storagePeriods: 1}}
+    ]);
+  });
+
+  it('gives every creator its own partition with the creator policy', async () => {
+    const partitions = await createPartitioner('creator').findPartitions();
+    expect(partitions.map(({key, creators}) => ({key, creators}))).to.deep.equal([
+      {key: '0xa1', creators: ['0xa1']},
+      {key: '0xa2', creators: ['0xa2']},
+      {key: '0xa3', creators: ['0xa3']},
+      {key: '0xa4', creators: ['0xa4']},
+      {key: '0xa5', creators: ['0xa5']}
+    ]);
+    expect(mockAccountRepository.get).to.be.not.called;
+  });
+
+  it('returns no partitions when nothing waits for bundling', async () => {
+    mockEntityRepository.findNotBundledEntityCreators.resolves([]);
+    expect(await createPartitioner('organization').findPartitions()).to.deep.equal([]);
+  });
+
+  it('uses empty settings when there are no default partition settings', async () => {
+    expect(await createPartitioner('none', {}).findPartitions()).to.deep.equal([
+      {key: 'default', creators: null, settings: {}}
+    ]);
+  });
+});
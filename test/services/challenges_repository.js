@@ -12,6 +12,7 @@ import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
 import ChallengesRepository from '../../src/services/challenges_repository';
 import sinon from 'sinon';
+import {EventEmitter} from 'events';
 
 chai.use(sinonChai);
 chai.use(chaiAsPromised);
@@ -24,6 +25,7 @@ describe('Challenges repository', () => {
   let blockchainStateWrapperMock;
   let challengesEventEmitterWrapper;
   let challengesRepository;
+  let gasPriceOracleMock;
 
   describe('prepareChallengeEvent', () => {
     const sheltererId = 1;
@@ -241,24 +243,126 @@ describe('Challenges repository', () => {
 
   describe('resolveChallenge', () => {
     const challengeId = '0x123';
+    const gasPrice = '33000000000';
+    const defaultAddress = '0xdeadface';
+    const sentTransactionHash = '0x1ae35c49aa2423';
+    const receipt = {blockNumber: 34, transactionHash: sentTransactionHash, status: true};
+    let loadedContracts;
+    let sendResult;
+    let stuckTransactionReplacerMock;
+
+    const promiEvent = (result) => {
+      const emitter = new EventEmitter();
+      const promise = new Promise((resolve) => {
+        setImmediate(() => {
+          emitter.emit('transactionHash', sentTransactionHash);
+          resolve();
+        });
+      }).then(() => result);
+      promise.on = (event, listener) => {
+        emitter.on(event, listener);
+        return promise;
+      };
+      return promise;
+    };
 
     beforeEach(() => {
+      loadedContracts = [];
+      sendResult = Promise.resolve(receipt);
       challengeWrapperMock = {
-        resolve: sinon.stub(),
+        defaultAddress,
+        contract: sinon.stub().callsFake(async () => {
+          const send = sinon.stub().callsFake(() => promiEvent(sendResult));
+          const contract = {
+            options: {gasPrice: '5000000000'},
+            methods: {resolve: sinon.stub().returns({send})},
+            send
+          };
+          loadedContracts.push(contract);
+          return contract;
+        }),
         canResolve: sinon.stub().resolves(true)
       };
-      challengesRepository = new ChallengesRepository(challengeWrapperMock);
+      gasPriceOracleMock = {
+        gasPrice: sinon.stub().resolves(gasPrice)
+      };
+      stuckTransactionReplacerMock = {
+        track: sinon.stub().resolves(),
+        hasPendingChallengeTransaction: sinon.stub().resolves(false),
+        waitForChallengeTransaction: sinon.stub().resolves(null)
+      };
+      challengesRepository = new ChallengesRepository(challengeWrapperMock, null, null, null, null, gasPriceOracleMock, stuckTransactionReplacerMock);
+    });
+
+    it('calls contract method with correct arguments and returns the receipt', async () => {
+      expect(await challengesRepository.resolveChallenge(challengeId)).to.equal(receipt);
+      expect(loadedContracts[0].methods.resolve).to.be.calledOnceWith(challengeId);
+    });
+
+    it('sends the resolution transaction at the gas price of the oracle', async () => {
+      await challengesRepository.resolveChallenge(challengeId);
+      await challengesRepository.resolveChallenge(challengeId);
+      expect(loadedContracts).to.have.lengthOf(2);
+      expect(loadedContracts[0]).to.not.equal(loadedContracts[1]);
+      for (const contract of loadedContracts) {
+        expect(contract.send).to.be.calledOnceWith({from: defaultAddress, gasPrice});
+      }
     });
 
-    it('calls contract method with correct arguments', async () => {
+    it('tracks the sent resolution with its challenge', async () => {
       await challengesRepository.resolveChallenge(challengeId);
-      expect(challengeWrapperMock.resolve).to.be.calledOnceWith(challengeId);
+      expect(stuckTransactionReplacerMock.track).to.be.calledOnceWith(sentTransactionHash, {challengeId});
     });
 
     it('throws error if cannot resolve challenge', async () => {
       challengeWrapperMock.canResolve.resolves(false);
       await expect(challengesRepository.resolveChallenge(challengeId)).to.be.eventually.rejected;
-      expect(challengeWrapperMock.resolve).to.be.not.called;
+      expect(loadedContracts).to.be.empty;
+    });
+
+    describe('when the sent resolution never gets its receipt', () => {
+      const timeoutError = new Error('Transaction was not mined within 750 seconds');
+      const replacementReceipt = {blockNumber: 40, transactionHash: '0xreplacement', status: true};
+
+      beforeEach(() => {
+        sendResult = Promise.reject(timeoutError);
+        sendResult.catch(() => {});
+      });
+
+      it('returns the receipt of the replacement mined in its place', async () => {
+        stuckTransactionReplacerMock.waitForChallengeTransaction.resolves(replacementReceipt);
+        expect(await challengesRepository.resolveChallenge(challengeId)).to.equal(replacementReceipt);
+        expect(stuckTransactionReplacerMock.waitForChallengeTransaction).to.be.calledOnceWith(challengeId);
+      });
+
+      it('rethrows when no replacement got mined', async () => {
+        await expect(challengesRepository.resolveChallenge(challengeId)).to.be.rejectedWith(timeoutError);
+      });
+
+      it('rethrows when the replacement was reverted', async () => {
+        stuckTransactionReplacerMock.waitForChallengeTransaction.resolves({...replacementReceipt, status: false});
+        await expect(challengesRepository.resolveChallenge(challengeId)).to.be.rejectedWith(timeoutError);
+      });
+    });
+
+    it('waits for a resolution still pending from an earlier attempt instead of sending another one', async () => {
+      const replacementReceipt = {blockNumber: 40, transactionHash: '0xreplacement', status: true};
+      stuckTransactionReplacerMock.hasPendingChallengeTransaction.resolves(true);
+      stuckTransactionReplacerMock.waitForChallengeTransaction.resolves(replacementReceipt);
+      expect(await challengesRepository.resolveChallenge(challengeId)).to.equal(replacementReceipt);
+      expect(loadedContracts).to.be.empty;
+    });
+
+    it('does not wait when the resolution was rejected before it was sent', async () => {
+      challengeWrapperMock.contract.resolves({
+        methods: {resolve: () => ({send: () => {
+          const promise = Promise.reject(new Error('Insufficient funds'));
+          promise.on = () => promise;
+          return promise;
+        }})}
+      });
+      await expect(challengesRepository.resolveChallenge(challengeId)).to.be.rejectedWith('Insufficient funds');
+      expect(stuckTransactionReplacerMock.waitForChallengeTransaction).to.not.be.called;
     });
   });
 
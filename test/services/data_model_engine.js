@@ -14,7 +14,7 @@ import chaiAsPromised from 'chai-as-promised';
 import {pick, put} from '../../src/utils/dict_utils';
 
 import DataModelEngine from '../../src/services/data_model_engine';
-import {NotFoundError, PermissionError, ValidationError} from '../../src/errors/errors';
+import {AuthenticationError, DuplicateEntityError, NotFoundError, PermanentUploadError, PermissionError, ValidationError} from '../../src/errors/errors';
 
 import {
   createAsset,
@@ -23,6 +23,7 @@ import {
   createFullAsset,
   createFullBundle,
   createFullBundleV1,
+  createFullBundleV3,
   createFullEvent
 } from '../fixtures/assets_events';
 import {account, accountWithSecret, addAccountRequest, adminAccount, adminAccountWithSecret} from '../fixtures/account';
@@ -35,6 +36,8 @@ import StringReadStream from '../../src/utils/string_read_stream';
 import createTokenFor from '../fixtures/create_token_for';
 import resetHistory from '../helpers/reset_history';
 import allPermissions from '../../src/utils/all_permissions';
+import BundleCandidateStates from '../../src/utils/bundle_candidate_states';
+import BundleUploadStatuses from '../../src/utils/bundle_upload_statuses';
 import StringWriteStream from '../../src/utils/string_write_stream';
 import BundleRepository from '../../src/services/bundle_repository';
 import {cleanDatabase, connectToMongo} from '../../src/utils/db_utils';
@@ -42,6 +45,8 @@ import config from '../../src/config/config';
 import BundleBuilder from '../../src/services/bundle_builder';
 import EntityBuilder from '../../src/services/entity_builder';
 import BundleStatuses from '../../src/utils/bundle_statuses';
+import BatchEntryStatuses from '../../src/utils/batch_entry_statuses';
+import EventSubscription from '../../src/services/event_subscription';
 
 chai.use(sinonChai);
 chai.use(chaiAsPromised);
@@ -371,6 +376,9 @@ describe('Data Model Engine', () => {
     let mockEntityBuilder;
     let mockEntityRepository;
     let mockAccountAccessDefinitions;
+    let mockWebhookDispatcher;
+    let mockQueryResultCache;
+    let mockSentry;
     let modelEngine;
 
     before(() => {
@@ -386,16 +394,28 @@ describe('Data Model Engine', () => {
       mockAccountAccessDefinitions = {
         ensureCanCreateAsset: sinon.stub()
       };
+      mockWebhookDispatcher = {
+        dispatchAssetCreated: sinon.stub()
+      };
+      mockQueryResultCache = {
+        invalidate: sinon.stub()
+      };
+      mockSentry = {
+        captureException: sinon.stub()
+      };
 
       modelEngine = new DataModelEngine({
         entityBuilder: mockEntityBuilder,
         entityRepository: mockEntityRepository,
-        accountAccessDefinitions: mockAccountAccessDefinitions
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        webhookDispatcher: mockWebhookDispatcher,
+        queryResultCache: mockQueryResultCache,
+        sentry: mockSentry
       });
     });
 
     const restoreDefaultBehaviour = () => {
-      resetHistory(mockEntityBuilder, mockEntityRepository);
+      resetHistory(mockEntityBuilder, mockEntityRepository, mockWebhookDispatcher, mockQueryResultCache, mockSentry);
 
       mockEntityBuilder.validateAsset.returns();
       mockEntityBuilder.setBundle.returns(mockAsset);
@@ -403,6 +423,7 @@ describe('Data Model Engine', () => {
       mockEntityRepository.storeAsset.resolves();
       mockEntityRepository.getAsset.resolves(null);
       mockAccountAccessDefinitions.ensureCanCreateAsset.resolves();
+      mockWebhookDispatcher.dispatchAssetCreated.resolves();
     };
 
     describe('positive case', () => {
@@ -435,6 +456,16 @@ describe('Data Model Engine', () => {
       it('stores the asset in the repository', () => {
         expect(mockEntityRepository.storeAsset).to.have.been.calledWith(mockAsset);
       });
+
+      it('invalidates cached query results for the asset', () => {
+        expect(mockQueryResultCache.invalidate).to.have.been.calledAfter(mockEntityRepository.storeAsset);
+        expect(mockQueryResultCache.invalidate).to.have.been.calledWith(mockAsset.assetId);
+      });
+
+      it('dispatches webhooks for the stored asset', () => {
+        expect(mockWebhookDispatcher.dispatchAssetCreated).to.have.been.calledAfter(mockEntityRepository.storeAsset);
+        expect(mockWebhookDispatcher.dispatchAssetCreated).to.have.been.calledWith(mockAsset);
+      });
     });
 
     describe('negative case', () => {
@@ -455,7 +486,16 @@ describe('Data Model Engine', () => {
 
       it('throws if asset with same assetId already exists', async () => {
         mockEntityRepository.getAsset.resolves({});
-        await expect(modelEngine.createAsset(mockAsset)).to.be.rejectedWith(ValidationError);
+        await expect(modelEngine.createAsset(mockAsset)).to.be.rejectedWith(DuplicateEntityError);
+        expect(mockWebhookDispatcher.dispatchAssetCreated).to.have.been.not.called;
+      });
+
+      it('returns the stored asset and reports the error if dispatching webhooks fails', async () => {
+        const webhookError = new Error('Webhook repository is down');
+        mockWebhookDispatcher.dispatchAssetCreated.rejects(webhookError);
+        await expect(modelEngine.createAsset(mockAsset)).to.eventually.deep.equal(mockAsset);
+        expect(mockEntityRepository.storeAsset).to.have.been.calledWith(mockAsset);
+        expect(mockSentry.captureException).to.have.been.calledOnceWith(webhookError);
       });
     });
   });
@@ -493,6 +533,293 @@ describe('Data Model Engine', () => {
     });
   });
 
+  describe('Getting an asset state', () => {
+    const exampleAssetId = '0x123';
+    const foldedEntryTypes = ['ambrosus.asset.info'];
+    const exampleEvents = [{eventId: '0x1'}, {eventId: '0x2'}];
+    const exampleState = {assetId: exampleAssetId, state: {info: {name: 'Bottle'}}};
+    const tokenData = {createdBy: '0xabc', validUntil: 423543253453};
+    let mockEntityRepository;
+    let mockEntityBuilder;
+    let mockAccountAccessDefinitions;
+    let mockFindEventQueryObjectFactory;
+    let mockFindEventQueryObject;
+    let modelEngine;
+
+    beforeEach(() => {
+      mockEntityRepository = {
+        getAsset: sinon.stub().resolves(createAsset({timestamp: 5}))
+      };
+      mockEntityBuilder = {
+        validateAndCastAssetStateParams: sinon.stub().returns({asOf: 10}),
+        assetStateEntryTypes: sinon.stub().returns(foldedEntryTypes),
+        foldAssetState: sinon.stub().returns(exampleState)
+      };
+      mockAccountAccessDefinitions = {
+        getTokenCreatorAccessLevel: sinon.stub().resolves(2)
+      };
+      mockFindEventQueryObject = {
+        findAllChronologicallyContainingEntryTypes: sinon.stub().resolves(exampleEvents)
+      };
+      mockFindEventQueryObjectFactory = {
+        create: sinon.stub().returns(mockFindEventQueryObject)
+      };
+
+      modelEngine = new DataModelEngine({
+        entityRepository: mockEntityRepository,
+        entityBuilder: mockEntityBuilder,
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        findEventQueryObjectFactory: mockFindEventQueryObjectFactory
+      });
+    });
+
+    it('folds events of the asset visible at the requested time', async () => {
+      expect(await modelEngine.getAssetState(exampleAssetId, {asOf: '10'}, tokenData)).to.equal(exampleState);
+      expect(mockEntityBuilder.validateAndCastAssetStateParams).to.have.been.calledWith({asOf: '10'});
+      expect(mockAccountAccessDefinitions.getTokenCreatorAccessLevel).to.have.been.calledWith(tokenData);
+      expect(mockFindEventQueryObjectFactory.create).to.have.been.calledWith({assetId: exampleAssetId, toTimestamp: 10}, 2);
+      expect(mockFindEventQueryObject.findAllChronologicallyContainingEntryTypes).to.have.been.calledWith(foldedEntryTypes);
+      expect(mockEntityBuilder.foldAssetState).to.have.been.calledWith(createAsset({timestamp: 5}), exampleEvents, 10);
+    });
+
+    it('folds all events when asOf is not given', async () => {
+      mockEntityBuilder.validateAndCastAssetStateParams.returns({});
+      await modelEngine.getAssetState(exampleAssetId, {}, tokenData);
+      expect(mockFindEventQueryObjectFactory.create).to.have.been.calledWith({assetId: exampleAssetId}, 2);
+    });
+
+    it('throws if asset not found', async () => {
+      mockEntityRepository.getAsset.resolves(null);
+      await expect(modelEngine.getAssetState(exampleAssetId, {}, tokenData)).to.be.rejectedWith(NotFoundError);
+    });
+
+    it('throws if asset was created after asOf', async () => {
+      mockEntityBuilder.validateAndCastAssetStateParams.returns({asOf: 4});
+      await expect(modelEngine.getAssetState(exampleAssetId, {asOf: '4'}, tokenData)).to.be.rejectedWith(NotFoundError);
+      expect(mockFindEventQueryObjectFactory.create).to.have.been.not.called;
+    });
+
+    it('throws if parameters are invalid', async () => {
+      mockEntityBuilder.validateAndCastAssetStateParams.throws(new ValidationError('an error'));
+      await expect(modelEngine.getAssetState(exampleAssetId, {asOf: 'x'}, tokenData)).to.be.rejectedWith(ValidationError);
+    });
+  });
+
+  describe('Traversing asset relations', () => {
+    const tokenData = {createdBy: '0xabc', validUntil: 423543253453};
+    const relation = (parentId, childId) => ({eventId: `${parentId}-${childId}`, parentId, childId, relation: 'contains'});
+    let mockEntityRepository;
+    let mockEntityBuilder;
+    let mockAccountAccessDefinitions;
+    let mockAssetRelationRepository;
+    let modelEngine;
+
+    beforeEach(() => {
+      mockEntityRepository = {
+        getAsset: sinon.stub().resolves(createAsset())
+      };
+      mockEntityBuilder = {
+        validateAndCastAssetLineageParams: sinon.stub().returns({depth: 5})
+      };
+      mockAccountAccessDefinitions = {
+        getTokenCreatorAccessLevel: sinon.stub().resolves(2)
+      };
+      mockAssetRelationRepository = {
+        findChildren: sinon.stub().resolves([relation('0xcase', '0xitem')]),
+        findParents: sinon.stub().resolves([relation('0xpallet', '0xcase')]),
+        findParentsOfAssets: sinon.stub().resolves([])
+      };
+
+      modelEngine = new DataModelEngine({
+        entityRepository: mockEntityRepository,
+        entityBuilder: mockEntityBuilder,
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        assetRelationRepository: mockAssetRelationRepository
+      });
+    });
+
+    it('finds children visible with the access level of the token creator', async () => {
+      expect(await modelEngine.getAssetChildren('0xcase', tokenData)).to.deep.equal({
+        results: [relation('0xcase', '0xitem')],
+        resultCount: 1
+      });
+      expect(mockAccountAccessDefinitions.getTokenCreatorAccessLevel).to.have.been.calledWith(tokenData);
+      expect(mockAssetRelationRepository.findChildren).to.have.been.calledWith('0xcase', 2);
+    });
+
+    it('finds parents visible with the access level of the token creator', async () => {
+      expect(await modelEngine.getAssetParents('0xcase', tokenData)).to.deep.equal({
+        results: [relation('0xpallet', '0xcase')],
+        resultCount: 1
+      });
+      expect(mockAssetRelationRepository.findParents).to.have.been.calledWith('0xcase', 2);
+    });
+
+    it('walks the ancestors one generation at a time', async () => {
+      mockAssetRelationRepository.findParentsOfAssets.withArgs(['0xitem']).resolves([relation('0xcase', '0xitem')]);
+      mockAssetRelationRepository.findParentsOfAssets.withArgs(['0xcase']).resolves([relation('0xpallet', '0xcase'), relation('0xbatch', '0xcase')]);
+      mockAssetRelationRepository.findParentsOfAssets.withArgs(['0xpallet', '0xbatch']).resolves([relation('0xtruck', '0xpallet')]);
+
+      expect(await modelEngine.getAssetLineage('0xitem', {depth: '5'}, tokenData)).to.deep.equal({
+        assetId: '0xitem',
+        depth: 5,
+        results: [
+          {...relation('0xcase', '0xitem'), depth: 1},
+          {...relation('0xpallet', '0xcase'), depth: 2},
+          {...relation('0xbatch', '0xcase'), depth: 2},
+          {...relation('0xtruck', '0xpallet'), depth: 3}
+        ],
+        resultCount: 4
+      });
+      expect(mockEntityBuilder.validateAndCastAssetLineageParams).to.have.been.calledWith({depth: '5'});
+      expect(mockAssetRelationRepository.findParentsOfAssets).to.have.been.calledWith(['0xtruck'], 2);
+      expect(mockAssetRelationRepository.findParentsOfAssets).to.have.callCount(4);
+    });
+
+    it('stops at the requested depth', async () => {
+      mockEntityBuilder.validateAndCastAssetLineageParams.returns({depth: 1});
+      mockAssetRelationRepository.findParentsOfAssets.withArgs(['0xitem']).resolves([relation('0xcase', '0xitem')]);
+
+      const lineage = await modelEngine.getAssetLineage('0xitem', {depth: '1'}, tokenData);
+      expect(lineage.results).to.deep.equal([{...relation('0xcase', '0xitem'), depth: 1}]);
+      expect(mockAssetRelationRepository.findParentsOfAssets).to.have.been.calledOnce;
+    });
+
+    it('uses depth of 3 by default', async () => {
+      mockEntityBuilder.validateAndCastAssetLineageParams.returns({});
+      expect((await modelEngine.getAssetLineage('0xitem', {}, tokenData)).depth).to.equal(3);
+    });
+
+    it('visits every ancestor only once', async () => {
+      mockAssetRelationRepository.findParentsOfAssets.withArgs(['0xa']).resolves([relation('0xb', '0xa')]);
+      mockAssetRelationRepository.findParentsOfAssets.withArgs(['0xb']).resolves([relation('0xa', '0xb')]);
+
+      const lineage = await modelEngine.getAssetLineage('0xa', {}, tokenData);
+      expect(lineage.results).to.deep.equal([
+        {...relation('0xb', '0xa'), depth: 1},
+        {...relation('0xa', '0xb'), depth: 2}
+      ]);
+      expect(mockAssetRelationRepository.findParentsOfAssets).to.have.been.calledTwice;
+    });
+
+    it('throws if asset not found', async () => {
+      mockEntityRepository.getAsset.resolves(null);
+      await expect(modelEngine.getAssetChildren('0xcase', tokenData)).to.be.rejectedWith(NotFoundError);
+      await expect(modelEngine.getAssetParents('0xcase', tokenData)).to.be.rejectedWith(NotFoundError);
+      await expect(modelEngine.getAssetLineage('0xcase', {}, tokenData)).to.be.rejectedWith(NotFoundError);
+      expect(mockAssetRelationRepository.findChildren).to.have.been.not.called;
+    });
+
+    it('throws if lineage parameters are invalid', async () => {
+      mockEntityBuilder.validateAndCastAssetLineageParams.throws(new ValidationError('an error'));
+      await expect(modelEngine.getAssetLineage('0xcase', {depth: '100'}, tokenData)).to.be.rejectedWith(ValidationError);
+    });
+  });
+
+  describe('Exporting an asset', () => {
+    const now = 1500000000;
+    const tokenData = {createdBy: '0xabc', validUntil: 423543253453};
+    const bundleMetadata = {bundleId: '0xbundle', bundleTransactionHash: '0xtx', bundleProofBlock: 10, bundleUploadTimestamp: 5};
+    const exampleAsset = {...createAsset(), assetId: '0xasset', metadata: bundleMetadata};
+    const bundledEvent = {...createEvent({assetId: '0xasset'}), eventId: '0xevent1', metadata: bundleMetadata};
+    const notBundledEvent = {...createEvent({assetId: '0xasset'}), eventId: '0xevent2', metadata: {bundleId: null}};
+    const exampleBundle = {...put(createBundle({}, [exampleAsset, bundledEvent]), 'content.signature', '0xsignature'), bundleId: '0xbundle'};
+    const exampleProofs = {proofs: {'0xasset': [], '0xevent1': []}};
+    let clock;
+    let mockIdentityManager;
+    let mockEntityRepository;
+    let mockAccountAccessDefinitions;
+    let mockFindEventQueryObjectFactory;
+    let mockFindEventQueryObject;
+    let mockBundleRepository;
+    let mockBundleBuilder;
+    let modelEngine;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers(now * 1000);
+      mockIdentityManager = {
+        nodeAddress: sinon.stub().returns('0xnode')
+      };
+      mockEntityRepository = {
+        getAsset: sinon.stub().resolves(exampleAsset)
+      };
+      mockAccountAccessDefinitions = {
+        getTokenCreatorAccessLevel: sinon.stub().resolves(2)
+      };
+      mockFindEventQueryObject = {
+        findAllAccessibleChronologically: sinon.stub().resolves([bundledEvent, notBundledEvent])
+      };
+      mockFindEventQueryObjectFactory = {
+        create: sinon.stub().returns(mockFindEventQueryObject)
+      };
+      mockBundleRepository = {
+        getBundle: sinon.stub().resolves(exampleBundle)
+      };
+      mockBundleBuilder = {
+        assembleInclusionEvidence: sinon.stub().returns(exampleProofs)
+      };
+
+      modelEngine = new DataModelEngine({
+        identityManager: mockIdentityManager,
+        entityRepository: mockEntityRepository,
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        findEventQueryObjectFactory: mockFindEventQueryObjectFactory,
+        bundleRepository: mockBundleRepository,
+        bundleBuilder: mockBundleBuilder
+      });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('exports the asset with events accessible to the token creator and their bundles', async () => {
+      expect(await modelEngine.exportAsset('0xasset', tokenData)).to.deep.equal({
+        version: 1,
+        exportedAt: now,
+        exportedBy: '0xnode',
+        asset: exampleAsset,
+        events: [bundledEvent, notBundledEvent],
+        bundles: [{
+          bundleId: '0xbundle',
+          content: {
+            idData: exampleBundle.content.idData,
+            signature: '0xsignature'
+          },
+          metadata: {bundleTransactionHash: '0xtx', bundleProofBlock: 10, bundleUploadTimestamp: 5},
+          ...exampleProofs
+        }]
+      });
+      expect(mockAccountAccessDefinitions.getTokenCreatorAccessLevel).to.have.been.calledWith(tokenData);
+      expect(mockFindEventQueryObjectFactory.create).to.have.been.calledWith({assetId: '0xasset'}, 2);
+    });
+
+    it('fetches every bundle once and asks for evidence of all its exported entries', async () => {
+      await modelEngine.exportAsset('0xasset', tokenData);
+      expect(mockBundleRepository.getBundle).to.have.been.calledOnceWith('0xbundle');
+      expect(mockBundleBuilder.assembleInclusionEvidence).to.have.been.calledOnceWith(exampleBundle, ['0xasset', '0xevent1']);
+    });
+
+    it('fills missing proof metadata of not yet uploaded bundles with nulls', async () => {
+      mockEntityRepository.getAsset.resolves({...exampleAsset, metadata: {bundleId: '0xbundle'}});
+      mockFindEventQueryObject.findAllAccessibleChronologically.resolves([]);
+      const {bundles: [{metadata}]} = await modelEngine.exportAsset('0xasset', tokenData);
+      expect(metadata).to.deep.equal({bundleTransactionHash: null, bundleProofBlock: null, bundleUploadTimestamp: null});
+    });
+
+    it('exports no bundles if nothing was bundled yet', async () => {
+      mockEntityRepository.getAsset.resolves({...exampleAsset, metadata: {bundleId: null}});
+      mockFindEventQueryObject.findAllAccessibleChronologically.resolves([notBundledEvent]);
+      expect((await modelEngine.exportAsset('0xasset', tokenData)).bundles).to.deep.equal([]);
+      expect(mockBundleRepository.getBundle).to.have.been.not.called;
+    });
+
+    it('throws if asset not found', async () => {
+      mockEntityRepository.getAsset.resolves(null);
+      await expect(modelEngine.exportAsset('0xasset', tokenData)).to.be.rejectedWith(NotFoundError);
+    });
+  });
+
   describe('Finding assets', () => {
     let mockFindAssetQueryObjectFactory;
     let mockFindAssetQueryObject;
@@ -553,8 +880,7 @@ describe('Data Model Engine', () => {
     });
 
     describe('Finding assets by identifiers', () => {
-      let mockFindEventQueryObject;
-      let mockFindEventQueryObjectFactory;
+      let mockAssetIdentifierRepository;
       let mockAccountAccessDefinitions;
       const identifier = {
         isbn: 'abc-def',
@@ -564,102 +890,200 @@ describe('Data Model Engine', () => {
       const accessLevel = 2;
 
       before(async () => {
-        mockFindEventQueryObjectFactory = {
-          create: sinon.stub()
-        };
-
-        mockFindEventQueryObject = {
-          execute: sinon.stub()
+        mockAssetIdentifierRepository = {
+          findAssetIds: sinon.stub()
         };
 
         mockAccountAccessDefinitions = {
           getTokenCreatorAccessLevel: sinon.stub()
         };
 
-        mockEntityBuilder.validateAndCastFindAssetsParams.returns({identifier});
-        mockFindEventQueryObjectFactory.create.returns(mockFindEventQueryObject);
-        mockFindEventQueryObject.execute.resolves({
-          results: [
-            {content: {idData: {assetId: '1', foo: 'bar'}}},
-            {content: {idData: {assetId: '10', one: {two: 2}}}},
-            {content: {idData: {assetId: '1'}}}
-          ]
-        });
+        mockAssetIdentifierRepository.findAssetIds.resolves(['1', '10']);
         mockAccountAccessDefinitions.getTokenCreatorAccessLevel.resolves(accessLevel);
 
         modelEngine = new DataModelEngine({
           entityBuilder: mockEntityBuilder,
-          findEventQueryObjectFactory: mockFindEventQueryObjectFactory,
+          assetIdentifierRepository: mockAssetIdentifierRepository,
           findAssetQueryObjectFactory: mockFindAssetQueryObjectFactory,
           accountAccessDefinitions: mockAccountAccessDefinitions
         });
       });
 
-      describe('selectAssetsIdsByIdentifier', () => {
-        let result;
-
-        before(async () => {
-          result = await modelEngine.selectAssetsIdsByIdentifier(identifier, accessLevel);
-        });
+      beforeEach(() => {
+        resetHistory(mockAssetIdentifierRepository, mockAccountAccessDefinitions, mockFindAssetQueryObjectFactory);
+        mockEntityBuilder.validateAndCastFindAssetsParams.returns({identifier});
+      });
 
-        it('should create FindEventQueryObject with correct parameters', () => {
-          expect(mockFindEventQueryObjectFactory.create).to.be.calledWith({
-            data: {
-              type: 'ambrosus.event.identifiers',
-              identifiers: {
-                isbn: 'abc-def',
-                gs1: '123'
-              }
-            }
-          }, accessLevel);
+      describe('selectAssetsIdsByIdentifier', () => {
+        it('asks the identifier repository for ids of assets matching all identifiers', async () => {
+          expect(await modelEngine.selectAssetsIdsByIdentifier(identifier, accessLevel)).to.deep.equal(['1', '10']);
+          expect(mockAssetIdentifierRepository.findAssetIds).to.be.calledOnceWith(identifier, accessLevel, true);
         });
 
-        it('should execute and return unique ids', () => {
-          expect(mockFindEventQueryObject.execute).to.be.calledOnce;
-          expect(result).to.deep.equal(['1', '10']);
+        it('passes matchAll to the identifier repository', async () => {
+          await modelEngine.selectAssetsIdsByIdentifier(identifier, accessLevel, false);
+          expect(mockAssetIdentifierRepository.findAssetIds).to.be.calledOnceWith(identifier, accessLevel, false);
         });
 
         it('when accessLevel was not given it defaults to 0', async () => {
           await modelEngine.selectAssetsIdsByIdentifier(identifier);
-          expect(mockFindEventQueryObjectFactory.create).to.be.calledWith({
-            data: {
-              type: 'ambrosus.event.identifiers',
-              identifiers: {
-                isbn: 'abc-def',
-                gs1: '123'
-              }
-            }
-          }, 0);
+          expect(mockAssetIdentifierRepository.findAssetIds).to.be.calledOnceWith(identifier, 0, true);
         });
       });
 
       describe('findAssets', () => {
-        before(async () => {
-          await modelEngine.findAssets({identifier}, token);
-        });
-
         it('takes access level from token when filter by identifiers', async () => {
+          await modelEngine.findAssets({identifier}, token);
           expect(mockAccountAccessDefinitions.getTokenCreatorAccessLevel).to.be.calledWith(token);
         });
 
         it('puts assetIds to consideredAssets', async () => {
+          await modelEngine.findAssets({identifier}, token);
           expect(mockFindAssetQueryObjectFactory.create).to.be.calledWith({assetIds: ['1', '10']});
         });
+
+        it('matches any of the identifiers when identifierMatch is any', async () => {
+          mockEntityBuilder.validateAndCastFindAssetsParams.returns({identifier, identifierMatch: 'any'});
+          await modelEngine.findAssets({identifier, identifierMatch: 'any'}, token);
+          expect(mockAssetIdentifierRepository.findAssetIds).to.be.calledOnceWith(identifier, accessLevel, false);
+          expect(mockFindAssetQueryObjectFactory.create).to.be.calledWith({assetIds: ['1', '10']});
+        });
+      });
+    });
+
+    describe('Finding assets by location', () => {
+      let mockFindEventQueryObject;
+      let mockFindEventQueryObjectFactory;
+      let mockAssetIdentifierRepository;
+      let mockAccountAccessDefinitions;
+      const location = {locationPolygon: [[0, 0], [1, 0], [1, 1], [0, 0]]};
+      const token = {one: 1};
+      const accessLevel = 2;
+
+      beforeEach(async () => {
+        mockFindEventQueryObject = {
+          findAssetIdsWithLatestLocationWithin: sinon.stub().resolves(['1', '5'])
+        };
+        mockFindEventQueryObjectFactory = {
+          create: sinon.stub().returns(mockFindEventQueryObject)
+        };
+        mockAssetIdentifierRepository = {
+          findAssetIds: sinon.stub().resolves(['1', '10'])
+        };
+        mockAccountAccessDefinitions = {
+          getTokenCreatorAccessLevel: sinon.stub().resolves(accessLevel)
+        };
+        mockFindAssetQueryObjectFactory.create.resetHistory();
+
+        modelEngine = new DataModelEngine({
+          entityBuilder: mockEntityBuilder,
+          findEventQueryObjectFactory: mockFindEventQueryObjectFactory,
+          assetIdentifierRepository: mockAssetIdentifierRepository,
+          findAssetQueryObjectFactory: mockFindAssetQueryObjectFactory,
+          accountAccessDefinitions: mockAccountAccessDefinitions
+        });
+      });
+
+      it('selects assets with latest location in the area, with access level from token', async () => {
+        mockEntityBuilder.validateAndCastFindAssetsParams.returns({location, perPage: 10});
+        await modelEngine.findAssets({location}, token);
+        expect(mockAccountAccessDefinitions.getTokenCreatorAccessLevel).to.be.calledWith(token);
+        expect(mockFindEventQueryObjectFactory.create).to.be.calledWith({}, accessLevel);
+        expect(mockFindEventQueryObject.findAssetIdsWithLatestLocationWithin).to.be.calledWith(location.locationPolygon);
+        expect(mockFindAssetQueryObjectFactory.create).to.be.calledWith({assetIds: ['1', '5'], perPage: 10});
+      });
+
+      it('considers only assets matching both identifier and location', async () => {
+        mockEntityBuilder.validateAndCastFindAssetsParams.returns({location, identifier: {gs1: '1'}});
+        await modelEngine.findAssets({location, identifier: {gs1: '1'}}, token);
+        expect(mockFindAssetQueryObjectFactory.create).to.be.calledWith({assetIds: ['1']});
+      });
+    });
+  });
+
+  describe('Finding assets by identifier', () => {
+    let mockEntityBuilder;
+    let mockAssetIdentifierRepository;
+    let mockAccountAccessDefinitions;
+    let mockFindAssetQueryObjectFactory;
+    let mockFindAssetQueryObject;
+    let modelEngine;
+    const token = {one: 1};
+    const accessLevel = 2;
+    const exampleResult = {results: [{assetId: '1'}], resultCount: 1, next: null, prev: null};
+
+    before(() => {
+      mockEntityBuilder = {
+        validateAndCastFindAssetsByIdentifierParams: sinon.stub()
+      };
+      mockAssetIdentifierRepository = {
+        findAssetIds: sinon.stub()
+      };
+      mockAccountAccessDefinitions = {
+        getTokenCreatorAccessLevel: sinon.stub()
+      };
+      mockFindAssetQueryObjectFactory = {
+        create: sinon.stub()
+      };
+      mockFindAssetQueryObject = {
+        execute: sinon.stub()
+      };
+      modelEngine = new DataModelEngine({
+        entityBuilder: mockEntityBuilder,
+        assetIdentifierRepository: mockAssetIdentifierRepository,
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        findAssetQueryObjectFactory: mockFindAssetQueryObjectFactory
       });
     });
+
+    beforeEach(() => {
+      resetHistory(mockEntityBuilder, mockAssetIdentifierRepository, mockAccountAccessDefinitions, mockFindAssetQueryObjectFactory, mockFindAssetQueryObject);
+      mockEntityBuilder.validateAndCastFindAssetsByIdentifierParams.returns({perPage: 10});
+      mockAssetIdentifierRepository.findAssetIds.resolves(['1']);
+      mockAccountAccessDefinitions.getTokenCreatorAccessLevel.resolves(accessLevel);
+      mockFindAssetQueryObjectFactory.create.returns(mockFindAssetQueryObject);
+      mockFindAssetQueryObject.execute.resolves(exampleResult);
+    });
+
+    it('finds assets known by the exact identifier', async () => {
+      expect(await modelEngine.findAssetsByIdentifier('gtin', '0123', {perPage: '10'}, token)).to.deep.equal(exampleResult);
+      expect(mockEntityBuilder.validateAndCastFindAssetsByIdentifierParams).to.be.calledOnceWith({perPage: '10'});
+      expect(mockAccountAccessDefinitions.getTokenCreatorAccessLevel).to.be.calledOnceWith(token);
+      expect(mockAssetIdentifierRepository.findAssetIds).to.be.calledOnceWith({gtin: '0123'}, accessLevel, true);
+      expect(mockFindAssetQueryObjectFactory.create).to.be.calledOnceWith({perPage: 10, assetIds: ['1']});
+    });
+
+    it('throws ValidationError when params are invalid', async () => {
+      mockEntityBuilder.validateAndCastFindAssetsByIdentifierParams.throws(new ValidationError('Some error'));
+      await expect(modelEngine.findAssetsByIdentifier('gtin', '0123', {perPage: '1000'}, token)).to.be.rejectedWith(ValidationError);
+      expect(mockAssetIdentifierRepository.findAssetIds).to.not.have.been.called;
+    });
   });
 
   describe('Creating an event', () => {
     let mockEntityBuilder;
     let mockEntityRepository;
     let mockAccountAccessDefinitions;
+    let mockEventSubscriptionHub;
+    let mockWebhookDispatcher;
+    let mockAssetRelationRepository;
+    let mockAssetTextRepository;
+    let mockAssetIdentifierRepository;
+    let mockQueryResultCache;
+    let mockSentry;
     let modelEngine;
+    const exampleRelations = [{eventId: '0x1', parentId: '0x2', childId: '0x3', relation: 'contains'}];
+    const exampleTexts = [{eventId: '0x1', assetId: '0x2', locale: null, name: 'Case'}];
+    const exampleIdentifiers = [{eventId: '0x1', assetId: '0x2', type: 'gtin', value: '0123'}];
 
     before(() => {
       mockEntityBuilder = {
         validateEvent: sinon.stub(),
         setBundle: sinon.stub(),
-        setEntityUploadTimestamp: sinon.stub()
+        setEntityUploadTimestamp: sinon.stub(),
+        extractAssetRelations: sinon.stub(),
+        extractAssetTexts: sinon.stub(),
+        extractAssetIdentifiers: sinon.stub()
       };
       mockEntityRepository = {
         storeEvent: sinon.stub(),
@@ -669,16 +1093,44 @@ describe('Data Model Engine', () => {
       mockAccountAccessDefinitions = {
         ensureCanCreateEvent: sinon.stub()
       };
+      mockEventSubscriptionHub = {
+        publish: sinon.stub()
+      };
+      mockWebhookDispatcher = {
+        dispatchEventCreated: sinon.stub()
+      };
+      mockAssetRelationRepository = {
+        storeRelations: sinon.stub()
+      };
+      mockAssetTextRepository = {
+        storeTexts: sinon.stub()
+      };
+      mockAssetIdentifierRepository = {
+        storeIdentifiers: sinon.stub()
+      };
+      mockQueryResultCache = {
+        invalidate: sinon.stub()
+      };
+      mockSentry = {
+        captureException: sinon.stub()
+      };
 
       modelEngine = new DataModelEngine({
         entityBuilder: mockEntityBuilder,
         entityRepository: mockEntityRepository,
-        accountAccessDefinitions: mockAccountAccessDefinitions
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        eventSubscriptionHub: mockEventSubscriptionHub,
+        webhookDispatcher: mockWebhookDispatcher,
+        assetRelationRepository: mockAssetRelationRepository,
+        assetTextRepository: mockAssetTextRepository,
+        assetIdentifierRepository: mockAssetIdentifierRepository,
+        queryResultCache: mockQueryResultCache,
+        sentry: mockSentry
       });
     });
 
     const restoreDefaultBehaviour = () => {
-      resetHistory(mockEntityBuilder, mockEntityRepository);
+      resetHistory(mockEntityBuilder, mockEntityRepository, mockEventSubscriptionHub, mockWebhookDispatcher, mockAssetRelationRepository, mockAssetTextRepository, mockAssetIdentifierRepository, mockQueryResultCache, mockSentry);
 
       mockEntityBuilder.validateEvent.returns();
       mockEntityBuilder.setBundle.returns(mockEvent);
@@ -687,6 +1139,13 @@ describe('Data Model Engine', () => {
       mockEntityRepository.getAsset.resolves(mockAsset);
       mockEntityRepository.getEvent.resolves(null);
       mockAccountAccessDefinitions.ensureCanCreateEvent.resolves();
+      mockWebhookDispatcher.dispatchEventCreated.resolves();
+      mockEntityBuilder.extractAssetRelations.returns(exampleRelations);
+      mockAssetRelationRepository.storeRelations.resolves();
+      mockEntityBuilder.extractAssetTexts.returns(exampleTexts);
+      mockAssetTextRepository.storeTexts.resolves();
+      mockEntityBuilder.extractAssetIdentifiers.returns(exampleIdentifiers);
+      mockAssetIdentifierRepository.storeIdentifiers.resolves();
     };
 
     describe('positive case', () => {
@@ -723,6 +1182,39 @@ describe('Data Model Engine', () => {
       it('stores the asset in the repository', () => {
         expect(mockEntityRepository.storeEvent).to.have.been.calledWith(mockEvent);
       });
+
+      it('indexes asset relations of the stored event', () => {
+        expect(mockEntityBuilder.extractAssetRelations).to.have.been.calledWith(mockEvent);
+        expect(mockAssetRelationRepository.storeRelations).to.have.been.calledOnceWith(exampleRelations);
+        expect(mockAssetRelationRepository.storeRelations).to.have.been.calledAfter(mockEntityRepository.storeEvent);
+      });
+
+      it('indexes asset texts of the stored event', () => {
+        expect(mockEntityBuilder.extractAssetTexts).to.have.been.calledWith(mockEvent);
+        expect(mockAssetTextRepository.storeTexts).to.have.been.calledOnceWith(exampleTexts);
+        expect(mockAssetTextRepository.storeTexts).to.have.been.calledAfter(mockEntityRepository.storeEvent);
+      });
+
+      it('indexes asset identifiers of the stored event', () => {
+        expect(mockEntityBuilder.extractAssetIdentifiers).to.have.been.calledWith(mockEvent);
+        expect(mockAssetIdentifierRepository.storeIdentifiers).to.have.been.calledOnceWith(exampleIdentifiers);
+        expect(mockAssetIdentifierRepository.storeIdentifiers).to.have.been.calledAfter(mockEntityRepository.storeEvent);
+      });
+
+      it('invalidates cached query results for the asset of the event', () => {
+        expect(mockQueryResultCache.invalidate).to.have.been.calledOnceWith(mockEvent.content.idData.assetId);
+        expect(mockQueryResultCache.invalidate).to.have.been.calledAfter(mockEntityRepository.storeEvent);
+      });
+
+      it('publishes the stored event to the subscribers', () => {
+        expect(mockEventSubscriptionHub.publish).to.have.been.calledOnceWith(mockEvent);
+        expect(mockEventSubscriptionHub.publish).to.have.been.calledAfter(mockEntityRepository.storeEvent);
+      });
+
+      it('dispatches webhooks for the stored event', () => {
+        expect(mockWebhookDispatcher.dispatchEventCreated).to.have.been.calledOnceWith(mockEvent);
+        expect(mockWebhookDispatcher.dispatchEventCreated).to.have.been.calledAfter(mockEntityRepository.storeEvent);
+      });
     });
 
     describe('negative', () => {
@@ -750,11 +1242,97 @@ describe('Data Model Engine', () => {
 
       it('throws if event with same eventId already exists', async () => {
         mockEntityRepository.getEvent.resolves({});
-        await expect(modelEngine.createEvent(mockEvent)).to.be.rejectedWith(ValidationError);
+        await expect(modelEngine.createEvent(mockEvent)).to.be.rejectedWith(DuplicateEntityError);
+        expect(mockAssetRelationRepository.storeRelations).to.have.been.not.called;
+        expect(mockAssetTextRepository.storeTexts).to.have.been.not.called;
+        expect(mockAssetIdentifierRepository.storeIdentifiers).to.have.been.not.called;
+        expect(mockEventSubscriptionHub.publish).to.have.been.not.called;
+        expect(mockWebhookDispatcher.dispatchEventCreated).to.have.been.not.called;
+      });
+
+      it('returns the stored event and reports the error if dispatching webhooks fails', async () => {
+        const webhookError = new Error('Webhook repository is down');
+        mockWebhookDispatcher.dispatchEventCreated.rejects(webhookError);
+        await expect(modelEngine.createEvent(mockEvent)).to.eventually.deep.equal(mockEvent);
+        expect(mockEntityRepository.storeEvent).to.have.been.calledWith(mockEvent);
+        expect(mockSentry.captureException).to.have.been.calledOnceWith(webhookError);
+      });
+
+      it('performs the remaining steps if indexing the stored event fails', async () => {
+        const indexError = new Error('Index write failed');
+        mockAssetRelationRepository.storeRelations.rejects(indexError);
+        await expect(modelEngine.createEvent(mockEvent)).to.eventually.deep.equal(mockEvent);
+        expect(mockAssetTextRepository.storeTexts).to.have.been.calledOnce;
+        expect(mockAssetIdentifierRepository.storeIdentifiers).to.have.been.calledOnce;
+        expect(mockEventSubscriptionHub.publish).to.have.been.calledOnce;
+        expect(mockWebhookDispatcher.dispatchEventCreated).to.have.been.calledOnce;
+        expect(mockSentry.captureException).to.have.been.calledOnceWith(indexError);
       });
     });
   });
 
+  describe('Creating a batch of entities', () => {
+    const asset = {assetId: '0xasset', content: {}};
+    const event = {eventId: '0xevent', content: {}};
+    let modelEngine;
+
+    beforeEach(() => {
+      modelEngine = new DataModelEngine({});
+      sinon.stub(modelEngine, 'createAsset').resolves();
+      sinon.stub(modelEngine, 'createEvent').resolves();
+    });
+
+    it('creates entities in the order they were provided', async () => {
+      expect(await modelEngine.createEntitiesBatch([asset, event])).to.deep.equal([
+        {assetId: asset.assetId, status: BatchEntryStatuses.created},
+        {eventId: event.eventId, status: BatchEntryStatuses.created}
+      ]);
+      expect(modelEngine.createAsset).to.have.been.calledOnceWith(asset);
+      expect(modelEngine.createEvent).to.have.been.calledOnceWith(event);
+      expect(modelEngine.createAsset).to.have.been.calledBefore(modelEngine.createEvent);
+    });
+
+    it('reports duplicated entities', async () => {
+      modelEngine.createEvent.rejects(new DuplicateEntityError('already exists'));
+      expect(await modelEngine.createEntitiesBatch([event])).to.deep.equal([
+        {eventId: event.eventId, status: BatchEntryStatuses.duplicate, reason: 'Invalid data: already exists'}
+      ]);
+    });
+
+    it('reports rejected entities and continues with the remaining ones', async () => {
+      modelEngine.createAsset.rejects(new ValidationError('an error'));
+      modelEngine.createEvent.onFirstCall().rejects(new PermissionError('no permission'));
+      modelEngine.createEvent.onSecondCall().rejects(new AuthenticationError('bad signature'));
+      const results = await modelEngine.createEntitiesBatch([asset, event, event, event]);
+      expect(results.map(({status}) => status)).to.deep.equal([
+        BatchEntryStatuses.rejected,
+        BatchEntryStatuses.rejected,
+        BatchEntryStatuses.rejected,
+        BatchEntryStatuses.created
+      ]);
+      expect(results[0].reason).to.equal('Invalid data: an error');
+      expect(results[1].reason).to.equal('Permission denied: no permission');
+    });
+
+    it('rejects assets if they are not allowed', async () => {
+      expect(await modelEngine.createEntitiesBatch([asset, event], false)).to.deep.equal([
+        {assetId: asset.assetId, status: BatchEntryStatuses.rejected, reason: 'Invalid data: Entry is not an event'},
+        {eventId: event.eventId, status: BatchEntryStatuses.created}
+      ]);
+      expect(modelEngine.createAsset).to.not.have.been.called;
+    });
+
+    it('rejects entries that are neither assets nor events', async () => {
+      const [result] = await modelEngine.createEntitiesBatch([{content: {}}]);
+      expect(result.status).to.equal(BatchEntryStatuses.rejected);
+    });
+
+    it('fails the whole batch on unexpected errors', async () => {
+      modelEngine.createEvent.rejects(new Error('Database is down'));
+      await expect(modelEngine.createEntitiesBatch([asset, event])).to.be.rejectedWith('Database is down');
+    });
+  });
+
   describe('Getting an event by id', () => {
     let mockEntityRepository;
     let mockAccountAccessDefinitions;
@@ -880,6 +1458,335 @@ describe('Data Model Engine', () => {
     });
   });
 
+  describe('Exporting events', () => {
+    const params = {assetId: '0x1'};
+    const validatedParams = {assetId: '0x1', fromTimestamp: 10};
+    const tokenData = {createdBy: '0xabc', validUntil: 1700000000};
+    const eventStream = {};
+    let mockEntityBuilder;
+    let mockAccountAccessDefinitions;
+    let mockFindEventQueryObjectFactory;
+    let mockFindEventQueryObject;
+    let modelEngine;
+
+    beforeEach(() => {
+      mockEntityBuilder = {
+        validateAndCastExportEventsParams: sinon.stub().returns(validatedParams)
+      };
+      mockAccountAccessDefinitions = {
+        getTokenCreatorAccessLevel: sinon.stub().resolves(4)
+      };
+      mockFindEventQueryObject = {
+        stream: sinon.stub().returns(eventStream)
+      };
+      mockFindEventQueryObjectFactory = {
+        create: sinon.stub().returns(mockFindEventQueryObject)
+      };
+      modelEngine = new DataModelEngine({
+        entityBuilder: mockEntityBuilder,
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        findEventQueryObjectFactory: mockFindEventQueryObjectFactory
+      });
+    });
+
+    it('streams all events matching the validated params with access level of the token creator', async () => {
+      expect(await modelEngine.exportEvents(params, tokenData)).to.equal(eventStream);
+      expect(mockEntityBuilder.validateAndCastExportEventsParams).to.have.been.calledWith(params);
+      expect(mockAccountAccessDefinitions.getTokenCreatorAccessLevel).to.have.been.calledWith(tokenData);
+      expect(mockFindEventQueryObjectFactory.create).to.have.been.calledWith(validatedParams, 4);
+    });
+
+    it('throws ValidationError when parameter validation is not successful', async () => {
+      mockEntityBuilder.validateAndCastExportEventsParams.throws(new ValidationError('page is not supported'));
+      await expect(modelEngine.exportEvents({page: 1}, tokenData)).to.be.rejectedWith(ValidationError);
+      expect(mockFindEventQueryObject.stream).to.not.have.been.called;
+    });
+  });
+
+  describe('Exporting assets', () => {
+    const tokenData = {createdBy: '0xabc', validUntil: 1700000000};
+    const assetStream = {};
+    let mockEntityBuilder;
+    let mockAccountAccessDefinitions;
+    let mockAssetIdentifierRepository;
+    let mockFindAssetQueryObjectFactory;
+    let modelEngine;
+
+    beforeEach(() => {
+      mockEntityBuilder = {
+        validateAndCastExportAssetsParams: sinon.stub()
+      };
+      mockAccountAccessDefinitions = {
+        getTokenCreatorAccessLevel: sinon.stub().resolves(2)
+      };
+      mockAssetIdentifierRepository = {
+        findAssetIds: sinon.stub().resolves(['0x1', '0x2'])
+      };
+      mockFindAssetQueryObjectFactory = {
+        create: sinon.stub().returns({stream: sinon.stub().returns(assetStream)})
+      };
+      modelEngine = new DataModelEngine({
+        entityBuilder: mockEntityBuilder,
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        assetIdentifierRepository: mockAssetIdentifierRepository,
+        findAssetQueryObjectFactory: mockFindAssetQueryObjectFactory
+      });
+    });
+
+    it('streams all assets matching the validated params', async () => {
+      mockEntityBuilder.validateAndCastExportAssetsParams.returns({createdBy: '0xabc'});
+      expect(await modelEngine.exportAssets({createdBy: '0xabc'}, tokenData)).to.equal(assetStream);
+      expect(mockEntityBuilder.validateAndCastExportAssetsParams).to.have.been.calledWith({createdBy: '0xabc'});
+      expect(mockFindAssetQueryObjectFactory.create).to.have.been.calledWith({createdBy: '0xabc'});
+    });
+
+    it('resolves identifiers into asset ids like when finding assets', async () => {
+      mockEntityBuilder.validateAndCastExportAssetsParams.returns({identifier: {gtin: '0123'}, identifierMatch: 'any'});
+      await modelEngine.exportAssets({}, tokenData);
+      expect(mockAssetIdentifierRepository.findAssetIds).to.have.been.calledWith({gtin: '0123'}, 2, false);
+      expect(mockFindAssetQueryObjectFactory.create).to.have.been.calledWith({assetIds: ['0x1', '0x2']});
+    });
+  });
+
+  describe('Querying events', () => {
+    let mockFindEventQueryObjectFactory;
+    let mockFindEventQueryObject;
+    let mockAccountAccessDefinitions;
+    let mockEntityBuilder;
+    let modelEngine;
+    const accessLevel = 3;
+    const mockParams = {query: {field: 'data.type', op: 'eq', value: 'a type'}};
+    const mockValidatedParams = {query: {field: 'data.type', op: 'eq', value: 'a type'}, perPage: 10};
+    const mockTokenData = {createdBy: 'tester', validUntil: 'all bugs gone'};
+    const mockResult = {results: ['event1', 'event2'], resultCount: 2};
+
+    let ret;
+
+    before(async () => {
+      mockFindEventQueryObject = {
+        execute: sinon.stub().resolves(mockResult)
+      };
+      mockFindEventQueryObjectFactory = {
+        create: sinon.stub().returns(mockFindEventQueryObject)
+      };
+      mockEntityBuilder = {
+        validateAndCastEventQueryParams: sinon.stub().returns(mockValidatedParams)
+      };
+      mockAccountAccessDefinitions = {
+        getTokenCreatorAccessLevel: sinon.stub().resolves(accessLevel)
+      };
+
+      modelEngine = new DataModelEngine({
+        entityBuilder: mockEntityBuilder,
+        findEventQueryObjectFactory: mockFindEventQueryObjectFactory,
+        accountAccessDefinitions: mockAccountAccessDefinitions
+      });
+
+      ret = await expect(modelEngine.queryEvents(mockParams, mockTokenData)).to.fulfilled;
+    });
+
+    it('asks the entity builder for parameters validation', () => {
+      expect(mockEntityBuilder.validateAndCastEventQueryParams).to.have.been.calledWith(mockParams);
+    });
+
+    it('creates event query object with validated params and access level', () => {
+      expect(mockAccountAccessDefinitions.getTokenCreatorAccessLevel).to.have.been.calledWith(mockTokenData);
+      expect(mockFindEventQueryObjectFactory.create).to.have.been.calledWith(mockValidatedParams, accessLevel);
+    });
+
+    it('returns the result of the query', () => {
+      expect(mockFindEventQueryObject.execute).to.have.been.called;
+      expect(ret).to.equal(mockResult);
+    });
+
+    it('throws ValidationError when parameter validation is not successful', async () => {
+      mockEntityBuilder.validateAndCastEventQueryParams.throws(new ValidationError('Invalid query'));
+      await expect(modelEngine.queryEvents(mockParams, mockTokenData)).to.be.rejectedWith(ValidationError);
+    });
+  });
+
+  describe('Searching by text', () => {
+    let mockEntityBuilder;
+    let mockAccountAccessDefinitions;
+    let mockAssetTextRepository;
+    let mockFindAssetQueryObjectFactory;
+    let mockFindEventQueryObjectFactory;
+    let modelEngine;
+    const accessLevel = 2;
+    const mockTokenData = {createdBy: 'tester'};
+    const hits = [{assetId: '0x1', score: 1.5, snippet: 'Red wine'}];
+
+    beforeEach(() => {
+      mockEntityBuilder = {
+        validateAndCastFindAssetsParams: sinon.stub().returns({search: 'wine', language: 'en', page: 1, perPage: 10}),
+        validateAndCastFindEventsParams: sinon.stub().returns({search: 'wine', assetId: '0x1', fromTimestamp: 5, perPage: 10})
+      };
+      mockAccountAccessDefinitions = {
+        getTokenCreatorAccessLevel: sinon.stub().resolves(accessLevel)
+      };
+      mockAssetTextRepository = {
+        searchAssets: sinon.stub().resolves({results: hits, resultCount: 1}),
+        searchEvents: sinon.stub().resolves({results: hits, resultCount: 1})
+      };
+      mockFindAssetQueryObjectFactory = {
+        create: sinon.stub()
+      };
+      mockFindEventQueryObjectFactory = {
+        create: sinon.stub()
+      };
+      modelEngine = new DataModelEngine({
+        entityBuilder: mockEntityBuilder,
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        assetTextRepository: mockAssetTextRepository,
+        findAssetQueryObjectFactory: mockFindAssetQueryObjectFactory,
+        findEventQueryObjectFactory: mockFindEventQueryObjectFactory
+      });
+    });
+
+    it('searches assets in the asset text repository with access level from the token', async () => {
+      expect(await modelEngine.findAssets({search: 'wine'}, mockTokenData)).to.deep.equal({results: hits, resultCount: 1, next: null, prev: null});
+      expect(mockAccountAccessDefinitions.getTokenCreatorAccessLevel).to.have.been.calledWith(mockTokenData);
+      expect(mockAssetTextRepository.searchAssets).to.have.been.calledWith('wine', 'en', accessLevel, {page: 1, perPage: 10});
+      expect(mockFindAssetQueryObjectFactory.create).to.have.not.been.called;
+    });
+
+    it('searches events in the asset text repository passing remaining filters', async () => {
+      expect(await modelEngine.findEvents({search: 'wine'}, mockTokenData)).to.deep.equal({results: hits, resultCount: 1, next: null, prev: null});
+      expect(mockAssetTextRepository.searchEvents).to.have.been.calledWith('wine', undefined, accessLevel,
+        {assetId: '0x1', fromTimestamp: 5}, {page: undefined, perPage: 10, skipCount: undefined});
+      expect(mockFindEventQueryObjectFactory.create).to.have.not.been.called;
+    });
+  });
+
+  describe('Getting event stats', () => {
+    let mockFindEventQueryObjectFactory;
+    let mockFindEventQueryObject;
+    let mockAccountAccessDefinitions;
+    let mockEntityBuilder;
+    let modelEngine;
+    const accessLevel = 2;
+    const maxGroups = 50;
+    const mockParams = {groupBy: 'type,day', assetId: '0x1234'};
+    const mockTokenData = {createdBy: 'tester', validUntil: 'all bugs gone'};
+    const mockStats = {results: [{type: 'a type', day: 0, count: 3}], truncated: false};
+
+    let ret;
+
+    before(async () => {
+      mockFindEventQueryObject = {
+        aggregateStats: sinon.stub().resolves(mockStats)
+      };
+      mockFindEventQueryObjectFactory = {
+        create: sinon.stub().returns(mockFindEventQueryObject)
+      };
+      mockEntityBuilder = {
+        validateAndCastEventStatsParams: sinon.stub().returns({groupBy: ['type', 'day'], assetId: '0x1234'})
+      };
+      mockAccountAccessDefinitions = {
+        getTokenCreatorAccessLevel: sinon.stub().resolves(accessLevel)
+      };
+
+      modelEngine = new DataModelEngine({
+        entityBuilder: mockEntityBuilder,
+        findEventQueryObjectFactory: mockFindEventQueryObjectFactory,
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        eventStatsMaxGroups: maxGroups
+      });
+
+      ret = await expect(modelEngine.getEventStats(mockParams, mockTokenData)).to.fulfilled;
+    });
+
+    it('asks the entity builder for parameters validation', () => {
+      expect(mockEntityBuilder.validateAndCastEventStatsParams).to.have.been.calledWith(mockParams);
+    });
+
+    it('creates event query object with the filtering criteria and access level', () => {
+      expect(mockAccountAccessDefinitions.getTokenCreatorAccessLevel).to.have.been.calledWith(mockTokenData);
+      expect(mockFindEventQueryObjectFactory.create).to.have.been.calledWith({assetId: '0x1234'}, accessLevel);
+    });
+
+    it('aggregates stats with the grouping keys and groups limit', () => {
+      expect(mockFindEventQueryObject.aggregateStats).to.have.been.calledWith(['type', 'day'], maxGroups);
+      expect(ret).to.equal(mockStats);
+    });
+
+    it('throws ValidationError when parameter validation is not successful', async () => {
+      mockEntityBuilder.validateAndCastEventStatsParams.throws(new ValidationError('Invalid groupBy'));
+      await expect(modelEngine.getEventStats(mockParams, mockTokenData)).to.be.rejectedWith(ValidationError);
+    });
+  });
+
+  describe('Subscribing to events', () => {
+    let mockEntityBuilder;
+    let mockEntityRepository;
+    let mockAccountAccessDefinitions;
+    let mockFindEventQueryObjectFactory;
+    let mockFindEventQueryObject;
+    let mockEventSubscriptionHub;
+    let modelEngine;
+    const params = {assetId: '0x1234'};
+    const validatedParams = {assetId: '0x1234', validated: true};
+    const tokenData = {createdBy: '0x123'};
+    const lastEvent = {eventId: '0xlast', metadata: {entityUploadTimestamp: 10}};
+    const accessLevel = 3;
+    const replayLimit = 500;
+
+    beforeEach(() => {
+      mockEntityBuilder = {
+        validateAndCastEventStreamParams: sinon.stub().returns(validatedParams)
+      };
+      mockEntityRepository = {
+        getEvent: sinon.stub().resolves(lastEvent)
+      };
+      mockAccountAccessDefinitions = {
+        getTokenCreatorAccessLevel: sinon.stub().resolves(accessLevel)
+      };
+      mockFindEventQueryObject = {};
+      mockFindEventQueryObjectFactory = {
+        create: sinon.stub().returns(mockFindEventQueryObject)
+      };
+      mockEventSubscriptionHub = {};
+      modelEngine = new DataModelEngine({
+        entityBuilder: mockEntityBuilder,
+        entityRepository: mockEntityRepository,
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        findEventQueryObjectFactory: mockFindEventQueryObjectFactory,
+        eventSubscriptionHub: mockEventSubscriptionHub,
+        eventStreamReplayLimit: replayLimit
+      });
+    });
+
+    it('creates subscription with validated params and access level of token creator', async () => {
+      const subscription = await modelEngine.subscribeToEvents(params, tokenData);
+      expect(mockEntityBuilder.validateAndCastEventStreamParams).to.have.been.calledWith(params);
+      expect(mockAccountAccessDefinitions.getTokenCreatorAccessLevel).to.have.been.calledWith(tokenData);
+      expect(mockFindEventQueryObjectFactory.create).to.have.been.calledWith(validatedParams, accessLevel);
+      expect(subscription).to.be.instanceOf(EventSubscription);
+      expect(subscription.eventSubscriptionHub).to.equal(mockEventSubscriptionHub);
+      expect(subscription.findEventQueryObject).to.equal(mockFindEventQueryObject);
+      expect(subscription.lastEvent).to.be.null;
+      expect(subscription.replayLimit).to.equal(replayLimit);
+      expect(mockEntityRepository.getEvent).to.not.have.been.called;
+    });
+
+    it('resumes after the last seen event', async () => {
+      const subscription = await modelEngine.subscribeToEvents(params, tokenData, lastEvent.eventId);
+      expect(mockEntityRepository.getEvent).to.have.been.calledWith(lastEvent.eventId);
+      expect(subscription.lastEvent).to.equal(lastEvent);
+    });
+
+    it('throws NotFoundError if the last seen event does not exist', async () => {
+      mockEntityRepository.getEvent.resolves(null);
+      await expect(modelEngine.subscribeToEvents(params, tokenData, '0xunknown')).to.be.rejectedWith(NotFoundError);
+    });
+
+    it('throws if params validation fails', async () => {
+      mockEntityBuilder.validateAndCastEventStreamParams.throws(new ValidationError('an error'));
+      await expect(modelEngine.subscribeToEvents(params, tokenData)).to.be.rejectedWith(ValidationError);
+      expect(mockFindEventQueryObjectFactory.create).to.not.have.been.called;
+    });
+  });
+
   describe('Getting a bundle', () => {
     let mockBundleRepository;
     let modelEngine;
@@ -922,7 +1829,13 @@ describe('Data Model Engine', () => {
       it('returns the bundle stream fetched from the repository if it exists', async () => {
         await expect(modelEngine.getBundleStream(exampleBundleId)).to.eventually.be.fulfilled.and.equal(exampleBundleStream);
 
-        expect(mockBundleRepository.getBundleStream).to.have.been.calledWith(exampleBundleId);
+        expect(mockBundleRepository.getBundleStream).to.have.been.calledWith(exampleBundleId, false);
+      });
+
+      it('asks the repository for a compressed stream if requested', async () => {
+        await expect(modelEngine.getBundleStream(exampleBundleId, true)).to.eventually.be.fulfilled.and.equal(exampleBundleStream);
+
+        expect(mockBundleRepository.getBundleStream).to.have.been.calledWith(exampleBundleId, true);
       });
 
       it('throws NotFoundError if the bundle with requested id does not exist in the repository', async () => {
@@ -935,6 +1848,83 @@ describe('Data Model Engine', () => {
     });
   });
 
+  describe('Getting a bundle inclusion proof', () => {
+    let mockEntityRepository;
+    let mockBundleRepository;
+    let mockBundleBuilder;
+    let mockAccountAccessDefinitions;
+    let modelEngine;
+
+    const exampleBundleId = '0xabcdef';
+    const exampleBundle = put(createBundle({entriesHash: '0xroot'}, [{assetId: '0x1'}, {eventId: '0x2'}]), 'bundleId', exampleBundleId);
+    const exampleMetadata = {
+      bundleId: exampleBundleId,
+      bundleTransactionHash: '0xdeadface',
+      bundleProofBlock: 10,
+      bundleUploadTimestamp: 1000
+    };
+    const exampleProof = [{position: 'left', hash: '0x1'}];
+    const expectedResult = {
+      bundleId: exampleBundleId,
+      entriesHash: '0xroot',
+      proof: exampleProof,
+      bundleTransactionHash: '0xdeadface',
+      bundleProofBlock: 10,
+      bundleUploadTimestamp: 1000
+    };
+
+    beforeEach(async () => {
+      mockEntityRepository = {
+        getAsset: sinon.stub().resolves({assetId: '0x1', metadata: exampleMetadata}),
+        getEvent: sinon.stub().resolves({eventId: '0x2', metadata: exampleMetadata})
+      };
+      mockBundleRepository = {
+        getBundle: sinon.stub().resolves(exampleBundle)
+      };
+      mockBundleBuilder = {
+        calculateEntryInclusionProof: sinon.stub().returns(exampleProof)
+      };
+      mockAccountAccessDefinitions = {
+        getTokenCreatorAccessLevel: sinon.stub().resolves(0)
+      };
+      modelEngine = new DataModelEngine({
+        entityRepository: mockEntityRepository,
+        bundleRepository: mockBundleRepository,
+        bundleBuilder: mockBundleBuilder,
+        accountAccessDefinitions: mockAccountAccessDefinitions
+      });
+    });
+
+    it('returns the proof of the asset with bundle proof metadata', async () => {
+      await expect(modelEngine.getAssetBundleProof('0x1')).to.eventually.deep.equal(expectedResult);
+      expect(mockBundleRepository.getBundle).to.have.been.calledWith(exampleBundleId);
+      expect(mockBundleBuilder.calculateEntryInclusionProof).to.have.been.calledWith(exampleBundle, '0x1');
+    });
+
+    it('returns the proof of the event respecting access level of token creator', async () => {
+      const tokenData = {createdBy: '0x123'};
+      await expect(modelEngine.getEventBundleProof('0x2', tokenData)).to.eventually.deep.equal(expectedResult);
+      expect(mockAccountAccessDefinitions.getTokenCreatorAccessLevel).to.have.been.calledWith(tokenData);
+      expect(mockBundleBuilder.calculateEntryInclusionProof).to.have.been.calledWith(exampleBundle, '0x2');
+    });
+
+    it('throws NotFoundError if the entity does not exist', async () => {
+      mockEntityRepository.getAsset.resolves(null);
+      await expect(modelEngine.getAssetBundleProof('0x1')).to.be.rejectedWith(NotFoundError);
+    });
+
+    it('throws NotFoundError if the entity has not been bundled yet', async () => {
+      mockEntityRepository.getEvent.resolves({eventId: '0x2', metadata: {}});
+      await expect(modelEngine.getEventBundleProof('0x2')).to.be.rejectedWith(NotFoundError, 'has not been bundled yet');
+      expect(mockBundleRepository.getBundle).to.not.have.been.called;
+    });
+
+    it('throws NotFoundError if the bundle is not stored on the node', async () => {
+      mockBundleRepository.getBundle.resolves(null);
+      await expect(modelEngine.getAssetBundleProof('0x1')).to.be.rejectedWith(NotFoundError);
+    });
+  });
+
   describe('Getting a bundle metadata by id', () => {
     let mockBundleRepository;
     let modelEngine;
@@ -958,20 +1948,96 @@ describe('Data Model Engine', () => {
         bundleRepository: mockBundleRepository
       });
 
-      ret = await expect(modelEngine.getBundleMetadata(exampleBundleId)).to.fulfilled;
+      ret = await expect(modelEngine.getBundleMetadata(exampleBundleId)).to.fulfilled;
+    });
+
+    it('asks the entity repository for bundle metadata', async () => {
+      expect(mockBundleRepository.getBundleMetadata).to.have.been.calledWith(exampleBundleId);
+    });
+
+    it('properly assembles the result', () => {
+      expect(ret).to.equal(exampleBundleMetadata);
+    });
+
+    it('throws NotFoundError when bundle with requested id does not exist', async () => {
+      mockBundleRepository.getBundleMetadata.resolves(null);
+      await expect(modelEngine.getBundleMetadata(exampleBundleId)).to.be.rejectedWith(NotFoundError);
+    });
+  });
+
+  describe('Getting a bundle status', () => {
+    let mockBundleRepository;
+    let modelEngine;
+
+    beforeEach(() => {
+      mockBundleRepository = {
+        getBundleRepository: sinon.stub().resolves({status: 'SHELTERED', holdUntil: new Date(0)})
+      };
+      modelEngine = new DataModelEngine({
+        bundleRepository: mockBundleRepository
+      });
+    });
+
+    it('returns the status of the bundle in the repository', async () => {
+      expect(await modelEngine.getBundleStatus('0xabcdef')).to.equal('SHELTERED');
+      expect(mockBundleRepository.getBundleRepository).to.have.been.calledWith('0xabcdef');
+    });
+
+    it('returns null if the bundle has no repository status', async () => {
+      mockBundleRepository.getBundleRepository.resolves(undefined);
+      expect(await modelEngine.getBundleStatus('0xabcdef')).to.be.null;
+      mockBundleRepository.getBundleRepository.resolves(null);
+      expect(await modelEngine.getBundleStatus('0xabcdef')).to.be.null;
+    });
+  });
+
+  describe('Finding bundles', () => {
+    const mockParams = {status: 'SHELTERED', perPage: '2'};
+    const validatedParams = {status: 'SHELTERED', perPage: 2};
+    const exampleResult = {results: [{bundleId: '0xabcdef', storagePeriods: 2}], resultCount: 1, next: null, prev: null};
+    let mockFindBundleQueryObjectFactory;
+    let mockFindBundleQueryObject;
+    let mockBundleBuilder;
+    let modelEngine;
+
+    before(() => {
+      mockFindBundleQueryObjectFactory = {
+        create: sinon.stub()
+      };
+      mockFindBundleQueryObject = {
+        execute: sinon.stub()
+      };
+      mockBundleBuilder = {
+        validateAndCastFindBundlesParams: sinon.stub()
+      };
+      modelEngine = new DataModelEngine({
+        findBundleQueryObjectFactory: mockFindBundleQueryObjectFactory,
+        bundleBuilder: mockBundleBuilder
+      });
+    });
+
+    beforeEach(() => {
+      resetHistory(mockFindBundleQueryObjectFactory, mockFindBundleQueryObject, mockBundleBuilder);
+      mockFindBundleQueryObjectFactory.create.returns(mockFindBundleQueryObject);
+      mockFindBundleQueryObject.execute.resolves(exampleResult);
+      mockBundleBuilder.validateAndCastFindBundlesParams.returns(validatedParams);
     });
 
-    it('asks the entity repository for bundle metadata', async () => {
-      expect(mockBundleRepository.getBundleMetadata).to.have.been.calledWith(exampleBundleId);
+    it('uses findBundleQueryObjectFactory and delegates to findBundleQueryObject', async () => {
+      expect(await modelEngine.findBundles(mockParams)).to.deep.equal(exampleResult);
+      expect(mockFindBundleQueryObjectFactory.create).to.have.been.calledOnceWith(validatedParams);
+      expect(mockFindBundleQueryObject.execute).to.have.been.calledOnce;
     });
 
-    it('properly assembles the result', () => {
-      expect(ret).to.equal(exampleBundleMetadata);
+    it('validates params', async () => {
+      await modelEngine.findBundles(mockParams);
+      expect(mockBundleBuilder.validateAndCastFindBundlesParams).to.have.been.calledOnceWith(mockParams);
     });
 
-    it('throws NotFoundError when bundle with requested id does not exist', async () => {
-      mockBundleRepository.getBundleMetadata.resolves(null);
-      await expect(modelEngine.getBundleMetadata(exampleBundleId)).to.be.rejectedWith(NotFoundError);
+    it('throws ValidationError when params are invalid', async () => {
+      mockBundleBuilder.validateAndCastFindBundlesParams.throws(new ValidationError('Some error'));
+      await expect(modelEngine.findBundles(mockParams)).to.be.rejectedWith(ValidationError);
+      expect(mockFindBundleQueryObjectFactory.create).to.not.have.been.called;
     });
   });
 
@@ -1055,7 +2121,12 @@ describe('Data Model Engine', () => {
     });
 
     it('fetches entities to bundle from the repository', () => {
-      expect(mockEntityRepository.fetchEntitiesForBundling).to.have.been.calledWith(bundleStubId, bundleItemsCountLimit);
+      expect(mockEntityRepository.fetchEntitiesForBundling).to.have.been.calledWith(bundleStubId, bundleItemsCountLimit, null);
+    });
+
+    it('fetches only the entities of the given creators for a bundling partition', async () => {
+      await modelEngine.prepareBundleCandidate(bundleStubId, ['0x1', '0x2']);
+      expect(mockEntityRepository.fetchEntitiesForBundling).to.have.been.calledWith(bundleStubId, bundleItemsCountLimit, ['0x1', '0x2']);
     });
 
     it('asks the identity manager for the node private key', () => {
@@ -1078,6 +2149,7 @@ describe('Data Model Engine', () => {
   describe('Accepting bundle candidate', () => {
     let mockEntityRepository;
     let mockBundleRepository;
+    let mockBundleCandidateRepository;
     let modelEngine;
 
     let scenario;
@@ -1123,29 +2195,80 @@ describe('Data Model Engine', () => {
         storeBundleProofMetadata: sinon.stub().resolves()
       };
 
+      mockBundleCandidateRepository = {
+        markCandidateAsAccepting: sinon.stub().resolves(),
+        removeCandidates: sinon.stub().resolves()
+      };
+
       modelEngine = new DataModelEngine({
         entityRepository: mockEntityRepository,
-        bundleRepository: mockBundleRepository
+        bundleRepository: mockBundleRepository,
+        bundleCandidateRepository: mockBundleCandidateRepository
       });
 
       ret = await expect(modelEngine.acceptBundleCandidate(assembledBundle, bundleStubId, storagePeriods)).to.be.fulfilled;
     });
 
+    it('records the bundle id of the candidate before storing the bundle', () => {
+      expect(mockBundleCandidateRepository.markCandidateAsAccepting).to.have.been.calledWith(bundleStubId, assembledBundle.bundleId);
+      expect(mockBundleCandidateRepository.markCandidateAsAccepting).to.have.been.calledBefore(mockBundleRepository.storeBundle);
+    });
+
     it('stores the bundle in the repository', () => {
-      expect(mockBundleRepository.storeBundle).to.have.been.calledWith(assembledBundle, storagePeriods);
+      expect(mockBundleRepository.storeBundle).to.have.been.calledWith(assembledBundle, storagePeriods, null);
+    });
+
+    it('stores the bundling partition along with the bundle', async () => {
+      await modelEngine.acceptBundleCandidate(assembledBundle, bundleStubId, storagePeriods, 'org1');
+      expect(mockBundleRepository.storeBundle).to.have.been.calledWith(assembledBundle, storagePeriods, 'org1');
     });
 
     it('ends the bundling procedure in the repository', () => {
       expect(mockEntityRepository.markEntitiesAsBundled).to.have.been.calledWith(bundleStubId, assembledBundle.bundleId);
     });
 
+    it('removes the candidate once its entities are bundled', () => {
+      expect(mockBundleCandidateRepository.removeCandidates).to.have.been.calledWith([bundleStubId]);
+      expect(mockBundleCandidateRepository.removeCandidates).to.have.been.calledAfter(mockEntityRepository.markEntitiesAsBundled);
+    });
+
     it('returns the bundle', () => {
       expect(ret).to.be.deep.eq(assembledBundle);
     });
   });
 
+  describe('Creating bundle stub', () => {
+    it('creates a candidate in the repository and returns its id as the stub id', async () => {
+      const mockBundleCandidateRepository = {
+        createCandidate: sinon.stub().resolves('stubId')
+      };
+      const modelEngine = new DataModelEngine({
+        bundleCandidateRepository: mockBundleCandidateRepository
+      });
+
+      expect(await modelEngine.createBundleStub()).to.equal('stubId');
+      expect(mockBundleCandidateRepository.createCandidate).to.have.been.calledOnce;
+    });
+  });
+
+  describe('Finding bundling partitions', () => {
+    it('asks the bundling partitioner for the partitions', async () => {
+      const partitions = [{key: 'default', creators: null, settings: {}}];
+      const mockBundlingPartitioner = {
+        findPartitions: sinon.stub().resolves(partitions)
+      };
+      const modelEngine = new DataModelEngine({
+        bundlingPartitioner: mockBundlingPartitioner
+      });
+
+      expect(await modelEngine.findBundlingPartitions()).to.equal(partitions);
+      expect(mockBundlingPartitioner.findPartitions).to.have.been.calledOnce;
+    });
+  });
+
   describe('Rejecting bundle candidate', () => {
     let mockEntityRepository;
+    let mockBundleCandidateRepository;
     let modelEngine;
 
     const bundleStubId = 'bundleStubId';
@@ -1157,8 +2280,13 @@ describe('Data Model Engine', () => {
 
       mockEntityRepository.discardBundling.resolves();
 
+      mockBundleCandidateRepository = {
+        removeCandidates: sinon.stub().resolves()
+      };
+
       modelEngine = new DataModelEngine({
-        entityRepository: mockEntityRepository
+        entityRepository: mockEntityRepository,
+        bundleCandidateRepository: mockBundleCandidateRepository
       });
 
       await expect(modelEngine.rejectBundleCandidate(bundleStubId)).to.be.fulfilled;
@@ -1167,18 +2295,85 @@ describe('Data Model Engine', () => {
     it('revokes entities from being bundled', async () => {
       expect(mockEntityRepository.discardBundling).to.have.been.calledWith(bundleStubId);
     });
+
+    it('removes the candidate', async () => {
+      expect(mockBundleCandidateRepository.removeCandidates).to.have.been.calledAfter(mockEntityRepository.discardBundling);
+      expect(mockBundleCandidateRepository.removeCandidates).to.have.been.calledWith([bundleStubId]);
+    });
+  });
+
+  describe('Recovering orphaned bundle candidates', () => {
+    let mockEntityRepository;
+    let mockBundleRepository;
+    let mockBundleCandidateRepository;
+    let modelEngine;
+
+    const candidates = [
+      {bundleStubId: 'preparedStub', state: BundleCandidateStates.preparing},
+      {bundleStubId: 'storedStub', state: BundleCandidateStates.accepting, bundleId: 'storedBundle'},
+      {bundleStubId: 'notStoredStub', state: BundleCandidateStates.accepting, bundleId: 'notStoredBundle'}
+    ];
+    let ret;
+
+    before(async () => {
+      mockEntityRepository = {
+        markEntitiesAsBundled: sinon.stub().resolves(),
+        releaseAllBundleStubs: sinon.stub().resolves(7)
+      };
+      mockBundleRepository = {
+        getBundleMetadata: sinon.stub().resolves(null)
+      };
+      mockBundleRepository.getBundleMetadata.withArgs('storedBundle').resolves({bundleId: 'storedBundle'});
+      mockBundleCandidateRepository = {
+        findCandidates: sinon.stub().resolves(candidates),
+        removeCandidates: sinon.stub().resolves()
+      };
+
+      modelEngine = new DataModelEngine({
+        entityRepository: mockEntityRepository,
+        bundleRepository: mockBundleRepository,
+        bundleCandidateRepository: mockBundleCandidateRepository
+      });
+
+      ret = await modelEngine.recoverOrphanedBundleCandidates();
+    });
+
+    it('resumes candidates with an already stored bundle', () => {
+      expect(mockEntityRepository.markEntitiesAsBundled).to.have.been.calledOnceWith('storedStub', 'storedBundle');
+    });
+
+    it('releases entities of all other stubs', () => {
+      expect(mockEntityRepository.releaseAllBundleStubs).to.have.been.calledAfter(mockEntityRepository.markEntitiesAsBundled);
+    });
+
+    it('removes all recovered candidates', () => {
+      expect(mockBundleCandidateRepository.removeCandidates).to.have.been.calledOnceWith(['preparedStub', 'storedStub', 'notStoredStub']);
+    });
+
+    it('returns a summary of the recovery', () => {
+      expect(ret).to.deep.equal({
+        resumed: [{bundleStubId: 'storedStub', bundleId: 'storedBundle'}],
+        released: ['preparedStub', 'notStoredStub'],
+        releasedEntitiesCount: 7
+      });
+    });
   });
 
   describe('Upload accepted bundle candidates', () => {
     let mockEntityRepository;
     let mockBundleRepository;
     let mockUploadRepository;
+    let mockWebhookDispatcher;
     let modelEngine;
 
     const blockNumber = 10;
     const txHash = '0xc9087b7510e98183f705fe99ddb6964f3b845878d8a801cf6b110975599b6009';
     const now = 50;
+    const gasUsed = 180000;
     const bundle3Error = new Error('An error');
+    const maxAttempts = 5;
+    const retryDelay = 60;
+    const maxRetryDelay = 400;
 
     beforeEach(() => {
       mockEntityRepository = {
@@ -1195,7 +2390,9 @@ describe('Data Model Engine', () => {
             storagePeriods: 6
           }
         ]),
-        storeBundleProofMetadata: sinon.stub().resolves()
+        storeBundleProofMetadata: sinon.stub().resolves(),
+        storeUploadFailure: sinon.stub().resolves(),
+        getBundle: sinon.stub().resolves({bundleId: 'bundle1'})
       };
 
       mockUploadRepository = {
@@ -1205,14 +2402,22 @@ describe('Data Model Engine', () => {
         blockNumber,
         transactionHash: txHash,
         timestamp: now,
+        gasUsed,
         uploadResult: 'Success'
       });
       mockUploadRepository.ensureBundleIsUploaded.withArgs('bundle3', 6).rejects(bundle3Error);
+      mockWebhookDispatcher = {
+        dispatchBundleUploaded: sinon.stub().resolves()
+      };
 
       modelEngine = new DataModelEngine({
         entityRepository: mockEntityRepository,
         bundleRepository: mockBundleRepository,
-        uploadRepository: mockUploadRepository
+        uploadRepository: mockUploadRepository,
+        webhookDispatcher: mockWebhookDispatcher,
+        bundleUploadMaxAttempts: maxAttempts,
+        bundleUploadRetryDelay: retryDelay,
+        bundleUploadMaxRetryDelay: maxRetryDelay
       });
     });
 
@@ -1231,7 +2436,23 @@ describe('Data Model Engine', () => {
     it('for each uploaded candidate stores bundle proof metadata in the entity and the bundle repository', async () => {
       await expect(modelEngine.uploadAcceptedBundleCandidates()).to.eventually.be.fulfilled;
       expect(mockEntityRepository.storeBundleProofMetadata).to.be.have.been.calledOnceWith('bundle1', blockNumber, now, txHash);
-      expect(mockBundleRepository.storeBundleProofMetadata).to.be.have.been.calledOnceWith('bundle1', blockNumber, now, txHash);
+      expect(mockBundleRepository.storeBundleProofMetadata).to.be.have.been.calledOnceWith('bundle1', blockNumber, now, txHash, gasUsed);
+    });
+
+    it('stores no gas used when the upload data does not have it', async () => {
+      mockUploadRepository.ensureBundleIsUploaded.withArgs('bundle1', 2).resolves({blockNumber, transactionHash: txHash, timestamp: now});
+      await modelEngine.uploadAcceptedBundleCandidates();
+      expect(mockBundleRepository.storeBundleProofMetadata).to.be.have.been.calledOnceWith('bundle1', blockNumber, now, txHash, null);
+    });
+
+    it('dispatches webhooks for each uploaded candidate', async () => {
+      await expect(modelEngine.uploadAcceptedBundleCandidates()).to.eventually.be.fulfilled;
+      expect(mockBundleRepository.getBundle).to.have.been.calledOnceWith('bundle1');
+      expect(mockWebhookDispatcher.dispatchBundleUploaded).to.have.been.calledOnceWith({bundleId: 'bundle1'}, {
+        bundleTransactionHash: txHash,
+        bundleProofBlock: blockNumber,
+        bundleUploadTimestamp: now
+      });
     });
 
     it('calls the progress callbacks', async () => {
@@ -1244,32 +2465,168 @@ describe('Data Model Engine', () => {
       expect(progressCallbacks.fail).to.have.been.calledOnceWith('bundle3', bundle3Error);
     });
 
-    it('stops uploading when error encountered and fail stop on fail requested', async () => {
-      mockEntityRepository = {
-        findBundlesWaitingForUpload: sinon.stub().resolves([
-          {
-            bundleId: 'bundle1',
-            metadata: {storagePeriods: 2}
-          },
-          {
-            bundleId: 'bundle2',
-            metadata: {storagePeriods: 2}
-          }
+    describe('when dispatching webhooks fails', () => {
+      const dispatchError = new Error('Webhook deliveries could not be stored');
+      let progressCallbacks;
 
-        ]),
-        storeBundleProofMetadata: sinon.stub().resolves()
+      beforeEach(async () => {
+        mockWebhookDispatcher.dispatchBundleUploaded.rejects(dispatchError);
+        progressCallbacks = {
+          success: sinon.spy(),
+          fail: sinon.spy(),
+          webhookDispatchFail: sinon.spy()
+        };
+        await modelEngine.uploadAcceptedBundleCandidates(progressCallbacks);
+      });
+
+      it('still reports the upload as successful', () => {
+        expect(progressCallbacks.success).to.have.been.calledOnceWith('bundle1', 'Success');
+        expect(progressCallbacks.fail).to.have.been.calledOnceWith('bundle3', bundle3Error);
+      });
+
+      it('does not record a failed upload for the uploaded bundle', () => {
+        expect(mockBundleRepository.storeUploadFailure).to.have.been.calledOnce;
+        expect(mockBundleRepository.storeUploadFailure).to.not.have.been.calledWith('bundle1');
+      });
+
+      it('reports the dispatch failure separately', () => {
+        expect(progressCallbacks.webhookDispatchFail).to.have.been.calledOnceWith('bundle1', dispatchError);
+      });
+    });
+
+    it('continues with the remaining candidates when an upload fails', async () => {
+      mockBundleRepository.findBundlesWaitingForUpload.resolves([
+        {bundleId: 'bundle3', storagePeriods: 6},
+        {bundleId: 'bundle1', storagePeriods: 2}
+      ]);
+
+      await modelEngine.uploadAcceptedBundleCandidates();
+      expect(mockUploadRepository.ensureBundleIsUploaded).to.have.callCount(2);
+      expect(mockBundleRepository.storeBundleProofMetadata).to.have.been.calledOnceWith('bundle1', blockNumber, now, txHash);
+    });
+
+    describe('tracking failed uploads', () => {
+      const attemptTime = 1000000;
+      let clock;
+      let progressCallbacks;
+
+      beforeEach(() => {
+        clock = sinon.useFakeTimers(attemptTime);
+        progressCallbacks = {
+          success: sinon.spy(),
+          fail: sinon.spy()
+        };
+      });
+
+      afterEach(() => {
+        clock.restore();
+      });
+
+      const failingBundleWithAttempts = (attempts) => {
+        const upload = attempts > 0 ? {attempts, status: BundleUploadStatuses.retrying} : undefined;
+        mockBundleRepository.findBundlesWaitingForUpload.resolves([{bundleId: 'bundle3', storagePeriods: 6, upload}]);
       };
 
-      mockUploadRepository = {ensureBundleIsUploaded: sinon.stub().rejects(new Error())};
+      it('stores the first failure and schedules a retry after the base delay', async () => {
+        failingBundleWithAttempts(0);
+        await modelEngine.uploadAcceptedBundleCandidates(progressCallbacks);
+
+        const expectedUpload = {
+          attempts: 1,
+          lastError: 'An error',
+          lastAttemptAt: new Date(attemptTime),
+          status: BundleUploadStatuses.retrying,
+          nextRetryAt: new Date(attemptTime + (retryDelay * 1000))
+        };
+        expect(mockBundleRepository.storeUploadFailure).to.have.been.calledOnceWith('bundle3', expectedUpload);
+        expect(progressCallbacks.fail).to.have.been.calledOnceWith('bundle3', bundle3Error, expectedUpload);
+      });
+
+      it('doubles the retry delay after every failed attempt', async () => {
+        failingBundleWithAttempts(2);
+        await modelEngine.uploadAcceptedBundleCandidates(progressCallbacks);
+
+        expect(mockBundleRepository.storeUploadFailure).to.have.been.calledWithMatch('bundle3', {
+          attempts: 3,
+          nextRetryAt: new Date(attemptTime + (4 * retryDelay * 1000))
+        });
+      });
+
+      it('limits the retry delay', async () => {
+        failingBundleWithAttempts(3);
+        await modelEngine.uploadAcceptedBundleCandidates(progressCallbacks);
+
+        expect(mockBundleRepository.storeUploadFailure).to.have.been.calledWithMatch('bundle3', {
+          nextRetryAt: new Date(attemptTime + (maxRetryDelay * 1000))
+        });
+      });
+
+      it('moves the bundle to the dead letter when it runs out of attempts', async () => {
+        failingBundleWithAttempts(maxAttempts - 1);
+        await modelEngine.uploadAcceptedBundleCandidates(progressCallbacks);
+
+        const [, storedUpload] = mockBundleRepository.storeUploadFailure.firstCall.args;
+        expect(storedUpload).to.include({attempts: maxAttempts, status: BundleUploadStatuses.deadLetter});
+        expect(storedUpload).to.not.have.property('nextRetryAt');
+      });
+
+      it('moves the bundle to the dead letter right away when the upload fails permanently', async () => {
+        failingBundleWithAttempts(0);
+        mockUploadRepository.ensureBundleIsUploaded.withArgs('bundle3', 6).rejects(new PermanentUploadError('Uploaded by other node'));
+        await modelEngine.uploadAcceptedBundleCandidates(progressCallbacks);
+
+        expect(mockBundleRepository.storeUploadFailure).to.have.been.calledWithMatch('bundle3', {
+          attempts: 1,
+          lastError: 'Uploaded by other node',
+          status: BundleUploadStatuses.deadLetter
+        });
+      });
+    });
+  });
+
+  describe('Dead letter bundles', () => {
+    let mockBundleRepository;
+    let mockAccountAccessDefinitions;
+    let modelEngine;
+
+    const tokenData = {createdBy: '0x123'};
+    const deadLetterBundles = [{bundleId: 'bundle1', upload: {status: BundleUploadStatuses.deadLetter}}];
+
+    beforeEach(() => {
+      mockBundleRepository = {
+        findDeadLetterBundles: sinon.stub().resolves(deadLetterBundles),
+        requeueDeadLetterBundle: sinon.stub().resolves(true)
+      };
+      mockAccountAccessDefinitions = {
+        ensureHasPermission: sinon.stub().resolves()
+      };
       modelEngine = new DataModelEngine({
-        entityRepository: mockEntityRepository,
-        uploadRepository: mockUploadRepository,
-        bundleRepository: mockBundleRepository
+        bundleRepository: mockBundleRepository,
+        accountAccessDefinitions: mockAccountAccessDefinitions
       });
+    });
+
+    it('lists the dead letter bundles to super accounts', async () => {
+      expect(await modelEngine.findDeadLetterBundles(tokenData)).to.deep.equal({results: deadLetterBundles, resultCount: 1});
+      expect(mockAccountAccessDefinitions.ensureHasPermission).to.have.been.calledOnceWith(tokenData.createdBy, allPermissions.superAccount);
+    });
+
+    it('requeues a dead letter bundle for upload', async () => {
+      await expect(modelEngine.retryBundleUpload('bundle1', tokenData)).to.be.fulfilled;
+      expect(mockAccountAccessDefinitions.ensureHasPermission).to.have.been.calledOnceWith(tokenData.createdBy, allPermissions.superAccount);
+      expect(mockBundleRepository.requeueDeadLetterBundle).to.have.been.calledOnceWith('bundle1');
+    });
+
+    it('throws NotFoundError when retrying a bundle which is not in the dead letter', async () => {
+      mockBundleRepository.requeueDeadLetterBundle.resolves(false);
+      await expect(modelEngine.retryBundleUpload('bundle1', tokenData)).to.be.rejectedWith(NotFoundError);
+    });
 
-      await modelEngine.uploadAcceptedBundleCandidates({success: async () => {}, fail: async () => {}});
-      expect(mockUploadRepository.ensureBundleIsUploaded).to.have.callCount(1);
-      expect(mockEntityRepository.storeBundleProofMetadata).not.to.be.have.been.calledWith('bundle2', blockNumber, txHash);
+    it('requires a super account', async () => {
+      mockAccountAccessDefinitions.ensureHasPermission.rejects(new PermissionError('Not super'));
+      await expect(modelEngine.findDeadLetterBundles(tokenData)).to.be.rejectedWith(PermissionError);
+      await expect(modelEngine.retryBundleUpload('bundle1', tokenData)).to.be.rejectedWith(PermissionError);
+      expect(mockBundleRepository.requeueDeadLetterBundle).to.not.have.been.called;
     });
   });
 
@@ -1479,7 +2836,7 @@ describe('Data Model Engine', () => {
       client.close();
     });
 
-    describe('Bundle version 3', () => {
+    describe('Bundle version 4', () => {
       beforeEach(async () => {
         downloadedBundle = createFullBundle(identityManager, {}, [exampleAsset, exampleEvent]);
         prepareTest();
@@ -1509,6 +2866,20 @@ describe('Data Model Engine', () => {
       });
     });
 
+    describe('Bundle version 3', () => {
+      beforeEach(async () => {
+        downloadedBundle = createFullBundleV3(identityManager, {}, [exampleAsset, exampleEvent]);
+        prepareTest();
+      });
+
+      it('save to db', async () => {
+        const metadata = await modelEngine.downloadBundle(downloadedBundle.bundleId, '', challengeExpirationTime);
+        const bundleInDb = await bundleRepository.getBundle(downloadedBundle.bundleId);
+        expect(metadata).to.deep.eq(complementedBundleMetadata);
+        expect(bundleInDb).to.deep.eq(downloadedBundle);
+      });
+    });
+
     describe('Bundle version 1', () => {
       beforeEach(() => {
         downloadedBundle = createFullBundleV1(identityManager, {}, [exampleAsset, exampleEvent]);
@@ -1599,6 +2970,87 @@ describe('Data Model Engine', () => {
     });
   });
 
+  describe('Getting pending work', () => {
+    let modelEngine;
+    let mockEntityRepository;
+    let mockBundleRepository;
+    let mockUploadRepository;
+    let mockAccountAccessDefinitions;
+    let mockBundlingPartitioner;
+
+    const tokenData = {createdBy: '0x123'};
+    const partitions = [
+      {key: '1', creators: ['0x1', '0x2'], settings: {storagePeriods: 2}},
+      {key: 'default', creators: ['0x3'], settings: {}}
+    ];
+    const firstPartitionCandidate = {assetsCount: 1, eventsCount: 2, byteSize: 1500};
+    const defaultPartitionCandidate = {assetsCount: 0, eventsCount: 5, byteSize: 2500};
+    const bundlesPendingUpload = [{bundleId: 'bundle1', storagePeriods: 1, upload: {attempts: 2, status: BundleUploadStatuses.retrying}}];
+
+    beforeEach(() => {
+      mockEntityRepository = {
+        previewBundleCandidate: sinon.stub(),
+        notBundledEntitiesSummary: sinon.stub()
+      };
+      mockEntityRepository.previewBundleCandidate.withArgs(3, partitions[0].creators).resolves(firstPartitionCandidate);
+      mockEntityRepository.previewBundleCandidate.withArgs(3, partitions[1].creators).resolves(defaultPartitionCandidate);
+      mockEntityRepository.notBundledEntitiesSummary.withArgs('assets').resolves({count: 1, oldestTimestamp: 10});
+      mockEntityRepository.notBundledEntitiesSummary.withArgs('events').resolves({count: 7, oldestTimestamp: 5});
+      mockBundleRepository = {
+        findBundlesPendingUpload: sinon.stub().resolves(bundlesPendingUpload)
+      };
+      mockUploadRepository = {
+        bundleItemsCountLimit: sinon.stub().resolves('3')
+      };
+      mockAccountAccessDefinitions = {
+        ensureHasPermission: sinon.stub().resolves()
+      };
+      mockBundlingPartitioner = {
+        findPartitions: sinon.stub().resolves(partitions)
+      };
+      modelEngine = new DataModelEngine({
+        entityRepository: mockEntityRepository,
+        bundleRepository: mockBundleRepository,
+        uploadRepository: mockUploadRepository,
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        bundlingPartitioner: mockBundlingPartitioner
+      });
+    });
+
+    it('reports not bundled entities, bundles waiting for upload and the next bundle candidate of every partition', async () => {
+      expect(await modelEngine.getPendingWork(tokenData)).to.deep.equal({
+        assets: {count: 1, oldestTimestamp: 10},
+        events: {count: 7, oldestTimestamp: 5},
+        bundlesWaitingForUpload: bundlesPendingUpload,
+        nextBundleCandidates: [
+          {partition: '1', settings: {storagePeriods: 2}, ...firstPartitionCandidate},
+          {partition: 'default', settings: {}, ...defaultPartitionCandidate}
+        ]
+      });
+    });
+
+    it('previews the candidates of the partitions up to the bundle size limit', async () => {
+      await modelEngine.getPendingWork(tokenData);
+      expect(mockEntityRepository.previewBundleCandidate).to.have.been.calledTwice;
+      expect(mockEntityRepository.previewBundleCandidate).to.have.been.calledWith(3, ['0x1', '0x2']);
+      expect(mockEntityRepository.previewBundleCandidate).to.have.been.calledWith(3, ['0x3']);
+    });
+
+    it('reports no candidates when there are no partitions to bundle', async () => {
+      mockBundlingPartitioner.findPartitions.resolves([]);
+      expect(await modelEngine.getPendingWork(tokenData)).to.include({nextBundleCandidates: []});
+      expect(mockEntityRepository.previewBundleCandidate).to.not.have.been.called;
+    });
+
+    it('requires a super account', async () => {
+      mockAccountAccessDefinitions.ensureHasPermission.rejects(new PermissionError('Not super'));
+      await expect(modelEngine.getPendingWork(tokenData)).to.be.rejectedWith(PermissionError);
+      expect(mockAccountAccessDefinitions.ensureHasPermission).to.have.been.calledOnceWith(tokenData.createdBy, allPermissions.superAccount);
+      expect(mockUploadRepository.bundleItemsCountLimit).to.not.have.been.called;
+      expect(mockEntityRepository.previewBundleCandidate).to.not.have.been.called;
+    });
+  });
+
   describe('Cleanup outdated bundles', () => {
     let modelEngine;
     let mockBundleRepository;
@@ -1622,4 +3074,135 @@ describe('Data Model Engine', () => {
       expect(mockBundleRepository.cleanupBundles).to.be.calledAfter(mockBundleRepository.findOutdatedBundles);
     });
   });
+
+  describe('Compressing stored bundles', () => {
+    it('compresses a batch of bundles in the repository', async () => {
+      const mockBundleRepository = {
+        compressStoredBundles: sinon.stub().resolves({compressedCount: 5, failedCount: 0})
+      };
+      const modelEngine = new DataModelEngine({
+        bundleRepository: mockBundleRepository
+      });
+
+      expect(await modelEngine.compressStoredBundles(10)).to.deep.equal({compressedCount: 5, failedCount: 0});
+      expect(mockBundleRepository.compressStoredBundles).to.be.calledOnceWith(10);
+    });
+  });
+
+  describe('Upload gas spending', () => {
+    it('is taken from the bundle repository', async () => {
+      const spending = {gasUsed: 320000, pendingUploads: 2};
+      const mockBundleRepository = {
+        getUploadGasSpending: sinon.stub().resolves(spending)
+      };
+      const modelEngine = new DataModelEngine({
+        bundleRepository: mockBundleRepository
+      });
+
+      expect(await modelEngine.getUploadGasSpending(86400)).to.deep.equal(spending);
+      expect(mockBundleRepository.getUploadGasSpending).to.be.calledOnceWith(86400);
+    });
+  });
+
+  describe('Webhooks', () => {
+    const tokenData = {createdBy: '0xabc', validUntil: 423543253453};
+    const webhookRequest = {url: 'https://example.com/hook', triggers: ['asset.created']};
+    const webhook = {webhookId: '0x1', ...webhookRequest, filters: {}, createdBy: tokenData.createdBy};
+    let modelEngine;
+    let mockAccountRepository;
+    let mockWebhookRepository;
+    let mockWebhookDispatcher;
+    let mockFindWebhookDeliveryQueryObjectFactory;
+    let mockFindWebhookDeliveryQueryObject;
+
+    beforeEach(() => {
+      mockAccountRepository = {
+        get: sinon.stub().resolves({address: tokenData.createdBy})
+      };
+      mockWebhookRepository = {
+        storeWebhook: sinon.stub().resolves(),
+        findWebhooksCreatedBy: sinon.stub().resolves([webhook]),
+        getWebhook: sinon.stub().resolves(webhook),
+        removeWebhook: sinon.stub().resolves()
+      };
+      mockWebhookDispatcher = {
+        validateWebhookRequest: sinon.stub(),
+        createWebhook: sinon.stub().returns({...webhook, secret: 'secret'}),
+        validateAndCastFindDeliveriesParams: sinon.stub().returns({status: 'FAILED'}),
+        deliverPendingDeliveries: sinon.stub().resolves(3)
+      };
+      mockFindWebhookDeliveryQueryObject = {
+        execute: sinon.stub().resolves({results: [], resultCount: 0})
+      };
+      mockFindWebhookDeliveryQueryObjectFactory = {
+        create: sinon.stub().returns(mockFindWebhookDeliveryQueryObject)
+      };
+
+      modelEngine = new DataModelEngine({
+        accountRepository: mockAccountRepository,
+        webhookRepository: mockWebhookRepository,
+        webhookDispatcher: mockWebhookDispatcher,
+        findWebhookDeliveryQueryObjectFactory: mockFindWebhookDeliveryQueryObjectFactory,
+        webhookDeliveryBatchSize: 50
+      });
+    });
+
+    it('adding validates the request, stores the webhook and returns it with the secret', async () => {
+      expect(await modelEngine.addWebhook(webhookRequest, tokenData)).to.deep.equal({...webhook, secret: 'secret'});
+      expect(mockWebhookDispatcher.validateWebhookRequest).to.have.been.calledWith(webhookRequest);
+      expect(mockWebhookDispatcher.createWebhook).to.have.been.calledWith(webhookRequest, tokenData.createdBy);
+      expect(mockWebhookRepository.storeWebhook).to.have.been.calledWith({...webhook, secret: 'secret'});
+    });
+
+    it('adding throws if validation fails', async () => {
+      mockWebhookDispatcher.validateWebhookRequest.throws(new ValidationError('an error'));
+      await expect(modelEngine.addWebhook(webhookRequest, tokenData)).to.be.rejectedWith(ValidationError);
+      expect(mockWebhookRepository.storeWebhook).to.have.been.not.called;
+    });
+
+    it('throws PermissionError if sender account does not exist', async () => {
+      mockAccountRepository.get.resolves(null);
+      await expect(modelEngine.addWebhook(webhookRequest, tokenData)).to.be.rejectedWith(PermissionError);
+      await expect(modelEngine.getWebhooks(tokenData)).to.be.rejectedWith(PermissionError);
+    });
+
+    it('lists webhooks registered by the sender', async () => {
+      expect(await modelEngine.getWebhooks(tokenData)).to.deep.equal({results: [webhook], resultCount: 1});
+      expect(mockWebhookRepository.findWebhooksCreatedBy).to.have.been.calledWith(tokenData.createdBy);
+    });
+
+    it('gets a webhook by id', async () => {
+      expect(await modelEngine.getWebhook(webhook.webhookId, tokenData)).to.deep.equal(webhook);
+    });
+
+    it('throws NotFoundError for unknown webhook', async () => {
+      mockWebhookRepository.getWebhook.resolves(null);
+      await expect(modelEngine.getWebhook(webhook.webhookId, tokenData)).to.be.rejectedWith(NotFoundError);
+    });
+
+    it('throws PermissionError when webhook was registered by someone else', async () => {
+      const otherTokenData = {createdBy: '0xdef', validUntil: 423543253453};
+      await expect(modelEngine.getWebhook(webhook.webhookId, otherTokenData)).to.be.rejectedWith(PermissionError);
+      await expect(modelEngine.removeWebhook(webhook.webhookId, otherTokenData)).to.be.rejectedWith(PermissionError);
+      expect(mockWebhookRepository.removeWebhook).to.have.been.not.called;
+    });
+
+    it('removes a webhook', async () => {
+      await expect(modelEngine.removeWebhook(webhook.webhookId, tokenData)).to.be.fulfilled;
+      expect(mockWebhookRepository.removeWebhook).to.have.been.calledWith(webhook.webhookId);
+    });
+
+    it('finds deliveries of a webhook', async () => {
+      const params = {status: 'FAILED'};
+      expect(await modelEngine.findWebhookDeliveries(webhook.webhookId, params, tokenData)).to.deep.equal({results: [], resultCount: 0});
+      expect(mockWebhookDispatcher.validateAndCastFindDeliveriesParams).to.have.been.calledWith(params);
+      expect(mockFindWebhookDeliveryQueryObjectFactory.create).to.have.been.calledWith({status: 'FAILED', webhookId: webhook.webhookId});
+      expect(mockFindWebhookDeliveryQueryObject.execute).to.have.been.calledOnce;
+    });
+
+    it('delivers pending deliveries in batches of configured size', async () => {
+      expect(await modelEngine.deliverWebhooks()).to.equal(3);
+      expect(mockWebhookDispatcher.deliverPendingDeliveries).to.have.been.calledWith(50);
+    });
+  });
 });
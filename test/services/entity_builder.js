@@ -18,7 +18,8 @@ import {JsonValidationError, ValidationError} from '../../src/errors/errors';
 import IdentityManager from '../../src/services/identity_manager';
 import EntityBuilder from '../../src/services/entity_builder';
 
-import {createFullAsset, createFullEvent} from '../fixtures/assets_events';
+import {createAsset, createEvent, createFullAsset, createFullEvent} from '../fixtures/assets_events';
+import {CursorDirections, encodeCursor} from '../../src/utils/pagination_cursor';
 
 chai.use(sinonChai);
 const {expect} = chai;
@@ -166,7 +167,8 @@ describe('Entity Builder', () => {
           'ambrosus.event.identifiers',
           'ambrosus.asset.location',
           'ambrosus.event.location',
-          'ambrosus.asset.info'];
+          'ambrosus.asset.info',
+          'ambrosus.asset.relation'];
         expect(entityBuilder.eventValidators
           .map((validator) => validator.type)
           .filter((type) => type !== undefined)
@@ -208,6 +210,26 @@ describe('Entity Builder', () => {
           .and.have.nested.property('errors[0].dataPath', '.geoJson.coordinates');
       });
 
+      it('throws ValidationError if asset relation entry is malformed', () => {
+        const brokenEvent = put(
+          exampleEvent,
+          'content.data',
+          [...exampleEvent.content.data, {type: 'ambrosus.asset.relation', relation: 'sibling', assetId: `0x${'1'.repeat(64)}`}]
+        );
+        expect(() => entityBuilder.validateEvent(brokenEvent))
+          .to.throw(JsonValidationError)
+          .and.have.nested.property('errors[0].dataPath', '.relation');
+      });
+
+      it('throws ValidationError if asset is related to itself', () => {
+        const brokenEvent = put(
+          exampleEvent,
+          'content.data',
+          [...exampleEvent.content.data, {type: 'ambrosus.asset.relation', relation: 'parent', assetId: exampleEvent.content.idData.assetId}]
+        );
+        expect(() => entityBuilder.validateEvent(brokenEvent)).to.throw(ValidationError, 'An asset cannot be related to itself');
+      });
+
       it('throws ValidationError if event exceeds the 10KB size limit', () => {
         const longString = new Array(10 * 1024)
           .fill('0')
@@ -405,6 +427,85 @@ describe('Entity Builder', () => {
         expect(() => entityBuilder.validateAndCastFindAssetsParams({toTimestamp: wrongTimestamp})).to.throw(ValidationError);
       });
     });
+
+    it('decodes cursor and casts skipCount', () => {
+      const cursor = encodeCursor({value: 10, id: '0x1234'}, CursorDirections.prev);
+      expect(entityBuilder.validateAndCastFindAssetsParams({cursor, skipCount: 'false'})).to.deep.equal({
+        cursor: {value: 10, id: '0x1234', direction: CursorDirections.prev},
+        skipCount: false
+      });
+    });
+
+    it('throws for malformed cursor', () => {
+      expect(() => entityBuilder.validateAndCastFindAssetsParams({cursor: 'abc'})).to.throw(ValidationError);
+    });
+
+    it('throws if both page and cursor are passed', () => {
+      const cursor = encodeCursor({value: 10, id: '0x1234'}, CursorDirections.next);
+      expect(() => entityBuilder.validateAndCastFindAssetsParams({cursor, page: '2'})).to.throw(ValidationError);
+    });
+
+    it('passes location given as an area', () => {
+      const location = {locationPolygon: [[0, 0], [1, 0], [1, 1], [0, 0]]};
+      expect(entityBuilder.validateAndCastFindAssetsParams({location})).to.deep.equal({location});
+    });
+
+    it('throws if location is not an area', () => {
+      expect(() => entityBuilder.validateAndCastFindAssetsParams({location: 'Berlin'})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastFindAssetsParams({location: {locationLongitude: 2, locationLatitude: 10, locationMaxDistance: 15}}))
+        .to.throw(ValidationError);
+    });
+
+    it('passes identifier given as values or patterns, with identifierMatch', () => {
+      const identifier = {gtin: '0123', sn: /^abc/};
+      expect(entityBuilder.validateAndCastFindAssetsParams({identifier, identifierMatch: 'any'})).to.deep.equal({identifier, identifierMatch: 'any'});
+    });
+
+    it('throws if identifier is not a map to values or patterns', () => {
+      expect(() => entityBuilder.validateAndCastFindAssetsParams({identifier: '0123'})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastFindAssetsParams({identifier: {}})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastFindAssetsParams({identifier: {gtin: ''}})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastFindAssetsParams({identifier: {gtin: {sub: '1'}}})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastFindAssetsParams({identifier: {gtin: 12}})).to.throw(ValidationError);
+    });
+
+    it('throws for unknown identifierMatch or identifierMatch without identifier', () => {
+      expect(() => entityBuilder.validateAndCastFindAssetsParams({identifier: {gtin: '0123'}, identifierMatch: 'some'})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastFindAssetsParams({identifierMatch: 'all'})).to.throw(ValidationError);
+    });
+
+    it('passes search with language and pagination', () => {
+      expect(entityBuilder.validateAndCastFindAssetsParams({search: 'red wine', language: 'en-GB', perPage: '10'})).to.deep.equal({
+        search: 'red wine',
+        language: 'en-GB',
+        perPage: 10
+      });
+    });
+
+    ['', '   ', 'a'.repeat(257)].forEach((wrongSearch) => {
+      it(`throws for empty or too long search: '${wrongSearch.slice(0, 10)}'`, () => {
+        expect(() => entityBuilder.validateAndCastFindAssetsParams({search: wrongSearch})).to.throw(ValidationError);
+      });
+    });
+
+    it('throws for language without search or malformed language', () => {
+      expect(() => entityBuilder.validateAndCastFindAssetsParams({language: 'en'})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastFindAssetsParams({search: 'wine', language: 'en_GB!'})).to.throw(ValidationError);
+    });
+
+    const paramsIncompatibleWithSearch = {
+      createdBy: anAddress,
+      identifier: {gs1: '1'},
+      location: {locationPolygon: [[0, 0], [1, 0], [1, 1], [0, 0]]},
+      fromTimestamp: '10',
+      toTimestamp: '10',
+      cursor: encodeCursor({value: 10, id: '0x1234'}, CursorDirections.next)
+    };
+    Object.entries(paramsIncompatibleWithSearch).forEach(([param, value]) => {
+      it(`throws if search is combined with ${param}`, () => {
+        expect(() => entityBuilder.validateAndCastFindAssetsParams({search: 'wine', [param]: value})).to.throw(ValidationError, 'cannot be combined with search');
+      });
+    });
   });
 
   describe('Validating query parameters - Event', () => {
@@ -443,6 +544,34 @@ describe('Entity Builder', () => {
       expect(validatedParams.createdBy).to.equal(anAddress);
     });
 
+    it('decodes cursor and casts skipCount', () => {
+      const cursor = encodeCursor({value: 10, id: '0x1234'}, CursorDirections.next);
+      const validatedParams = entityBuilder.validateAndCastFindEventsParams({assetId: '0x1234', cursor, skipCount: 'true'});
+      expect(validatedParams.cursor).to.deep.equal({value: 10, id: '0x1234', direction: CursorDirections.next});
+      expect(validatedParams.skipCount).to.be.true;
+    });
+
+    it('throws if both page and cursor are passed', () => {
+      const cursor = encodeCursor({value: 10, id: '0x1234'}, CursorDirections.next);
+      expect(() => entityBuilder.validateAndCastFindEventsParams({cursor, page: '2'})).to.throw(ValidationError);
+    });
+
+    it('throws if skipCount is not a boolean', () => {
+      expect(() => entityBuilder.validateAndCastFindEventsParams({skipCount: 'maybe'})).to.throw(ValidationError);
+    });
+
+    it('passes search with filters', () => {
+      const params = {search: 'wine', language: 'fr', assetId: '0x1234', fromTimestamp: '10', page: '1'};
+      expect(entityBuilder.validateAndCastFindEventsParams(params)).to.deep.equal({...params, fromTimestamp: 10, page: 1});
+    });
+
+    it('throws if search is combined with data or cursor', () => {
+      expect(() => entityBuilder.validateAndCastFindEventsParams({search: 'wine', data: {type: 'ambrosus.asset.info'}}))
+        .to.throw(ValidationError, 'cannot be combined with search');
+      const cursor = encodeCursor({value: 10, id: '0x1234'}, CursorDirections.next);
+      expect(() => entityBuilder.validateAndCastFindEventsParams({search: 'wine', cursor})).to.throw(ValidationError, 'cannot be combined with search');
+    });
+
     describe('query with entry', () => {
       it('handles query by entry validation', () => {
         const params = {data: {acceleration: '1'}};
@@ -476,6 +605,16 @@ describe('Entity Builder', () => {
         expect(() => entityBuilder.ensureGeoLocationParamsCorrectlyPlaced(params)).to.throw(ValidationError);
       });
 
+      it('passes if geoJson field contains a polygon', () => {
+        const params = {data: {geoJson: {locationPolygon: [[0, 0], [1, 0], [1, 1], [0, 0]]}}};
+        expect(() => entityBuilder.ensureGeoLocationParamsCorrectlyPlaced(params)).to.not.throw();
+      });
+
+      it('throws if polygon stored in field other than geoJson', () => {
+        const params = {data: {someField: {locationPolygon: [[0, 0], [1, 0], [1, 1], [0, 0]]}}};
+        expect(() => entityBuilder.ensureGeoLocationParamsCorrectlyPlaced(params)).to.throw(ValidationError);
+      });
+
       it('throws if createdBy is not valid address', async () => {
         const params = put(validParamsAsStrings, 'createdBy', '0x12312312');
         expect(() => entityBuilder.validateAndCastFindEventsParams(params)).to.throw(ValidationError);
@@ -535,6 +674,403 @@ describe('Entity Builder', () => {
     });
   });
 
+  describe('Validating event stats parameters', () => {
+    let entityBuilder;
+    const anAddress = '0xEaE0D78450DaB377376206f419E9bCA0D28829F9';
+
+    before(() => {
+      entityBuilder = new EntityBuilder({}, oneDayInSeconds);
+    });
+
+    it('passes for proper parameters and splits groupBy', () => {
+      const params = {groupBy: 'type,createdBy,day', assetId: '0x1234', createdBy: anAddress, fromTimestamp: '10', toTimestamp: '20', data: {type: 'ambrosus.event.example'}};
+      expect(entityBuilder.validateAndCastEventStatsParams(params)).to.deep.equal({
+        ...params,
+        groupBy: ['type', 'createdBy', 'day'],
+        fromTimestamp: 10,
+        toTimestamp: 20
+      });
+    });
+
+    it('throws if groupBy is missing', () => {
+      expect(() => entityBuilder.validateAndCastEventStatsParams({assetId: '0x1234'})).to.throw(ValidationError);
+    });
+
+    it('throws if paging parameters are passed', () => {
+      ['page', 'perPage', 'cursor'].forEach((param) => {
+        expect(() => entityBuilder.validateAndCastEventStatsParams({groupBy: 'type', [param]: '1'})).to.throw(ValidationError);
+      });
+    });
+
+    it('throws for unknown or duplicated grouping keys', () => {
+      expect(() => entityBuilder.validateAndCastEventStatsParams({groupBy: 'type,month'})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastEventStatsParams({groupBy: 'assetId,assetId'})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastEventStatsParams({groupBy: ['type']})).to.throw(ValidationError);
+    });
+
+    it('throws if more than one time bucket is requested', () => {
+      expect(() => entityBuilder.validateAndCastEventStatsParams({groupBy: 'day,week'})).to.throw(ValidationError);
+    });
+
+    it('throws if geoJson filter with radius is used', () => {
+      const params = {groupBy: 'type', data: {geoJson: {locationLongitude: 2, locationLatitude: 10, locationMaxDistance: 15}}};
+      expect(() => entityBuilder.validateAndCastEventStatsParams(params)).to.throw(ValidationError, 'not supported for statistics');
+    });
+
+    it('passes if geoJson filter with polygon is used', () => {
+      const params = {groupBy: 'type', data: {geoJson: {locationPolygon: [[0, 0], [1, 0], [1, 1], [0, 0]]}}};
+      expect(entityBuilder.validateAndCastEventStatsParams(params)).to.deep.equal({...params, groupBy: ['type']});
+    });
+  });
+
+  describe('Validating event stream parameters', () => {
+    let entityBuilder;
+    const anAddress = '0xEaE0D78450DaB377376206f419E9bCA0D28829F9';
+
+    before(() => {
+      entityBuilder = new EntityBuilder({}, oneDayInSeconds);
+    });
+
+    it('passes for proper parameters', () => {
+      const params = {assetId: '0x1234', createdBy: anAddress, data: {type: 'ambrosus.event.example'}};
+      expect(entityBuilder.validateAndCastEventStreamParams(params)).to.deep.equal(params);
+    });
+
+    it('throws if paging or timestamp parameters are passed', () => {
+      ['page', 'perPage', 'fromTimestamp', 'toTimestamp'].forEach((param) => {
+        expect(() => entityBuilder.validateAndCastEventStreamParams({[param]: '1'})).to.throw(ValidationError);
+      });
+    });
+
+    it('throws if createdBy is not valid address', () => {
+      expect(() => entityBuilder.validateAndCastEventStreamParams({createdBy: '0x12312312'})).to.throw(ValidationError);
+    });
+
+    it('throws if geo data stored in field other than geoJson', () => {
+      const params = {data: {someField: {locationLongitude: 2, locationLatitude: 10, locationMaxDistance: 15}}};
+      expect(() => entityBuilder.validateAndCastEventStreamParams(params)).to.throw(ValidationError);
+    });
+  });
+
+  describe('Validating event query parameters', () => {
+    let entityBuilder;
+    const query = {and: [{field: 'assetId', op: 'eq', value: '0x1234'}, {field: 'data.type', op: 'eq', value: 'ambrosus.event.example'}]};
+
+    before(() => {
+      entityBuilder = new EntityBuilder({}, oneDayInSeconds, 3, 2);
+    });
+
+    it('passes for proper parameters', () => {
+      const params = {query, page: 2, perPage: 10, skipCount: 'true'};
+      expect(entityBuilder.validateAndCastEventQueryParams(params)).to.deep.equal({...params, skipCount: true});
+    });
+
+    it('throws if query is missing', () => {
+      expect(() => entityBuilder.validateAndCastEventQueryParams({perPage: 10})).to.throw(ValidationError);
+    });
+
+    it('throws if unsupported parameters are passed', () => {
+      ['assetId', 'data', 'fromTimestamp'].forEach((param) => {
+        expect(() => entityBuilder.validateAndCastEventQueryParams({query, [param]: '1'})).to.throw(ValidationError);
+      });
+    });
+
+    it('throws if perPage is out of range', () => {
+      expect(() => entityBuilder.validateAndCastEventQueryParams({query, perPage: 101})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastEventQueryParams({query, perPage: 0})).to.throw(ValidationError);
+    });
+
+    it('throws if query is malformed', () => {
+      expect(() => entityBuilder.validateAndCastEventQueryParams({query: {field: '$where', op: 'eq', value: '1'}})).to.throw(ValidationError);
+    });
+
+    it('throws if query exceeds the configured limits', () => {
+      const condition = {field: 'data.type', op: 'exists', value: true};
+      expect(() => entityBuilder.validateAndCastEventQueryParams({query: {or: new Array(4).fill(condition)}}))
+        .to.throw(ValidationError, 'more than 3 conditions');
+      expect(() => entityBuilder.validateAndCastEventQueryParams({query: {not: {or: [condition]}}}))
+        .to.throw(ValidationError, 'deeper than 2 levels');
+    });
+  });
+
+  describe('Validating asset state parameters', () => {
+    let entityBuilder;
+
+    before(() => {
+      entityBuilder = new EntityBuilder({}, oneDayInSeconds);
+    });
+
+    it('casts asOf to number', () => {
+      expect(entityBuilder.validateAndCastAssetStateParams({asOf: '15'})).to.deep.equal({asOf: 15});
+    });
+
+    it('passes when no parameters are given', () => {
+      expect(entityBuilder.validateAndCastAssetStateParams({})).to.deep.equal({});
+    });
+
+    it('throws if asOf is not a non-negative integer', () => {
+      expect(() => entityBuilder.validateAndCastAssetStateParams({asOf: '-1'})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastAssetStateParams({asOf: 'yesterday'})).to.throw(ValidationError);
+    });
+
+    it('throws on unknown parameters', () => {
+      expect(() => entityBuilder.validateAndCastAssetStateParams({page: '1'})).to.throw(ValidationError);
+    });
+  });
+
+  describe('Validating asset lineage parameters', () => {
+    let entityBuilder;
+
+    before(() => {
+      entityBuilder = new EntityBuilder({}, oneDayInSeconds);
+    });
+
+    it('casts depth to number', () => {
+      expect(entityBuilder.validateAndCastAssetLineageParams({depth: '4'})).to.deep.equal({depth: 4});
+    });
+
+    it('passes when no parameters are given', () => {
+      expect(entityBuilder.validateAndCastAssetLineageParams({})).to.deep.equal({});
+    });
+
+    it('throws if depth is not positive', () => {
+      expect(() => entityBuilder.validateAndCastAssetLineageParams({depth: '0'})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastAssetLineageParams({depth: '-2'})).to.throw(ValidationError);
+    });
+
+    it('throws if depth is higher than 10', () => {
+      expect(() => entityBuilder.validateAndCastAssetLineageParams({depth: '11'})).to.throw(ValidationError);
+    });
+
+    it('throws on unknown parameters', () => {
+      expect(() => entityBuilder.validateAndCastAssetLineageParams({asOf: '1'})).to.throw(ValidationError);
+    });
+  });
+
+  describe('Extracting asset relations', () => {
+    let entityBuilder;
+
+    before(() => {
+      entityBuilder = new EntityBuilder({}, oneDayInSeconds);
+    });
+
+    it('turns relation entries into parent to child edges', () => {
+      const event = {
+        ...createEvent({assetId: '0xcase', timestamp: 5, accessLevel: 1}, [
+          {type: 'ambrosus.asset.relation', relation: 'parent', assetId: '0xpallet'},
+          {type: 'ambrosus.asset.info', name: 'Case'},
+          {type: 'ambrosus.asset.relation', relation: 'child', assetId: '0xitem'},
+          {type: 'ambrosus.asset.relation', relation: 'derivedFrom', assetId: '0xbatch'}
+        ]),
+        eventId: '0xevent'
+      };
+      const {createdBy} = event.content.idData;
+      expect(entityBuilder.extractAssetRelations(event)).to.deep.equal([
+        {eventId: '0xevent', parentId: '0xpallet', childId: '0xcase', relation: 'contains', createdBy, timestamp: 5, accessLevel: 1},
+        {eventId: '0xevent', parentId: '0xcase', childId: '0xitem', relation: 'contains', createdBy, timestamp: 5, accessLevel: 1},
+        {eventId: '0xevent', parentId: '0xbatch', childId: '0xcase', relation: 'derivedFrom', createdBy, timestamp: 5, accessLevel: 1}
+      ]);
+    });
+
+    it('returns an empty list for events without relation entries', () => {
+      expect(entityBuilder.extractAssetRelations(createEvent({}, [{type: 'ambrosus.asset.info', name: 'Case'}]))).to.deep.equal([]);
+    });
+  });
+
+  describe('Extracting asset texts', () => {
+    let entityBuilder;
+
+    before(() => {
+      entityBuilder = new EntityBuilder({}, oneDayInSeconds);
+    });
+
+    it('extracts a default text and a text for every locale of every asset info entry', () => {
+      const event = {
+        ...createEvent({assetId: '0xwine', timestamp: 5, accessLevel: 1}, [
+          {
+            type: 'ambrosus.asset.info',
+            name: 'Red wine',
+            description: 'Dry red wine',
+            tags: ['wine'],
+            localisedName: {fr: 'Vin rouge', pl: 'Czerwone wino'},
+            localisedDescription: {fr: 'Vin rouge sec', 'de-AT': 'Trockener Rotwein'}
+          },
+          {type: 'ambrosus.asset.relation', relation: 'parent', assetId: '0xcase'},
+          {type: 'ambrosus.asset.info', name: 'Wine'}
+        ]),
+        eventId: '0xevent'
+      };
+      const common = {eventId: '0xevent', assetId: '0xwine', createdBy: event.content.idData.createdBy, timestamp: 5, accessLevel: 1};
+      expect(entityBuilder.extractAssetTexts(event)).to.deep.equal([
+        {...common, locale: null, textLanguage: 'none', name: 'Red wine', description: 'Dry red wine', tags: ['wine']},
+        {...common, locale: 'fr', textLanguage: 'fr', name: 'Vin rouge', description: 'Vin rouge sec'},
+        {...common, locale: 'pl', textLanguage: 'none', name: 'Czerwone wino', description: undefined},
+        {...common, locale: 'de-AT', textLanguage: 'de', name: undefined, description: 'Trockener Rotwein'},
+        {...common, locale: null, textLanguage: 'none', name: 'Wine', description: undefined, tags: undefined}
+      ]);
+    });
+
+    it('returns an empty list for events without asset info entries', () => {
+      expect(entityBuilder.extractAssetTexts(createEvent({}, [{type: 'ambrosus.event.note', text: 'Wine'}]))).to.deep.equal([]);
+    });
+  });
+
+  describe('Extracting asset identifiers', () => {
+    let entityBuilder;
+
+    before(() => {
+      entityBuilder = new EntityBuilder({}, oneDayInSeconds);
+    });
+
+    it('extracts every value of asset and event identifiers entries', () => {
+      const event = {
+        ...createEvent({assetId: '0xwine', timestamp: 5, accessLevel: 1}, [
+          {type: 'ambrosus.asset.identifiers', identifiers: {gtin: ['0123', '0124'], sn: ['a1']}},
+          {type: 'ambrosus.asset.info', name: 'Wine'},
+          {type: 'ambrosus.event.identifiers', identifiers: {batch: ['b7']}}
+        ]),
+        eventId: '0xevent'
+      };
+      const common = {eventId: '0xevent', assetId: '0xwine', createdBy: event.content.idData.createdBy, timestamp: 5, accessLevel: 1};
+      expect(entityBuilder.extractAssetIdentifiers(event)).to.deep.equal([
+        {...common, type: 'gtin', value: '0123'},
+        {...common, type: 'gtin', value: '0124'},
+        {...common, type: 'sn', value: 'a1'},
+        {...common, type: 'batch', value: 'b7'}
+      ]);
+    });
+
+    it('returns an empty list for events without identifiers entries', () => {
+      expect(entityBuilder.extractAssetIdentifiers(createEvent({}, [{type: 'ambrosus.event.note', text: 'Wine'}]))).to.deep.equal([]);
+    });
+  });
+
+  describe('Validating find assets by identifier parameters', () => {
+    let entityBuilder;
+
+    before(() => {
+      entityBuilder = new EntityBuilder({}, oneDayInSeconds);
+    });
+
+    it('casts pagination params', () => {
+      expect(entityBuilder.validateAndCastFindAssetsByIdentifierParams({page: '1', perPage: '10', skipCount: 'true'})).to.deep.equal({page: 1, perPage: 10, skipCount: true});
+    });
+
+    it('throws for params other than pagination', () => {
+      expect(() => entityBuilder.validateAndCastFindAssetsByIdentifierParams({identifier: {gtin: '0123'}})).to.throw(ValidationError);
+    });
+
+    it('throws for perPage out of range or page combined with cursor', () => {
+      expect(() => entityBuilder.validateAndCastFindAssetsByIdentifierParams({perPage: '101'})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastFindAssetsByIdentifierParams({perPage: '0'})).to.throw(ValidationError);
+      const cursor = encodeCursor({value: 10, id: '0x1234'}, CursorDirections.next);
+      expect(() => entityBuilder.validateAndCastFindAssetsByIdentifierParams({cursor, page: '2'})).to.throw(ValidationError);
+    });
+  });
+
+  describe('Validating export parameters', () => {
+    let entityBuilder;
+
+    before(() => {
+      entityBuilder = new EntityBuilder({}, oneDayInSeconds);
+    });
+
+    it('casts find params', () => {
+      expect(entityBuilder.validateAndCastExportEventsParams({assetId: '0x1', fromTimestamp: '10', data: {type: 'ambrosus.event.example'}}))
+        .to.deep.equal({assetId: '0x1', fromTimestamp: 10, data: {type: 'ambrosus.event.example'}});
+      expect(entityBuilder.validateAndCastExportAssetsParams({toTimestamp: '10', identifier: {gtin: '0123'}}))
+        .to.deep.equal({toTimestamp: 10, identifier: {gtin: '0123'}});
+    });
+
+    it('throws for pagination params', () => {
+      const cursor = encodeCursor({value: 10, id: '0x1234'}, CursorDirections.next);
+      [{page: '1'}, {perPage: '10'}, {cursor}, {skipCount: 'true'}].forEach((params) => {
+        expect(() => entityBuilder.validateAndCastExportEventsParams(params)).to.throw(ValidationError, 'is not supported when exporting all results');
+        expect(() => entityBuilder.validateAndCastExportAssetsParams(params)).to.throw(ValidationError, 'is not supported when exporting all results');
+      });
+    });
+
+    it('throws for search params', () => {
+      expect(() => entityBuilder.validateAndCastExportEventsParams({search: 'case'})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastExportAssetsParams({search: 'case', language: 'en'})).to.throw(ValidationError);
+    });
+
+    it('throws for params not allowed in find', () => {
+      expect(() => entityBuilder.validateAndCastExportEventsParams({identifier: {gtin: '0123'}})).to.throw(ValidationError);
+      expect(() => entityBuilder.validateAndCastExportAssetsParams({assetId: '0x1'})).to.throw(ValidationError);
+    });
+  });
+
+  describe('Folding asset state', () => {
+    const asset = {...createAsset({timestamp: 1}), assetId: '0xasset'};
+    const eventWithData = (eventId, timestamp, data) => ({...createEvent({assetId: asset.assetId, timestamp}, data), eventId});
+    let entityBuilder;
+
+    before(() => {
+      entityBuilder = new EntityBuilder({}, oneDayInSeconds);
+    });
+
+    it('lists entry types it folds', () => {
+      expect(entityBuilder.assetStateEntryTypes()).to.have.members(['ambrosus.asset.info', 'ambrosus.asset.location', 'ambrosus.asset.identifiers']);
+    });
+
+    it('returns empty state when there are no events', () => {
+      expect(entityBuilder.foldAssetState(asset, [])).to.deep.equal({
+        assetId: asset.assetId,
+        createdBy: asset.content.idData.createdBy,
+        timestamp: 1,
+        asOf: null,
+        state: {},
+        lastEventId: null,
+        lastEventTimestamp: null
+      });
+    });
+
+    it('keeps the latest info and location entries', () => {
+      const events = [
+        eventWithData('0x1', 2, [{type: 'ambrosus.asset.info', name: 'Old name'}, {type: 'ambrosus.asset.location', city: 'Berlin'}]),
+        eventWithData('0x2', 3, [{type: 'ambrosus.asset.info', name: 'New name', tags: ['wine']}])
+      ];
+      const {state} = entityBuilder.foldAssetState(asset, events);
+      expect(state).to.deep.equal({
+        info: {name: 'New name', tags: ['wine']},
+        location: {city: 'Berlin'}
+      });
+    });
+
+    it('merges identifiers, newer entries overriding identifier kinds they list', () => {
+      const events = [
+        eventWithData('0x1', 2, [{type: 'ambrosus.asset.identifiers', identifiers: {gtin: ['1'], sn: ['a']}}]),
+        eventWithData('0x2', 3, [{type: 'ambrosus.asset.identifiers', identifiers: {sn: ['b']}}])
+      ];
+      expect(entityBuilder.foldAssetState(asset, events).state).to.deep.equal({identifiers: {gtin: ['1'], sn: ['b']}});
+    });
+
+    it('skips events with hidden data and entries without fold rules', () => {
+      const events = [
+        eventWithData('0x1', 2, [{type: 'ambrosus.asset.info', name: 'Name'}]),
+        eventWithData('0x2', 3, [{type: 'ambrosus.event.example'}]),
+        pick(eventWithData('0x3', 4, [{type: 'ambrosus.asset.info', name: 'Private name'}]), 'content.data')
+      ];
+      const folded = entityBuilder.foldAssetState(asset, events, 10);
+      expect(folded.state).to.deep.equal({info: {name: 'Name'}});
+      expect(folded.asOf).to.equal(10);
+      expect(folded.lastEventId).to.equal('0x1');
+      expect(folded.lastEventTimestamp).to.equal(2);
+    });
+
+    it('uses additional fold rules', () => {
+      const customEntityBuilder = new EntityBuilder({}, oneDayInSeconds);
+      customEntityBuilder.assetStateFoldRules.push({
+        type: 'ambrosus.asset.custom',
+        appliesTo: (entry) => entry.type === 'ambrosus.asset.custom',
+        fold: (state, entry, event) => put(state, 'custom', event.eventId)
+      });
+      const events = [eventWithData('0x1', 2, [{type: 'ambrosus.asset.custom'}])];
+      expect(customEntityBuilder.foldAssetState(asset, events).state).to.deep.equal({custom: '0x1'});
+    });
+  });
+
   describe('Validating timestamp', () => {
     let clock;
     let entityBuilder;
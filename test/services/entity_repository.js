@@ -244,17 +244,113 @@ describe('Entity Repository', () => {
       });
     });
 
+    describe('fetchEntitiesForBundling with creators', () => {
+      const otherCreator = '0x0000000000000000000000000000000000000001';
+
+      it('fetches only entities created by the given accounts', async () => {
+        const ret = await storage.fetchEntitiesForBundling(bundleStubId, 10, [adminAccountWithSecret.address]);
+        expect(ret.assets).to.have.deep.members(nonBundledAssets);
+        expect(ret.events).to.have.deep.members(nonBundledEvents);
+      });
+
+      it('skips entities of other creators', async () => {
+        const ret = await storage.fetchEntitiesForBundling(bundleStubId, 10, [otherCreator]);
+        expect(ret).to.deep.equal({assets: [], events: []});
+        const retForAll = await storage.fetchEntitiesForBundling('otherId', 10);
+        expect(retForAll.assets).to.have.lengthOf(nonBundledAssets.length);
+        expect(retForAll.events).to.have.lengthOf(nonBundledEvents.length);
+      });
+    });
+
+    describe('findNotBundledEntityCreators', () => {
+      it('returns the creators of entities without a bundle once', async () => {
+        expect(await storage.findNotBundledEntityCreators()).to.deep.equal([adminAccountWithSecret.address]);
+      });
+
+      it('ignores entities reserved for a bundle stub', async () => {
+        await storage.fetchEntitiesForBundling(bundleStubId, 10);
+        expect(await storage.findNotBundledEntityCreators()).to.deep.equal([]);
+      });
+    });
+
     describe('discardBundling', () => {
       let ret;
+      let releasedCount;
 
       beforeEach(async () => {
         ret = await expect(storage.fetchEntitiesForBundling(bundleStubId, bundleItemsCountLimit)).to.be.fulfilled;
-        await expect(storage.discardBundling(bundleStubId)).to.be.fulfilled;
+        releasedCount = await expect(storage.discardBundling(bundleStubId)).to.be.fulfilled;
       });
 
       it('should return to state from before bundling initialisation', async () => {
         expect(await storage.fetchEntitiesForBundling(bundleStubId, bundleItemsCountLimit)).to.be.deep.equal(ret);
       });
+
+      it('returns the number of released entities', async () => {
+        expect(releasedCount).to.equal(bundleItemsCountLimit);
+      });
+    });
+
+    describe('releaseAllBundleStubs', () => {
+      let ret;
+
+      beforeEach(async () => {
+        ret = await expect(storage.fetchEntitiesForBundling(bundleStubId, 2)).to.be.fulfilled;
+        await expect(storage.fetchEntitiesForBundling('otherId', 1)).to.be.fulfilled;
+      });
+
+      it('releases the entities of all bundle stubs', async () => {
+        expect(await storage.releaseAllBundleStubs()).to.equal(3);
+        expect(await storage.fetchEntitiesForBundling(bundleStubId, 2)).to.be.deep.equal(ret);
+      });
+    });
+
+    describe('previewBundleCandidate', () => {
+      it('counts the same entities as fetchEntitiesForBundling selects', async () => {
+        const preview = await storage.previewBundleCandidate(bundleItemsCountLimit);
+        const {assets, events} = await storage.fetchEntitiesForBundling(bundleStubId, bundleItemsCountLimit);
+        expect(preview).to.include({assetsCount: assets.length, eventsCount: events.length});
+      });
+
+      it('estimates the byte size from the average size of the stored entities', async () => {
+        const preview = await storage.previewBundleCandidate(bundleItemsCountLimit);
+        const averageAssetSize = await storage.averageDocumentSize('assets');
+        const averageEventSize = await storage.averageDocumentSize('events');
+        expect(averageAssetSize).to.be.above(0);
+        expect(preview.byteSize).to.equal((preview.assetsCount * averageAssetSize) + (preview.eventsCount * averageEventSize));
+      });
+
+      it('does not reserve the selected entities', async () => {
+        const preview = await storage.previewBundleCandidate(bundleItemsCountLimit);
+        expect(await storage.previewBundleCandidate(bundleItemsCountLimit)).to.deep.equal(preview);
+        for (const asset of nonBundledAssets) {
+          expect((await storage.getAsset(asset.assetId)).repository).to.be.undefined;
+        }
+      });
+
+      it('skips entities reserved for a bundle stub', async () => {
+        await storage.fetchEntitiesForBundling(bundleStubId, 2);
+        const preview = await storage.previewBundleCandidate(10);
+        expect(preview.assetsCount + preview.eventsCount).to.equal(4);
+      });
+    });
+
+    describe('notBundledEntitiesSummary', () => {
+      it('counts the entities without a bundle and finds the oldest one', async () => {
+        expect(await storage.notBundledEntitiesSummary('assets')).to.deep.equal({count: 2, oldestTimestamp: 0});
+        expect(await storage.notBundledEntitiesSummary('events')).to.deep.equal({count: 4, oldestTimestamp: 1});
+      });
+
+      it('includes entities reserved for a bundle stub', async () => {
+        await storage.fetchEntitiesForBundling(bundleStubId, 10);
+        expect(await storage.notBundledEntitiesSummary('events')).to.deep.equal({count: 4, oldestTimestamp: 1});
+      });
+
+      it('returns null as the oldest timestamp when all entities are bundled', async () => {
+        await storage.fetchEntitiesForBundling(bundleStubId, 10);
+        await storage.markEntitiesAsBundled(bundleStubId, bundleId);
+        expect(await storage.notBundledEntitiesSummary('assets')).to.deep.equal({count: 0, oldestTimestamp: null});
+      });
     });
   });
 });
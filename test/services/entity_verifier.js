@@ -0,0 +1,243 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+
+import {pick, put} from '../../src/utils/dict_utils';
+import {createWeb3} from '../../src/utils/web3_tools';
+import {AuthenticationError, ValidationError} from '../../src/errors/errors';
+import IdentityManager from '../../src/services/identity_manager';
+import BundleBuilder from '../../src/services/bundle_builder';
+import EntityVerifier from '../../src/services/entity_verifier';
+import VerificationCheckStatuses from '../../src/utils/verification_check_statuses';
+import {createFullAsset, createFullBundle, createFullBundleV3, createFullEvent} from '../fixtures/assets_events';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Entity Verifier', () => {
+  let identityManager;
+  let bundleBuilder;
+  let verifier;
+  let asset;
+  let event;
+  let bundle;
+
+  const statusesOf = (checks) => checks.map(({subject, name, status}) => [subject, name, status]);
+
+  before(async () => {
+    identityManager = new IdentityManager(await createWeb3());
+    bundleBuilder = new BundleBuilder(identityManager);
+    const bundledAsset = createFullAsset(identityManager);
+    const bundledEvent = createFullEvent(identityManager, {assetId: bundledAsset.assetId});
+    bundle = createFullBundle(identityManager, {}, [bundledAsset, bundledEvent]);
+    const bundleMetadata = {bundleId: bundle.bundleId, bundleProofBlock: 10};
+    asset = put(bundledAsset, 'metadata', bundleMetadata);
+    event = put(bundledEvent, 'metadata', bundleMetadata);
+  });
+
+  beforeEach(() => {
+    verifier = new EntityVerifier(identityManager, bundleBuilder);
+  });
+
+  describe('verifying an asset', () => {
+    it('passes hash and signature checks and skips the bundle checks when no bundle is provided', async () => {
+      const verdict = await verifier.verify(asset);
+      expect(verdict.verified).to.be.true;
+      expect(verdict.failedCheck).to.be.null;
+      expect(statusesOf(verdict.checks)).to.deep.equal([
+        [asset.assetId, 'assetId', VerificationCheckStatuses.passed],
+        [asset.assetId, 'signature', VerificationCheckStatuses.passed],
+        [asset.assetId, 'bundleInclusion', VerificationCheckStatuses.skipped],
+        [asset.assetId, 'bundleProofBlock', VerificationCheckStatuses.skipped]
+      ]);
+    });
+
+    it('checks the inclusion in the provided bundle and verifies the bundle itself', async () => {
+      const verdict = await verifier.verify(asset, bundle);
+      expect(verdict.verified).to.be.true;
+      expect(statusesOf(verdict.checks)).to.deep.include.members([
+        [asset.assetId, 'bundleInclusion', VerificationCheckStatuses.passed],
+        [bundle.bundleId, 'bundleId', VerificationCheckStatuses.passed],
+        [bundle.bundleId, 'signature', VerificationCheckStatuses.passed],
+        [bundle.bundleId, 'entriesHash', VerificationCheckStatuses.passed]
+      ]);
+    });
+
+    it('reports a tampered content as the failed assetId check', async () => {
+      const verdict = await verifier.verify(put(asset, 'content.idData.sequenceNumber', 100));
+      expect(verdict.verified).to.be.false;
+      expect(verdict.failedCheck).to.include({subject: asset.assetId, name: 'assetId', status: VerificationCheckStatuses.failed});
+    });
+
+    it('reports a signature mismatch as the failed signature check', async () => {
+      sinon.stub(identityManager, 'validateSignature').throws(new AuthenticationError(`Signature doesn't match`));
+      try {
+        const verdict = await verifier.verify(asset);
+        expect(verdict.failedCheck).to.include({name: 'signature', status: VerificationCheckStatuses.failed});
+        expect(verdict.failedCheck.reason).to.include(`Signature doesn't match`);
+      } finally {
+        identityManager.validateSignature.restore();
+      }
+    });
+
+    it('fails the inclusion check when the asset is not among the bundle entries', async () => {
+      const otherBundle = createFullBundle(identityManager, {}, [event]);
+      const verdict = await verifier.verify(pick(asset, 'metadata'), otherBundle);
+      expect(verdict.failedCheck).to.include({subject: asset.assetId, name: 'bundleInclusion'});
+    });
+
+    it('fails the inclusion check when the asset belongs to another bundle', async () => {
+      const verdict = await verifier.verify(put(asset, 'metadata.bundleId', '0x1234'), bundle);
+      expect(verdict.failedCheck).to.include({subject: asset.assetId, name: 'bundleInclusion'});
+    });
+
+    it('checks inclusion in bundles older than version 4', async () => {
+      const bundleV3 = createFullBundleV3(identityManager, {}, [asset, event]);
+      const verdict = await verifier.verify(pick(asset, 'metadata'), bundleV3);
+      expect(verdict.verified).to.be.true;
+    });
+  });
+
+  describe('verifying an event', () => {
+    it('checks eventId, dataHash and signature', async () => {
+      const verdict = await verifier.verify(event, bundle);
+      expect(verdict.verified).to.be.true;
+      expect(statusesOf(verdict.checks).slice(0, 4)).to.deep.equal([
+        [event.eventId, 'eventId', VerificationCheckStatuses.passed],
+        [event.eventId, 'dataHash', VerificationCheckStatuses.passed],
+        [event.eventId, 'signature', VerificationCheckStatuses.passed],
+        [event.eventId, 'bundleInclusion', VerificationCheckStatuses.passed]
+      ]);
+    });
+
+    it('fails the dataHash check when data was tampered with', async () => {
+      const verdict = await verifier.verify(put(event, 'content.data', [{type: 'ambrosus.event.tampered'}]));
+      expect(verdict.failedCheck).to.include({subject: event.eventId, name: 'eventId'});
+      expect(verdict.checks[1]).to.include({name: 'dataHash', status: VerificationCheckStatuses.failed});
+    });
+
+    it('fails the dataHash check when data is hidden', async () => {
+      const verdict = await verifier.verify(pick(event, 'content.data'));
+      expect(verdict.checks[1]).to.include({name: 'dataHash', status: VerificationCheckStatuses.failed});
+      expect(verdict.checks[1].reason).to.include('Event data is hidden');
+    });
+  });
+
+  describe('verifying a bundle', () => {
+    it('checks bundleId, signature and entriesHash', async () => {
+      const verdict = await verifier.verify(bundle);
+      expect(verdict.verified).to.be.true;
+      expect(statusesOf(verdict.checks)).to.deep.equal([
+        [bundle.bundleId, 'bundleId', VerificationCheckStatuses.passed],
+        [bundle.bundleId, 'signature', VerificationCheckStatuses.passed],
+        [bundle.bundleId, 'entriesHash', VerificationCheckStatuses.passed],
+        [bundle.bundleId, 'bundleProofBlock', VerificationCheckStatuses.skipped]
+      ]);
+    });
+
+    it('fails the entriesHash check when entries were removed', async () => {
+      const verdict = await verifier.verify(put(bundle, 'content.entries', [asset]));
+      expect(verdict.failedCheck).to.include({subject: bundle.bundleId, name: 'entriesHash'});
+    });
+  });
+
+  describe('verifying an asset export archive', () => {
+    let archive;
+
+    before(() => {
+      archive = {
+        version: 1,
+        asset,
+        events: [event],
+        bundles: [{
+          bundleId: bundle.bundleId,
+          content: pick(bundle.content, 'entries'),
+          metadata: {bundleProofBlock: 10},
+          ...bundleBuilder.assembleInclusionEvidence(bundle, [asset.assetId, event.eventId])
+        }]
+      };
+    });
+
+    it('verifies the bundles and every entity with its inclusion proof', async () => {
+      const verdict = await verifier.verify(archive);
+      expect(verdict.verified).to.be.true;
+      expect(statusesOf(verdict.checks)).to.deep.include.members([
+        [bundle.bundleId, 'entriesHash', VerificationCheckStatuses.skipped],
+        [asset.assetId, 'bundleInclusion', VerificationCheckStatuses.passed],
+        [event.eventId, 'bundleInclusion', VerificationCheckStatuses.passed]
+      ]);
+    });
+
+    it('fails the inclusion check when a proof was tampered with', async () => {
+      const tamperedArchive = put(archive, 'bundles', [put(archive.bundles[0], `proofs.${event.eventId}`, [])]);
+      const verdict = await verifier.verify(tamperedArchive);
+      expect(verdict.failedCheck).to.include({subject: event.eventId, name: 'bundleInclusion'});
+    });
+  });
+
+  describe('comparing bundleProofBlock', () => {
+    let mockUploadActions;
+
+    beforeEach(() => {
+      mockUploadActions = {
+        getBundleUploadData: sinon.stub().resolves({blockNumber: 10, transactionHash: '0xtx', timestamp: 1})
+      };
+      verifier = new EntityVerifier(identityManager, bundleBuilder, mockUploadActions);
+    });
+
+    it('passes when the block from the chain matches', async () => {
+      const verdict = await verifier.verify(asset);
+      expect(verdict.checks[3]).to.include({name: 'bundleProofBlock', status: VerificationCheckStatuses.passed});
+      expect(mockUploadActions.getBundleUploadData).to.have.been.calledWith(bundle.bundleId);
+    });
+
+    it('fails when the block from the chain differs', async () => {
+      mockUploadActions.getBundleUploadData.resolves({blockNumber: 11});
+      const verdict = await verifier.verify(asset);
+      expect(verdict.failedCheck).to.include({subject: asset.assetId, name: 'bundleProofBlock'});
+    });
+
+    it('fails when the bundle was not uploaded', async () => {
+      mockUploadActions.getBundleUploadData.resolves(null);
+      const verdict = await verifier.verify(asset);
+      expect(verdict.failedCheck).to.include({name: 'bundleProofBlock'});
+    });
+
+    it('skips the comparison when the entity is not bundled yet', async () => {
+      const verdict = await verifier.verify(put(asset, 'metadata', {bundleId: null}));
+      expect(verdict.checks[3]).to.include({name: 'bundleProofBlock', status: VerificationCheckStatuses.skipped});
+      expect(mockUploadActions.getBundleUploadData).to.have.been.not.called;
+    });
+  });
+
+  it('throws for documents which are not entities', async () => {
+    await expect(verifier.verify({foo: 'bar'})).to.be.rejectedWith(ValidationError);
+  });
+
+  it('describes the verdict in a human readable form', () => {
+    const description = verifier.describeVerdict({
+      verified: false,
+      failedCheck: {subject: '0x1', name: 'assetId', status: VerificationCheckStatuses.failed, reason: 'Expected 0x2'},
+      checks: [
+        {subject: '0x1', name: 'assetId', status: VerificationCheckStatuses.failed, reason: 'Expected 0x2'},
+        {subject: '0x1', name: 'signature', status: VerificationCheckStatuses.passed}
+      ]
+    });
+    expect(description).to.equal([
+      '[FAILED] 0x1 assetId - Expected 0x2',
+      '[PASSED] 0x1 signature',
+      'Verification failed: assetId of 0x1'
+    ].join('\n'));
+  });
+});
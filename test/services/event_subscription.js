@@ -0,0 +1,101 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import EventSubscription from '../../src/services/event_subscription';
+import EventSubscriptionHub from '../../src/services/event_subscription_hub';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Event Subscription', () => {
+  let hub;
+  let mockFindEventQueryObject;
+  let callbacks;
+  let subscription;
+  const lastEvent = {eventId: '0x1', metadata: {entityUploadTimestamp: 10}};
+  const createEvent = (eventId) => ({eventId, content: {data: []}});
+
+  beforeEach(() => {
+    hub = new EventSubscriptionHub();
+    mockFindEventQueryObject = {
+      findMatchingEvent: sinon.stub().callsFake(async (eventId) => createEvent(eventId)),
+      findUploadedSince: sinon.stub().resolves([])
+    };
+    callbacks = {
+      event: sinon.stub().resolves(),
+      error: sinon.stub().resolves()
+    };
+  });
+
+  describe('without last event', () => {
+    beforeEach(async () => {
+      subscription = new EventSubscription(hub, mockFindEventQueryObject);
+      await subscription.start(callbacks);
+    });
+
+    it('does not replay anything', () => {
+      expect(mockFindEventQueryObject.findUploadedSince).to.not.have.been.called;
+    });
+
+    it('delivers published events that match the query, as returned by the query object', async () => {
+      mockFindEventQueryObject.findMatchingEvent.withArgs('0x3').resolves(null);
+      hub.publish(createEvent('0x2'));
+      hub.publish(createEvent('0x3'));
+      hub.publish(createEvent('0x4'));
+      await subscription.queue;
+      expect(callbacks.event.args.map(([event]) => event.eventId)).to.deep.equal(['0x2', '0x4']);
+    });
+
+    it('stops delivering after unsubscribe', async () => {
+      subscription.unsubscribe();
+      hub.publish(createEvent('0x2'));
+      await subscription.queue;
+      expect(callbacks.event).to.not.have.been.called;
+      expect(hub.subscribersCount()).to.equal(0);
+    });
+
+    it('unsubscribes and reports if delivery fails', async () => {
+      const error = new Error('Connection lost');
+      mockFindEventQueryObject.findMatchingEvent.rejects(error);
+      hub.publish(createEvent('0x2'));
+      hub.publish(createEvent('0x3'));
+      await subscription.queue;
+      expect(callbacks.error).to.have.been.calledOnceWith(error);
+      expect(mockFindEventQueryObject.findMatchingEvent).to.have.been.calledOnce;
+      expect(hub.subscribersCount()).to.equal(0);
+    });
+  });
+
+  describe('resumed after last event', () => {
+    beforeEach(() => {
+      subscription = new EventSubscription(hub, mockFindEventQueryObject, lastEvent, 50);
+      mockFindEventQueryObject.findUploadedSince.resolves([lastEvent, createEvent('0x2'), createEvent('0x3')]);
+    });
+
+    it('replays events uploaded since the last event, skipping the last event itself', async () => {
+      await subscription.start(callbacks);
+      expect(mockFindEventQueryObject.findUploadedSince).to.have.been.calledOnceWith(10, 50);
+      expect(callbacks.event.args.map(([event]) => event.eventId)).to.deep.equal(['0x2', '0x3']);
+    });
+
+    it('delivers events published during the replay after it, without duplicates', async () => {
+      const startPromise = subscription.start(callbacks);
+      hub.publish(createEvent('0x3'));
+      hub.publish(createEvent('0x4'));
+      await startPromise;
+      await subscription.queue;
+      expect(callbacks.event.args.map(([event]) => event.eventId)).to.deep.equal(['0x2', '0x3', '0x4']);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import EventSubscriptionHub from '../../src/services/event_subscription_hub';
+
+chai.use(sinonChai);
+const {expect} = chai;
+
+describe('Event Subscription Hub', () => {
+  let hub;
+  const event = {eventId: '0x1'};
+
+  beforeEach(() => {
+    hub = new EventSubscriptionHub();
+  });
+
+  it('passes published events to all listeners', () => {
+    const listeners = [sinon.stub(), sinon.stub()];
+    listeners.forEach((listener) => hub.subscribe(listener));
+    hub.publish(event);
+    listeners.forEach((listener) => expect(listener).to.have.been.calledOnceWith(event));
+  });
+
+  it('stops passing events after unsubscribing', () => {
+    const listener = sinon.stub();
+    const unsubscribe = hub.subscribe(listener);
+    expect(hub.subscribersCount()).to.equal(1);
+    unsubscribe();
+    hub.publish(event);
+    expect(listener).to.not.have.been.called;
+    expect(hub.subscribersCount()).to.equal(0);
+  });
+});
@@ -12,6 +12,7 @@ import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
 import {cleanDatabase, connectToMongo} from '../../src/utils/db_utils';
 import FindAssetQueryObjectFactory, {FindAssetQueryObject} from '../../src/services/find_asset_query_object';
+import QueryResultCache from '../../src/services/query_result_cache';
 import {createAsset} from '../fixtures/assets_events';
 import config from '../../src/config/config';
 
@@ -61,7 +62,7 @@ describe('Find Asset Query Object', () => {
     expect(findAssetQueryObject.assembleOptionsForQuery()).to.deep.equal({
       skip: 0,
       limit: 100,
-      sort: [['content.idData.timestamp', 'descending']],
+      sort: [['content.idData.timestamp', 'descending'], ['assetId', 'descending']],
       projection: {
         _id: 0,
         repository: 0
@@ -91,6 +92,25 @@ describe('Find Asset Query Object', () => {
     expect(found.resultCount).to.equal(4);
   });
 
+  it('restricts cached results to the given asset ids', () => {
+    expect(findAssetQueryObjectFactory.create({assetIds: ['0x1', '0x2']}).getCacheScope()).to.deep.equal(['0x1', '0x2']);
+    expect(findAssetQueryObjectFactory.create({createdBy: '0x123'}).getCacheScope()).to.be.null;
+  });
+
+  it('serves repeated queries from the result cache until it is invalidated', async () => {
+    const resultCache = new QueryResultCache(10, 60);
+    const cachingFactory = new FindAssetQueryObjectFactory(db, resultCache);
+    const newAsset = {assetId: '0x4', ...createAsset({timestamp: 5, createdBy: '0x123'})};
+    expect((await cachingFactory.create({createdBy: '0x123'}).execute()).results).to.deep.equal([assets[2], assets[0]]);
+
+    await db.collection('assets').insertOne({...newAsset});
+    expect((await cachingFactory.create({createdBy: '0x123'}).execute()).results).to.deep.equal([assets[2], assets[0]]);
+
+    resultCache.invalidate(newAsset.assetId);
+    expect((await cachingFactory.create({createdBy: '0x123'}).execute()).results).to.deep.equal([newAsset, assets[2], assets[0]]);
+    await db.collection('assets').deleteOne({assetId: newAsset.assetId});
+  });
+
   describe('Find by timestamp', () => {
     it('finds all before toTimestamp inclusively', async () => {
       findAssetQueryObject = findAssetQueryObjectFactory.create({toTimestamp: 2});
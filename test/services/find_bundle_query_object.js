@@ -0,0 +1,93 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import {cleanDatabase, connectToMongo} from '../../src/utils/db_utils';
+import FindBundleQueryObjectFactory, {FindBundleQueryObject} from '../../src/services/find_bundle_query_object';
+import BundleStatuses from '../../src/utils/bundle_statuses';
+import {decodeCursor} from '../../src/utils/pagination_cursor';
+import config from '../../src/config/config';
+
+const {expect} = chai;
+
+describe('Find Bundle Query Object', () => {
+  let db;
+  let client;
+  let findBundleQueryObjectFactory;
+  const bundles = [
+    {bundleId: '0x1', storagePeriods: 1, bundleProofBlock: 10, bundleUploadTimestamp: 100, bundleTransactionHash: '0xa1', repository: {status: BundleStatuses.sheltered, holdUntil: new Date(5000000)}},
+    {bundleId: '0x2', storagePeriods: 2, bundleProofBlock: 20, bundleUploadTimestamp: 200, bundleTransactionHash: '0xa2', repository: {status: BundleStatuses.downloaded, holdUntil: new Date(6000000)}},
+    {bundleId: '0x3', storagePeriods: 1, bundleProofBlock: 30, bundleUploadTimestamp: 300, bundleTransactionHash: '0xa3', repository: {status: BundleStatuses.sheltered, holdUntil: new Date(7000000)}},
+    {bundleId: '0x4', storagePeriods: 1}
+  ];
+
+  before(async () => {
+    ({db, client} = await connectToMongo(config));
+    await db.collection('bundle_metadata').insertMany(bundles.map((bundle) => ({...bundle})));
+    findBundleQueryObjectFactory = new FindBundleQueryObjectFactory(db);
+  });
+
+  after(async () => {
+    await cleanDatabase(db);
+    client.close();
+  });
+
+  it('is created by FindBundleQueryObjectFactory', () => {
+    expect(findBundleQueryObjectFactory.create({}) instanceof FindBundleQueryObject).to.be.true;
+  });
+
+  it('executed returns bundles sorted from the most recently uploaded', async () => {
+    const found = await findBundleQueryObjectFactory.create({}).execute();
+    expect(found.results).to.deep.equal([bundles[2], bundles[1], bundles[0], bundles[3]]);
+    expect(found.resultCount).to.equal(4);
+  });
+
+  it('when given upload timestamp range, returns only bundles uploaded within it', async () => {
+    const found = await findBundleQueryObjectFactory.create({fromTimestamp: 150, toTimestamp: 300}).execute();
+    expect(found.results).to.deep.equal([bundles[2], bundles[1]]);
+    expect(found.resultCount).to.equal(2);
+  });
+
+  it('when given proof block range, returns only bundles proven within it', async () => {
+    const found = await findBundleQueryObjectFactory.create({fromProofBlock: 10, toProofBlock: 25}).execute();
+    expect(found.results).to.deep.equal([bundles[1], bundles[0]]);
+  });
+
+  it('when given status, returns only bundles with such repository status', async () => {
+    const found = await findBundleQueryObjectFactory.create({status: BundleStatuses.sheltered}).execute();
+    expect(found.results).to.deep.equal([bundles[2], bundles[0]]);
+  });
+
+  it('when given storagePeriods, returns only bundles stored for that many periods', async () => {
+    const found = await findBundleQueryObjectFactory.create({storagePeriods: 1}).execute();
+    expect(found.results).to.deep.equal([bundles[2], bundles[0], bundles[3]]);
+  });
+
+  it('when given holdUntil range in seconds, returns only bundles held until a date within it', async () => {
+    const found = await findBundleQueryObjectFactory.create({fromHoldUntil: 5500, toHoldUntil: 7000}).execute();
+    expect(found.results).to.deep.equal([bundles[2], bundles[1]]);
+  });
+
+  it('combines multiple criteria', async () => {
+    const found = await findBundleQueryObjectFactory.create({status: BundleStatuses.sheltered, toHoldUntil: 6000}).execute();
+    expect(found.results).to.deep.equal([bundles[0]]);
+  });
+
+  it('when given page and perPage, returns requested number of bundles from requested page', async () => {
+    const found = await findBundleQueryObjectFactory.create({perPage: 2, page: 1}).execute();
+    expect(found.results).to.deep.equal([bundles[0], bundles[3]]);
+    expect(found.resultCount).to.equal(4);
+  });
+
+  it('when given cursor, returns bundles following it', async () => {
+    const firstPage = await findBundleQueryObjectFactory.create({perPage: 2}).execute();
+    const secondPage = await findBundleQueryObjectFactory.create({perPage: 2, cursor: decodeCursor(firstPage.next)}).execute();
+    expect(secondPage.results).to.deep.equal([bundles[0], bundles[3]]);
+  });
+});
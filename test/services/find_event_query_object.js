@@ -19,6 +19,7 @@ import ScenarioBuilder from '../fixtures/scenario_builder';
 import {adminAccountWithSecret, accountWithSecret} from '../fixtures/account';
 import config from '../../src/config/config';
 import allPermissions from '../../src/utils/all_permissions';
+import {put} from '../../src/utils/dict_utils';
 
 chai.use(sinonChai);
 chai.use(chaiAsPromised);
@@ -59,7 +60,7 @@ describe('Find Event Query Object', () => {
     expect(findEventQueryObject.assembleOptionsForQuery()).to.deep.equal({
       skip: 0,
       limit: 100,
-      sort: [['content.idData.timestamp', 'descending']],
+      sort: [['content.idData.timestamp', 'descending'], ['eventId', 'descending']],
       projection: {
         _id: 0,
         repository: 0
@@ -99,6 +100,71 @@ describe('Find Event Query Object', () => {
     });
   });
 
+  it('compiles geoJson polygon to geoWithin', () => {
+    const locationPolygon = [[0, 0], [10, 0], [10, 10], [0, 0]];
+    expect(findEventQueryObjectFactory.create({data: {geoJson: {locationPolygon}}}, 1).assembleQuery()).to.deep.equal({
+      $and: [
+        {'content.idData.accessLevel': {$lte: 1}},
+        {'content.data.geoJson': {$geoWithin: {$geometry: {type: 'Polygon', coordinates: [locationPolygon]}}}}
+      ]
+    });
+  });
+
+  it('keys cached results on access level and restricts them to the asset', () => {
+    const queryObject = findEventQueryObjectFactory.create({assetId: '0x1', perPage: 2}, 3);
+    expect(queryObject.getCacheKey()).to.deep.equal({criteria: {assetId: '0x1', perPage: 2}, accessLevel: 3});
+    expect(queryObject.getCacheScope()).to.deep.equal(['0x1']);
+    expect(findEventQueryObjectFactory.create({createdBy: '0x2'}, 3).getCacheScope()).to.be.null;
+  });
+
+  describe('assembling structured query', () => {
+    const assembleFor = (query, accessLevel = 0) => findEventQueryObjectFactory.create({query}, accessLevel).assembleQuery();
+
+    it('compiles logical clauses and conditions on event fields', () => {
+      const query = {
+        and: [
+          {field: 'assetId', op: 'eq', value: '0x123'},
+          {or: [{field: 'timestamp', op: 'gte', value: 10}, {not: {field: 'createdBy', op: 'in', value: ['0x1', '0x2']}}]}
+        ]
+      };
+      expect(assembleFor(query)).to.deep.equal({
+        $and: [
+          {'content.idData.assetId': {$eq: '0x123'}},
+          {$or: [{'content.idData.timestamp': {$gte: 10}}, {$nor: [{'content.idData.createdBy': {$in: ['0x1', '0x2']}}]}]}
+        ]
+      });
+    });
+
+    it('compiles conditions on data fields and limits access level', () => {
+      const query = {or: [{field: 'data.type', op: 'ne', value: 'ambrosus.event.note'}, {field: 'data.acceleration.valueX', op: 'exists', value: true}]};
+      expect(assembleFor(query, 2)).to.deep.equal({
+        $and: [
+          {'content.idData.accessLevel': {$lte: 2}},
+          {$or: [
+            {'content.data': {$elemMatch: {type: {$ne: 'ambrosus.event.note'}}}},
+            {'content.data': {$elemMatch: {'acceleration.valueX': {$exists: true}}}}
+          ]}
+        ]
+      });
+    });
+
+    it('compiles entry clauses into a single element match', () => {
+      const query = {entry: {and: [{field: 'type', op: 'eq', value: 'ambrosus.event.temperature'}, {field: 'value', op: 'gt', value: 30}]}};
+      expect(assembleFor(query, 1)).to.deep.equal({
+        $and: [
+          {'content.idData.accessLevel': {$lte: 1}},
+          {'content.data': {$elemMatch: {$and: [{type: {$eq: 'ambrosus.event.temperature'}}, {value: {$gt: 30}}]}}}
+        ]
+      });
+    });
+
+    it('does not limit access level if query does not reference data', () => {
+      expect(assembleFor({not: {field: 'accessLevel', op: 'lte', value: 1}}, 0)).to.deep.equal({
+        $nor: [{'content.idData.accessLevel': {$lte: 1}}]
+      });
+    });
+  });
+
   describe('query execution', () => {
     describe('without params', () => {
       let scenario;
@@ -308,6 +374,69 @@ describe('Find Event Query Object', () => {
         expect(ret.results).to.deep.equal([eventsSet[9], eventsSet[7]]);
       });
 
+      it('search by structured query', async () => {
+        const query = {
+          and: [
+            {field: 'timestamp', op: 'lte', value: 6},
+            {or: [
+              {entry: {and: [{field: 'type', op: 'eq', value: 'ambrosus.event.identifiers'}, {field: 'id', op: 'eq', value: '2'}]}},
+              {field: 'data.asset', op: 'eq', value: scenario.assets[1].assetId}
+            ]}
+          ]
+        };
+        findEventQueryObject = findEventQueryObjectFactory.create({query}, 10);
+        const ret = await findEventQueryObject.execute();
+        expect(ret.results).to.deep.equal([eventsSet[5], eventsSet[3], eventsSet[2], eventsSet[1]]);
+        expect(ret.resultCount).to.equal(4);
+      });
+
+      it('structured query omits events with access level higher than user\'s if data is referenced', async () => {
+        const query = {not: {field: 'data.type', op: 'eq', value: 'ambrosus.event.location.geo'}};
+        findEventQueryObject = findEventQueryObjectFactory.create({query}, 0);
+        const ret = await findEventQueryObject.execute();
+        expect(ret.results).to.deep.equal([eventsSet[6], eventsSet[3], eventsSet[0]]);
+        expect(ret.resultCount).to.equal(3);
+      });
+
+      describe('aggregating stats', () => {
+        it('counts events in groups', async () => {
+          findEventQueryObject = findEventQueryObjectFactory.create({}, 10);
+          const ret = await findEventQueryObject.aggregateStats(['createdBy'], 100);
+          expect(ret.results).to.have.deep.members([
+            {createdBy: scenario.accounts[0].address, count: 6},
+            {createdBy: scenario.accounts[1].address, count: 4}
+          ]);
+          expect(ret.truncated).to.be.false;
+        });
+
+        it('counts events once for every distinct entry type, in time buckets', async () => {
+          findEventQueryObject = findEventQueryObjectFactory.create({}, 1);
+          const ret = await findEventQueryObject.aggregateStats(['type', 'day'], 100);
+          expect(ret.results).to.deep.equal([
+            {type: 'ambrosus.event.identifiers', day: 0, count: 2},
+            {type: 'ambrosus.event.location.asset', day: 0, count: 5},
+            {type: 'ambrosus.event.location.geo', day: 0, count: 2},
+            {type: 'some.other.type', day: 0, count: 1}
+          ]);
+        });
+
+        it('respects the criteria and skips events above access level', async () => {
+          findEventQueryObject = findEventQueryObjectFactory.create({createdBy: scenario.accounts[1].address}, 0);
+          const ret = await findEventQueryObject.aggregateStats(['assetId'], 100);
+          expect(ret.results).to.have.deep.members([
+            {assetId: scenario.assets[0].assetId, count: 1},
+            {assetId: scenario.assets[1].assetId, count: 1}
+          ]);
+        });
+
+        it('returns at most maxGroups groups', async () => {
+          findEventQueryObject = findEventQueryObjectFactory.create({}, 10);
+          const ret = await findEventQueryObject.aggregateStats(['assetId'], 1);
+          expect(ret.results).to.have.lengthOf(1);
+          expect(ret.truncated).to.be.true;
+        });
+      });
+
       describe('search by asset identifiers', () => {
         const makeAssetIdentifierSearchParams = (identifiers) => ({
           data: {
@@ -360,5 +489,176 @@ describe('Find Event Query Object', () => {
         });
       });
     });
+
+    describe('for event streaming', () => {
+      let scenario;
+
+      before(async () => {
+        scenario = new ScenarioBuilder(identityManager);
+        await scenario.addAdminAccount(adminAccountWithSecret);
+        await scenario.addAsset(0);
+        await scenario.addAsset(0);
+        const eventsSet = await scenario.generateEvents(
+          6,
+          (inx) => ({
+            accountInx: 0,
+            subjectInx: inx % 2,
+            fields: {timestamp: inx, accessLevel: inx % 3},
+            data: {}
+          })
+        );
+        for (const [inx, event] of eventsSet.entries()) {
+          await storage.storeEvent(put(event, 'metadata.entityUploadTimestamp', 100 - inx));
+        }
+      });
+
+      after(async () => {
+        await cleanDatabase(db);
+      });
+
+      it('findMatchingEvent returns the event if it matches the criteria', async () => {
+        findEventQueryObject = findEventQueryObjectFactory.create({assetId: scenario.assets[0].assetId}, 5);
+        expect(await findEventQueryObject.findMatchingEvent(scenario.events[2].eventId))
+          .to.deep.equal(put(scenario.events[2], 'metadata.entityUploadTimestamp', 98));
+      });
+
+      it('findMatchingEvent returns null if the event does not match the criteria', async () => {
+        findEventQueryObject = findEventQueryObjectFactory.create({assetId: scenario.assets[0].assetId}, 5);
+        expect(await findEventQueryObject.findMatchingEvent(scenario.events[1].eventId)).to.be.null;
+      });
+
+      it('findMatchingEvent removes data field if access level is too low', async () => {
+        findEventQueryObject = findEventQueryObjectFactory.create({}, 1);
+        const event = await findEventQueryObject.findMatchingEvent(scenario.events[2].eventId);
+        expect(event.content).to.not.include.key('data');
+      });
+
+      it('findUploadedSince returns matching events uploaded since the timestamp, oldest first', async () => {
+        findEventQueryObject = findEventQueryObjectFactory.create({assetId: scenario.assets[1].assetId}, 5);
+        const events = await findEventQueryObject.findUploadedSince(97, 10);
+        expect(events.map((event) => event.eventId)).to.deep.equal([scenario.events[3].eventId, scenario.events[1].eventId]);
+      });
+
+      it('findUploadedSince respects the limit', async () => {
+        findEventQueryObject = findEventQueryObjectFactory.create({}, 5);
+        const events = await findEventQueryObject.findUploadedSince(0, 2);
+        expect(events.map((event) => event.eventId)).to.deep.equal([scenario.events[5].eventId, scenario.events[4].eventId]);
+      });
+    });
+
+    describe('for folding asset state', () => {
+      let scenario;
+
+      before(async () => {
+        scenario = new ScenarioBuilder(identityManager);
+        await scenario.addAdminAccount(adminAccountWithSecret);
+        await scenario.addAsset(0);
+        await scenario.addEvent(0, 0, {timestamp: 3, accessLevel: 0}, [{type: 'ambrosus.asset.info', name: 'Newer'}]);
+        await scenario.addEvent(0, 0, {timestamp: 1, accessLevel: 0}, [{type: 'ambrosus.asset.info', name: 'Older'}]);
+        await scenario.addEvent(0, 0, {timestamp: 2, accessLevel: 0}, [{type: 'ambrosus.event.example'}]);
+        await scenario.addEvent(0, 0, {timestamp: 4, accessLevel: 2}, [{type: 'ambrosus.asset.location', name: 'Warehouse'}]);
+        await scenario.addEvent(0, 0, {timestamp: 5, accessLevel: 2}, [{type: 'ambrosus.asset.info', name: 'Hidden'}]);
+        for (const event of scenario.events) {
+          await storage.storeEvent(event);
+        }
+      });
+
+      after(async () => {
+        await cleanDatabase(db);
+      });
+
+      it('returns events containing given entry types, oldest first', async () => {
+        findEventQueryObject = findEventQueryObjectFactory.create({assetId: scenario.assets[0].assetId}, 5);
+        const events = await findEventQueryObject.findAllChronologicallyContainingEntryTypes(['ambrosus.asset.info', 'ambrosus.asset.location']);
+        expect(events).to.deep.equal([scenario.events[1], scenario.events[0], scenario.events[3], scenario.events[4]]);
+      });
+
+      it('respects the criteria', async () => {
+        findEventQueryObject = findEventQueryObjectFactory.create({assetId: scenario.assets[0].assetId, toTimestamp: 4}, 5);
+        const events = await findEventQueryObject.findAllChronologicallyContainingEntryTypes(['ambrosus.asset.info', 'ambrosus.asset.location']);
+        expect(events).to.deep.equal([scenario.events[1], scenario.events[0], scenario.events[3]]);
+      });
+
+      it('leaves out events above the access level', async () => {
+        findEventQueryObject = findEventQueryObjectFactory.create({assetId: scenario.assets[0].assetId}, 1);
+        const events = await findEventQueryObject.findAllChronologicallyContainingEntryTypes(['ambrosus.asset.info', 'ambrosus.asset.location']);
+        expect(events).to.deep.equal([scenario.events[1], scenario.events[0]]);
+      });
+    });
+
+    describe('for finding assets by latest location', () => {
+      let scenario;
+      const area = [[-5, -5], [5, -5], [5, 5], [-5, 5], [-5, -5]];
+      const locationAt = (lon, lat) => ({type: 'ambrosus.asset.location', geoJson: {type: 'Point', coordinates: [lon, lat]}});
+
+      before(async () => {
+        scenario = new ScenarioBuilder(identityManager);
+        await scenario.addAdminAccount(adminAccountWithSecret);
+        for (let inx = 0; inx < 4; inx++) {
+          await scenario.addAsset(0, {timestamp: inx});
+        }
+        await scenario.addEvent(0, 0, {timestamp: 1, accessLevel: 0}, [locationAt(0, 0)]);
+        await scenario.addEvent(0, 0, {timestamp: 2, accessLevel: 0}, [locationAt(50, 50)]);
+        await scenario.addEvent(0, 1, {timestamp: 1, accessLevel: 0}, [locationAt(50, 50)]);
+        await scenario.addEvent(0, 1, {timestamp: 2, accessLevel: 0}, [locationAt(60, 60), locationAt(1, 1)]);
+        await scenario.addEvent(0, 2, {timestamp: 1, accessLevel: 0}, [locationAt(1, 1)]);
+        await scenario.addEvent(0, 2, {timestamp: 2, accessLevel: 2}, [locationAt(50, 50)]);
+        await scenario.addEvent(0, 3, {timestamp: 1, accessLevel: 0}, [locationAt(1, 1)]);
+        await scenario.addEvent(0, 3, {timestamp: 2, accessLevel: 0}, [{type: 'ambrosus.asset.location', city: 'Berlin'}]);
+        for (const event of scenario.events) {
+          await storage.storeEvent(event);
+        }
+      });
+
+      after(async () => {
+        await cleanDatabase(db);
+      });
+
+      it('returns assets whose latest accessible location is within the area', async () => {
+        findEventQueryObject = findEventQueryObjectFactory.create({}, 0);
+        expect(await findEventQueryObject.findAssetIdsWithLatestLocationWithin(area)).to.have.members([
+          scenario.assets[1].assetId,
+          scenario.assets[2].assetId
+        ]);
+      });
+
+      it('takes into account locations accessible with higher access level', async () => {
+        findEventQueryObject = findEventQueryObjectFactory.create({}, 2);
+        expect(await findEventQueryObject.findAssetIdsWithLatestLocationWithin(area)).to.deep.equal([scenario.assets[1].assetId]);
+      });
+
+      it('returns empty list if no asset has ever been within the area', async () => {
+        findEventQueryObject = findEventQueryObjectFactory.create({}, 2);
+        expect(await findEventQueryObject.findAssetIdsWithLatestLocationWithin([[100, 0], [101, 0], [101, 1], [100, 0]])).to.deep.equal([]);
+      });
+    });
+
+    describe('for exporting an asset', () => {
+      let scenario;
+
+      before(async () => {
+        scenario = new ScenarioBuilder(identityManager);
+        await scenario.addAdminAccount(adminAccountWithSecret);
+        await scenario.addAsset(0);
+        await scenario.addAsset(0);
+        await scenario.addEvent(0, 0, {timestamp: 3, accessLevel: 0});
+        await scenario.addEvent(0, 0, {timestamp: 1, accessLevel: 1});
+        await scenario.addEvent(0, 0, {timestamp: 2, accessLevel: 3});
+        await scenario.addEvent(0, 1, {timestamp: 2, accessLevel: 0});
+        for (const event of scenario.events) {
+          await storage.storeEvent(event);
+        }
+      });
+
+      after(async () => {
+        await cleanDatabase(db);
+      });
+
+      it('returns all events of the asset with access level not higher than given, oldest first', async () => {
+        findEventQueryObject = findEventQueryObjectFactory.create({assetId: scenario.assets[0].assetId}, 1);
+        const events = await findEventQueryObject.findAllAccessibleChronologically();
+        expect(events).to.deep.equal([scenario.events[1], scenario.events[0]]);
+      });
+    });
   });
 });
@@ -15,6 +15,8 @@ import {cleanDatabase, connectToMongo} from '../../src/utils/db_utils';
 import config from '../../src/config/config';
 
 import FindQueryObject from '../../src/services/find_query_object';
+import QueryResultCache from '../../src/services/query_result_cache';
+import {CursorDirections, decodeCursor} from '../../src/utils/pagination_cursor';
 
 chai.use(sinonChai);
 chai.use(chaiAsPromised);
@@ -130,4 +132,184 @@ describe('FindQueryObject', () => {
       mockGetItemTransformer.restore();
     });
   });
+
+  describe('cursor pagination', () => {
+    class ExampleFindQueryObject extends FindQueryObject {
+      getSortingKey() {
+        return [['timestamp', 'descending']];
+      }
+
+      getIdField() {
+        return 'id';
+      }
+
+      assembleQuery() {
+        return {type: 'example'};
+      }
+    }
+
+    const createQueryObject = (criteria) => new ExampleFindQueryObject(db, 'mockName', criteria);
+
+    it('sorts by id to break ties', () => {
+      expect(createQueryObject({}).assembleOptionsForQuery().sort).to.deep.equal([['timestamp', 'descending'], ['id', 'descending']]);
+    });
+
+    it('does not use cursor query or skip without cursor', () => {
+      const queryObject = createQueryObject({page: 2, perPage: 10});
+      expect(queryObject.assembleQueryWithCursor()).to.deep.equal({type: 'example'});
+      expect(queryObject.assembleOptionsForQuery().skip).to.equal(20);
+    });
+
+    it('seeks entities after the cursor when paging forward', () => {
+      const queryObject = createQueryObject({cursor: {value: 5, id: 'b', direction: CursorDirections.next}});
+      expect(queryObject.assembleQueryWithCursor()).to.deep.equal({
+        $and: [
+          {type: 'example'},
+          {$or: [{timestamp: 5, id: {$lt: 'b'}}, {timestamp: {$lt: 5}}, {timestamp: null}]}
+        ]
+      });
+      expect(queryObject.assembleOptionsForQuery()).to.include({skip: 0, limit: 100});
+    });
+
+    it('seeks entities before the cursor in reversed order when paging backwards', () => {
+      const queryObject = createQueryObject({cursor: {value: 5, id: 'b', direction: CursorDirections.prev}});
+      expect(queryObject.assembleQueryWithCursor().$and[1]).to.deep.equal({$or: [{timestamp: 5, id: {$gt: 'b'}}, {timestamp: {$gt: 5}}]});
+      expect(queryObject.assembleOptionsForQuery().sort).to.deep.equal([['timestamp', 'ascending'], ['id', 'ascending']]);
+    });
+
+    it('handles cursor at entity without sorting key value', () => {
+      const forward = createQueryObject({cursor: {value: null, id: 'b', direction: CursorDirections.next}});
+      expect(forward.assembleQueryWithCursor().$and[1]).to.deep.equal({$or: [{timestamp: null, id: {$lt: 'b'}}]});
+      const backward = createQueryObject({cursor: {value: null, id: 'b', direction: CursorDirections.prev}});
+      expect(backward.assembleQueryWithCursor().$and[1]).to.deep.equal({$or: [{timestamp: null, id: {$gt: 'b'}}, {timestamp: {$ne: null}}]});
+    });
+
+    it('returns next cursor only for full pages', () => {
+      const results = [{timestamp: 9, id: 'a'}, {timestamp: 8, id: 'b'}];
+      const {next, prev} = createQueryObject({perPage: 2}).assemblePaginationCursors(results);
+      expect(decodeCursor(next)).to.deep.equal({value: 8, id: 'b', direction: CursorDirections.next});
+      expect(prev).to.be.null;
+      expect(createQueryObject({perPage: 3}).assemblePaginationCursors(results).next).to.be.null;
+    });
+
+    it('returns prev cursor when not on the first page', () => {
+      const results = [{timestamp: 9, id: 'a'}];
+      const {prev} = createQueryObject({page: 1}).assemblePaginationCursors(results);
+      expect(decodeCursor(prev)).to.deep.equal({value: 9, id: 'a', direction: CursorDirections.prev});
+    });
+
+    it('returns cursors when paging backwards', () => {
+      const results = [{timestamp: 9, id: 'a'}];
+      const cursors = createQueryObject({perPage: 1, cursor: {value: 8, id: 'b', direction: CursorDirections.prev}}).assemblePaginationCursors(results);
+      expect(decodeCursor(cursors.next)).to.deep.equal({value: 9, id: 'a', direction: CursorDirections.next});
+      expect(decodeCursor(cursors.prev)).to.deep.equal({value: 9, id: 'a', direction: CursorDirections.prev});
+    });
+
+    it('returns cursors from the requested position when no results are found', () => {
+      const {next, prev} = createQueryObject({cursor: {value: 8, id: 'b', direction: CursorDirections.next}}).assemblePaginationCursors([]);
+      expect(next).to.be.null;
+      expect(decodeCursor(prev)).to.deep.equal({value: 8, id: 'b', direction: CursorDirections.prev});
+    });
+
+    it('returns no cursors if id field is not provided', () => {
+      expect(findQueryObject.assemblePaginationCursors([{item: 1}])).to.deep.equal({next: null, prev: null});
+    });
+
+    describe('execution', () => {
+      before(async () => {
+        await cleanDatabase(db);
+        await db.collection('mockName').insertMany([
+          {type: 'example', timestamp: 1, id: 'a'},
+          {type: 'example', timestamp: 2, id: 'b'},
+          {type: 'example', timestamp: 2, id: 'c'},
+          {type: 'example', timestamp: 3, id: 'd'},
+          {type: 'example', id: 'e'}
+        ]);
+      });
+
+      const ids = ({results}) => results.map(({id}) => id);
+
+      it('walks through all entities forward and backward', async () => {
+        const first = await createQueryObject({perPage: 2}).execute();
+        expect(ids(first)).to.deep.equal(['d', 'c']);
+        expect(first.resultCount).to.equal(5);
+
+        const second = await createQueryObject({perPage: 2, cursor: decodeCursor(first.next)}).execute();
+        expect(ids(second)).to.deep.equal(['b', 'a']);
+        expect(second.resultCount).to.equal(5);
+
+        const third = await createQueryObject({perPage: 2, cursor: decodeCursor(second.next)}).execute();
+        expect(ids(third)).to.deep.equal(['e']);
+        expect(third.next).to.be.null;
+
+        const backToSecond = await createQueryObject({perPage: 2, cursor: decodeCursor(third.prev)}).execute();
+        expect(ids(backToSecond)).to.deep.equal(['b', 'a']);
+
+        const backToFirst = await createQueryObject({perPage: 2, cursor: decodeCursor(backToSecond.prev)}).execute();
+        expect(ids(backToFirst)).to.deep.equal(['d', 'c']);
+      });
+
+      it('streams all entities regardless of pagination', async () => {
+        const streamed = await createQueryObject({perPage: 2, page: 1}).stream()
+          .toArray();
+        expect(streamed.map(({id}) => id)).to.deep.equal(['d', 'c', 'b', 'a', 'e']);
+      });
+
+      it('applies item transformer to streamed entities', async () => {
+        const queryObject = createQueryObject({});
+        sinon.stub(queryObject, 'getItemTransformer').returns(({id}) => id.toUpperCase());
+        expect(await queryObject.stream().toArray()).to.deep.equal(['D', 'C', 'B', 'A', 'E']);
+      });
+
+      it('skips counting results if requested', async () => {
+        const found = await createQueryObject({perPage: 2, skipCount: true}).execute();
+        expect(found.resultCount).to.be.undefined;
+        expect(ids(found)).to.deep.equal(['d', 'c']);
+      });
+    });
+  });
+
+  describe('result caching', () => {
+    const results = {results: [{item: 1}], resultCount: 1, next: null, prev: null};
+    let cache;
+
+    const createCachedQueryObject = (criteria, resultCache) => {
+      const queryObject = new FindQueryObject(db, 'mockName', criteria, resultCache);
+      sinon.stub(queryObject, 'executeQuery').resolves(results);
+      return queryObject;
+    };
+
+    beforeEach(() => {
+      cache = new QueryResultCache(10, 60);
+    });
+
+    it('has unrestricted cache scope and keys on criteria by default', () => {
+      const queryObject = new FindQueryObject(db, 'mockName', {perPage: 2});
+      expect(queryObject.getCacheScope()).to.be.null;
+      expect(queryObject.getCacheKey()).to.deep.equal({criteria: {perPage: 2}});
+    });
+
+    it('executes the query only once for equal criteria', async () => {
+      const first = createCachedQueryObject({perPage: 2, page: 1}, cache);
+      const second = createCachedQueryObject({page: 1, perPage: 2}, cache);
+      expect(await first.execute()).to.equal(results);
+      expect(await second.execute()).to.equal(results);
+      expect(first.executeQuery).to.have.been.calledOnce;
+      expect(second.executeQuery).to.not.have.been.called;
+    });
+
+    it('executes the query again for different criteria', async () => {
+      await createCachedQueryObject({perPage: 2}, cache).execute();
+      const other = createCachedQueryObject({perPage: 3}, cache);
+      await other.execute();
+      expect(other.executeQuery).to.have.been.calledOnce;
+    });
+
+    it('executes the query every time without cache', async () => {
+      await createCachedQueryObject({perPage: 2}, null).execute();
+      const other = createCachedQueryObject({perPage: 2}, null);
+      await other.execute();
+      expect(other.executeQuery).to.have.been.calledOnce;
+    });
+  });
 });
@@ -0,0 +1,62 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import {cleanDatabase, connectToMongo} from '../../src/utils/db_utils';
+import FindWebhookDeliveryQueryObjectFactory, {FindWebhookDeliveryQueryObject} from '../../src/services/find_webhook_delivery_query_object';
+import WebhookRepository from '../../src/services/webhook_repository';
+import WebhookDeliveryStatuses from '../../src/utils/webhook_delivery_statuses';
+import config from '../../src/config/config';
+
+const {expect} = chai;
+
+describe('Find Webhook Delivery Query Object', () => {
+  let db;
+  let client;
+  let findWebhookDeliveryQueryObjectFactory;
+  const deliveries = [
+    {deliveryId: '0x1', webhookId: '0xa', trigger: 'asset.created', payload: {}, status: WebhookDeliveryStatuses.delivered, attempts: 1, createdAt: 1, nextAttemptAt: 1},
+    {deliveryId: '0x2', webhookId: '0xa', trigger: 'event.created', payload: {}, status: WebhookDeliveryStatuses.failed, attempts: 8, createdAt: 2, nextAttemptAt: 2},
+    {deliveryId: '0x3', webhookId: '0xa', trigger: 'event.created', payload: {}, status: WebhookDeliveryStatuses.pending, attempts: 0, createdAt: 3, nextAttemptAt: 3},
+    {deliveryId: '0x4', webhookId: '0xb', trigger: 'event.created', payload: {}, status: WebhookDeliveryStatuses.pending, attempts: 0, createdAt: 4, nextAttemptAt: 4}
+  ];
+
+  before(async () => {
+    ({db, client} = await connectToMongo(config));
+    await new WebhookRepository(db).storeDeliveries(deliveries);
+    findWebhookDeliveryQueryObjectFactory = new FindWebhookDeliveryQueryObjectFactory(db);
+  });
+
+  after(async () => {
+    await cleanDatabase(db);
+    client.close();
+  });
+
+  it('is created by FindWebhookDeliveryQueryObjectFactory', () => {
+    expect(findWebhookDeliveryQueryObjectFactory.create({webhookId: '0xa'}) instanceof FindWebhookDeliveryQueryObject).to.be.true;
+  });
+
+  it('executed returns deliveries of the webhook sorted from the newest', async () => {
+    const found = await findWebhookDeliveryQueryObjectFactory.create({webhookId: '0xa'}).execute();
+    expect(found.results).to.deep.equal([deliveries[2], deliveries[1], deliveries[0]]);
+    expect(found.resultCount).to.equal(3);
+  });
+
+  it('when given status and trigger, returns only matching deliveries', async () => {
+    const found = await findWebhookDeliveryQueryObjectFactory.create({webhookId: '0xa', status: WebhookDeliveryStatuses.pending, trigger: 'event.created'}).execute();
+    expect(found.results).to.deep.equal([deliveries[2]]);
+    expect(found.resultCount).to.equal(1);
+  });
+
+  it('when given page and perPage, returns requested number of deliveries from requested page', async () => {
+    const found = await findWebhookDeliveryQueryObjectFactory.create({webhookId: '0xa', perPage: 1, page: 1}).execute();
+    expect(found.results).to.deep.equal([deliveries[1]]);
+    expect(found.resultCount).to.equal(3);
+  });
+});
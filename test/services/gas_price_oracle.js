@@ -0,0 +1,109 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import Web3 from 'web3';
+import GasPriceOracle from '../../src/services/gas_price_oracle';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Gas price oracle', () => {
+  const {utils} = new Web3();
+  const gwei = (amount) => utils.toWei(amount.toString(), 'gwei');
+  const latestBlockNumber = 100;
+  const config = {
+    gasPriceFloor: 5,
+    gasPriceCeiling: 100,
+    gasPriceMultiplier: 1.1,
+    gasPriceSampleBlocks: 3
+  };
+  let mockWeb3;
+  let oracle;
+
+  const blockWithGasPrices = (...gasPricesInGwei) => ({
+    transactions: gasPricesInGwei.map((gasPrice) => ({gasPrice: gwei(gasPrice)}))
+  });
+
+  beforeEach(() => {
+    mockWeb3 = {
+      eth: {
+        getBlockNumber: sinon.stub().resolves(latestBlockNumber),
+        getBlock: sinon.stub().resolves(blockWithGasPrices())
+      },
+      utils
+    };
+    mockWeb3.eth.getBlock.withArgs(98, true).resolves(blockWithGasPrices(10, 30));
+    mockWeb3.eth.getBlock.withArgs(99, true).resolves(blockWithGasPrices(20));
+    mockWeb3.eth.getBlock.withArgs(100, true).resolves(blockWithGasPrices(40, 50));
+    oracle = new GasPriceOracle(mockWeb3, config);
+  });
+
+  describe('gasPrice', () => {
+    it('multiplies the median gas price of the recent blocks', async () => {
+      expect(await oracle.gasPrice()).to.equal(gwei(33));
+      expect(mockWeb3.eth.getBlock).to.have.callCount(3);
+    });
+
+    it('uses the lower median when the number of transactions is even', async () => {
+      mockWeb3.eth.getBlock.withArgs(99, true).resolves(blockWithGasPrices(20, 60));
+      expect(await oracle.gasPrice()).to.equal(gwei(33));
+    });
+
+    it('uses the floor when the recent blocks have no transactions', async () => {
+      mockWeb3.eth.getBlock = sinon.stub().resolves(blockWithGasPrices());
+      expect(await oracle.gasPrice()).to.equal(gwei(5));
+    });
+
+    it('does not go below the floor', async () => {
+      mockWeb3.eth.getBlock = sinon.stub().resolves(blockWithGasPrices(1));
+      expect(await oracle.gasPrice()).to.equal(gwei(5));
+    });
+
+    it('does not go above the ceiling', async () => {
+      mockWeb3.eth.getBlock = sinon.stub().resolves(blockWithGasPrices(500));
+      expect(await oracle.gasPrice()).to.equal(gwei(100));
+    });
+
+    it('skips missing blocks', async () => {
+      mockWeb3.eth.getBlock.withArgs(100, true).resolves(null);
+      expect(await oracle.gasPrice()).to.equal(gwei(22));
+    });
+
+    it('is recalculated only when a new block appears', async () => {
+      await oracle.gasPrice();
+      await oracle.gasPrice();
+      expect(mockWeb3.eth.getBlock).to.have.callCount(3);
+
+      mockWeb3.eth.getBlockNumber.resolves(latestBlockNumber + 1);
+      mockWeb3.eth.getBlock.withArgs(101, true).resolves(blockWithGasPrices(60, 70));
+      expect(await oracle.gasPrice()).to.equal(gwei(55));
+      expect(mockWeb3.eth.getBlock).to.have.callCount(4);
+      expect(mockWeb3.eth.getBlock).to.have.been.calledWith(101, true);
+    });
+  });
+
+  describe('replacementGasPrice', () => {
+    it('returns the current gas price when it is high enough to replace the stuck transaction', async () => {
+      expect(await oracle.replacementGasPrice(gwei(10))).to.equal(gwei(33));
+    });
+
+    it('bumps the stuck gas price by 12.5% when it is not lower than the current gas price', async () => {
+      expect(await oracle.replacementGasPrice(gwei(40))).to.equal(gwei(45));
+    });
+
+    it('returns null when the bumped gas price exceeds the ceiling', async () => {
+      expect(await oracle.replacementGasPrice(gwei(90))).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import GraphqlApi from '../../src/services/graphql_api';
+import {AuthenticationError, NotFoundError, PermissionError, ValidationError} from '../../src/errors/errors';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('GraphQL API', () => {
+  const tokenData = {createdBy: '0xabc', validUntil: 1700000000};
+  const exampleAsset = {assetId: '0x1', content: {idData: {createdBy: '0xabc', timestamp: 1}}, metadata: {bundleId: '0xb1'}};
+  const exampleEvents = [
+    {eventId: '0x2', content: {idData: {assetId: '0x1'}}, metadata: {bundleId: '0xb1'}},
+    {eventId: '0x3', content: {idData: {assetId: '0x1'}}, metadata: {}}
+  ];
+  const exampleBundle = {bundleId: '0xb1', storagePeriods: 2, bundleProofBlock: 10};
+  let mockModelEngine;
+  let graphqlApi;
+
+  beforeEach(() => {
+    mockModelEngine = {
+      getAsset: sinon.stub().resolves(exampleAsset),
+      findEvents: sinon.stub().resolves({results: exampleEvents, resultCount: 2, next: null, prev: null}),
+      getBundleMetadata: sinon.stub().resolves(exampleBundle),
+      getBundleStatus: sinon.stub().resolves('SHELTERED'),
+      findAccounts: sinon.stub().resolves({results: [{address: '0xabc', accessLevel: 3}], resultCount: 1})
+    };
+    graphqlApi = new GraphqlApi(mockModelEngine, 5, 500);
+  });
+
+  it('fetches an asset with its latest events and their bundles in one query', async () => {
+    const result = await graphqlApi.execute(`{
+      asset(assetId: "0x1") {
+        assetId
+        events(perPage: 2) { results { eventId bundle { bundleId bundleProofBlock status } } resultCount }
+      }
+    }`, undefined, undefined, tokenData);
+
+    expect(result.errors).to.be.undefined;
+    expect(JSON.parse(JSON.stringify(result.data))).to.deep.equal({
+      asset: {
+        assetId: '0x1',
+        events: {
+          results: [
+            {eventId: '0x2', bundle: {bundleId: '0xb1', bundleProofBlock: 10, status: 'SHELTERED'}},
+            {eventId: '0x3', bundle: null}
+          ],
+          resultCount: 2
+        }
+      }
+    });
+    expect(mockModelEngine.getAsset).to.have.been.calledOnceWith('0x1');
+    expect(mockModelEngine.findEvents).to.have.been.calledOnceWith({perPage: 2, assetId: '0x1'}, tokenData);
+    expect(mockModelEngine.getBundleMetadata).to.have.been.calledOnceWith('0xb1');
+    expect(mockModelEngine.getBundleStatus).to.have.been.calledOnceWith('0xb1');
+  });
+
+  it('loads the bundle status only when it is requested', async () => {
+    const result = await graphqlApi.execute('{ bundle(bundleId: "0xb1") { bundleId storagePeriods } }');
+    expect(result.errors).to.be.undefined;
+    expect(mockModelEngine.getBundleStatus).to.not.have.been.called;
+  });
+
+  it('passes variables to the resolvers', async () => {
+    const result = await graphqlApi.execute(
+      'query Events($assetId: String, $data: JSON) { events(assetId: $assetId, data: $data) { resultCount } }',
+      {assetId: '0x1', data: {type: 'ambrosus.event.example'}}, 'Events', tokenData);
+    expect(result.errors).to.be.undefined;
+    expect(mockModelEngine.findEvents).to.have.been.calledOnceWith({assetId: '0x1', data: {type: 'ambrosus.event.example'}}, tokenData);
+  });
+
+  it('resolves missing entities to null', async () => {
+    mockModelEngine.getAsset.rejects(new NotFoundError('No asset'));
+    mockModelEngine.getBundleMetadata.rejects(new NotFoundError('No bundle'));
+    const result = await graphqlApi.execute('{ asset(assetId: "0x1") { assetId } bundle(bundleId: "0xb1") { bundleId } }');
+    expect(result.errors).to.be.undefined;
+    expect(JSON.parse(JSON.stringify(result.data))).to.deep.equal({asset: null, bundle: null});
+  });
+
+  describe('per field authorization', () => {
+    it('fetches public fields without a token', async () => {
+      const result = await graphqlApi.execute('{ bundle(bundleId: "0xb1") { bundleId } events { resultCount } }');
+      expect(result.errors).to.be.undefined;
+      expect(mockModelEngine.findEvents).to.have.been.calledWith({}, undefined);
+    });
+
+    it('requires a token for accounts and still resolves the other fields', async () => {
+      const result = await graphqlApi.execute('{ bundle(bundleId: "0xb1") { bundleId } accounts { resultCount } }');
+      expect(result.data.bundle).to.deep.include({bundleId: '0xb1'});
+      expect(result.data.accounts).to.be.null;
+      expect(result.errors).to.have.lengthOf(1);
+      expect(result.errors[0]).to.deep.include({path: ['accounts'], extensions: {code: AuthenticationError.name}});
+      expect(mockModelEngine.findAccounts).to.not.have.been.called;
+    });
+
+    it('passes the token to accounts lookup', async () => {
+      const result = await graphqlApi.execute('{ accounts(accessLevel: 3) { results { address accessLevel } } }', null, null, tokenData);
+      expect(JSON.parse(JSON.stringify(result.data))).to.deep.equal({accounts: {results: [{address: '0xabc', accessLevel: 3}]}});
+      expect(mockModelEngine.findAccounts).to.have.been.calledOnceWith({accessLevel: 3}, tokenData);
+    });
+
+    it('reports permission errors with their code', async () => {
+      mockModelEngine.findAccounts.rejects(new PermissionError('No permission'));
+      const result = await graphqlApi.execute('{ accounts { resultCount } }', null, null, tokenData);
+      expect(result.errors[0].extensions).to.deep.equal({code: PermissionError.name});
+    });
+  });
+
+  describe('rejecting queries', () => {
+    it('throws if query is missing', async () => {
+      await expect(graphqlApi.execute(undefined)).to.be.rejectedWith(ValidationError);
+      await expect(graphqlApi.execute('  ')).to.be.rejectedWith(ValidationError);
+    });
+
+    it('throws if variables are not an object', async () => {
+      await expect(graphqlApi.execute('{ events { resultCount } }', [1])).to.be.rejectedWith(ValidationError);
+    });
+
+    it('returns errors without data for malformed queries', async () => {
+      const result = await graphqlApi.execute('{ asset(assetId: "0x1") { assetId }');
+      expect(result.data).to.be.undefined;
+      expect(result.errors).to.have.lengthOf(1);
+    });
+
+    it('returns errors without data for queries not matching the schema', async () => {
+      const result = await graphqlApi.execute('{ asset(assetId: "0x1") { unknownField } }');
+      expect(result.data).to.be.undefined;
+      expect(result.errors[0].message).to.include('unknownField');
+    });
+
+    it('rejects queries deeper than the limit', async () => {
+      const result = await new GraphqlApi(mockModelEngine, 4, 500).execute('{ asset(assetId: "0x1") { events { results { bundle { bundleId } } } } }');
+      expect(result.data).to.be.undefined;
+      expect(result.errors[0].message).to.equal('Query depth 5 exceeds the maximum allowed depth of 4');
+    });
+
+    it('rejects queries more expensive than the limit', async () => {
+      const result = await graphqlApi.execute('{ events { results { eventId content metadata bundle { bundleId } } } }');
+      expect(result.data).to.be.undefined;
+      expect(result.errors[0].message).to.match(/^Query cost \d+ exceeds the maximum allowed cost of 500$/);
+      expect(mockModelEngine.findEvents).to.not.have.been.called;
+    });
+
+    it('takes page sizes from variables when computing the cost', async () => {
+      const query = 'query Events($perPage: Int) { events(perPage: $perPage) { results { eventId content metadata bundle { bundleId } } } }';
+      expect((await graphqlApi.execute(query, {perPage: 10})).errors).to.be.undefined;
+      expect((await graphqlApi.execute(query, {perPage: 100})).data).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import {EventEmitter} from 'events';
+import PricedUploadsWrapper from '../../src/services/priced_uploads_wrapper';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Priced uploads wrapper', () => {
+  const defaultAddress = '0xdeadface';
+  const bundleId = '0xc0ffee';
+  const fee = '100';
+  const storagePeriods = 3;
+  const gasPrice = '33000000000';
+  const sentTransactionHash = '0x1ae35c49aa2423';
+  const receipt = {blockNumber: 34, transactionHash: sentTransactionHash, gasUsed: 21000};
+  let loadedContracts;
+  let gasPriceOracleMock;
+  let stuckTransactionReplacerMock;
+  let sendResult;
+  let wrapper;
+
+  const promiEvent = (result) => {
+    const emitter = new EventEmitter();
+    const promise = new Promise((resolve) => {
+      setImmediate(() => {
+        emitter.emit('transactionHash', sentTransactionHash);
+        resolve();
+      });
+    }).then(() => result);
+    promise.on = (event, listener) => {
+      emitter.on(event, listener);
+      return promise;
+    };
+    return promise;
+  };
+
+  beforeEach(() => {
+    loadedContracts = [];
+    sendResult = Promise.resolve(receipt);
+    gasPriceOracleMock = {
+      gasPrice: sinon.stub().resolves(gasPrice)
+    };
+    stuckTransactionReplacerMock = {
+      track: sinon.stub().resolves(),
+      hasPendingBundleTransaction: sinon.stub().resolves(false),
+      waitForBundleTransaction: sinon.stub().resolves(null)
+    };
+    wrapper = new PricedUploadsWrapper({}, {}, defaultAddress, gasPriceOracleMock, stuckTransactionReplacerMock);
+    sinon.stub(wrapper, 'contract').callsFake(async () => {
+      const send = sinon.stub().callsFake(() => promiEvent(sendResult));
+      const contract = {
+        options: {gasPrice: '5000000000'},
+        methods: {registerBundle: sinon.stub().returns({send})},
+        send
+      };
+      loadedContracts.push(contract);
+      return contract;
+    });
+  });
+
+  it('registers the bundle and returns the block number and transaction hash', async () => {
+    expect(await wrapper.registerBundle(bundleId, fee, storagePeriods)).to.deep.equal({blockNumber: 34, transactionHash: sentTransactionHash});
+    expect(loadedContracts[0].methods.registerBundle).to.be.calledOnceWith(bundleId, storagePeriods);
+  });
+
+  it('sends every registration at the gas price of the oracle, even though each loads a new contract', async () => {
+    await wrapper.registerBundle(bundleId, fee, storagePeriods);
+    await wrapper.registerBundle(bundleId, fee, storagePeriods);
+    expect(loadedContracts).to.have.lengthOf(2);
+    expect(loadedContracts[0]).to.not.equal(loadedContracts[1]);
+    for (const contract of loadedContracts) {
+      expect(contract.send).to.be.calledOnceWith({from: defaultAddress, value: fee, gasPrice});
+    }
+  });
+
+  it('tracks the sent registration with its bundle', async () => {
+    await wrapper.registerBundle(bundleId, fee, storagePeriods);
+    expect(stuckTransactionReplacerMock.track).to.be.calledOnceWith(sentTransactionHash, {bundleId});
+  });
+
+  describe('when the sent registration never gets its receipt', () => {
+    const timeoutError = new Error('Transaction was not mined within 750 seconds');
+    const replacementReceipt = {blockNumber: 40, transactionHash: '0xreplacement', status: true};
+
+    beforeEach(() => {
+      sendResult = Promise.reject(timeoutError);
+      sendResult.catch(() => {});
+    });
+
+    it('returns the replacement mined in its place', async () => {
+      stuckTransactionReplacerMock.waitForBundleTransaction.resolves(replacementReceipt);
+      expect(await wrapper.registerBundle(bundleId, fee, storagePeriods)).to.deep.equal({blockNumber: 40, transactionHash: '0xreplacement'});
+      expect(stuckTransactionReplacerMock.waitForBundleTransaction).to.be.calledOnceWith(bundleId);
+    });
+
+    it('rethrows when no replacement got mined', async () => {
+      await expect(wrapper.registerBundle(bundleId, fee, storagePeriods)).to.be.rejectedWith(timeoutError);
+    });
+
+    it('rethrows when the replacement was reverted', async () => {
+      stuckTransactionReplacerMock.waitForBundleTransaction.resolves({...replacementReceipt, status: false});
+      await expect(wrapper.registerBundle(bundleId, fee, storagePeriods)).to.be.rejectedWith(timeoutError);
+    });
+  });
+
+  it('waits for a registration still pending from an earlier attempt instead of sending another one', async () => {
+    stuckTransactionReplacerMock.hasPendingBundleTransaction.resolves(true);
+    stuckTransactionReplacerMock.waitForBundleTransaction.resolves({blockNumber: 40, transactionHash: '0xreplacement', status: true});
+    expect(await wrapper.registerBundle(bundleId, fee, storagePeriods)).to.deep.equal({blockNumber: 40, transactionHash: '0xreplacement'});
+    expect(loadedContracts).to.be.empty;
+  });
+
+  it('does not wait when the registration was rejected before it was sent', async () => {
+    wrapper.contract.restore();
+    sinon.stub(wrapper, 'contract').resolves({
+      methods: {registerBundle: () => ({send: () => {
+        const promise = Promise.reject(new Error('Insufficient funds'));
+        promise.on = () => promise;
+        return promise;
+      }})}
+    });
+    await expect(wrapper.registerBundle(bundleId, fee, storagePeriods)).to.be.rejectedWith('Insufficient funds');
+    expect(stuckTransactionReplacerMock.waitForBundleTransaction).to.not.be.called;
+  });
+});
@@ -0,0 +1,150 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import QueryResultCache, {normalizeCriteria} from '../../src/services/query_result_cache';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Query result cache', () => {
+  const now = 15000000;
+  const ttl = 10;
+  let clock;
+  let cache;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(now * 1000);
+    cache = new QueryResultCache(3, ttl);
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('normalizeCriteria', () => {
+    it('does not depend on the order of fields', () => {
+      expect(normalizeCriteria({page: 1, data: {createdBy: 'x', assetIds: [1, 2]}})).to.equal(normalizeCriteria({data: {assetIds: [1, 2], createdBy: 'x'}, page: 1}));
+    });
+
+    it('skips undefined fields', () => {
+      expect(normalizeCriteria({page: 1, perPage: undefined})).to.equal(normalizeCriteria({page: 1}));
+    });
+
+    it('distinguishes values of different types', () => {
+      expect(normalizeCriteria({page: 1})).to.not.equal(normalizeCriteria({page: '1'}));
+      expect(normalizeCriteria({page: null})).to.not.equal(normalizeCriteria({page: 'null'}));
+      expect(normalizeCriteria({page: [1, 2]})).to.not.equal(normalizeCriteria({page: [2, 1]}));
+    });
+
+    it('serializes regular expressions', () => {
+      expect(normalizeCriteria({page: /^ab/})).to.not.equal(normalizeCriteria({page: /^ac/}));
+      expect(normalizeCriteria({page: /^ab/})).to.equal(normalizeCriteria({page: /^ab/}));
+    });
+  });
+
+  describe('fetching', () => {
+    let compute;
+
+    beforeEach(() => {
+      compute = sinon.stub().resolves('result');
+    });
+
+    it('computes the value on miss and serves it from the cache afterwards', async () => {
+      expect(await cache.fetch('events', {page: 1}, null, compute)).to.equal('result');
+      expect(await cache.fetch('events', {page: 1}, null, compute)).to.equal('result');
+      expect(compute).to.have.been.calledOnce;
+    });
+
+    it('keeps results of different collections apart', async () => {
+      await cache.fetch('events', {page: 1}, null, compute);
+      await cache.fetch('assets', {page: 1}, null, compute);
+      expect(compute).to.have.been.calledTwice;
+    });
+
+    it('computes the value again after ttl passes', async () => {
+      await cache.fetch('events', {page: 1}, null, compute);
+      clock.tick(ttl * 1000);
+      await cache.fetch('events', {page: 1}, null, compute);
+      expect(compute).to.have.been.calledTwice;
+    });
+
+    it('evicts the least recently used entries above the maximal size', async () => {
+      await cache.fetch('events', {page: 1}, null, compute);
+      await cache.fetch('events', {page: 2}, null, compute);
+      await cache.fetch('events', {page: 3}, null, compute);
+      await cache.fetch('events', {page: 1}, null, compute);
+      await cache.fetch('events', {page: 4}, null, compute);
+      expect(cache.entries.size).to.equal(3);
+      compute.resetHistory();
+
+      await cache.fetch('events', {page: 1}, null, compute);
+      expect(compute).to.not.have.been.called;
+      await cache.fetch('events', {page: 2}, null, compute);
+      expect(compute).to.have.been.calledOnce;
+    });
+
+    it('does not store the value if the cache was invalidated while computing', async () => {
+      await cache.fetch('events', {page: 1}, null, async () => {
+        cache.invalidate('0x1');
+        return 'outdated';
+      });
+      await cache.fetch('events', {page: 1}, null, compute);
+      expect(compute).to.have.been.calledOnce;
+    });
+
+    it('counts hits and misses when metrics are registered', async () => {
+      const counters = [];
+      const promClient = {Counter: function Counter() {
+        this.inc = sinon.spy();
+        counters.push(this);
+      }};
+      cache.registerMetrics(promClient, {});
+      await cache.fetch('events', {page: 1}, null, compute);
+      await cache.fetch('events', {page: 1}, null, compute);
+      await cache.fetch('assets', {page: 1}, null, compute);
+      const [hitsCounter, missesCounter] = counters;
+      expect(hitsCounter.inc).to.have.been.calledOnceWith({collection: 'events'});
+      expect(missesCounter.inc).to.have.been.calledTwice;
+      expect(missesCounter.inc).to.have.been.calledWith({collection: 'assets'});
+    });
+  });
+
+  describe('invalidating', () => {
+    beforeEach(async () => {
+      cache = new QueryResultCache(10, ttl);
+      await cache.fetch('events', {assetId: '0x1'}, ['0x1'], async () => 'events of 0x1');
+      await cache.fetch('events', {assetId: '0x2'}, ['0x2'], async () => 'events of 0x2');
+      await cache.fetch('assets', {assetIds: ['0x1', '0x3']}, ['0x1', '0x3'], async () => 'assets 0x1 and 0x3');
+      await cache.fetch('events', {}, null, async () => 'all events');
+    });
+
+    const isCached = async (collection, query, scope) => {
+      const compute = sinon.stub().resolves('fresh');
+      await cache.fetch(collection, query, scope, compute);
+      return !compute.called;
+    };
+
+    it('drops unrestricted entries and entries restricted to the asset', async () => {
+      cache.invalidate('0x1');
+      expect(await isCached('events', {assetId: '0x1'}, ['0x1'])).to.be.false;
+      expect(await isCached('assets', {assetIds: ['0x1', '0x3']}, ['0x1', '0x3'])).to.be.false;
+      expect(await isCached('events', {}, null)).to.be.false;
+    });
+
+    it('keeps entries restricted to other assets', async () => {
+      cache.invalidate('0x1');
+      expect(await isCached('events', {assetId: '0x2'}, ['0x2'])).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import {cleanDatabase, connectToMongo} from '../../src/utils/db_utils';
+import config from '../../src/config/config';
+
+import SentTransactionRepository from '../../src/services/sent_transaction_repository';
+
+const {expect} = chai;
+chai.use(chaiAsPromised);
+
+describe('Sent Transaction Repository', () => {
+  const bundleId = '0xc0ffee';
+  const challengeId = '0xc4a11';
+  let db;
+  let client;
+  let storage;
+
+  before(async () => {
+    ({db, client} = await connectToMongo(config));
+    storage = new SentTransactionRepository(db);
+  });
+
+  beforeEach(async () => {
+    await storage.storeTransaction({transactionHash: '0x1', bundleId, sentAt: 1000});
+    await storage.storeTransaction({transactionHash: '0x2', challengeId, sentAt: 500});
+  });
+
+  afterEach(async () => {
+    await cleanDatabase(db);
+  });
+
+  after(async () => {
+    client.close();
+  });
+
+  it('finds the pending transactions, the oldest first', async () => {
+    expect(await storage.findPendingTransactions()).to.deep.equal([
+      {transactionHash: '0x2', bundleId: null, challengeId, sentAt: 500, pending: true},
+      {transactionHash: '0x1', bundleId, challengeId: null, sentAt: 1000, pending: true}
+    ]);
+  });
+
+  it('replaces a transaction with one sent in its place', async () => {
+    await storage.replaceTransaction('0x1', {transactionHash: '0x3', bundleId, sentAt: 2000});
+    expect(await storage.getLatestTransactionOfBundle(bundleId)).to.deep.equal({transactionHash: '0x3', bundleId, challengeId: null, sentAt: 2000, pending: true});
+    expect((await storage.findPendingTransactions()).map(({transactionHash}) => transactionHash)).to.deep.equal(['0x2', '0x3']);
+  });
+
+  it('finds the latest transaction sent for a challenge', async () => {
+    await storage.replaceTransaction('0x2', {transactionHash: '0x4', challengeId, sentAt: 2000});
+    expect(await storage.getLatestTransactionOfChallenge(challengeId)).to.deep.equal({transactionHash: '0x4', bundleId: null, challengeId, sentAt: 2000, pending: true});
+  });
+
+  it('returns null when no transaction was sent for the bundle or challenge', async () => {
+    expect(await storage.getLatestTransactionOfBundle('0xother')).to.be.null;
+    expect(await storage.getLatestTransactionOfChallenge('0xother')).to.be.null;
+  });
+
+  it('keeps settled transactions until they are removed', async () => {
+    await storage.settleTransaction('0x1', true, 3000);
+    expect(await storage.findPendingTransactions()).to.have.lengthOf(1);
+    expect(await storage.getLatestTransactionOfBundle(bundleId)).to.deep.include({pending: false, mined: true, settledAt: 3000});
+
+    await storage.removeTransactionsSettledBefore(3000);
+    expect(await storage.getLatestTransactionOfBundle(bundleId)).to.not.be.null;
+    await storage.removeTransactionsSettledBefore(3001);
+    expect(await storage.getLatestTransactionOfBundle(bundleId)).to.be.null;
+    expect(await storage.findPendingTransactions()).to.have.lengthOf(1);
+  });
+});
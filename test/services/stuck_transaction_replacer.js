@@ -0,0 +1,248 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import {EventEmitter} from 'events';
+import StuckTransactionReplacer from '../../src/services/stuck_transaction_replacer';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Stuck transaction replacer', () => {
+  const now = 1500000000000;
+  const stuckTransactionTimeout = 300;
+  const transactionReceiptTimeout = 60;
+  const defaultAccount = '0x123';
+  const privateKey = '0xprivate';
+  const bundleId = '0xc0ffee';
+  const challengeId = '0xc4a11';
+  const transactionHash = '0xstuck';
+  const replacementTransactionHash = '0xreplacement';
+  const stuckTransaction = {hash: transactionHash, nonce: 7, to: '0xcontract', input: '0xdata', value: '0', gas: 300000, gasPrice: '5000000000'};
+  const replacementGasPrice = '6000000000';
+  const trackedTransaction = {transactionHash, bundleId, challengeId: null, sentAt: now, pending: true};
+  let clock;
+  let mockWeb3;
+  let mockGasPriceOracle;
+  let mockSentTransactionRepository;
+  let mockSleep;
+  let replacer;
+
+  const promiEvent = (transactionHashToEmit) => {
+    const emitter = new EventEmitter();
+    const promise = new Promise((resolve, reject) => {
+      setImmediate(() => {
+        if (transactionHashToEmit) {
+          emitter.emit('transactionHash', transactionHashToEmit);
+        } else {
+          reject(new Error('Transaction rejected'));
+        }
+      });
+    });
+    promise.on = (event, listener) => {
+      emitter.on(event, listener);
+      return promise;
+    };
+    return promise;
+  };
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({now, toFake: ['Date']});
+    mockWeb3 = {
+      eth: {
+        defaultAccount,
+        accounts: {
+          wallet: {[defaultAccount]: {privateKey}},
+          signTransaction: sinon.stub().resolves({rawTransaction: '0xraw'})
+        },
+        getTransactionReceipt: sinon.stub().resolves(null),
+        getTransaction: sinon.stub().resolves(stuckTransaction),
+        sendSignedTransaction: sinon.stub().callsFake(() => promiEvent(replacementTransactionHash))
+      }
+    };
+    mockGasPriceOracle = {
+      replacementGasPrice: sinon.stub().resolves(replacementGasPrice)
+    };
+    mockSentTransactionRepository = {
+      storeTransaction: sinon.stub().resolves(),
+      findPendingTransactions: sinon.stub().resolves([trackedTransaction]),
+      getLatestTransactionOfBundle: sinon.stub().resolves(trackedTransaction),
+      getLatestTransactionOfChallenge: sinon.stub().resolves(null),
+      replaceTransaction: sinon.stub().resolves(),
+      settleTransaction: sinon.stub().resolves(),
+      removeTransactionsSettledBefore: sinon.stub().resolves()
+    };
+    mockSleep = sinon.stub().callsFake(async (timeout) => {
+      clock.tick(timeout * 1000);
+    });
+    replacer = new StuckTransactionReplacer(mockWeb3, mockGasPriceOracle, mockSentTransactionRepository, stuckTransactionTimeout, transactionReceiptTimeout, mockSleep);
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('tracks sent transactions with the bundle they register', async () => {
+    await replacer.track(transactionHash, {bundleId});
+    expect(mockSentTransactionRepository.storeTransaction).to.have.been.calledOnceWith({transactionHash, bundleId, challengeId: null, sentAt: now});
+  });
+
+  it('tracks sent transactions with the challenge they resolve', async () => {
+    await replacer.track(transactionHash, {challengeId});
+    expect(mockSentTransactionRepository.storeTransaction).to.have.been.calledOnceWith({transactionHash, bundleId: null, challengeId, sentAt: now});
+  });
+
+  it('tells whether the latest transaction of the bundle is pending', async () => {
+    expect(await replacer.hasPendingBundleTransaction(bundleId)).to.be.true;
+    mockSentTransactionRepository.getLatestTransactionOfBundle.resolves({...trackedTransaction, pending: false});
+    expect(await replacer.hasPendingBundleTransaction(bundleId)).to.be.false;
+    mockSentTransactionRepository.getLatestTransactionOfBundle.resolves(null);
+    expect(await replacer.hasPendingBundleTransaction(bundleId)).to.be.false;
+  });
+
+  it('tells whether the latest transaction of the challenge is pending', async () => {
+    expect(await replacer.hasPendingChallengeTransaction(challengeId)).to.be.false;
+    mockSentTransactionRepository.getLatestTransactionOfChallenge.resolves({...trackedTransaction, bundleId: null, challengeId});
+    expect(await replacer.hasPendingChallengeTransaction(challengeId)).to.be.true;
+    expect(mockSentTransactionRepository.getLatestTransactionOfChallenge).to.have.been.calledWith(challengeId);
+  });
+
+  describe('replaceStuckTransactions', () => {
+    it('replaces transactions pending for longer than the timeout', async () => {
+      clock.tick(stuckTransactionTimeout * 1000);
+      expect(await replacer.replaceStuckTransactions()).to.deep.equal([{transactionHash, replacementTransactionHash, gasPrice: replacementGasPrice}]);
+      expect(mockGasPriceOracle.replacementGasPrice).to.have.been.calledOnceWith(stuckTransaction.gasPrice);
+      expect(mockWeb3.eth.accounts.signTransaction).to.have.been.calledOnceWith(
+        {nonce: 7, to: '0xcontract', data: '0xdata', value: '0', gas: 300000, gasPrice: replacementGasPrice},
+        privateKey
+      );
+      expect(mockWeb3.eth.sendSignedTransaction).to.have.been.calledOnceWith('0xraw');
+    });
+
+    it('links the replacement to the bundle of the replaced transaction', async () => {
+      clock.tick(stuckTransactionTimeout * 1000);
+      await replacer.replaceStuckTransactions();
+      expect(mockSentTransactionRepository.replaceTransaction).to.have.been.calledOnceWith(
+        transactionHash,
+        {transactionHash: replacementTransactionHash, bundleId, challengeId: null, sentAt: now + (stuckTransactionTimeout * 1000)}
+      );
+    });
+
+    it('links the replacement to the challenge of the replaced transaction', async () => {
+      mockSentTransactionRepository.findPendingTransactions.resolves([{transactionHash, bundleId: null, challengeId, sentAt: now, pending: true}]);
+      clock.tick(stuckTransactionTimeout * 1000);
+      await replacer.replaceStuckTransactions();
+      expect(mockSentTransactionRepository.replaceTransaction).to.have.been.calledOnceWith(
+        transactionHash,
+        {transactionHash: replacementTransactionHash, bundleId: null, challengeId, sentAt: now + (stuckTransactionTimeout * 1000)}
+      );
+    });
+
+    it('does not replace transactions pending for a shorter time', async () => {
+      clock.tick((stuckTransactionTimeout * 1000) - 1);
+      expect(await replacer.replaceStuckTransactions()).to.deep.equal([]);
+      expect(mockWeb3.eth.sendSignedTransaction).to.not.have.been.called;
+      expect(mockSentTransactionRepository.replaceTransaction).to.not.have.been.called;
+    });
+
+    it('settles mined transactions', async () => {
+      mockWeb3.eth.getTransactionReceipt.resolves({transactionHash});
+      clock.tick(stuckTransactionTimeout * 1000);
+      expect(await replacer.replaceStuckTransactions()).to.deep.equal([]);
+      expect(mockSentTransactionRepository.settleTransaction).to.have.been.calledOnceWith(transactionHash, true, now + (stuckTransactionTimeout * 1000));
+    });
+
+    it('settles transactions unknown to the chain as dropped', async () => {
+      mockWeb3.eth.getTransaction.resolves(null);
+      expect(await replacer.replaceStuckTransactions()).to.deep.equal([]);
+      expect(mockSentTransactionRepository.settleTransaction).to.have.been.calledOnceWith(transactionHash, false, now);
+    });
+
+    it('removes transactions settled more than a day ago', async () => {
+      await replacer.replaceStuckTransactions();
+      expect(mockSentTransactionRepository.removeTransactionsSettledBefore).to.have.been.calledOnceWith(now - 86400000);
+    });
+
+    it('keeps waiting when the gas price cannot be raised any more', async () => {
+      mockGasPriceOracle.replacementGasPrice.resolves(null);
+      clock.tick(stuckTransactionTimeout * 1000);
+      expect(await replacer.replaceStuckTransactions()).to.deep.equal([]);
+      expect(mockWeb3.eth.sendSignedTransaction).to.not.have.been.called;
+      expect(mockSentTransactionRepository.settleTransaction).to.not.have.been.called;
+    });
+
+    it('reports failed replacements and carries on with the other transactions', async () => {
+      mockSentTransactionRepository.findPendingTransactions.resolves([trackedTransaction, {transactionHash: '0xother', bundleId: null, sentAt: now, pending: true}]);
+      mockWeb3.eth.sendSignedTransaction.onFirstCall().callsFake(() => promiEvent(null));
+      clock.tick(stuckTransactionTimeout * 1000);
+      expect(await replacer.replaceStuckTransactions()).to.deep.equal([
+        {transactionHash, error: 'Transaction rejected'},
+        {transactionHash: '0xother', replacementTransactionHash, gasPrice: replacementGasPrice}
+      ]);
+      expect(mockSentTransactionRepository.replaceTransaction).to.have.been.calledOnceWith('0xother');
+    });
+  });
+
+  describe('waitForBundleTransaction', () => {
+    const replacementReceipt = {transactionHash: replacementTransactionHash, blockNumber: 12, status: true};
+
+    it('returns the receipt of the replacement mined in place of the sent transaction', async () => {
+      mockSentTransactionRepository.getLatestTransactionOfBundle
+        .onFirstCall()
+        .resolves(trackedTransaction)
+        .onSecondCall()
+        .resolves({...trackedTransaction, transactionHash: replacementTransactionHash});
+      mockWeb3.eth.getTransactionReceipt.withArgs(replacementTransactionHash).resolves(replacementReceipt);
+
+      expect(await replacer.waitForBundleTransaction(bundleId)).to.equal(replacementReceipt);
+      expect(mockSentTransactionRepository.getLatestTransactionOfBundle).to.have.been.calledWith(bundleId);
+      expect(mockSleep).to.have.been.calledOnceWith(5);
+    });
+
+    it('returns null when the transaction was dropped', async () => {
+      mockSentTransactionRepository.getLatestTransactionOfBundle.resolves({...trackedTransaction, pending: false, mined: false});
+      expect(await replacer.waitForBundleTransaction(bundleId)).to.be.null;
+      expect(mockSleep).to.not.have.been.called;
+    });
+
+    it('returns null when no transaction was sent for the bundle', async () => {
+      mockSentTransactionRepository.getLatestTransactionOfBundle.resolves(null);
+      expect(await replacer.waitForBundleTransaction(bundleId)).to.be.null;
+    });
+
+    it('gives up after the receipt timeout', async () => {
+      expect(await replacer.waitForBundleTransaction(bundleId)).to.be.null;
+      expect(mockSleep).to.have.callCount(transactionReceiptTimeout / 5);
+    });
+  });
+
+  describe('waitForChallengeTransaction', () => {
+    it('returns the receipt of the replacement mined in place of the sent resolution', async () => {
+      const replacementReceipt = {transactionHash: replacementTransactionHash, blockNumber: 12, status: true};
+      mockSentTransactionRepository.getLatestTransactionOfChallenge
+        .onFirstCall()
+        .resolves({...trackedTransaction, bundleId: null, challengeId})
+        .onSecondCall()
+        .resolves({...trackedTransaction, bundleId: null, challengeId, transactionHash: replacementTransactionHash});
+      mockWeb3.eth.getTransactionReceipt.withArgs(replacementTransactionHash).resolves(replacementReceipt);
+
+      expect(await replacer.waitForChallengeTransaction(challengeId)).to.equal(replacementReceipt);
+      expect(mockSentTransactionRepository.getLatestTransactionOfChallenge).to.have.been.calledWith(challengeId);
+      expect(mockSentTransactionRepository.getLatestTransactionOfBundle).to.not.have.been.called;
+    });
+
+    it('returns null when no transaction was sent for the challenge', async () => {
+      expect(await replacer.waitForChallengeTransaction(challengeId)).to.be.null;
+    });
+  });
+});
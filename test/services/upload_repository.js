@@ -13,7 +13,7 @@ import UploadRepository from '../../src/services/upload_repository';
 import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
 import {createBundle} from '../fixtures/assets_events';
-import {ValidationError} from '../../src/errors/errors';
+import {PermanentUploadError, ValidationError} from '../../src/errors/errors';
 import {InsufficientFundsToUploadBundleError} from 'ambrosus-node-contracts';
 
 chai.use(sinonChai);
@@ -37,7 +37,7 @@ describe('Upload repository', () => {
     const tooSmallBalance = '99';
     const exampleAddress = '0xdeadface';
     const exampleUploadData = {blockNumber: 34, transactionHash: '0x1ae35c49aa2423', timestamp: 420};
-
+    const gasUsed = 180000;
 
     beforeEach(() => {
       uploadsActionsMock = {
@@ -55,7 +55,8 @@ describe('Upload repository', () => {
       };
       web3Mock = {
         eth: {
-          getBalance: sinon.stub().resolves(fee)
+          getBalance: sinon.stub().resolves(fee),
+          getTransactionReceipt: sinon.stub().resolves({gasUsed})
         }
       };
       sentryMock = {
@@ -69,13 +70,23 @@ describe('Upload repository', () => {
     });
 
     it('calls wrappers methods with correct arguments', async () => {
-      await expect(uploadRepository.ensureBundleIsUploaded(bundleId, storagePeriods)).to.be.eventually.deep.equal({...exampleUploadData, uploadResult: 'Bundle has been uploaded'});
+      await expect(uploadRepository.ensureBundleIsUploaded(bundleId, storagePeriods)).to.be.eventually.deep.equal({...exampleUploadData, gasUsed, uploadResult: 'Bundle has been uploaded'});
       expect(rolesWrapperMock.onboardedRole).to.be.calledOnceWith(exampleAddress);
       expect(identityManagerMock.nodeAddress).to.have.been.called;
       expect(shelteringWrapperMock.getBundleUploader).to.have.been.calledOnceWith(bundleId);
       expect(uploadsActionsMock.uploadBundle).to.be.calledOnceWith(bundleId, storagePeriods);
     });
 
+    it('reads the gas used from the upload transaction receipt', async () => {
+      await uploadRepository.ensureBundleIsUploaded(bundleId, storagePeriods);
+      expect(web3Mock.eth.getTransactionReceipt).to.be.calledOnceWith(exampleUploadData.transactionHash);
+    });
+
+    it('leaves the gas used empty when the transaction receipt is not available', async () => {
+      web3Mock.eth.getTransactionReceipt.resolves(null);
+      await expect(uploadRepository.ensureBundleIsUploaded(bundleId, storagePeriods)).to.eventually.include({gasUsed: null});
+    });
+
     it('captures in Sentry if not enough funds and rethrows', async () => {
       uploadsActionsMock.uploadBundle.rejects(new InsufficientFundsToUploadBundleError(fee, tooSmallBalance));
       await expect(uploadRepository.ensureBundleIsUploaded(bundleId, storagePeriods)).to.be.eventually.rejected;
@@ -101,12 +112,12 @@ describe('Upload repository', () => {
 
     it('throws if bundle was already uploaded by a different Hermes', async () => {
       shelteringWrapperMock.getBundleUploader.resolves('0x1234');
-      await expect(uploadRepository.ensureBundleIsUploaded(bundleId, storagePeriods)).to.be.eventually.rejected;
+      await expect(uploadRepository.ensureBundleIsUploaded(bundleId, storagePeriods)).to.be.eventually.rejectedWith(PermanentUploadError);
     });
 
     it('fetches chain data if bundle was already uploaded by self', async () => {
       shelteringWrapperMock.getBundleUploader.resolves(exampleAddress);
-      await expect(uploadRepository.ensureBundleIsUploaded(bundleId, storagePeriods)).to.be.eventually.deep.equal({...exampleUploadData, uploadResult: 'Bundle was already uploaded, updated metadata from chain'});
+      await expect(uploadRepository.ensureBundleIsUploaded(bundleId, storagePeriods)).to.be.eventually.deep.equal({...exampleUploadData, gasUsed, uploadResult: 'Bundle was already uploaded, updated metadata from chain'});
     });
   });
 
@@ -0,0 +1,341 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import crypto from 'crypto';
+import WebhookDispatcher from '../../src/services/webhook_dispatcher';
+import WebhookTriggers from '../../src/utils/webhook_triggers';
+import WebhookDeliveryStatuses from '../../src/utils/webhook_delivery_statuses';
+import {ValidationError} from '../../src/errors/errors';
+import {publicAddressLookup} from '../../src/utils/network_utils';
+import {createAsset, createEvent, createBundle} from '../fixtures/assets_events';
+import pkPair from '../fixtures/pk_pair';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Webhook Dispatcher', () => {
+  const now = 1500000000;
+  const maxDeliveryAttempts = 3;
+  const deliveryBackoffInSeconds = 10;
+  const deliveryTimeout = 5000;
+  const exampleWebhook = {
+    webhookId: '0xabc',
+    url: 'https://example.com/hooks/ambrosus',
+    triggers: [WebhookTriggers.assetCreated, WebhookTriggers.eventCreated, WebhookTriggers.bundleUploaded],
+    filters: {},
+    createdBy: pkPair.address
+  };
+  let mockWebhookRepository;
+  let mockAccountRepository;
+  let mockHttpsClient;
+  let mockResolveHost;
+  let dispatcher;
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(now * 1000);
+    mockWebhookRepository = {
+      findWebhooksForTrigger: sinon.stub().resolves([exampleWebhook]),
+      storeDeliveries: sinon.stub().resolves(),
+      findDeliveriesToSend: sinon.stub(),
+      getWebhookWithSecret: sinon.stub().resolves({...exampleWebhook, secret: 'secret'}),
+      updateDelivery: sinon.stub().resolves()
+    };
+    mockAccountRepository = {
+      get: sinon.stub().resolves({address: pkPair.address, accessLevel: 0})
+    };
+    mockHttpsClient = {
+      performHTTPSPost: sinon.stub().resolves({statusCode: 200})
+    };
+    mockResolveHost = sinon.stub().resolves(['93.184.216.34']);
+    dispatcher = new WebhookDispatcher(mockWebhookRepository, mockAccountRepository, mockHttpsClient, maxDeliveryAttempts, deliveryBackoffInSeconds, deliveryTimeout, mockResolveHost);
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('validating webhook requests', () => {
+    const validRequest = {url: 'https://example.com/hook', triggers: [WebhookTriggers.eventCreated], filters: {eventType: 'ambrosus.event.example'}};
+
+    it('accepts a valid request', async () => {
+      await expect(dispatcher.validateWebhookRequest(validRequest)).to.be.fulfilled;
+    });
+
+    it('accepts a request without filters', async () => {
+      await expect(dispatcher.validateWebhookRequest({url: validRequest.url, triggers: validRequest.triggers})).to.be.fulfilled;
+    });
+
+    it('throws if url or triggers are missing', async () => {
+      await expect(dispatcher.validateWebhookRequest({triggers: validRequest.triggers})).to.be.rejectedWith(ValidationError);
+      await expect(dispatcher.validateWebhookRequest({url: validRequest.url})).to.be.rejectedWith(ValidationError);
+    });
+
+    it('throws if url is invalid', async () => {
+      await expect(dispatcher.validateWebhookRequest({...validRequest, url: 'not a url'})).to.be.rejectedWith(ValidationError);
+    });
+
+    it('throws if triggers are empty or unknown', async () => {
+      await expect(dispatcher.validateWebhookRequest({...validRequest, triggers: []})).to.be.rejectedWith(ValidationError);
+      await expect(dispatcher.validateWebhookRequest({...validRequest, triggers: ['asset.removed']})).to.be.rejectedWith(ValidationError);
+      await expect(dispatcher.validateWebhookRequest({...validRequest, triggers: WebhookTriggers.eventCreated})).to.be.rejectedWith(ValidationError);
+    });
+
+    it('throws on unsupported filters', async () => {
+      await expect(dispatcher.validateWebhookRequest({...validRequest, filters: {location: 'Berlin'}})).to.be.rejectedWith(ValidationError);
+      await expect(dispatcher.validateWebhookRequest({...validRequest, filters: {createdBy: '0x1'}})).to.be.rejectedWith(ValidationError);
+      await expect(dispatcher.validateWebhookRequest({...validRequest, filters: ['eventType']})).to.be.rejectedWith(ValidationError);
+    });
+
+    it('throws on unexpected fields', async () => {
+      await expect(dispatcher.validateWebhookRequest({...validRequest, secret: 'mine'})).to.be.rejectedWith(ValidationError);
+    });
+
+    it('throws if url is not https', async () => {
+      await expect(dispatcher.validateWebhookRequest({...validRequest, url: 'http://example.com/hook'})).to.be.rejectedWith(ValidationError, 'https');
+    });
+
+    it('resolves the host of the url', async () => {
+      await dispatcher.validateWebhookRequest(validRequest);
+      expect(mockResolveHost).to.have.been.calledOnceWith('example.com');
+    });
+
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1'].forEach((address) => {
+      it(`throws if the host resolves to a non-public address: ${address}`, async () => {
+        mockResolveHost.resolves(['93.184.216.34', address]);
+        await expect(dispatcher.validateWebhookRequest(validRequest)).to.be.rejectedWith(ValidationError, 'private, loopback or link-local');
+      });
+    });
+
+    it('throws if the host cannot be resolved', async () => {
+      mockResolveHost.rejects(new Error('getaddrinfo ENOTFOUND example.com'));
+      await expect(dispatcher.validateWebhookRequest(validRequest)).to.be.rejectedWith(ValidationError, 'Could not resolve');
+    });
+  });
+
+  it('creates webhook with generated id and secret', () => {
+    const webhook = dispatcher.createWebhook({url: exampleWebhook.url, triggers: exampleWebhook.triggers}, pkPair.address);
+    expect(webhook.webhookId).to.match(/^0x[0-9a-f]{64}$/);
+    expect(webhook.secret).to.match(/^[0-9a-f]{64}$/);
+    expect(webhook).to.include({url: exampleWebhook.url, createdBy: pkPair.address, createdOn: now});
+    expect(webhook.filters).to.deep.equal({});
+  });
+
+  describe('dispatching', () => {
+    const asset = {...createAsset(), assetId: '0x1111'};
+    const event = {...createEvent({assetId: asset.assetId}, [{type: 'ambrosus.event.example'}]), eventId: '0x2222'};
+    const privateEvent = {...createEvent({assetId: asset.assetId, accessLevel: 5}), eventId: '0x3333'};
+
+    it('stores a pending delivery for every matching webhook', async () => {
+      await dispatcher.dispatchAssetCreated(asset);
+
+      expect(mockWebhookRepository.findWebhooksForTrigger).to.have.been.calledWith(WebhookTriggers.assetCreated);
+      expect(mockWebhookRepository.storeDeliveries).to.have.been.calledOnce;
+      const [[delivery]] = mockWebhookRepository.storeDeliveries.firstCall.args;
+      expect(delivery).to.deep.include({
+        webhookId: exampleWebhook.webhookId,
+        trigger: WebhookTriggers.assetCreated,
+        payload: {asset},
+        status: WebhookDeliveryStatuses.pending,
+        attempts: 0,
+        createdAt: now,
+        nextAttemptAt: now
+      });
+    });
+
+    it('does not store anything when there are no webhooks', async () => {
+      mockWebhookRepository.findWebhooksForTrigger.resolves([]);
+      await dispatcher.dispatchEventCreated(event);
+      expect(mockWebhookRepository.storeDeliveries).to.not.have.been.called;
+    });
+
+    it('skips webhooks whose filters do not match', async () => {
+      mockWebhookRepository.findWebhooksForTrigger.resolves([
+        {...exampleWebhook, webhookId: '0x1', filters: {assetId: '0x9999'}},
+        {...exampleWebhook, webhookId: '0x2', filters: {createdBy: '0x0000000000000000000000000000000000000001'}},
+        {...exampleWebhook, webhookId: '0x3', filters: {eventType: 'ambrosus.event.other'}},
+        {...exampleWebhook, webhookId: '0x4', filters: {assetId: asset.assetId, createdBy: pkPair.address.toLowerCase(), eventType: 'ambrosus.event.example'}}
+      ]);
+
+      await dispatcher.dispatchEventCreated(event);
+
+      const [deliveries] = mockWebhookRepository.storeDeliveries.firstCall.args;
+      expect(deliveries.map((delivery) => delivery.webhookId)).to.deep.equal(['0x4']);
+    });
+
+    it('hides event data the webhook creator cannot access', async () => {
+      await dispatcher.dispatchEventCreated(privateEvent);
+
+      const [[delivery]] = mockWebhookRepository.storeDeliveries.firstCall.args;
+      expect(delivery.payload.event.content.data).to.be.undefined;
+      expect(delivery.payload.event.content.idData).to.deep.equal(privateEvent.content.idData);
+    });
+
+    it('does not match eventType filter against inaccessible data', async () => {
+      mockWebhookRepository.findWebhooksForTrigger.resolves([{...exampleWebhook, filters: {eventType: 'ambrosus.event.example'}}]);
+      await dispatcher.dispatchEventCreated(privateEvent);
+      expect(mockWebhookRepository.storeDeliveries).to.not.have.been.called;
+    });
+
+    it('passes private data to creators with sufficient access level', async () => {
+      mockAccountRepository.get.resolves({address: pkPair.address, accessLevel: 5});
+      await dispatcher.dispatchEventCreated(privateEvent);
+
+      const [[delivery]] = mockWebhookRepository.storeDeliveries.firstCall.args;
+      expect(delivery.payload.event).to.deep.equal(privateEvent);
+    });
+
+    it('lists only matching entries of an uploaded bundle', async () => {
+      const otherAsset = {...createAsset({sequenceNumber: 1}), assetId: '0x4444'};
+      const bundle = {...createBundle({}, [asset, event, otherAsset]), bundleId: '0x5555'};
+      const proofMetadata = {bundleTransactionHash: '0x6666', bundleProofBlock: 10, bundleUploadTimestamp: now};
+      mockWebhookRepository.findWebhooksForTrigger.resolves([{...exampleWebhook, filters: {assetId: asset.assetId}}]);
+
+      await dispatcher.dispatchBundleUploaded(bundle, proofMetadata);
+
+      expect(mockWebhookRepository.findWebhooksForTrigger).to.have.been.calledWith(WebhookTriggers.bundleUploaded);
+      const [[delivery]] = mockWebhookRepository.storeDeliveries.firstCall.args;
+      expect(delivery.payload).to.deep.equal({
+        bundleId: bundle.bundleId,
+        ...proofMetadata,
+        entries: [{assetId: asset.assetId}, {eventId: event.eventId, assetId: asset.assetId}]
+      });
+    });
+  });
+
+  describe('delivering', () => {
+    const delivery = {
+      deliveryId: '0xdef',
+      webhookId: exampleWebhook.webhookId,
+      trigger: WebhookTriggers.assetCreated,
+      payload: {asset: {assetId: '0x1111'}},
+      status: WebhookDeliveryStatuses.pending,
+      attempts: 0,
+      createdAt: now - 100,
+      nextAttemptAt: now - 100
+    };
+
+    it('delivers all deliveries that are due and returns their count', async () => {
+      mockWebhookRepository.findDeliveriesToSend.resolves([delivery, {...delivery, deliveryId: '0xfed'}]);
+
+      expect(await dispatcher.deliverPendingDeliveries(10)).to.equal(2);
+      expect(mockWebhookRepository.findDeliveriesToSend).to.have.been.calledWith(now, 10);
+      expect(mockHttpsClient.performHTTPSPost).to.have.been.calledTwice;
+    });
+
+    it('posts signed payload to the webhook url', async () => {
+      await dispatcher.attemptDelivery(delivery);
+
+      const [uri, path, body, headers, options] = mockHttpsClient.performHTTPSPost.firstCall.args;
+      expect(uri).to.equal(exampleWebhook.url);
+      expect(path).to.equal('/hooks/ambrosus');
+      expect(options).to.deep.equal({timeout: deliveryTimeout, lookup: publicAddressLookup});
+      expect(JSON.parse(body)).to.deep.equal({
+        deliveryId: delivery.deliveryId,
+        webhookId: delivery.webhookId,
+        trigger: delivery.trigger,
+        timestamp: now,
+        payload: delivery.payload
+      });
+      const hmac = crypto.createHmac('sha256', 'secret');
+      hmac.update(body);
+      expect(headers).to.deep.equal({
+        'Content-Type': 'application/json',
+        'X-Ambrosus-Webhook-Id': exampleWebhook.webhookId,
+        'X-Ambrosus-Delivery-Id': delivery.deliveryId,
+        'X-Ambrosus-Signature': `sha256=${hmac.digest('hex')}`
+      });
+    });
+
+    it('marks delivery as delivered on success', async () => {
+      await dispatcher.attemptDelivery(delivery);
+
+      expect(mockWebhookRepository.updateDelivery).to.have.been.calledWith(delivery.deliveryId, {
+        status: WebhookDeliveryStatuses.delivered,
+        responseStatusCode: 200,
+        attempts: 1,
+        lastAttemptAt: now
+      });
+    });
+
+    it('schedules retry with exponential backoff on error response', async () => {
+      mockHttpsClient.performHTTPSPost.resolves({statusCode: 500});
+      await dispatcher.attemptDelivery({...delivery, attempts: 1});
+
+      expect(mockWebhookRepository.updateDelivery).to.have.been.calledWith(delivery.deliveryId, {
+        status: WebhookDeliveryStatuses.pending,
+        nextAttemptAt: now + (2 * deliveryBackoffInSeconds),
+        responseStatusCode: 500,
+        error: 'Received code 500',
+        attempts: 2,
+        lastAttemptAt: now
+      });
+    });
+
+    it('schedules retry when request fails', async () => {
+      mockHttpsClient.performHTTPSPost.rejects(new Error('Connection refused'));
+      await dispatcher.attemptDelivery(delivery);
+
+      expect(mockWebhookRepository.updateDelivery).to.have.been.calledWith(delivery.deliveryId, {
+        status: WebhookDeliveryStatuses.pending,
+        nextAttemptAt: now + deliveryBackoffInSeconds,
+        error: 'Connection refused',
+        attempts: 1,
+        lastAttemptAt: now
+      });
+    });
+
+    it('marks delivery as failed after reaching maximum attempts', async () => {
+      mockHttpsClient.performHTTPSPost.resolves({statusCode: 404});
+      await dispatcher.attemptDelivery({...delivery, attempts: maxDeliveryAttempts - 1});
+
+      expect(mockWebhookRepository.updateDelivery).to.have.been.calledWith(delivery.deliveryId, sinon.match({
+        status: WebhookDeliveryStatuses.failed,
+        attempts: maxDeliveryAttempts
+      }));
+    });
+
+    it('marks delivery as failed when the host resolves to a non-public address', async () => {
+      mockResolveHost.resolves(['10.0.0.5']);
+      await dispatcher.attemptDelivery(delivery);
+
+      expect(mockResolveHost).to.have.been.calledWith('example.com');
+      expect(mockHttpsClient.performHTTPSPost).to.not.have.been.called;
+      expect(mockWebhookRepository.updateDelivery).to.have.been.calledWith(delivery.deliveryId, sinon.match({
+        status: WebhookDeliveryStatuses.failed,
+        error: 'Webhook url points to a private, loopback or link-local address',
+        attempts: 1
+      }));
+    });
+
+    it('schedules retry when the host cannot be resolved', async () => {
+      mockResolveHost.rejects(new Error('getaddrinfo EAI_AGAIN example.com'));
+      await dispatcher.attemptDelivery(delivery);
+
+      expect(mockHttpsClient.performHTTPSPost).to.not.have.been.called;
+      expect(mockWebhookRepository.updateDelivery).to.have.been.calledWith(delivery.deliveryId, sinon.match({
+        status: WebhookDeliveryStatuses.pending,
+        nextAttemptAt: now + deliveryBackoffInSeconds
+      }));
+    });
+
+    it('marks delivery as failed when webhook has been removed', async () => {
+      mockWebhookRepository.getWebhookWithSecret.resolves(null);
+      await dispatcher.attemptDelivery(delivery);
+
+      expect(mockHttpsClient.performHTTPSPost).to.not.have.been.called;
+      expect(mockWebhookRepository.updateDelivery).to.have.been.calledWith(delivery.deliveryId, sinon.match({status: WebhookDeliveryStatuses.failed}));
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import WebhookRepository from '../../src/services/webhook_repository';
+import {connectToMongo, cleanDatabase} from '../../src/utils/db_utils';
+import WebhookDeliveryStatuses from '../../src/utils/webhook_delivery_statuses';
+import {pick} from '../../src/utils/dict_utils';
+import config from '../../src/config/config';
+
+const {expect} = chai;
+
+describe('Webhook Repository', () => {
+  let client;
+  let db;
+  let storage;
+
+  const createWebhook = (fields) => ({
+    webhookId: '0x1',
+    url: 'https://example.com/hook',
+    triggers: ['asset.created'],
+    filters: {},
+    secret: 'secret',
+    createdBy: '0xabc',
+    createdOn: 1000,
+    ...fields
+  });
+
+  const createDelivery = (fields) => ({
+    deliveryId: '0x10',
+    webhookId: '0x1',
+    trigger: 'asset.created',
+    payload: {},
+    status: WebhookDeliveryStatuses.pending,
+    attempts: 0,
+    createdAt: 1000,
+    nextAttemptAt: 1000,
+    ...fields
+  });
+
+  before(async () => {
+    ({client, db} = await connectToMongo(config));
+    storage = new WebhookRepository(db);
+  });
+
+  afterEach(async () => {
+    await cleanDatabase(db);
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it('webhook round database trip hides secret', async () => {
+    const webhook = createWebhook();
+    await storage.storeWebhook(webhook);
+
+    expect(await storage.getWebhook(webhook.webhookId)).to.deep.equal(pick(webhook, 'secret'));
+    expect(await storage.getWebhookWithSecret(webhook.webhookId)).to.deep.equal(webhook);
+  });
+
+  it('returns null for unknown webhook', async () => {
+    expect(await storage.getWebhook('0x2')).to.be.null;
+  });
+
+  it('finds webhooks by creator and by trigger', async () => {
+    await storage.storeWebhook(createWebhook({webhookId: '0x1', createdOn: 1000}));
+    await storage.storeWebhook(createWebhook({webhookId: '0x2', createdOn: 2000, triggers: ['asset.created', 'event.created']}));
+    await storage.storeWebhook(createWebhook({webhookId: '0x3', createdBy: '0xdef', triggers: ['event.created']}));
+
+    const createdBy = await storage.findWebhooksCreatedBy('0xabc');
+    expect(createdBy.map((webhook) => webhook.webhookId)).to.deep.equal(['0x2', '0x1']);
+    expect(createdBy[0].secret).to.be.undefined;
+
+    const forTrigger = await storage.findWebhooksForTrigger('event.created');
+    expect(forTrigger.map((webhook) => webhook.webhookId)).to.have.members(['0x2', '0x3']);
+  });
+
+  it('removes webhook together with its deliveries', async () => {
+    await storage.storeWebhook(createWebhook({webhookId: '0x1'}));
+    await storage.storeWebhook(createWebhook({webhookId: '0x2'}));
+    await storage.storeDeliveries([createDelivery({deliveryId: '0x10', webhookId: '0x1'}), createDelivery({deliveryId: '0x20', webhookId: '0x2'})]);
+
+    await storage.removeWebhook('0x1');
+
+    expect(await storage.getWebhook('0x1')).to.be.null;
+    expect(await storage.getWebhook('0x2')).to.not.be.null;
+    expect(await db.collection('webhook_deliveries')
+      .find({webhookId: '0x1'})
+      .count()).to.equal(0);
+    expect(await db.collection('webhook_deliveries')
+      .find({webhookId: '0x2'})
+      .count()).to.equal(1);
+  });
+
+  it('finds pending deliveries that are due, oldest first', async () => {
+    await storage.storeDeliveries([
+      createDelivery({deliveryId: '0x10', nextAttemptAt: 1500}),
+      createDelivery({deliveryId: '0x20', nextAttemptAt: 1200}),
+      createDelivery({deliveryId: '0x30', nextAttemptAt: 2500}),
+      createDelivery({deliveryId: '0x40', nextAttemptAt: 1000, status: WebhookDeliveryStatuses.delivered}),
+      createDelivery({deliveryId: '0x50', nextAttemptAt: 1100})
+    ]);
+
+    const deliveries = await storage.findDeliveriesToSend(2000, 2);
+    expect(deliveries.map((delivery) => delivery.deliveryId)).to.deep.equal(['0x50', '0x20']);
+  });
+
+  it('updates delivery fields', async () => {
+    await storage.storeDeliveries([createDelivery()]);
+
+    await storage.updateDelivery('0x10', {status: WebhookDeliveryStatuses.delivered, attempts: 1, lastAttemptAt: 1100});
+
+    const [delivery] = await storage.findDeliveriesToSend(2000, 10);
+    expect(delivery).to.be.undefined;
+    expect(await db.collection('webhook_deliveries').findOne({deliveryId: '0x10'}, {projection: {_id: 0}})).to.deep.equal(
+      createDelivery({status: WebhookDeliveryStatuses.delivered, attempts: 1, lastAttemptAt: 1100})
+    );
+  });
+});
@@ -8,8 +8,20 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 */
 
 import {expect} from 'chai';
-import {createMongoUrl, uploadJSONToGridFSBucket, connectToMongo, cleanDatabase, downloadJSONFromGridFSBucket, isFileInGridFSBucket} from '../../src/utils/db_utils';
+import {
+  createMongoUrl,
+  uploadJSONToGridFSBucket,
+  connectToMongo,
+  cleanDatabase,
+  downloadJSONFromGridFSBucket,
+  isFileInGridFSBucket,
+  isGridFSFileCompressed,
+  openGridFSDownloadStream,
+  openCompressedGridFSUploadStream,
+  compressGridFSFile
+} from '../../src/utils/db_utils';
 import {GridFSBucket} from 'mongodb';
+import zlib from 'zlib';
 import config from '../../src/config/config';
 
 
@@ -90,4 +102,100 @@ describe('GridFS helper functions', () => {
     expect(isFileInGridFSBucket(exampleFilename, testBucket)).to.eventually.be.true;
     expect(returnedJsonObject).to.deep.equal(exampleJsonObject);
   });
+
+  describe('compression', () => {
+    let testBucket;
+
+    const readAll = async (stream) => new Promise((resolve, reject) => {
+      const chunks = [];
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', reject);
+    });
+    const storedFile = async () => testBucket.find({filename: exampleFilename}).next();
+
+    beforeEach(() => {
+      testBucket = new GridFSBucket(db, {bucketName: 'testbucket'});
+    });
+
+    it('stores compressed object marked as compressed', async () => {
+      await uploadJSONToGridFSBucket(exampleFilename, exampleJsonObject, testBucket, true);
+
+      expect(isGridFSFileCompressed(await storedFile())).to.be.true;
+      const storedContent = await readAll(testBucket.openDownloadStreamByName(exampleFilename));
+      expect(JSON.parse(zlib.gunzipSync(storedContent))).to.deep.equal(exampleJsonObject);
+      expect(await downloadJSONFromGridFSBucket(exampleFilename, testBucket)).to.deep.equal(exampleJsonObject);
+    });
+
+    it('streams a file compressed or not regardless of how it is stored', async () => {
+      await uploadJSONToGridFSBucket(exampleFilename, exampleJsonObject, testBucket);
+      await uploadJSONToGridFSBucket('compressed', exampleJsonObject, testBucket, true);
+
+      for (const filename of [exampleFilename, 'compressed']) {
+        const uncompressed = await readAll(await openGridFSDownloadStream(filename, testBucket));
+        const compressed = await readAll(await openGridFSDownloadStream(filename, testBucket, true));
+        expect(JSON.parse(uncompressed)).to.deep.equal(exampleJsonObject);
+        expect(JSON.parse(zlib.gunzipSync(compressed))).to.deep.equal(exampleJsonObject);
+      }
+    });
+
+    it('returns null when opening a download stream for a missing file', async () => {
+      expect(await openGridFSDownloadStream(exampleFilename, testBucket)).to.be.null;
+    });
+
+    it('compresses everything written to a compressed upload stream', async () => {
+      const writeStream = openCompressedGridFSUploadStream(exampleFilename, testBucket);
+      await new Promise((resolve, reject) => {
+        writeStream.on('finish', resolve);
+        writeStream.on('error', reject);
+        writeStream.end(JSON.stringify(exampleJsonObject));
+      });
+
+      expect(isGridFSFileCompressed(await storedFile())).to.be.true;
+      expect(await downloadJSONFromGridFSBucket(exampleFilename, testBucket)).to.deep.equal(exampleJsonObject);
+    });
+
+    it('replaces an uncompressed file with a compressed one', async () => {
+      await uploadJSONToGridFSBucket(exampleFilename, exampleJsonObject, testBucket);
+
+      await compressGridFSFile(await storedFile(), testBucket);
+
+      const files = await testBucket.find({filename: exampleFilename}).toArray();
+      expect(files).to.have.length(1);
+      expect(files[0].contentType).to.equal('application/json');
+      expect(isGridFSFileCompressed(files[0])).to.be.true;
+      expect(await downloadJSONFromGridFSBucket(exampleFilename, testBucket)).to.deep.equal(exampleJsonObject);
+    });
+
+    it('treats a file removed before compressing it as already handled', async () => {
+      await uploadJSONToGridFSBucket(exampleFilename, exampleJsonObject, testBucket);
+      const file = await storedFile();
+      const {_id: fileId} = file;
+      await testBucket.delete(fileId);
+
+      expect(await compressGridFSFile(file, testBucket)).to.be.false;
+      expect(await testBucket.find({filename: exampleFilename}).toArray()).to.be.empty;
+    });
+
+    it('does not leave a compressed revision of a file removed while compressing it', async () => {
+      await uploadJSONToGridFSBucket(exampleFilename, exampleJsonObject, testBucket);
+      const file = await storedFile();
+      const {_id: fileId} = file;
+      const deleteFile = testBucket.delete.bind(testBucket);
+      const removedDuringCompression = {
+        openUploadStream: (...args) => testBucket.openUploadStream(...args),
+        openDownloadStream: (...args) => testBucket.openDownloadStream(...args),
+        delete: async (id) => {
+          if (id.equals(fileId)) {
+            // the cleanup removes the original just before the compression does
+            await deleteFile(id);
+          }
+          return deleteFile(id);
+        }
+      };
+
+      expect(await compressGridFSFile(file, removedDuringCompression)).to.be.false;
+      expect(await testBucket.find({filename: exampleFilename}).toArray()).to.be.empty;
+    });
+  });
 });
@@ -0,0 +1,158 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {Readable} from 'stream';
+import {EventEmitter} from 'events';
+import httpMocks from 'node-mocks-http';
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import {ValidationError} from '../../src/errors/errors';
+import StringWriteStream from '../../src/utils/string_write_stream';
+import {
+  CsvStream,
+  ExportFormats,
+  NdjsonStream,
+  createExportStream,
+  parseCsvColumns,
+  requestedExportFormat,
+  sendExport
+} from '../../src/utils/export_streams';
+
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Export streams', () => {
+  const entities = [
+    {eventId: '0x1', content: {idData: {timestamp: 1}, data: [{type: 'first', note: 'with, comma'}]}},
+    {eventId: '0x2', content: {idData: {timestamp: 2}, data: [{type: 'second', note: 'with "quotes"'}]}}
+  ];
+
+  const entityStream = (items) => {
+    const stream = new Readable({objectMode: true, read() {}});
+    items.forEach((item) => stream.push(item));
+    stream.push(null);
+    return stream;
+  };
+
+  const collect = (transform, items) => new Promise((resolve, reject) => {
+    const output = new StringWriteStream();
+    output.on('finish', () => resolve(output.get()));
+    transform.on('error', reject);
+    entityStream(items).pipe(transform)
+      .pipe(output);
+  });
+
+  describe('requestedExportFormat', () => {
+    const formatFor = (accept) => requestedExportFormat(httpMocks.createRequest({headers: {accept}}));
+
+    it('returns the requested export format', () => {
+      expect(formatFor('application/x-ndjson')).to.equal(ExportFormats.ndjson);
+      expect(formatFor('text/csv')).to.equal(ExportFormats.csv);
+    });
+
+    it('returns null if JSON is acceptable', () => {
+      expect(formatFor('application/json')).to.be.null;
+      expect(formatFor('*/*')).to.be.null;
+      expect(formatFor('application/json, text/csv')).to.be.null;
+      expect(requestedExportFormat(httpMocks.createRequest())).to.be.null;
+    });
+  });
+
+  describe('parseCsvColumns', () => {
+    const defaultColumns = ['eventId'];
+
+    it('returns default columns if none were selected', () => {
+      expect(parseCsvColumns(undefined, defaultColumns)).to.equal(defaultColumns);
+    });
+
+    it('splits comma separated JSON paths', () => {
+      expect(parseCsvColumns('eventId, content.idData.timestamp,$.content.data[0].type', defaultColumns))
+        .to.deep.equal(['eventId', 'content.idData.timestamp', '$.content.data[0].type']);
+    });
+
+    it('throws for invalid paths', () => {
+      expect(() => parseCsvColumns('eventId,,content', defaultColumns)).to.throw(ValidationError);
+      expect(() => parseCsvColumns('content..data', defaultColumns)).to.throw(ValidationError);
+      expect(() => parseCsvColumns('content.data[first]', defaultColumns)).to.throw(ValidationError);
+      expect(() => parseCsvColumns(['eventId'], defaultColumns)).to.throw(ValidationError);
+    });
+  });
+
+  describe('NdjsonStream', () => {
+    it('writes every entity as a JSON line', async () => {
+      expect(await collect(new NdjsonStream(), entities)).to.equal(`${JSON.stringify(entities[0])}\n${JSON.stringify(entities[1])}\n`);
+    });
+  });
+
+  describe('CsvStream', () => {
+    it('writes a header and a row of selected values per entity', async () => {
+      const csv = await collect(new CsvStream(['eventId', 'content.idData.timestamp', 'content.data[0].type']), entities);
+      expect(csv).to.equal('eventId,content.idData.timestamp,content.data[0].type\r\n0x1,1,first\r\n0x2,2,second\r\n');
+    });
+
+    it('escapes values and serializes objects as JSON', async () => {
+      const csv = await collect(new CsvStream(['$.content.data[0].note', 'content.data']), [entities[1]]);
+      const escapedData = JSON.stringify(entities[1].content.data).replace(/"/g, '""');
+      expect(csv).to.equal(`$.content.data[0].note,content.data\r\n"with ""quotes""","${escapedData}"\r\n`);
+    });
+
+    it('prefixes values that would be evaluated as formulas with a single quote', async () => {
+      const formulas = [{eventId: '=HYPERLINK("http://example.com")'}, {eventId: '+1'}, {eventId: '-1+2'}, {eventId: '@SUM(A1)'}, {eventId: '\tcmd'}, {eventId: -5}];
+      const csv = await collect(new CsvStream(['eventId']), formulas);
+      expect(csv).to.equal(`eventId\r\n"'=HYPERLINK(""http://example.com"")"\r\n'+1\r\n'-1+2\r\n'@SUM(A1)\r\n'\tcmd\r\n-5\r\n`);
+    });
+
+    it('leaves missing values empty', async () => {
+      const csv = await collect(new CsvStream(['eventId', 'content.missing.value', 'eventId.length']), [entities[0]]);
+      expect(csv).to.equal('eventId,content.missing.value,eventId.length\r\n0x1,,\r\n');
+    });
+
+    it('writes only the header if there are no entities', async () => {
+      expect(await collect(new CsvStream(['eventId']), [])).to.equal('eventId\r\n');
+    });
+  });
+
+  describe('createExportStream', () => {
+    it('creates CSV stream with selected or default columns', () => {
+      expect(createExportStream(ExportFormats.csv, 'eventId', ['assetId']).columns).to.deep.equal(['eventId']);
+      expect(createExportStream(ExportFormats.csv, undefined, ['assetId']).columns).to.deep.equal(['assetId']);
+    });
+
+    it('creates NDJSON stream', () => {
+      expect(createExportStream(ExportFormats.ndjson, undefined, ['assetId'])).to.be.instanceOf(NdjsonStream);
+    });
+
+    it('throws if columns are selected for NDJSON', () => {
+      expect(() => createExportStream(ExportFormats.ndjson, 'eventId', ['assetId'])).to.throw(ValidationError);
+    });
+  });
+
+  describe('sendExport', () => {
+    let res;
+
+    beforeEach(() => {
+      res = httpMocks.createResponse({eventEmitter: EventEmitter, writableStream: StringWriteStream});
+    });
+
+    it('streams formatted entities with the export content type', async () => {
+      await sendExport(res, ExportFormats.ndjson, entityStream(entities), new NdjsonStream());
+      expect(res._getStatusCode()).to.equal(200);
+      expect(res.getHeader('content-type')).to.include(ExportFormats.ndjson);
+      expect(res._getData().split('\n')).to.have.lengthOf(3);
+    });
+
+    it('rejects if the entity stream fails before anything was sent', async () => {
+      const failingStream = new Readable({objectMode: true, read() {
+        this.destroy(new Error('Query failed'));
+      }});
+      await expect(sendExport(res, ExportFormats.csv, failingStream, new CsvStream(['eventId']))).to.be.rejectedWith('Query failed');
+      expect(res.getHeader('content-type')).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import {buildSchema, parse, specifiedRules, validate} from 'graphql';
+import {defaultPageSize, maxCostRule, maxDepthRule} from '../../src/utils/graphql_query_limits';
+
+const {expect} = chai;
+
+describe('GraphQL query limits', () => {
+  const schema = buildSchema(`
+    type Query {
+      item(id: String!): Item
+      items(perPage: Int): ItemPage
+    }
+
+    type Item {
+      id: String
+      owner: Item
+    }
+
+    type ItemPage {
+      results: [Item]
+    }
+  `);
+
+  const errorsFor = (query, rules) => validate(schema, parse(query), rules).map(({message}) => message);
+
+  describe('depth', () => {
+    const depthErrors = (query, maxDepth) => errorsFor(query, [maxDepthRule(maxDepth)]);
+
+    it('accepts queries not deeper than the limit', () => {
+      expect(depthErrors('{ item(id: "1") { owner { id } } }', 3)).to.be.empty;
+    });
+
+    it('rejects queries deeper than the limit', () => {
+      expect(depthErrors('{ item(id: "1") { owner { owner { id } } } }', 3)).to.deep.equal(['Query depth 4 exceeds the maximum allowed depth of 3']);
+    });
+
+    it('follows fragments', () => {
+      const query = `
+        { item(id: "1") { ...ownerFields } }
+        fragment ownerFields on Item { owner { ... on Item { owner { id } } } }
+      `;
+      expect(depthErrors(query, 3)).to.deep.equal(['Query depth 4 exceeds the maximum allowed depth of 3']);
+    });
+
+    it('ignores introspection fields', () => {
+      expect(depthErrors('{ __schema { types { fields { type { ofType { name } } } } } }', 1)).to.be.empty;
+    });
+
+    it('terminates on cyclic fragments', () => {
+      const query = `
+        { item(id: "1") { ...first } }
+        fragment first on Item { owner { ...second } }
+        fragment second on Item { owner { ...first } }
+      `;
+      expect(validate(schema, parse(query), [...specifiedRules, maxDepthRule(10)]).map(({message}) => message))
+        .to.include('Cannot spread fragment "first" within itself via second.');
+    });
+  });
+
+  describe('cost', () => {
+    const costErrors = (query, maxCost, variables) => errorsFor(query, [maxCostRule(maxCost, variables)]);
+
+    it('counts every resolved field', () => {
+      expect(costErrors('{ item(id: "1") { id owner { id } } }', 4)).to.be.empty;
+      expect(costErrors('{ item(id: "1") { id owner { id } } }', 3)).to.deep.equal(['Query cost 4 exceeds the maximum allowed cost of 3']);
+    });
+
+    it('multiplies the cost of paginated selections by the page size', () => {
+      expect(costErrors('{ items(perPage: 10) { results { id } } }', 20)).to.deep.equal(['Query cost 21 exceeds the maximum allowed cost of 20']);
+    });
+
+    it('uses the default page size if none was requested', () => {
+      const expectedCost = 1 + (defaultPageSize * 2);
+      expect(costErrors('{ items { results { id } } }', expectedCost)).to.be.empty;
+      expect(costErrors('{ items { results { id } } }', expectedCost - 1)).to.have.lengthOf(1);
+    });
+
+    it('reads page sizes from variables', () => {
+      const query = 'query Items($perPage: Int) { items(perPage: $perPage) { results { id } } }';
+      expect(costErrors(query, 20, {perPage: 5})).to.be.empty;
+      expect(costErrors(query, 20, {perPage: 50})).to.deep.equal(['Query cost 101 exceeds the maximum allowed cost of 20']);
+    });
+
+    it('costs page sizes outside of 1 to 100 as the default page size', () => {
+      const expectedCost = 1 + (defaultPageSize * 2);
+      for (const perPage of [-100000, 0, 101, 1000000]) {
+        expect(costErrors(`{ items(perPage: ${perPage}) { results { id } } }`, expectedCost)).to.be.empty;
+        expect(costErrors(`{ items(perPage: ${perPage}) { results { id } } }`, expectedCost - 1)).to.have.lengthOf(1);
+      }
+    });
+
+    it('does not let a negative page size offset the cost of sibling fields', () => {
+      const query = '{ neg: items(perPage: -100000) { results { id } } big: items(perPage: 100) { results { id } } }';
+      expect(costErrors(query, 300)).to.deep.equal(['Query cost 402 exceeds the maximum allowed cost of 300']);
+    });
+
+    it('costs invalid page sizes from variables as the default page size', () => {
+      const query = 'query Items($perPage: Int) { items(perPage: $perPage) { results { id } } }';
+      expect(costErrors(query, 200, {perPage: -5})).to.deep.equal(['Query cost 201 exceeds the maximum allowed cost of 200']);
+    });
+  });
+});
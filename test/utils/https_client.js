@@ -10,6 +10,7 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 import chai from 'chai';
 import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
+import zlib from 'zlib';
 
 import HttpsClient from '../../src/utils/https_client';
 import {NotFoundError, PermissionError, ValidationError, AuthenticationError} from '../../src/errors/errors';
@@ -77,6 +78,10 @@ describe('Https client', () => {
     it('in open stream', async () => {
       await expect(httpsClient.openHTTPSGetStream('http://not-an-url.com', '/foo')).to.be.rejectedWith('socket hang up');
     });
+
+    it('in post', async () => {
+      await expect(httpsClient.performHTTPSPost('http://not-an-url.com', '/foo', '{}')).to.be.rejectedWith('socket hang up');
+    });
   });
 
   describe('handles response timeout', () => {
@@ -98,5 +103,84 @@ describe('Https client', () => {
       await expect(httpsClient.openHTTPSGetStream('http://not-an-url.com', '/foo', {timeout: 50})).to.be.rejectedWith('Request timed out');
       expect(clientRequest.aborted).to.be.true;
     });
+
+    it('in post', async () => {
+      await expect(httpsClient.performHTTPSPost('http://not-an-url.com', '/foo', '{}', {}, {timeout: 50})).to.be.rejectedWith('Request timed out');
+      expect(clientRequest.aborted).to.be.true;
+    });
+  });
+
+  describe('opens stream', () => {
+    const body = JSON.stringify({foo: 'bar'});
+    let receivedRequest;
+
+    const readAll = async (stream) => new Promise((resolve, reject) => {
+      let data = '';
+      stream.on('data', (chunk) => data += chunk);
+      stream.on('end', () => resolve(data));
+      stream.on('error', reject);
+    });
+
+    const respondWith = (headers, responseBody) => {
+      mitm.on('request', (req, res) => {
+        receivedRequest = req;
+        res.writeHead(200, headers);
+        res.end(responseBody);
+      });
+    };
+
+    it('requests a compressed transfer', async () => {
+      respondWith({}, body);
+      await httpsClient.openHTTPSGetStream('http://not-an-url.com', '/foo');
+      expect(receivedRequest.headers['accept-encoding']).to.equal('gzip');
+    });
+
+    it('decompresses a gzipped response', async () => {
+      respondWith({'Content-Encoding': 'gzip'}, zlib.gzipSync(body));
+      const {response, statusCode} = await httpsClient.openHTTPSGetStream('http://not-an-url.com', '/foo');
+      expect(statusCode).to.equal(200);
+      expect(await readAll(response)).to.equal(body);
+    });
+
+    it('passes an uncompressed response through', async () => {
+      respondWith({}, body);
+      const {response} = await httpsClient.openHTTPSGetStream('http://not-an-url.com', '/foo');
+      expect(await readAll(response)).to.equal(body);
+    });
+
+    it('emits an error for a broken gzipped response', async () => {
+      respondWith({'Content-Encoding': 'gzip'}, body);
+      const {response} = await httpsClient.openHTTPSGetStream('http://not-an-url.com', '/foo');
+      await expect(readAll(response)).to.be.rejectedWith(/incorrect header check/);
+    });
+  });
+
+  describe('performs post', () => {
+    let receivedRequest;
+    let receivedBody;
+
+    beforeEach(() => {
+      mitm.on('request', (req, res) => {
+        receivedRequest = req;
+        receivedBody = '';
+        req.on('data', (chunk) => {
+          receivedBody += chunk;
+        });
+        req.on('end', () => {
+          res.statusCode = 202;
+          res.end('ignored');
+        });
+      });
+    });
+
+    it('sends body with headers and resolves with status code', async () => {
+      const body = JSON.stringify({foo: 'bar'});
+      expect(await httpsClient.performHTTPSPost('http://not-an-url.com', '/foo', body, {'Content-Type': 'application/json'})).to.deep.equal({statusCode: 202});
+      expect(receivedRequest.method).to.equal('POST');
+      expect(receivedRequest.url).to.equal('/foo');
+      expect(receivedRequest.headers['content-type']).to.equal('application/json');
+      expect(receivedRequest.headers['content-length']).to.equal(`${body.length}`);
+      expect(receivedBody).to.equal(body);
+    });
   });
 });
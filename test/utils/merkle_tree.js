@@ -0,0 +1,98 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import {calculateMerkleProof, calculateMerkleProofs, calculateMerkleRoot, verifyMerkleProof} from '../../src/utils/merkle_tree';
+
+const {expect} = chai;
+
+describe('Merkle tree', () => {
+  const hash = (list) => `(${list.join(',')})`;
+  const leaf = (value) => `(0x00,${value})`;
+  const node = (left, right) => `(0x01,${left},${right})`;
+  const leaves = ['a', 'b', 'c', 'd', 'e'];
+
+  describe('calculateMerkleRoot', () => {
+    it('hashes pairs level by level and promotes unpaired nodes', () => {
+      expect(calculateMerkleRoot(leaves, hash)).to.equal(node(node(node(leaf('a'), leaf('b')), node(leaf('c'), leaf('d'))), leaf('e')));
+    });
+
+    it('returns the hashed leaf for a single leaf', () => {
+      expect(calculateMerkleRoot(['a'], hash)).to.equal(leaf('a'));
+    });
+
+    it('returns hash of an empty list for no leaves', () => {
+      expect(calculateMerkleRoot([], hash)).to.equal('()');
+    });
+  });
+
+  describe('calculateMerkleProof', () => {
+    it('returns sibling path with positions', () => {
+      expect(calculateMerkleProof(leaves, 2, hash)).to.deep.equal([
+        {position: 'right', hash: leaf('d')},
+        {position: 'left', hash: node(leaf('a'), leaf('b'))},
+        {position: 'right', hash: leaf('e')}
+      ]);
+    });
+
+    it('skips levels where the node has no sibling', () => {
+      expect(calculateMerkleProof(leaves, 4, hash)).to.deep.equal([
+        {position: 'left', hash: node(node(leaf('a'), leaf('b')), node(leaf('c'), leaf('d')))}
+      ]);
+    });
+
+    it('returns empty path for a single leaf', () => {
+      expect(calculateMerkleProof(['a'], 0, hash)).to.deep.equal([]);
+    });
+
+    it('throws if leaf index is out of range', () => {
+      expect(() => calculateMerkleProof(leaves, 5, hash)).to.throw('Leaf index 5 is out of range');
+    });
+  });
+
+  describe('calculateMerkleProofs', () => {
+    it('returns the same proofs as calculateMerkleProof', () => {
+      expect(calculateMerkleProofs(leaves, [4, 2, 0], hash)).to.deep.equal([4, 2, 0].map((index) => calculateMerkleProof(leaves, index, hash)));
+    });
+
+    it('builds the tree only once for all of the proofs', () => {
+      let hashCount = 0;
+      const countingHash = (list) => {
+        hashCount++;
+        return hash(list);
+      };
+      calculateMerkleProofs(leaves, [0, 1, 2, 3, 4], countingHash);
+      expect(hashCount).to.equal((2 * leaves.length) - 1);
+    });
+
+    it('throws if any leaf index is out of range', () => {
+      expect(() => calculateMerkleProofs(leaves, [0, -1], hash)).to.throw('Leaf index -1 is out of range');
+    });
+  });
+
+  describe('verifyMerkleProof', () => {
+    it('accepts proofs of all leaves', () => {
+      const root = calculateMerkleRoot(leaves, hash);
+      leaves.forEach((leaf, index) => {
+        expect(verifyMerkleProof(leaf, calculateMerkleProof(leaves, index, hash), root, hash)).to.be.true;
+      });
+    });
+
+    it('rejects proof for another leaf', () => {
+      const root = calculateMerkleRoot(leaves, hash);
+      expect(verifyMerkleProof('x', calculateMerkleProof(leaves, 0, hash), root, hash)).to.be.false;
+    });
+
+    it('rejects an inner node presented as a leaf', () => {
+      const root = calculateMerkleRoot(['a', 'b', 'c', 'd'], hash);
+      const proof = [{position: 'right', hash: node(leaf('c'), leaf('d'))}];
+      expect(verifyMerkleProof(node(leaf('a'), leaf('b')), proof, root, hash)).to.be.false;
+    });
+  });
+});
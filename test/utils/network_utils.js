@@ -0,0 +1,62 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import {isPublicIpAddress, publicAddressLookup} from '../../src/utils/network_utils';
+
+const {expect} = chai;
+
+describe('Network utils', () => {
+  describe('isPublicIpAddress', () => {
+    ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:2800:220:1:248:1893:25c8:1946', '::ffff:93.184.216.34'].forEach((address) => {
+      it(`accepts a public address: ${address}`, () => {
+        expect(isPublicIpAddress(address)).to.be.true;
+      });
+    });
+
+    [
+      '0.0.0.0', '10.0.0.1', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.16.0.1', '172.31.255.255', '192.168.0.1', '224.0.0.1', '255.255.255.255',
+      '::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'fe80::1%eth0', 'ff02::1', '::ffff:10.0.0.1', '::ffff:7f00:1', '::127.0.0.1'
+    ].forEach((address) => {
+      it(`rejects a non-public address: ${address}`, () => {
+        expect(isPublicIpAddress(address)).to.be.false;
+      });
+    });
+
+    it('rejects malformed addresses', () => {
+      expect(isPublicIpAddress('example.com')).to.be.false;
+      expect(isPublicIpAddress('300.1.1.1')).to.be.false;
+    });
+  });
+
+  describe('publicAddressLookup', () => {
+    it('passes a public address through', (done) => {
+      publicAddressLookup('93.184.216.34', {}, (error, address, family) => {
+        expect(error).to.be.null;
+        expect(address).to.equal('93.184.216.34');
+        expect(family).to.equal(4);
+        done();
+      });
+    });
+
+    it('fails for a non-public address', (done) => {
+      publicAddressLookup('127.0.0.1', {}, (error) => {
+        expect(error.message).to.equal('127.0.0.1 resolves to a non-public address 127.0.0.1');
+        done();
+      });
+    });
+
+    it('fails if any of all requested addresses is not public', (done) => {
+      publicAddressLookup('::1', {all: true}, (error) => {
+        expect(error.message).to.include('non-public address ::1');
+        done();
+      });
+    });
+  });
+});
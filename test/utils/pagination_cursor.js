@@ -0,0 +1,39 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import {CursorDirections, decodeCursor, encodeCursor} from '../../src/utils/pagination_cursor';
+import {ValidationError} from '../../src/errors/errors';
+
+const {expect} = chai;
+
+describe('Pagination cursor', () => {
+  it('decodes encoded position', () => {
+    const cursor = encodeCursor({value: 1500000000, id: '0xabc'}, CursorDirections.next);
+    expect(decodeCursor(cursor)).to.deep.equal({value: 1500000000, id: '0xabc', direction: CursorDirections.next});
+  });
+
+  it('supports missing sorting key value', () => {
+    const cursor = encodeCursor({value: null, id: '0xabc'}, CursorDirections.prev);
+    expect(decodeCursor(cursor)).to.deep.equal({value: null, id: '0xabc', direction: CursorDirections.prev});
+  });
+
+  it('is url safe', () => {
+    const cursor = encodeCursor({value: '>>>???', id: '~~~~'}, CursorDirections.next);
+    expect(cursor).to.match(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor).id).to.equal('~~~~');
+  });
+
+  it('throws ValidationError on malformed cursor', () => {
+    expect(() => decodeCursor('not a cursor')).to.throw(ValidationError);
+    expect(() => decodeCursor(['abc'])).to.throw(ValidationError);
+    expect(() => decodeCursor(Buffer.from(JSON.stringify({value: 1, id: '0x1', direction: 'sideways'})).toString('base64'))).to.throw(ValidationError);
+    expect(() => decodeCursor(Buffer.from(JSON.stringify({value: {}, id: '0x1', direction: 'next'})).toString('base64'))).to.throw(ValidationError);
+  });
+});
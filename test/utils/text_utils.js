@@ -0,0 +1,56 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import {makeSnippet, searchTerms, textSearchLanguage} from '../../src/utils/text_utils';
+
+const {expect} = chai;
+
+describe('Text utils', () => {
+  describe('textSearchLanguage', () => {
+    it('returns language supported by text search', () => {
+      expect(textSearchLanguage('en')).to.equal('en');
+      expect(textSearchLanguage('de-AT')).to.equal('de');
+      expect(textSearchLanguage('FR')).to.equal('fr');
+    });
+
+    it('returns none for unsupported or missing language', () => {
+      expect(textSearchLanguage('pl')).to.equal('none');
+      expect(textSearchLanguage(null)).to.equal('none');
+    });
+  });
+
+  describe('searchTerms', () => {
+    it('splits search into terms, skipping negated ones', () => {
+      expect(searchTerms('  red "dry wine" -white ')).to.deep.equal(['red', 'dry', 'wine']);
+    });
+  });
+
+  describe('makeSnippet', () => {
+    const text = 'abcdefghij'.repeat(10);
+
+    it('returns short text as it is', () => {
+      expect(makeSnippet('Red wine', ['wine'])).to.equal('Red wine');
+    });
+
+    it('returns beginning of the text if there is no match', () => {
+      expect(makeSnippet(text, ['xyz'], 20)).to.equal(`${text.slice(0, 20)}...`);
+    });
+
+    it('returns excerpt around the first match, ignoring case', () => {
+      const textWithMatch = `${text}Wine${text}`;
+      expect(makeSnippet(textWithMatch, ['grape', 'wine'], 20)).to.equal(`...${textWithMatch.slice(95, 115)}...`);
+    });
+
+    it('does not extend past the end of the text', () => {
+      const textWithMatch = `${text}wine`;
+      expect(makeSnippet(textWithMatch, ['wine'], 20)).to.equal(`...${textWithMatch.slice(84)}`);
+    });
+  });
+});
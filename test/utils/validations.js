@@ -12,6 +12,7 @@ import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 import validateAndCast from '../../src/utils/validations';
 import {ValidationError} from '../../src/errors/errors';
+import {CursorDirections, encodeCursor} from '../../src/utils/pagination_cursor';
 
 const {expect} = chai;
 chai.use(sinonChai);
@@ -156,6 +157,52 @@ describe('validation', () => {
     });
   });
 
+  describe('castBoolean', () => {
+    const input = {bool: true, strTrue: 'true', strFalse: 'false', other: 'yes'};
+
+    beforeEach(() => {
+      validator = validateAndCast(input);
+    });
+
+    it('returns self', async () => {
+      expect(validator.castBoolean([])).to.deep.equal(validator);
+    });
+
+    it('works for boolean and string parameters', () => {
+      expect(() => validator.castBoolean(['bool', 'strTrue', 'strFalse'])).to.not.throw();
+      expect(validator.getCastedParams()).to.include({bool: true, strTrue: true, strFalse: false});
+    });
+
+    it('does nothing if parameter is undefined', async () => {
+      expect(() => validator.castBoolean(['undefinedPath'])).to.not.throw();
+      expect(validator.getCastedParams()).to.deep.equal(input);
+    });
+
+    it('throws if parameter is not a boolean', () => {
+      expect(() => validator.castBoolean(['other'])).to.throw(ValidationError);
+    });
+  });
+
+  describe('castPaginationCursor', () => {
+    const position = {value: 10, id: '0x1'};
+
+    it('decodes the cursor', () => {
+      const validated = validateAndCast({cursor: encodeCursor(position, CursorDirections.next)})
+        .castPaginationCursor(['cursor'])
+        .getCastedParams();
+      expect(validated).to.deep.equal({cursor: {...position, direction: CursorDirections.next}});
+    });
+
+    it('does nothing if parameter is undefined', async () => {
+      expect(validateAndCast({}).castPaginationCursor(['cursor'])
+        .getCastedParams()).to.deep.equal({});
+    });
+
+    it('throws if cursor is malformed', () => {
+      expect(() => validateAndCast({cursor: 'abc'}).castPaginationCursor(['cursor'])).to.throw(ValidationError);
+    });
+  });
+
   describe('isNonNegativeInteger', () => {
     const input = {int: 6969, strInt: '6969', float: '3.14', nan: NaN, neg: -10, zero: 0, arr: [1], obj: {}};
 
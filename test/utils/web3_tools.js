@@ -11,6 +11,7 @@ import chai from 'chai';
 import chaiAsPromised from 'chai-as-promised';
 import {
   checkIfEnoughFundsToPayForGas,
+  createReadOnlyWeb3,
   getBalance,
   isSyncing,
   waitForChainSync
@@ -119,5 +120,36 @@ describe('Web3 tools', () => {
       mockWeb3.eth.getBalance.resolves('23500000000000001');
       expect(await checkIfEnoughFundsToPayForGas(mockWeb3, address)).to.be.true;
     });
+
+    it('uses the provided gas price', async () => {
+      mockWeb3.eth.getBalance.resolves('23500000000000000');
+      expect(await checkIfEnoughFundsToPayForGas(mockWeb3, address, utils.toWei('6', 'gwei'))).to.be.false;
+      expect(await checkIfEnoughFundsToPayForGas(mockWeb3, address, utils.toWei('4', 'gwei'))).to.be.true;
+    });
+  });
+
+  describe('createReadOnlyWeb3', () => {
+    const rpc = 'http://localhost:8545';
+    let nodePrivateKey;
+
+    before(() => {
+      nodePrivateKey = process.env.WEB3_NODEPRIVATEKEY;
+      delete process.env.WEB3_NODEPRIVATEKEY;
+    });
+
+    after(() => {
+      process.env.WEB3_NODEPRIVATEKEY = nodePrivateKey;
+    });
+
+    it('connects to the rpc server without the node private key', () => {
+      const web3 = createReadOnlyWeb3(rpc);
+      expect(web3.currentProvider.host).to.equal(rpc);
+      expect(web3.eth.accounts.wallet).to.have.lengthOf(0);
+      expect(web3.eth.defaultAccount).to.be.null;
+    });
+
+    it('throws for an invalid rpc server address', () => {
+      expect(() => createReadOnlyWeb3('localhost')).to.throw('Invalid web3 rpc server address: localhost');
+    });
   });
 });
@@ -0,0 +1,67 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {JsonValidationError} from '../../../src/errors/errors';
+import EventEntryValidator from '../../../src/validators/event_entry_validator.js';
+import JsonSchemaValidator from '../../../src/validators/json_schema_validator';
+import relationAssetSchema from '../../../src/validators/schemas/custom/ambrosus.asset.relation.json';
+import {pick, put} from '../../../src/utils/dict_utils';
+import chai from 'chai';
+
+const {expect} = chai;
+
+const createEventWithEntries = (entries) => ({
+  data: entries
+});
+
+
+describe(`Event Entry Validator - 'ambrosus.asset.relation'`, () => {
+  const validEntry = {
+    type: 'ambrosus.asset.relation',
+    relation: 'parent',
+    assetId: '0x39d59c8c1cdefb95f4df15fd4f43bce842a761e189e11bedcc1d54f3b0459c21'
+  };
+
+  const relationAssetValidator = new EventEntryValidator('ambrosus.asset.relation',
+    new JsonSchemaValidator(relationAssetSchema));
+
+  const expectValidationError = (brokenEntry, errorMessage) => {
+    const event = createEventWithEntries([brokenEntry]);
+    expect(() => relationAssetValidator.validate(event))
+      .to.throw(JsonValidationError)
+      .and.have.nested.property('errors[0].message', errorMessage);
+  };
+
+  ['parent', 'child', 'derivedFrom'].forEach((relation) => {
+    it(`accepts valid entry with "${relation}" relation`, async () => {
+      const event = createEventWithEntries([put(validEntry, 'relation', relation)]);
+      expect(() => relationAssetValidator.validate(event)).to.not.throw();
+    });
+  });
+
+  it('throws if provided unknown "relation"', async () => {
+    const brokenEntry = put(validEntry, 'relation', 'sibling');
+    const errorMessage = 'should be equal to one of the allowed values';
+    expectValidationError(brokenEntry, errorMessage);
+  });
+
+  it('throws if provided invalid "assetId"', async () => {
+    const brokenEntry = put(validEntry, 'assetId', '0x39d59c8c1cdefb95f4df15fd4f43bce842a761e189e11bedcc1d54zzzzzzzzzz');
+    const errorMessage = 'should match pattern "^0x[a-fA-F0-9]{64}$"';
+    expectValidationError(brokenEntry, errorMessage);
+  });
+
+  ['relation', 'assetId'].forEach((field) => {
+    it(`throws if "${field}" is missing`, async () => {
+      const brokenEntry = pick(validEntry, field);
+      const errorMessage = `should have required property '${field}'`;
+      expectValidationError(brokenEntry, errorMessage);
+    });
+  });
+});
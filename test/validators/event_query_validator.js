@@ -0,0 +1,87 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {JsonValidationError, ValidationError} from '../../src/errors/errors';
+import EventQueryValidator from '../../src/validators/event_query_validator';
+import chai from 'chai';
+
+const {expect} = chai;
+
+describe('EventQueryValidator', () => {
+  const condition = (field, op = 'eq', value = 'value') => ({field, op, value});
+  let validator;
+
+  before(() => {
+    validator = new EventQueryValidator(5, 4);
+  });
+
+  it('accepts a single condition', () => {
+    expect(() => validator.validate(condition('data.type'))).to.not.throw();
+  });
+
+  it('accepts nested logical clauses', () => {
+    const query = {
+      and: [
+        condition('assetId'),
+        {or: [condition('timestamp', 'gte', 10), {not: condition('data.unit', 'in', ['C', 'F'])}]}
+      ]
+    };
+    expect(() => validator.validate(query)).to.not.throw();
+  });
+
+  it('accepts entry clauses with fields relative to the entry', () => {
+    const query = {entry: {and: [condition('type'), condition('value', 'lt', 5), condition('sensor.id', 'exists', true)]}};
+    expect(() => validator.validate(query)).to.not.throw();
+  });
+
+  ['content.idData.assetId', 'data', 'data.$where', 'metadata.bundleId', 'data.type.$ne'].forEach((field) => {
+    it(`throws for field not on the whitelist: ${field}`, () => {
+      expect(() => validator.validate(condition(field))).to.throw(JsonValidationError);
+    });
+  });
+
+  it('throws for unknown operators', () => {
+    expect(() => validator.validate(condition('data.type', 'regex'))).to.throw(JsonValidationError);
+  });
+
+  it('throws for object values', () => {
+    expect(() => validator.validate(condition('data.type', 'eq', {$ne: null}))).to.throw(JsonValidationError);
+  });
+
+  it('throws if in/nin is given something else than a non-empty list', () => {
+    expect(() => validator.validate(condition('data.type', 'in', 'a'))).to.throw(JsonValidationError);
+    expect(() => validator.validate(condition('data.type', 'nin', []))).to.throw(JsonValidationError);
+    expect(() => validator.validate(condition('data.type', 'eq', ['a']))).to.throw(JsonValidationError);
+  });
+
+  it('throws if exists is not given a boolean', () => {
+    expect(() => validator.validate(condition('data.type', 'exists', 1))).to.throw(JsonValidationError);
+  });
+
+  it('throws for unknown clause fields', () => {
+    expect(() => validator.validate({...condition('data.type'), extra: 1})).to.throw(JsonValidationError);
+    expect(() => validator.validate({and: [condition('data.type')], or: [condition('data.type')]})).to.throw(JsonValidationError);
+  });
+
+  it('throws for nested entry clauses', () => {
+    expect(() => validator.validate({entry: {entry: condition('type')}})).to.throw(JsonValidationError);
+  });
+
+  it('throws if query is nested too deep', () => {
+    expect(() => validator.validate({not: {and: [{or: [condition('data.type')]}]}})).to.not.throw();
+    expect(() => validator.validate({not: {and: [{or: [{not: condition('data.type')}]}]}}))
+      .to.throw(ValidationError, 'Query should not be nested deeper than 4 levels');
+  });
+
+  it('throws if query has too many conditions', () => {
+    expect(() => validator.validate({or: new Array(5).fill(condition('data.type'))})).to.not.throw();
+    expect(() => validator.validate({or: new Array(6).fill(condition('data.type'))}))
+      .to.throw(ValidationError, 'Query should not have more than 5 conditions');
+  });
+});
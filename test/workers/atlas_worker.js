@@ -41,6 +41,7 @@ describe('Atlas Worker', () => {
   let dataModelEngineMock;
   let mockWorkerLogRepository;
   let mockWeb3;
+  let gasPriceOracleMock;
   let strategyMock;
   let loggerMock;
   let shouldFetchBundleStub;
@@ -56,6 +57,9 @@ describe('Atlas Worker', () => {
       },
       utils
     };
+    gasPriceOracleMock = {
+      gasPrice: sinon.stub().resolves(utils.toWei('5', 'gwei'))
+    };
     const {client: mongoClient} = await connectToMongo(config);
     challengesRepositoryMock = {
       ongoingChallenges: sinon.stub(),
@@ -102,7 +106,8 @@ describe('Atlas Worker', () => {
       loggerMock,
       mongoClient,
       config.serverPort,
-      requiredFreeDiskSpace
+      requiredFreeDiskSpace,
+      gasPriceOracleMock
     );
 
     atlasWorker.beforeWorkLoop();
@@ -286,6 +291,11 @@ describe('Atlas Worker', () => {
         await expect(checkWithNoFunds()).to.eventually.be.false;
       });
 
+      it('prices the gas with the gas price oracle', async () => {
+        gasPriceOracleMock.gasPrice.resolves(utils.toWei('3000', 'gwei'));
+        await expect(checkWithEnoughFunds()).to.eventually.be.false;
+      });
+
       it('returns true when account has enough funds after it was out of funds', async () => {
         await checkWithNoFunds();
         await expect(checkWithEnoughFunds()).to.eventually.be.true;
@@ -0,0 +1,86 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import BundleCompressionWorker from '../../src/workers/bundle_compression_worker';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Bundle compression worker', () => {
+  let mockDataModelEngine;
+  let mockWorkerTaskTracker;
+  let logger;
+  let worker;
+  const exampleWorkId = 'workId';
+  const exampleWorkerInterval = 60;
+  const exampleBatchSize = 100;
+
+  beforeEach(() => {
+    logger = {
+      info: sinon.stub(),
+      error: sinon.stub()
+    };
+    mockWorkerTaskTracker = {
+      tryToBeginWork: sinon.stub().resolves(exampleWorkId),
+      finishWork: sinon.spy()
+    };
+    mockDataModelEngine = {
+      compressStoredBundles: sinon.stub().resolves({compressedCount: 3, failedCount: 0})
+    };
+    worker = new BundleCompressionWorker(mockDataModelEngine, mockWorkerTaskTracker, logger, exampleWorkerInterval, exampleBatchSize);
+  });
+
+  describe('periodicWork', () => {
+    it('compresses a batch of stored bundles', async () => {
+      await worker.periodicWork();
+      expect(mockDataModelEngine.compressStoredBundles).to.be.calledOnceWith(exampleBatchSize);
+      expect(logger.info).to.be.calledOnceWith('Compressed 3 stored bundles');
+    });
+
+    it('does not log when there was nothing to compress', async () => {
+      mockDataModelEngine.compressStoredBundles.resolves({compressedCount: 0, failedCount: 0});
+      await worker.periodicWork();
+      expect(logger.info).to.not.be.called;
+      expect(logger.error).to.not.be.called;
+    });
+
+    it('logs bundles that failed to compress', async () => {
+      mockDataModelEngine.compressStoredBundles.resolves({compressedCount: 2, failedCount: 1});
+      await worker.periodicWork();
+      expect(logger.info).to.be.calledOnceWith('Compressed 2 stored bundles');
+      expect(logger.error).to.be.calledOnceWith('Failed to compress 1 stored bundles');
+    });
+
+    it('starts and ends BundleCompression task', async () => {
+      await worker.periodicWork();
+      expect(mockWorkerTaskTracker.tryToBeginWork).to.be.calledOnceWith('BundleCompression');
+      expect(mockWorkerTaskTracker.tryToBeginWork).to.be.calledBefore(mockDataModelEngine.compressStoredBundles);
+      expect(mockWorkerTaskTracker.finishWork).to.be.calledOnceWith(exampleWorkId);
+      expect(mockWorkerTaskTracker.finishWork).to.be.calledAfter(mockDataModelEngine.compressStoredBundles);
+    });
+
+    it('skips the work when another node is already compressing', async () => {
+      mockWorkerTaskTracker.tryToBeginWork.rejects(new Error('Work of this type is currently in progress'));
+      await worker.periodicWork();
+      expect(mockDataModelEngine.compressStoredBundles).to.not.be.called;
+      expect(mockWorkerTaskTracker.finishWork).to.not.be.called;
+    });
+
+    it('ends the task even if compressing failed', async () => {
+      mockDataModelEngine.compressStoredBundles.rejects(new Error('Oh No!'));
+      await expect(worker.periodicWork()).to.be.rejected;
+      expect(mockWorkerTaskTracker.finishWork).to.be.calledOnceWith(exampleWorkId);
+    });
+  });
+});
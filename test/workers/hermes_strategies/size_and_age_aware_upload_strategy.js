@@ -0,0 +1,137 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import SizeAndAgeAwareUploadStrategy from '../../../src/workers/hermes_strategies/size_and_age_aware_upload_strategy';
+
+chai.use(sinonChai);
+const {expect} = chai;
+
+describe('Size and age aware upload strategy', () => {
+  const now = 1700000000;
+  const config = {
+    hermesWorkerInterval: 60,
+    bundlingMinimumItems: 3,
+    bundlingMinimumSize: 100000,
+    bundlingMaximumEntityAge: 3600,
+    bundlingDailyGasBudget: 1000000,
+    bundleUploadGasEstimate: 400000
+  };
+  let clock;
+  let mockDataModelEngine;
+  let strategy;
+
+  const entry = (uploadTimestamp) => ({
+    content: {idData: {timestamp: uploadTimestamp - 100}},
+    metadata: {entityUploadTimestamp: uploadTimestamp}
+  });
+  const bundleWith = (entries) => ({bundleId: '0xc0ffee', content: {entries}});
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(now * 1000);
+    mockDataModelEngine = {
+      getUploadGasSpending: sinon.stub().resolves({gasUsed: 0, pendingUploads: 0})
+    };
+    strategy = new SizeAndAgeAwareUploadStrategy(config, mockDataModelEngine);
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('takes the worker interval from config', () => {
+    expect(strategy.workerInterval).to.equal(60);
+  });
+
+  it('discards an empty candidate', async () => {
+    expect(await strategy.shouldBundle(bundleWith([]))).to.include({result: false, reason: 'No entities to bundle'});
+  });
+
+  it('accepts when enough entities are pending', async () => {
+    const decision = await strategy.shouldBundle(bundleWith([entry(now), entry(now), entry(now)]));
+    expect(decision).to.include({result: true, reason: 'Enough entities to bundle'});
+    expect(decision.details).to.include({itemCount: 3, oldestEntityAge: 0, gasSpentToday: 0});
+  });
+
+  it('accepts when the candidate is big enough', async () => {
+    const bigEntry = {...entry(now), content: {idData: {timestamp: now}, data: 'x'.repeat(100000)}};
+    const decision = await strategy.shouldBundle(bundleWith([bigEntry]));
+    expect(decision).to.include({result: true, reason: 'Bundle size threshold reached'});
+    expect(decision.details.byteSize).to.be.above(100000);
+  });
+
+  it('accepts when the oldest entity waited too long', async () => {
+    const decision = await strategy.shouldBundle(bundleWith([entry(now), entry(now - 3600)]));
+    expect(decision).to.include({result: true, reason: 'Oldest entity waited too long'});
+    expect(decision.details.oldestEntityAge).to.equal(3600);
+  });
+
+  it('falls back to the entity timestamp when the upload timestamp is missing', async () => {
+    const decision = await strategy.shouldBundle(bundleWith([{content: {idData: {timestamp: now - 4000}}}]));
+    expect(decision).to.include({result: true, reason: 'Oldest entity waited too long'});
+  });
+
+  it('discards a small candidate with recent entities', async () => {
+    const decision = await strategy.shouldBundle(bundleWith([entry(now - 10)]));
+    expect(decision).to.include({result: false, reason: 'Too few and too recent entities to bundle'});
+  });
+
+  it('discards when the daily gas budget would be exceeded', async () => {
+    mockDataModelEngine.getUploadGasSpending.resolves({gasUsed: 800000, pendingUploads: 0});
+
+    const decision = await strategy.shouldBundle(bundleWith([entry(now), entry(now), entry(now)]));
+    expect(decision).to.include({result: false, reason: 'Daily gas budget exhausted'});
+    expect(decision.details.gasSpentToday).to.equal(800000);
+  });
+
+  it('counts the estimated gas of the bundles still waiting for an upload', async () => {
+    mockDataModelEngine.getUploadGasSpending.resolves({gasUsed: 150000, pendingUploads: 2});
+
+    const decision = await strategy.shouldBundle(bundleWith([entry(now), entry(now), entry(now)]));
+    expect(decision).to.include({result: false, reason: 'Daily gas budget exhausted'});
+    expect(decision.details.gasSpentToday).to.equal(950000);
+  });
+
+  it('counts the gas spending from the start of the current day', async () => {
+    await strategy.shouldBundle(bundleWith([entry(now)]));
+    expect(mockDataModelEngine.getUploadGasSpending).to.be.calledOnceWith(now - (now % 86400));
+  });
+
+  it('ignores the gas budget when it is disabled', async () => {
+    strategy = new SizeAndAgeAwareUploadStrategy({...config, bundlingDailyGasBudget: 0}, mockDataModelEngine);
+    mockDataModelEngine.getUploadGasSpending.resolves({gasUsed: 1200000, pendingUploads: 0});
+
+    expect(await strategy.shouldBundle(bundleWith([entry(now), entry(now), entry(now)]))).to.include({result: true});
+  });
+
+  describe('Bundling partitions', () => {
+    const partitionWith = (settings) => ({key: '1', creators: ['0x1'], settings});
+
+    it('uses a single storage period by default', () => {
+      expect(strategy.storagePeriods(partitionWith({}))).to.equal(1);
+    });
+
+    it('takes the storage periods from the partition settings', () => {
+      expect(strategy.storagePeriods(partitionWith({storagePeriods: 4}))).to.equal(4);
+    });
+
+    it('takes the minimum number of entities from the partition settings', async () => {
+      const partition = partitionWith({bundlingMinimumItems: 2});
+      expect(await strategy.shouldBundle(bundleWith([entry(now), entry(now)]), partition)).to.include({result: true, reason: 'Enough entities to bundle'});
+      expect(await strategy.shouldBundle(bundleWith([entry(now), entry(now)]), partitionWith({}))).to.include({result: false});
+    });
+
+    it('takes the minimum size from the partition settings', async () => {
+      const partition = partitionWith({bundlingMinimumSize: 10});
+      expect(await strategy.shouldBundle(bundleWith([entry(now)]), partition)).to.include({result: true, reason: 'Bundle size threshold reached'});
+    });
+  });
+});
@@ -33,7 +33,8 @@ describe('Hermes Worker', () => {
   let mockStrategy;
   let mockResult;
   let hermesWorker;
-  let bundleSequenceNumber;
+  const bundleStubId = 'stubId';
+  const defaultPartition = {key: 'default', creators: null, settings: {}};
   let serverAddress;
 
   beforeEach(async () => {
@@ -47,6 +48,9 @@ describe('Hermes Worker', () => {
         }
       },
       rejectAllBundleCandidate: sinon.stub().resolves(),
+      recoverOrphanedBundleCandidates: sinon.stub().resolves({resumed: [], released: [], releasedEntitiesCount: 0}),
+      findBundlingPartitions: sinon.stub().resolves([defaultPartition]),
+      createBundleStub: sinon.stub().resolves(bundleStubId),
       prepareBundleCandidate: sinon.stub().resolves(mockResult),
       rejectBundleCandidate: sinon.stub().resolves(),
       acceptBundleCandidate: sinon.stub().resolves(mockResult),
@@ -82,7 +86,6 @@ describe('Hermes Worker', () => {
     await hermesWorker.beforeWorkLoop();
     const {port} = hermesWorker.server.address();
     serverAddress = `http://localhost:${port}`;
-    ({bundleSequenceNumber} = hermesWorker);
   });
 
   afterEach(async () => {
@@ -95,14 +98,14 @@ describe('Hermes Worker', () => {
       expect(mockStrategy.storagePeriods).to.have.been.calledOnce;
     });
 
-    it('asks data model engine for a bundle candidate', async () => {
+    it('asks data model engine for a new bundle stub', async () => {
       await hermesWorker.periodicWork();
-      expect(mockDataModelEngine.prepareBundleCandidate).to.have.been.calledWith(bundleSequenceNumber);
+      expect(mockDataModelEngine.createBundleStub).to.have.been.calledOnce;
     });
 
-    it('increases the bundle sequence number', async () => {
+    it('asks data model engine for a bundle candidate', async () => {
       await hermesWorker.periodicWork();
-      expect(hermesWorker.bundleSequenceNumber).to.equal(bundleSequenceNumber + 1);
+      expect(mockDataModelEngine.prepareBundleCandidate).to.have.been.calledWith(bundleStubId);
     });
 
     it('asks strategy if the bundle candidate is valid', async () => {
@@ -113,13 +116,25 @@ describe('Hermes Worker', () => {
     describe('if valid', () => {
       it('stores the bundle candidate', async () => {
         await hermesWorker.periodicWork();
-        expect(mockDataModelEngine.acceptBundleCandidate).to.have.been.calledOnceWith(mockResult, bundleSequenceNumber, storagePeriods);
+        expect(mockDataModelEngine.acceptBundleCandidate).to.have.been.calledOnceWith(mockResult, bundleStubId, storagePeriods);
       });
 
       it('calls the bundlingSucceeded method on the strategy', async () => {
         await hermesWorker.periodicWork();
         expect(mockStrategy.bundlingSucceeded).to.have.been.calledOnce;
       });
+
+      it('logs the decision reason and details', async () => {
+        mockStrategy.shouldBundle.resolves({result: true, reason: 'Enough entities to bundle', details: {itemCount: 3}});
+
+        await hermesWorker.periodicWork();
+        expect(mockWorkerLogRepository.storeLog).to.have.been.calledWithMatch({
+          message: 'Bundle candidate accepted',
+          bundleId,
+          reason: 'Enough entities to bundle',
+          details: {itemCount: 3}
+        });
+      });
     });
 
     describe('if invalid', () => {
@@ -127,9 +142,111 @@ describe('Hermes Worker', () => {
         mockStrategy.shouldBundle.resolves({result: false, reason: 'Rejection reason'});
 
         await hermesWorker.periodicWork();
-        expect(mockDataModelEngine.rejectBundleCandidate).to.have.been.calledOnceWith(bundleSequenceNumber);
+        expect(mockDataModelEngine.rejectBundleCandidate).to.have.been.calledOnceWith(bundleStubId);
+      });
+
+      it('logs the decision reason and details', async () => {
+        mockStrategy.shouldBundle.resolves({result: false, reason: 'Rejection reason', details: {itemCount: 1}});
+
+        await hermesWorker.periodicWork();
+        expect(mockWorkerLogRepository.storeLog).to.have.been.calledWithMatch({
+          message: 'Bundle candidate discarded. Rejection reason',
+          reason: 'Rejection reason',
+          details: {itemCount: 1}
+        });
+      });
+    });
+  });
+
+  describe('Bundling partitions', () => {
+    const partitions = [
+      {key: '1', creators: ['0x1', '0x2'], settings: {storagePeriods: 4}},
+      {key: '2', creators: ['0x3'], settings: {}}
+    ];
+    const secondBundle = {bundleId: '0xbeef'};
+
+    beforeEach(() => {
+      mockDataModelEngine.findBundlingPartitions.resolves(partitions);
+      mockDataModelEngine.createBundleStub.onSecondCall().resolves('secondStubId');
+      mockDataModelEngine.prepareBundleCandidate.withArgs('secondStubId').resolves(secondBundle);
+      mockStrategy.storagePeriods.withArgs(partitions[0]).returns(4);
+    });
+
+    it('prepares a separate bundle candidate for every partition', async () => {
+      await hermesWorker.periodicWork();
+      expect(mockDataModelEngine.createBundleStub).to.have.been.calledTwice;
+      expect(mockDataModelEngine.prepareBundleCandidate).to.have.been.calledWith(bundleStubId, partitions[0].creators);
+      expect(mockDataModelEngine.prepareBundleCandidate).to.have.been.calledWith('secondStubId', partitions[1].creators);
+    });
+
+    it('asks strategy about every partition', async () => {
+      await hermesWorker.periodicWork();
+      expect(mockStrategy.storagePeriods).to.have.been.calledWith(partitions[0]);
+      expect(mockStrategy.storagePeriods).to.have.been.calledWith(partitions[1]);
+      expect(mockStrategy.shouldBundle).to.have.been.calledWith(mockResult, partitions[0]);
+      expect(mockStrategy.shouldBundle).to.have.been.calledWith(secondBundle, partitions[1]);
+    });
+
+    it('accepts the candidates with the storage periods and key of their partitions', async () => {
+      await hermesWorker.periodicWork();
+      expect(mockDataModelEngine.acceptBundleCandidate).to.have.been.calledWith(mockResult, bundleStubId, 4, '1');
+      expect(mockDataModelEngine.acceptBundleCandidate).to.have.been.calledWith(secondBundle, 'secondStubId', storagePeriods, '2');
+    });
+
+    it('decides about every partition separately', async () => {
+      mockStrategy.shouldBundle.withArgs(secondBundle).resolves({result: false, reason: 'Rejection reason'});
+      await hermesWorker.periodicWork();
+      expect(mockDataModelEngine.acceptBundleCandidate).to.have.been.calledOnceWith(mockResult, bundleStubId);
+      expect(mockDataModelEngine.rejectBundleCandidate).to.have.been.calledOnceWith('secondStubId');
+      expect(mockWorkerLogRepository.storeLog).to.have.been.calledWithMatch({message: 'Bundle candidate accepted', partition: '1'});
+      expect(mockWorkerLogRepository.storeLog).to.have.been.calledWithMatch({message: 'Bundle candidate discarded. Rejection reason', partition: '2'});
+    });
+
+    it('does not bundle when no partition has entities waiting', async () => {
+      mockDataModelEngine.findBundlingPartitions.resolves([]);
+      await hermesWorker.periodicWork();
+      expect(mockDataModelEngine.createBundleStub).to.not.have.been.called;
+      expect(mockDataModelEngine.uploadAcceptedBundleCandidates).to.have.been.calledOnce;
+    });
+  });
+
+  describe('Orphaned bundle candidates recovery', () => {
+    it('recovers orphaned candidates before the first bundling only', async () => {
+      await hermesWorker.periodicWork();
+      await hermesWorker.periodicWork();
+      expect(mockDataModelEngine.recoverOrphanedBundleCandidates).to.have.been.calledOnce;
+      expect(mockDataModelEngine.recoverOrphanedBundleCandidates).to.have.been.calledAfter(mockWorkerTaskTrackingRepository.tryToBeginWork);
+      expect(mockDataModelEngine.recoverOrphanedBundleCandidates).to.have.been.calledBefore(mockDataModelEngine.createBundleStub);
+    });
+
+    it('retries the recovery in the next work loop if it failed', async () => {
+      mockDataModelEngine.recoverOrphanedBundleCandidates.onFirstCall().rejects();
+      await expect(hermesWorker.periodicWork()).to.be.rejected;
+      await hermesWorker.periodicWork();
+      expect(mockDataModelEngine.recoverOrphanedBundleCandidates).to.have.been.calledTwice;
+      expect(mockDataModelEngine.createBundleStub).to.have.been.calledOnce;
+    });
+
+    it('logs resumed candidates and released stubs', async () => {
+      mockDataModelEngine.recoverOrphanedBundleCandidates.resolves({
+        resumed: [{bundleStubId: 'resumedStub', bundleId}],
+        released: ['releasedStub'],
+        releasedEntitiesCount: 4
+      });
+
+      await hermesWorker.periodicWork();
+      expect(mockWorkerLogRepository.storeLog).to.have.been.calledWithMatch({
+        message: 'Orphaned bundle candidate resumed', bundleStubId: 'resumedStub', bundleId
+      });
+      expect(mockWorkerLogRepository.storeLog).to.have.been.calledWithMatch({
+        message: 'Orphaned bundle stubs released', bundleStubIds: ['releasedStub'], entityCount: 4
       });
     });
+
+    it('does not log if there was nothing to recover', async () => {
+      await hermesWorker.periodicWork();
+      expect(mockWorkerLogRepository.storeLog).to.not.have.been.calledWithMatch({message: sinon.match(/^Orphaned/)});
+    });
   });
 
   describe('Bundle candidate upload', () => {
@@ -138,6 +255,42 @@ describe('Hermes Worker', () => {
       expect(mockDataModelEngine.uploadAcceptedBundleCandidates).to.have.been.calledOnce;
       expect(mockLogger.info).to.have.been.calledWith({message: 'Bundle has been uploaded', bundleId, stacktrace: undefined});
     });
+
+    it('logs failed attempts with the next retry time', async () => {
+      const nextRetryAt = new Date();
+      mockDataModelEngine.uploadAcceptedBundleCandidates.callsFake(async (callbacks) => {
+        await callbacks.fail(bundleId, new Error('Upload error'), {status: 'RETRYING', attempts: 2, nextRetryAt});
+      });
+
+      await hermesWorker.periodicWork();
+      expect(mockWorkerLogRepository.storeLog).to.have.been.calledWithMatch({
+        message: 'Bundle failed to upload', bundleId, errorMsg: 'Upload error', attempts: 2, nextRetryAt
+      });
+    });
+
+    it('logs bundles moved to the dead letter', async () => {
+      mockDataModelEngine.uploadAcceptedBundleCandidates.callsFake(async (callbacks) => {
+        await callbacks.fail(bundleId, new Error('Upload error'), {status: 'DEAD_LETTER', attempts: 10});
+      });
+
+      await hermesWorker.periodicWork();
+      expect(mockWorkerLogRepository.storeLog).to.have.been.calledWithMatch({
+        message: 'Bundle failed to upload and was moved to the dead letter', bundleId, attempts: 10
+      });
+    });
+
+    it('logs failed webhook dispatches without counting them as upload failures', async () => {
+      mockDataModelEngine.uploadAcceptedBundleCandidates.callsFake(async (callbacks) => {
+        await callbacks.success(bundleId, 'Bundle has been uploaded');
+        await callbacks.webhookDispatchFail(bundleId, new Error('Dispatch error'));
+      });
+
+      await hermesWorker.periodicWork();
+      expect(mockWorkerLogRepository.storeLog).to.have.been.calledWithMatch({
+        message: 'Failed to dispatch webhooks of the uploaded bundle', bundleId, errorMsg: 'Dispatch error'
+      });
+      expect(mockWorkerLogRepository.storeLog).to.not.have.been.calledWithMatch({message: 'Bundle failed to upload'});
+    });
   });
 
   describe('Task tracking', () => {
@@ -171,6 +324,15 @@ describe('Hermes Worker', () => {
     expect(textAfter).to.include('hermes_bundle_uploads_total 1');
   });
 
+  it('records prometheus metrics on bundling decisions', async () => {
+    mockStrategy.shouldBundle.resolves({result: false, reason: 'Rejection reason'});
+
+    await hermesWorker.periodicWork();
+
+    const {text} = await chai.request(serverAddress).get('/metrics');
+    expect(text).to.include('hermes_bundling_decisions_total{result="discarded",reason="Rejection reason"} 1');
+  });
+
   it('records prometheus metrics on failed uploads', async () => {
     mockDataModelEngine.uploadAcceptedBundleCandidates = sinon.stub().callsFake(async (callbacks) => {
       await callbacks.fail(bundleId, new Error());
@@ -0,0 +1,67 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import TransactionReplacementWorker from '../../src/workers/transaction_replacement_worker';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Transaction replacement worker', () => {
+  let mockStuckTransactionReplacer;
+  let logger;
+  let worker;
+  const exampleWorkerInterval = 60;
+
+  beforeEach(() => {
+    logger = {
+      info: sinon.stub(),
+      error: sinon.stub()
+    };
+    mockStuckTransactionReplacer = {
+      replaceStuckTransactions: sinon.stub().resolves([])
+    };
+    worker = new TransactionReplacementWorker(mockStuckTransactionReplacer, logger, exampleWorkerInterval);
+  });
+
+  it('uses the provided interval', () => {
+    expect(worker.interval).to.equal(exampleWorkerInterval);
+  });
+
+  describe('periodicWork', () => {
+    it('replaces stuck transactions', async () => {
+      await worker.periodicWork();
+      expect(mockStuckTransactionReplacer.replaceStuckTransactions).to.be.calledOnce;
+      expect(logger.info).to.not.be.called;
+      expect(logger.error).to.not.be.called;
+    });
+
+    it('logs the replaced transactions', async () => {
+      mockStuckTransactionReplacer.replaceStuckTransactions.resolves([{transactionHash: '0x1', replacementTransactionHash: '0x2', gasPrice: '6000000000'}]);
+      await worker.periodicWork();
+      expect(logger.info).to.be.calledOnceWith({
+        message: 'Stuck transaction replaced',
+        transactionHash: '0x1',
+        replacementTransactionHash: '0x2',
+        gasPrice: '6000000000'
+      });
+    });
+
+    it('logs the failed replacements as errors', async () => {
+      mockStuckTransactionReplacer.replaceStuckTransactions.resolves([{transactionHash: '0x1', error: 'nonce too low'}]);
+      await worker.periodicWork();
+      expect(logger.error).to.be.calledOnceWith({message: 'Failed to replace a stuck transaction', transactionHash: '0x1', error: 'nonce too low'});
+      expect(logger.info).to.not.be.called;
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/*
+Copyright: Ambrosus Inc.
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import WebhookWorker from '../../src/workers/webhook_worker';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Webhook worker', () => {
+  let mockDataModelEngine;
+  let mockWorkerTaskTracker;
+  let logger;
+  let worker;
+  const exampleWorkId = 'workId';
+  const exampleWorkerInterval = 5;
+
+  beforeEach(() => {
+    logger = {
+      info: sinon.stub(),
+      error: sinon.stub()
+    };
+    mockWorkerTaskTracker = {
+      tryToBeginWork: sinon.stub().resolves(exampleWorkId),
+      finishWork: sinon.spy()
+    };
+    mockDataModelEngine = {
+      deliverWebhooks: sinon.stub().resolves(3)
+    };
+    worker = new WebhookWorker(mockDataModelEngine, mockWorkerTaskTracker, logger, exampleWorkerInterval);
+  });
+
+  describe('periodicWork', () => {
+    it('calls deliverWebhooks method', async () => {
+      await worker.periodicWork();
+      expect(mockDataModelEngine.deliverWebhooks).to.be.calledOnce;
+      expect(logger.info).to.be.calledOnce;
+    });
+
+    it('does not log if there was nothing to deliver', async () => {
+      mockDataModelEngine.deliverWebhooks.resolves(0);
+      await worker.periodicWork();
+      expect(logger.info).to.not.be.called;
+    });
+
+    it('starts and ends WebhookDelivery task', async () => {
+      await worker.periodicWork();
+      expect(mockWorkerTaskTracker.tryToBeginWork).to.be.calledBefore(mockDataModelEngine.deliverWebhooks);
+      expect(mockWorkerTaskTracker.tryToBeginWork).to.be.calledOnceWith('WebhookDelivery');
+      expect(mockWorkerTaskTracker.finishWork).to.be.calledAfter(mockDataModelEngine.deliverWebhooks);
+      expect(mockWorkerTaskTracker.finishWork).to.be.calledOnceWith(exampleWorkId);
+    });
+
+    it('does nothing if the task is already in progress', async () => {
+      mockWorkerTaskTracker.tryToBeginWork.rejects();
+      await worker.periodicWork();
+      expect(mockDataModelEngine.deliverWebhooks).to.not.be.called;
+    });
+
+    it('should end task even if an error was thrown', async () => {
+      mockDataModelEngine.deliverWebhooks.rejects(new Error('Oh No!'));
+      await expect(worker.periodicWork()).to.be.rejected;
+      expect(mockWorkerTaskTracker.finishWork).to.be.calledOnceWith(exampleWorkId);
+      expect(logger.error).to.be.calledOnce;
+    });
+  });
+});